@@ -1,11 +1,15 @@
 const socketHandler = require('../services/realtime/socketHandler');
+const { authenticateSocket } = require('../middleware/socketAuth');
 
 const socketManager = (io) => {
   let activeConnections = 0;
 
+  // Resolve the JWT (if any) before any handler runs
+  io.use(authenticateSocket);
+
   io.on('connection', (socket) => {
     activeConnections++;
-    console.log(`New client connected. Active connections: ${activeConnections}`);
+    console.log(`New client connected (${socket.data.role}). Active connections: ${activeConnections}`);
     
     socketHandler.setupEventHandlers(io, socket);
     
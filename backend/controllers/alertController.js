@@ -4,6 +4,8 @@ const alertGenerator = require('../services/alert/alertGenerator');
 const socketHandler = require('../services/realtime/socketHandler');
 const asyncHandler = require('../utils/asyncHandler');
 const logger = require('../utils/logger');
+const issueTaxonomy = require('../services/nlp/issueTaxonomy');
+const { canAccessEvent } = require('../middleware/auth');
 const QRCode = require('qrcode');
 
 exports.getEventAlerts = asyncHandler(async (req, res) => {
@@ -527,15 +529,30 @@ exports.getAlertTypes = asyncHandler(async (req, res) => {
     { id: 'system', label: 'System', description: 'System-generated alerts' }
   ];
 
+  // Issue categories follow the event's taxonomy when one is given
+  let taxonomy = issueTaxonomy.DEFAULT_CATEGORIES;
+  if (req.query.eventId) {
+    const event = await Event.findById(req.query.eventId);
+    
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+    
+    if (!canAccessEvent(event, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this event'
+      });
+    }
+    
+    taxonomy = issueTaxonomy.resolveCategories(event);
+  }
+
   const categories = [
-    { id: 'queue', label: 'Queue/Waiting', description: 'Issues with lines or waiting times' },
-    { id: 'audio', label: 'Audio Problems', description: 'Sound system or audio quality issues' },
-    { id: 'video', label: 'Video/Display', description: 'Projection, screens or visibility issues' },
-    { id: 'crowding', label: 'Overcrowding', description: 'Space or capacity problems' },
-    { id: 'amenities', label: 'Amenities', description: 'Issues with facilities like food, bathrooms, etc.' },
-    { id: 'content', label: 'Content', description: 'Issues with speakers, presentations or content' },
-    { id: 'temperature', label: 'Temperature', description: 'Issues with room temperature or climate' },
-    { id: 'safety', label: 'Safety', description: 'Safety or security concerns' },
+    ...taxonomy.map(category => ({ id: category.key, label: category.label, description: category.description })),
     { id: 'general', label: 'General', description: 'General alerts not fitting other categories' },
     { id: 'other', label: 'Other', description: 'Miscellaneous issues' }
   ];
@@ -1,6 +1,9 @@
 const sentimentAggregator = require('../services/analytics/sentimentAggregator');
 const trendDetector = require('../services/analytics/trendDetector');
+const topicClusterer = require('../services/analytics/topicClusterer');
 const reportGenerator = require('../services/analytics/reportGenerator');
+const summarizer = require('../services/nlp/summarizer');
+const transformersService = require('../services/nlp/transformersService');
 const Feedback = require('../models/Feedback');
 const Alert = require('../models/Alert');
 const Event = require('../models/Event');
@@ -66,6 +69,23 @@ exports.getIssueTrend = asyncHandler(async (req, res) => {
   });
 });
 
+exports.getEmotionTrend = asyncHandler(async (req, res) => {
+  const { timeframe, limit } = req.query;
+  
+  const trendData = await sentimentAggregator.getEmotionTrend(
+    req.params.eventId,
+    {
+      timeframe,
+      limit: parseInt(limit, 10) || undefined
+    }
+  );
+  
+  res.status(200).json({
+    success: true,
+    data: trendData
+  });
+});
+
 exports.getSourceDistribution = asyncHandler(async (req, res) => {
   const { startTime, endTime } = req.query;
   
@@ -81,6 +101,36 @@ exports.getSourceDistribution = asyncHandler(async (req, res) => {
 });
 
 
+exports.getLanguageDistribution = asyncHandler(async (req, res) => {
+  const { startTime, endTime } = req.query;
+  
+  const distribution = await sentimentAggregator.getLanguageDistribution(
+    req.params.eventId,
+    { startTime, endTime }
+  );
+  
+  res.status(200).json({
+    success: true,
+    data: distribution
+  });
+});
+
+
+exports.getAspectSentiment = asyncHandler(async (req, res) => {
+  const { startTime, endTime } = req.query;
+  
+  const aspects = await sentimentAggregator.getAspectSentiment(
+    req.params.eventId,
+    { startTime, endTime }
+  );
+  
+  res.status(200).json({
+    success: true,
+    data: aspects
+  });
+});
+
+
 exports.getTrendingTopics = asyncHandler(async (req, res) => {
   const timeWindow = parseInt(req.query.timeWindow, 10) || 60; 
   const minMentions = parseInt(req.query.minMentions, 10) || 2;
@@ -101,6 +151,27 @@ exports.getTrendingTopics = asyncHandler(async (req, res) => {
   });
 });
 
+exports.getTopicClusters = asyncHandler(async (req, res) => {
+  const { startTime, endTime } = req.query;
+  
+  const clusters = await topicClusterer.clusterFeedback(
+    req.params.eventId,
+    {
+      timeWindow: parseInt(req.query.timeWindow, 10) || (startTime ? null : 60),
+      startTime,
+      endTime,
+      minClusterSize: parseInt(req.query.minClusterSize, 10) || 2,
+      maxClusters: parseInt(req.query.maxClusters, 10) || 10,
+      bucketMinutes: parseInt(req.query.bucketMinutes, 10) || undefined
+    }
+  );
+  
+  res.status(200).json({
+    success: true,
+    data: clusters
+  });
+});
+
 exports.getLocationHeatmap = asyncHandler(async (req, res) => {
   const event = await Event.findById(req.params.eventId);
   
@@ -286,11 +357,15 @@ exports.getDashboardData = asyncHandler(async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(5);
 
-    const trendingTopics = await trendDetector.detectTrendingTopics(
+    const topicClusters = await topicClusterer.clusterFeedback(
       eventId,
-      { timeWindow: 60, minMentions: 2, maxTopics: 5 }
+      { timeWindow: 60, minClusterSize: 2, maxClusters: 5 }
     );
 
+    const summary = await summarizer.summarizeWindow(eventId, {
+      startTime: new Date(Date.now() - 60 * 60 * 1000)
+    });
+
     // Enhanced logging
     console.log('Dashboard Data Debug:', {
       eventId,
@@ -299,7 +374,7 @@ exports.getDashboardData = asyncHandler(async (req, res) => {
       recentFeedback,
       latestFeedbackCount: latestFeedback.length,
       latestAlertsCount: latestAlerts.length,
-      trendingTopicsCount: trendingTopics.topics.length
+      topicClusterCount: topicClusters.clusters.length
     });
 
     res.status(200).json({
@@ -321,7 +396,8 @@ exports.getDashboardData = asyncHandler(async (req, res) => {
           latest: latestFeedback,
           sentiment: sentimentCounts  // Explicitly include sentiment counts
         },
-        trends: trendingTopics.topics
+        trends: topicClusters.clusters,
+        summary
       }
     });
   } catch (error) {
@@ -533,4 +609,12 @@ exports.getWordCloudData = asyncHandler(async (req, res) => {
       }
     }
   });
-});
\ No newline at end of file
+});
+
+// Inference worker pool throughput, latency and queue stats, for sizing INFERENCE_* settings
+exports.getInferenceStats = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: transformersService.getInferenceStats()
+  });
+});
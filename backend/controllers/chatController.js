@@ -0,0 +1,60 @@
+const chatService = require('../services/realtime/chatService');
+const asyncHandler = require('../utils/asyncHandler');
+
+/**
+ * @desc    Get paginated chat history for an event
+ * @route   GET /api/chat/event/:eventId
+ * @access  Public
+ */
+exports.getEventMessages = asyncHandler(async (req, res) => {
+  const { messages, hasMore, limit } = await chatService.getMessages(req.params.eventId, {
+    limit: req.query.limit,
+    before: req.query.before
+  });
+
+  res.status(200).json({
+    success: true,
+    count: messages.length,
+    pagination: {
+      limit,
+      hasMore,
+      before: messages.length > 0 ? messages[0].createdAt : null
+    },
+    data: messages
+  });
+});
+
+/**
+ * @desc    Post a chat message to an event
+ * @route   POST /api/chat/event/:eventId
+ * @access  Public (signed-in users are recorded as the sender)
+ */
+exports.sendMessage = asyncHandler(async (req, res) => {
+  const { message, duplicate } = await chatService.postMessage(req.io, {
+    eventId: req.params.eventId,
+    text: req.body.text,
+    user: req.body.user || req.body.username,
+    // Only a signed-in caller is identified; never trust an ID from the body
+    userId: req.user ? req.user.id : null,
+    sourceId: req.body.sourceId
+  });
+
+  res.status(duplicate ? 200 : 201).json({
+    success: true,
+    data: message
+  });
+});
+
+/**
+ * @desc    Get chat statistics for an event
+ * @route   GET /api/chat/stats/:eventId
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.getChatStats = asyncHandler(async (req, res) => {
+  const stats = await chatService.getStats(req.params.eventId);
+
+  res.status(200).json({
+    success: true,
+    data: stats
+  });
+});
@@ -0,0 +1,95 @@
+const classifierTrainer = require('../services/nlp/classifierTrainer');
+const asyncHandler = require('../utils/asyncHandler');
+
+/**
+ * @desc    Get an event's learned issue classifier: active version, history and example counts
+ * @route   GET /api/classifier/event/:eventId
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.getEventClassifier = asyncHandler(async (req, res) => {
+  const status = await classifierTrainer.getStatus(req.params.eventId);
+
+  res.status(200).json({
+    success: true,
+    data: status
+  });
+});
+
+/**
+ * @desc    Precision and recall on the event's held-out corrections
+ * @route   GET /api/classifier/event/:eventId/metrics
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.getEventMetrics = asyncHandler(async (req, res) => {
+  const metrics = await classifierTrainer.getMetrics(req.params.eventId);
+
+  res.status(200).json({
+    success: true,
+    data: metrics
+  });
+});
+
+/**
+ * @desc    Train a new classifier version from the event's corrections
+ * @route   POST /api/classifier/event/:eventId/train
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.trainEventClassifier = asyncHandler(async (req, res) => {
+  const model = await classifierTrainer.train(req.params.eventId, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: model
+  });
+});
+
+/**
+ * @desc    Switch the event back to an earlier classifier version
+ * @route   PUT /api/classifier/event/:eventId/active
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.activateEventVersion = asyncHandler(async (req, res) => {
+  const version = parseInt(req.body.version, 10);
+
+  if (!version) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a version'
+    });
+  }
+
+  const model = await classifierTrainer.activateVersion(req.params.eventId, version);
+
+  res.status(200).json({
+    success: true,
+    data: model
+  });
+});
+
+/**
+ * @desc    Get the global classifier trained on corrections from all events
+ * @route   GET /api/classifier/global
+ * @access  Private (Admin)
+ */
+exports.getGlobalClassifier = asyncHandler(async (req, res) => {
+  const status = await classifierTrainer.getStatus(null);
+
+  res.status(200).json({
+    success: true,
+    data: status
+  });
+});
+
+/**
+ * @desc    Train a new global classifier version
+ * @route   POST /api/classifier/global/train
+ * @access  Private (Admin)
+ */
+exports.trainGlobalClassifier = asyncHandler(async (req, res) => {
+  const model = await classifierTrainer.train(null, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: model
+  });
+});
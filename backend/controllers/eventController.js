@@ -2,6 +2,8 @@ const Event = require('../models/Event');
 const User = require('../models/User');
 const asyncHandler = require('../utils/asyncHandler');
 const logger = require('../utils/logger');
+const issueTaxonomy = require('../services/nlp/issueTaxonomy');
+const locationResolver = require('../services/nlp/locationResolver');
 
 
 exports.getEvents = asyncHandler(async (req, res) => {
@@ -121,6 +123,11 @@ exports.updateEvent = asyncHandler(async (req, res) => {
   if (req.body.owner) {
     delete req.body.owner;
   }
+
+  // Categories are validated through their own endpoint
+  if (req.body.issueCategories) {
+    delete req.body.issueCategories;
+  }
   
 
   event = await Event.findByIdAndUpdate(req.params.eventId, req.body, {
@@ -128,6 +135,10 @@ exports.updateEvent = asyncHandler(async (req, res) => {
     runValidators: true
   });
   
+  if (req.body.locationMap) {
+    locationResolver.invalidate(req.params.eventId);
+  }
+  
   res.status(200).json({
     success: true,
     data: event
@@ -273,7 +284,7 @@ exports.updateAlertSettings = asyncHandler(async (req, res) => {
     });
   }
   
-  const { negativeSentimentThreshold, issueAlertThreshold, autoResolveTime } = req.body;
+  const { negativeSentimentThreshold, issueAlertThreshold, fearAlertThreshold, autoResolveTime } = req.body;
   
 
   if (negativeSentimentThreshold !== undefined) {
@@ -284,6 +295,10 @@ exports.updateAlertSettings = asyncHandler(async (req, res) => {
     event.alertSettings.issueAlertThreshold = issueAlertThreshold;
   }
   
+  if (fearAlertThreshold !== undefined) {
+    event.alertSettings.fearAlertThreshold = fearAlertThreshold;
+  }
+  
   if (autoResolveTime !== undefined) {
     event.alertSettings.autoResolveTime = autoResolveTime;
   }
@@ -332,6 +347,7 @@ exports.updateLocationMap = asyncHandler(async (req, res) => {
   }
   
   await event.save();
+  locationResolver.invalidate(event._id);
   
   res.status(200).json({
     success: true,
@@ -339,6 +355,55 @@ exports.updateLocationMap = asyncHandler(async (req, res) => {
   });
 });
 
+exports.getIssueCategories = asyncHandler(async (req, res) => {
+
+  const event = req.event || await Event.findById(req.params.eventId);
+  
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      categories: issueTaxonomy.resolveCategories(event),
+      isDefault: !event.issueCategories || event.issueCategories.length === 0,
+      defaults: issueTaxonomy.DEFAULT_CATEGORIES
+    }
+  });
+});
+
+
+exports.updateIssueCategories = asyncHandler(async (req, res) => {
+
+  let event = req.event || await Event.findById(req.params.eventId);
+  
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+  }
+  
+  // An empty list goes back to the defaults; invalid lists throw a 400
+  event.issueCategories = issueTaxonomy.normalizeCategories(req.body.categories);
+  
+  await event.save();
+  issueTaxonomy.invalidate(event._id);
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      categories: issueTaxonomy.resolveCategories(event),
+      isDefault: categories.length === 0,
+      defaults: issueTaxonomy.DEFAULT_CATEGORIES
+    }
+  });
+});
+
 exports.toggleEventActive = asyncHandler(async (req, res) => {
   // Use the event from middleware or fetch it
   let event = req.event || await Event.findById(req.params.eventId);
@@ -2,6 +2,14 @@ const Feedback = require('../models/Feedback');
 const Event = require('../models/Event');
 const sentimentAnalyzer = require('../services/nlp/sentimentAnalyzer');
 const feedQueue = require('../services/realtime/feedQueue');
+const webhookService = require('../services/social/webhookService');
+const feedbackImporter = require('../services/realtime/feedbackImporter');
+const classifierTrainer = require('../services/nlp/classifierTrainer');
+const issueTaxonomy = require('../services/nlp/issueTaxonomy');
+const sentimentAggregator = require('../services/analytics/sentimentAggregator');
+const feedbackRescorer = require('../services/analytics/feedbackRescorer');
+const webhookVerification = require('../middleware/webhookVerification');
+const { canAccessEvent } = require('../middleware/auth');
 const asyncHandler = require('../utils/asyncHandler');
 const logger = require('../utils/logger');
 
@@ -73,6 +81,87 @@ exports.submitFeedback = asyncHandler(async (req, res) => {
 });
 
 
+// X (Twitter) Account Activity CRC check: answer the crc_token with its
+// HMAC-SHA256 under the consumer secret
+exports.twitterWebhookChallenge = (req, res) => {
+  const crcToken = req.query.crc_token;
+  if (!crcToken) {
+    webhookVerification.recordRejection('twitter', 'missing_crc_token', req);
+    return res.status(400).json({ success: false, message: 'crc_token is required' });
+  }
+
+  const signature = webhookVerification.signPayload('twitter', crcToken);
+  if (!signature) {
+    webhookVerification.recordRejection('twitter', 'secret_not_configured', req);
+    return res.status(503).json({ success: false, message: 'twitter webhook verification is not configured' });
+  }
+
+  res.status(200).json({ response_token: `sha256=${signature}` });
+};
+
+
+// Meta subscription handshake: echo hub.challenge when the verify token matches
+exports.instagramWebhookChallenge = (req, res) => {
+  const mode = req.query['hub.mode'];
+  const verifyToken = req.query['hub.verify_token'];
+  const expectedToken = process.env.INSTAGRAM_WEBHOOK_VERIFY_TOKEN;
+
+  if (mode !== 'subscribe' || !expectedToken || verifyToken !== expectedToken) {
+    webhookVerification.recordRejection('instagram', 'invalid_verify_token', req);
+    return res.status(403).json({ success: false, message: 'Webhook verification failed' });
+  }
+
+  res.status(200).type('text/plain').send(req.query['hub.challenge']);
+};
+
+
+// LinkedIn validation: sign the challengeCode with the client secret
+exports.linkedinWebhookChallenge = (req, res) => {
+  const { challengeCode } = req.query;
+  if (!challengeCode) {
+    webhookVerification.recordRejection('linkedin', 'missing_challenge_code', req);
+    return res.status(400).json({ success: false, message: 'challengeCode is required' });
+  }
+
+  const challengeResponse = webhookVerification.signPayload('linkedin', challengeCode);
+  if (!challengeResponse) {
+    webhookVerification.recordRejection('linkedin', 'secret_not_configured', req);
+    return res.status(503).json({ success: false, message: 'linkedin webhook verification is not configured' });
+  }
+
+  res.status(200).json({ challengeCode, challengeResponse });
+};
+
+
+// Custom connector delivery; the connector is loaded and verified by
+// verifyConnectorSignature
+exports.customWebhook = asyncHandler(async (req, res) => {
+  const connector = req.webhookConnector;
+
+  const event = await Event.findById(connector.event);
+  if (!event || !event.isActive) {
+    return res.status(400).json({ success: false, message: 'Event is not active' });
+  }
+
+  const result = await webhookService.ingestPayload(connector, req.body);
+
+  res.status(202).json({
+    success: true,
+    data: result
+  });
+});
+
+
+exports.getWebhookStats = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      rejected: webhookVerification.getRejectionStats()
+    }
+  });
+});
+
+
 exports.twitterWebhook = asyncHandler(async (req, res) => {
 
   const tweetData = req.body;
@@ -122,7 +211,7 @@ exports.twitterWebhook = asyncHandler(async (req, res) => {
           username: tweetData.user?.screen_name || 'unknown',
           platform: 'twitter',
           profileUrl: tweetData.user ? `https://twitter.com/${tweetData.user.screen_name}` : null,
-          followerCount: tweetData.user?.followers_count || 0,
+          followerCount: tweetData.user?.followers_count ?? null,
           hashTags: hashtags,
           mentions: tweetData.entities?.user_mentions?.map(m => m.screen_name) || []
         }
@@ -195,7 +284,7 @@ exports.instagramWebhook = asyncHandler(async (req, res) => {
           username: instagramData.user?.username || 'unknown',
           platform: 'instagram',
           profileUrl: instagramData.user?.profile_url || null,
-          followerCount: instagramData.user?.followers_count || 0,
+          followerCount: instagramData.user?.followers_count ?? null,
           mediaUrls: [instagramData.media_url],
           hashTags: hashtags,
           mentions: instagramData.caption?.mentions || []
@@ -257,7 +346,8 @@ exports.linkedinWebhook = asyncHandler(async (req, res) => {
           username: linkedinData.author?.name || 'unknown',
           platform: 'linkedin',
           profileUrl: linkedinData.author?.profile_url || null,
-          followerCount: linkedinData.author?.connections || 0,
+          // Connections aren't followers, so spam scoring doesn't read them
+          connectionCount: linkedinData.author?.connections ?? null,
           mediaUrls: linkedinData.content?.media_url ? [linkedinData.content.media_url] : [],
           hashTags: hashtags,
           mentions: mentions
@@ -301,6 +391,12 @@ exports.getEventFeedback = asyncHandler(async (req, res) => {
     query.issueType = req.query.issueType;
   }
   
+  if (req.query.spam === 'true') {
+    query['spam.isSpam'] = true;
+  } else if (req.query.spam === 'false') {
+    query['spam.isSpam'] = { $ne: true };
+  }
+  
   if (req.query.startDate || req.query.endDate) {
     query.createdAt = {};
     
@@ -640,6 +736,57 @@ exports.getFeedbackById = asyncHandler(async (req, res) => {
   });
 });
 
+// Unredacted text is only kept when PII_KEEP_ORIGINAL is enabled, and only
+// the event owner or an admin may read it
+exports.getOriginalText = asyncHandler(async (req, res) => {
+  const feedback = await Feedback.findById(req.params.feedbackId).select('+originalText');
+  
+  if (!feedback) {
+    return res.status(404).json({
+      success: false,
+      message: 'Feedback not found'
+    });
+  }
+  
+  const event = await Event.findById(feedback.event);
+  
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: 'Associated event not found'
+    });
+  }
+  
+  // Unredacted PII stays with the event owner and admins; organizers only see the redacted text
+  if (!canAccessEvent(event, req.user, ['admin'], { organizers: false })) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view the original text of this feedback'
+    });
+  }
+  
+  if (!feedback.originalText) {
+    return res.status(404).json({
+      success: false,
+      message: 'No original text is stored for this feedback'
+    });
+  }
+  
+  logger.info(`Original feedback text accessed: ${feedback._id}`, {
+    userId: req.user.id,
+    eventId: event._id,
+    piiTypes: feedback.moderation?.piiTypes
+  });
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      originalText: feedback.originalText,
+      piiTypes: feedback.moderation?.piiTypes || []
+    }
+  });
+});
+
 exports.updateFeedback = asyncHandler(async (req, res) => {
   let feedback = await Feedback.findById(req.params.feedbackId);
   
@@ -673,9 +820,17 @@ exports.updateFeedback = asyncHandler(async (req, res) => {
   const allowedUpdates = {
     processed: req.body.processed,
     issueType: req.body.issueType,
+    sentiment: req.body.sentiment,
     issueDetails: req.body.issueDetails
   };
   
+  if (req.body.issueType && !issueTaxonomy.hasCategory(issueTaxonomy.resolveCategories(event), req.body.issueType)) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown issue type for this event: ${req.body.issueType}`
+    });
+  }
+  
   const filteredUpdates = Object.entries(allowedUpdates)
     .filter(([_, value]) => value !== undefined)
     .reduce((obj, [key, value]) => {
@@ -683,7 +838,21 @@ exports.updateFeedback = asyncHandler(async (req, res) => {
       return obj;
     }, {});
   
+  // A corrected label keeps the score's strength but not its now-contradicting sign
+  const sentimentChanged = filteredUpdates.sentiment !== undefined && filteredUpdates.sentiment !== feedback.sentiment;
+  if (sentimentChanged) {
+    filteredUpdates.sentimentScore = sentimentAnalyzer.alignScore(filteredUpdates.sentiment, feedback.sentimentScore);
+  }
 
+  // Reviewing a spam flag changes which items count towards the sentiment records
+  const spamChanged = typeof req.body.spam === 'boolean' && req.body.spam !== Boolean(feedback.spam?.isSpam);
+  if (spamChanged) {
+    filteredUpdates['spam.isSpam'] = req.body.spam;
+    filteredUpdates['spam.reviewedBy'] = req.user.id;
+    filteredUpdates['spam.reviewedAt'] = Date.now();
+  }
+
+  const original = feedback;
   feedback = await Feedback.findByIdAndUpdate(
     req.params.feedbackId,
     filteredUpdates,
@@ -693,6 +862,20 @@ exports.updateFeedback = asyncHandler(async (req, res) => {
     }
   );
   
+  // Corrected labels become training data for the issue classifier
+  try {
+    await classifierTrainer.recordCorrection(original, filteredUpdates, req.user.id);
+  } catch (error) {
+    logger.error(`Record correction error: ${error.message}`, { error, feedbackId: original._id });
+  }
+  
+  // Spam, sentiment and issue type all feed the SentimentRecord rollups
+  const issueChanged = filteredUpdates.issueType !== undefined && filteredUpdates.issueType !== original.issueType;
+  if (spamChanged || sentimentChanged || issueChanged) {
+    // Runs in the background; failures are logged by the aggregator
+    sentimentAggregator.recalculateHistoricalData(event._id).catch(() => {});
+  }
+  
   res.status(200).json({
     success: true,
     data: feedback
@@ -736,6 +919,125 @@ exports.deleteFeedback = asyncHandler(async (req, res) => {
   });
 });
 
+// CSV/NDJSON import. dryRun=true only validates and classifies the first rows;
+// otherwise rows are queued in the background with import-progress socket updates
+exports.importFeedback = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, message: 'Please upload a CSV or NDJSON file' });
+  }
+
+  const format = feedbackImporter.detectFormat(req.file, req.body.format);
+  if (!format) {
+    return res.status(400).json({ success: false, message: 'File must be CSV or NDJSON' });
+  }
+
+  let mapping;
+  try {
+    mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : (req.body.mapping || {});
+  } catch (error) {
+    return res.status(400).json({ success: false, message: 'Column mapping must be valid JSON' });
+  }
+
+  mapping = feedbackImporter.MAPPING_FIELDS.reduce((acc, field) => {
+    if (typeof mapping[field] === 'string' && mapping[field].trim()) {
+      acc[field] = mapping[field].trim();
+    }
+    return acc;
+  }, {});
+
+  if (!mapping.text) {
+    return res.status(400).json({ success: false, message: 'Please map a column to the feedback text' });
+  }
+
+  const invalidPath = feedbackImporter.findInvalidPath(mapping);
+  if (invalidPath) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid path "${invalidPath.path}" in the ${invalidPath.field} mapping`
+    });
+  }
+
+  const source = req.body.source || 'survey';
+  if (!feedbackImporter.IMPORT_SOURCES.includes(source)) {
+    return res.status(400).json({
+      success: false,
+      message: `Source must be one of: ${feedbackImporter.IMPORT_SOURCES.join(', ')}`
+    });
+  }
+
+  const options = {
+    eventId: req.params.eventId,
+    format,
+    mapping,
+    source,
+    sourceLabel: req.body.sourceLabel ? String(req.body.sourceLabel).trim().toLowerCase().substring(0, 40) : null
+  };
+
+  if (req.body.dryRun === true || req.body.dryRun === 'true') {
+    try {
+      const summary = await feedbackImporter.previewImport(req.file.buffer, options);
+      return res.status(200).json({ success: true, data: { dryRun: true, format, ...summary } });
+    } catch (error) {
+      // Malformed CSV (unbalanced quotes etc.) is the uploader's problem, not ours
+      if (error.code && error.code.startsWith('CSV_')) {
+        return res.status(400).json({ success: false, message: `Could not parse file: ${error.message}` });
+      }
+      throw error;
+    }
+  }
+
+  const importId = feedbackImporter.startImport(req.io, req.file.buffer, options);
+
+  res.status(202).json({
+    success: true,
+    message: 'Import started',
+    data: { importId, format }
+  });
+});
+
+
+// Re-run the NLP pipeline over stored feedback after a model or threshold change.
+// dryRun=true scores a sample without saving and reports how many labels would change
+exports.rescoreFeedback = asyncHandler(async (req, res) => {
+  const scope = req.body.scope || 'outdated';
+  if (!feedbackRescorer.SCOPES.includes(scope)) {
+    return res.status(400).json({
+      success: false,
+      message: `Scope must be one of: ${feedbackRescorer.SCOPES.join(', ')}`
+    });
+  }
+
+  if (req.body.dryRun === true || req.body.dryRun === 'true') {
+    const sampleSize = Math.min(Math.max(parseInt(req.body.sampleSize, 10) || 200, 1), 1000);
+    const preview = await feedbackRescorer.previewRescore(req.params.eventId, { scope, sampleSize });
+    return res.status(200).json({ success: true, data: { dryRun: true, scope, ...preview } });
+  }
+
+  // A re-score already running for the event throws a 409
+  const job = feedbackRescorer.startRescore(req.io, req.params.eventId, { scope, userId: req.user.id });
+
+  res.status(202).json({
+    success: true,
+    message: 'Re-score started',
+    data: job
+  });
+});
+
+exports.getRescoreJob = asyncHandler(async (req, res) => {
+  const job = feedbackRescorer.getJob(req.params.jobId);
+  if (!job || job.eventId !== req.params.eventId) {
+    return res.status(404).json({ success: false, message: 'Re-score job not found' });
+  }
+
+  res.status(200).json({ success: true, data: job });
+});
+
+exports.getScoringVersions = asyncHandler(async (req, res) => {
+  const data = await feedbackRescorer.getVersionBreakdown(req.params.eventId);
+
+  res.status(200).json({ success: true, data });
+});
+
 exports.batchProcessFeedback = asyncHandler(async (req, res) => {
   const { feedbackIds, updates } = req.body;
   
@@ -774,11 +1076,23 @@ exports.batchProcessFeedback = asyncHandler(async (req, res) => {
     });
   }
   
+  const originals = filteredUpdates.issueType
+    ? await Feedback.find({ _id: { $in: feedbackIds } }).select('event text issueType sentiment')
+    : [];
+  
   const result = await Feedback.updateMany(
     { _id: { $in: feedbackIds } },
     { $set: filteredUpdates }
   );
   
+  for (const original of originals) {
+    try {
+      await classifierTrainer.recordCorrection(original, { issueType: filteredUpdates.issueType }, req.user.id);
+    } catch (error) {
+      logger.error(`Record correction error: ${error.message}`, { error, feedbackId: original._id });
+    }
+  }
+  
   res.status(200).json({
     success: true,
     message: 'Batch update completed',
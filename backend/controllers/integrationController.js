@@ -1,25 +1,102 @@
 const Event = require('../models/Event');
+const Feedback = require('../models/Feedback');
+const Integration = require('../models/Integration');
+const WebhookConnector = require('../models/WebhookConnector');
 const twitterService = require('../services/social/twitterService');
 const instagramService = require('../services/social/instagramService');
 const linkedinService = require('../services/social/linkedinService');
+const webhookService = require('../services/social/webhookService');
 const asyncHandler = require('../utils/asyncHandler');
 const logger = require('../utils/logger');
 
+// Credential fields organizers may store per platform; anything else in the
+// request body is ignored
+const CREDENTIAL_FIELDS = {
+  twitter: ['apiKey', 'apiSecret', 'accessToken', 'accessTokenSecret', 'bearerToken'],
+  instagram: ['accessToken', 'businessAccountId', 'appId', 'appSecret'],
+  linkedin: ['accessToken']
+};
+
+const pickCredentials = (platform, body = {}) => {
+  const credentials = {};
+  for (const field of CREDENTIAL_FIELDS[platform]) {
+    if (body[field]) {
+      credentials[field] = body[field];
+    }
+  }
+  return Object.keys(credentials).length > 0 ? credentials : null;
+};
+
+/**
+ * Store credentials from the request body on the organizer's integration
+ * record. Without credentials the server-wide env configuration is used.
+ * @param {Object} req - Express request
+ * @param {String} platform - twitter, instagram or linkedin
+ * @returns {Promise<Object|null>} Saved integration, null if nothing was sent
+ */
+const saveRequestCredentials = async (req, platform) => {
+  const credentials = pickCredentials(platform, req.body);
+  if (!credentials) {
+    return null;
+  }
+
+  const integration = await Integration.saveCredentials(req.user.id, platform, credentials, {
+    accountName: req.body.accountName,
+    tokenExpiresAt: req.body.tokenExpiresAt
+  });
 
+  if (platform === 'instagram') {
+    instagramService.clearSession(req.user.id);
+  }
+
+  return integration;
+};
+
+/**
+ * Connection status from the organizer's stored credentials, falling back to
+ * the env configuration
+ * @param {String} userId - User ID
+ * @param {String} platform - twitter, instagram or linkedin
+ * @param {Boolean} envConfigured - Whether server-wide credentials exist
+ * @returns {Promise<Object>} { connected, accountName, tokenExpiresAt, credentialSource }
+ */
+const getConnectionStatus = async (userId, platform, envConfigured) => {
+  const integration = await Integration.findOne({ owner: userId, platform });
+  const stored = Boolean(integration && integration.connected);
+
+  return {
+    connected: stored || envConfigured,
+    accountName: stored ? integration.accountName : null,
+    tokenExpiresAt: stored ? integration.tokenExpiresAt : null,
+    credentialSource: stored ? 'organization' : (envConfigured ? 'environment' : null)
+  };
+};
+
+/**
+ * @desc    Connect Twitter, storing credentials from the body if provided
+ * @route   POST /api/integrations/twitter/connect
+ * @access  Private
+ */
 exports.connectTwitter = asyncHandler(async (req, res) => {
+  const integration = await saveRequestCredentials(req, 'twitter');
 
   res.status(200).json({
     success: true,
     data: {
       connected: true,
-      username: 'event_sentiment_monitor',
-      tokenExpiry: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days
+      username: (integration && integration.accountName) || 'event_sentiment_monitor',
+      tokenExpiry: (integration && integration.tokenExpiresAt) || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days
     }
   });
 });
 
-
+/**
+ * @desc    Disconnect Twitter and discard stored credentials
+ * @route   DELETE /api/integrations/twitter/disconnect
+ * @access  Private
+ */
 exports.disconnectTwitter = asyncHandler(async (req, res) => {
+  await Integration.saveCredentials(req.user.id, 'twitter', null);
   
   res.status(200).json({
     success: true,
@@ -30,16 +107,21 @@ exports.disconnectTwitter = asyncHandler(async (req, res) => {
   });
 });
 
-
+/**
+ * @desc    Get Twitter connection status
+ * @route   GET /api/integrations/twitter/status
+ * @access  Private
+ */
 exports.getTwitterStatus = asyncHandler(async (req, res) => {
-  const isConfigured = !!process.env.TWITTER_BEARER_TOKEN;
+  const status = await getConnectionStatus(req.user.id, 'twitter', !!process.env.TWITTER_BEARER_TOKEN);
   
   res.status(200).json({
     success: true,
     data: {
-      connected: isConfigured,
-      authenticated: isConfigured,
-      username: isConfigured ? 'event_sentiment_monitor' : null
+      connected: status.connected,
+      authenticated: status.connected,
+      username: status.connected ? (status.accountName || 'event_sentiment_monitor') : null,
+      credentialSource: status.credentialSource
     }
   });
 });
@@ -79,7 +161,7 @@ exports.startTwitterStream = asyncHandler(async (req, res) => {
   
   try {
     // Start Twitter stream
-    const streamStatus = await twitterService.startEventStream(req.params.eventId);
+    const streamStatus = await twitterService.startEventStream(req.params.eventId, { userId: req.user.id });
     
     res.status(200).json({
       success: true,
@@ -179,15 +261,16 @@ exports.searchTwitter = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.connectInstagram = asyncHandler(async (req, res) => {
-  // This would handle OAuth flow in a production implementation
-  // For hackathon, we'll simulate a successful connection
+  // Tokens come from the organizer's own Facebook app; without them we fall
+  // back to the server-wide configuration
+  const integration = await saveRequestCredentials(req, 'instagram');
   
   res.status(200).json({
     success: true,
     data: {
       connected: true,
-      username: 'event_sentiment_monitor',
-      tokenExpiry: new Date(Date.now() + 60 * 24 * 60 * 60 * 1000) // 60 days
+      username: (integration && integration.accountName) || 'event_sentiment_monitor',
+      tokenExpiry: (integration && integration.tokenExpiresAt) || new Date(Date.now() + 60 * 24 * 60 * 60 * 1000) // 60 days
     }
   });
 });
@@ -198,7 +281,8 @@ exports.connectInstagram = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.disconnectInstagram = asyncHandler(async (req, res) => {
-  // This would revoke OAuth tokens in a production implementation
+  await Integration.saveCredentials(req.user.id, 'instagram', null);
+  instagramService.clearSession(req.user.id);
   
   res.status(200).json({
     success: true,
@@ -215,15 +299,17 @@ exports.disconnectInstagram = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.getInstagramStatus = asyncHandler(async (req, res) => {
-  // Check if Instagram API keys are configured
-  const isConfigured = !!process.env.INSTAGRAM_ACCESS_TOKEN;
+  const status = await getConnectionStatus(req.user.id, 'instagram', !!process.env.INSTAGRAM_ACCESS_TOKEN);
   
   res.status(200).json({
     success: true,
     data: {
-      connected: isConfigured,
-      authenticated: isConfigured,
-      username: isConfigured ? 'event_sentiment_monitor' : null
+      connected: status.connected,
+      authenticated: status.connected,
+      username: status.connected ? (status.accountName || 'event_sentiment_monitor') : null,
+      tokenExpiry: status.tokenExpiresAt,
+      credentialSource: status.credentialSource,
+      mockMode: status.credentialSource !== 'organization' && instagramService.isMockMode()
     }
   });
 });
@@ -272,7 +358,7 @@ exports.configureInstagramHashtags = asyncHandler(async (req, res) => {
   await event.save();
   
   try {
-    const pollStatus = await instagramService.startEventPolling(req.params.eventId);
+    const pollStatus = await instagramService.startEventPolling(req.params.eventId, req.user.id);
     
     // Fetch initial sentiment results
     const latestPosts = await instagramService.fetchLatestPostsForEvent(req.params.eventId);
@@ -317,15 +403,14 @@ exports.configureInstagramHashtags = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.connectLinkedIn = asyncHandler(async (req, res) => {
-  // This would handle OAuth flow in a production implementation
-  // For hackathon, we'll simulate a successful connection
+  const integration = await saveRequestCredentials(req, 'linkedin');
   
   res.status(200).json({
     success: true,
     data: {
       connected: true,
-      username: 'Event Sentiment Monitor',
-      tokenExpiry: new Date(Date.now() + 60 * 24 * 60 * 60 * 1000) // 60 days
+      username: (integration && integration.accountName) || 'Event Sentiment Monitor',
+      tokenExpiry: (integration && integration.tokenExpiresAt) || new Date(Date.now() + 60 * 24 * 60 * 60 * 1000) // 60 days
     }
   });
 });
@@ -336,7 +421,7 @@ exports.connectLinkedIn = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.disconnectLinkedIn = asyncHandler(async (req, res) => {
-  // This would revoke OAuth tokens in a production implementation
+  await Integration.saveCredentials(req.user.id, 'linkedin', null);
   
   res.status(200).json({
     success: true,
@@ -353,15 +438,21 @@ exports.disconnectLinkedIn = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.getLinkedInStatus = asyncHandler(async (req, res) => {
-  // Check if LinkedIn API keys are configured
-  const isConfigured = !!(process.env.LINKEDIN_CLIENT_ID && process.env.LINKEDIN_CLIENT_SECRET);
+  const status = await getConnectionStatus(
+    req.user.id,
+    'linkedin',
+    !!(process.env.LINKEDIN_CLIENT_ID && process.env.LINKEDIN_CLIENT_SECRET)
+  );
   
   res.status(200).json({
     success: true,
     data: {
-      connected: isConfigured,
-      authenticated: isConfigured,
-      company: isConfigured ? 'Example Company' : null
+      connected: status.connected,
+      authenticated: status.connected,
+      company: status.connected ? (status.accountName || 'Example Company') : null,
+      tokenExpiry: status.tokenExpiresAt,
+      credentialSource: status.credentialSource,
+      mockMode: status.credentialSource !== 'organization' && linkedinService.isMockMode()
     }
   });
 });
@@ -411,7 +502,7 @@ exports.configureLinkedInCompany = asyncHandler(async (req, res) => {
   
   // Start LinkedIn polling
   try {
-    const pollStatus = await linkedinService.startCompanyPolling(req.params.eventId, companyId);
+    const pollStatus = await linkedinService.startCompanyPolling(req.params.eventId, companyId, req.user.id);
     
     res.status(200).json({
       success: true,
@@ -458,9 +549,9 @@ exports.getIntegrationSettings = asyncHandler(async (req, res) => {
     });
   }
   
-  const twitterStreamStatus = twitterService.getStreamStatus(req.params.eventId);
-  const instagramPollStatus = instagramService.getPollStatus(req.params.eventId);
-  const linkedinPollStatus = linkedinService.getPollStatus(req.params.eventId);
+  const twitterStreamStatus = await twitterService.getStreamStatus(req.params.eventId);
+  const instagramPollStatus = await instagramService.getPollStatus(req.params.eventId);
+  const linkedinPollStatus = await linkedinService.getPollStatus(req.params.eventId);
   
   // Fetch sentiment summary for Instagram
   const feedbacks = await Feedback.find({ event: req.params.eventId, source: 'instagram' });
@@ -675,7 +766,7 @@ exports.testIntegration = asyncHandler(async (req, res) => {
         // Test Twitter API
         testResult = {
           connected: !!process.env.TWITTER_BEARER_TOKEN,
-          streamActive: eventId ? twitterService.getStreamStatus(eventId).isActive : false,
+          streamActive: eventId ? (await twitterService.getStreamStatus(eventId)).isActive : false,
           testQuery: '#EventMonitor test'
         };
         break;
@@ -683,7 +774,7 @@ exports.testIntegration = asyncHandler(async (req, res) => {
       case 'instagram':
         testResult = {
           connected: !!process.env.INSTAGRAM_ACCESS_TOKEN,
-          pollingActive: eventId ? instagramService.getPollStatus(eventId).isActive : false,
+          pollingActive: eventId ? (await instagramService.getPollStatus(eventId)).isActive : false,
           testHashtag: '#EventMonitor'
         };
         break;
@@ -691,7 +782,7 @@ exports.testIntegration = asyncHandler(async (req, res) => {
       case 'linkedin':
         testResult = {
           connected: !!(process.env.LINKEDIN_CLIENT_ID && process.env.LINKEDIN_CLIENT_SECRET),
-          pollingActive: eventId ? linkedinService.getPollStatus(eventId).isActive : false,
+          pollingActive: eventId ? (await linkedinService.getPollStatus(eventId)).isActive : false,
           testCompany: 'Example Company'
         };
         break;
@@ -714,4 +805,190 @@ exports.testIntegration = asyncHandler(async (req, res) => {
       error: error.message
     });
   }
-});
\ No newline at end of file
+});
+
+const MAPPING_FIELDS = ['items', 'text', 'user', 'timestamp', 'location', 'id'];
+
+const pickFieldMapping = (fieldMapping = {}) => MAPPING_FIELDS.reduce((acc, field) => {
+  if (fieldMapping[field] !== undefined) {
+    acc[field] = fieldMapping[field] ? String(fieldMapping[field]).trim() : null;
+  }
+  return acc;
+}, {});
+
+const formatConnector = (req, connector) => ({
+  id: connector._id,
+  name: connector.name,
+  sourceLabel: connector.sourceLabel,
+  fieldMapping: connector.fieldMapping,
+  active: connector.active,
+  receivedCount: connector.receivedCount,
+  lastReceivedAt: connector.lastReceivedAt,
+  lastError: connector.lastError,
+  url: `${req.protocol}://${req.get('host')}/api/feedback/webhook/custom/${connector._id}`,
+  createdAt: connector.createdAt
+});
+
+/**
+ * @desc    List inbound webhook connectors for an event
+ * @route   GET /api/integrations/webhooks/:eventId
+ * @access  Private
+ */
+exports.getWebhookConnectors = asyncHandler(async (req, res) => {
+  const connectors = await WebhookConnector.find({ event: req.params.eventId }).sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: connectors.length,
+    data: connectors.map(connector => formatConnector(req, connector))
+  });
+});
+
+/**
+ * @desc    Create an inbound webhook connector. The secret is only returned here
+ *          and when rotated.
+ * @route   POST /api/integrations/webhooks/:eventId
+ * @access  Private
+ */
+exports.createWebhookConnector = asyncHandler(async (req, res) => {
+  const { name, sourceLabel, fieldMapping } = req.body;
+
+  const connector = new WebhookConnector({
+    event: req.params.eventId,
+    name,
+    sourceLabel,
+    fieldMapping: pickFieldMapping(fieldMapping),
+    createdBy: req.user.id
+  });
+  const secret = connector.generateSecret();
+  await connector.save();
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ...formatConnector(req, connector),
+      secret
+    }
+  });
+});
+
+/**
+ * @desc    Update a webhook connector's label, mapping or active flag
+ * @route   PUT /api/integrations/webhooks/:eventId/:connectorId
+ * @access  Private
+ */
+exports.updateWebhookConnector = asyncHandler(async (req, res) => {
+  const connector = await WebhookConnector.findOne({ _id: req.params.connectorId, event: req.params.eventId });
+
+  if (!connector) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook connector not found'
+    });
+  }
+
+  const { name, sourceLabel, fieldMapping, active } = req.body;
+  if (name !== undefined) connector.name = name;
+  if (sourceLabel !== undefined) connector.sourceLabel = sourceLabel;
+  if (active !== undefined) connector.active = Boolean(active);
+  if (fieldMapping) {
+    Object.assign(connector.fieldMapping, pickFieldMapping(fieldMapping));
+  }
+
+  await connector.save();
+
+  res.status(200).json({
+    success: true,
+    data: formatConnector(req, connector)
+  });
+});
+
+/**
+ * @desc    Replace a webhook connector's secret
+ * @route   POST /api/integrations/webhooks/:eventId/:connectorId/secret
+ * @access  Private
+ */
+exports.rotateWebhookSecret = asyncHandler(async (req, res) => {
+  const connector = await WebhookConnector.findOne({ _id: req.params.connectorId, event: req.params.eventId });
+
+  if (!connector) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook connector not found'
+    });
+  }
+
+  const secret = connector.generateSecret();
+  await connector.save();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...formatConnector(req, connector),
+      secret
+    }
+  });
+});
+
+/**
+ * @desc    Delete a webhook connector
+ * @route   DELETE /api/integrations/webhooks/:eventId/:connectorId
+ * @access  Private
+ */
+exports.deleteWebhookConnector = asyncHandler(async (req, res) => {
+  const result = await WebhookConnector.deleteOne({ _id: req.params.connectorId, event: req.params.eventId });
+
+  if (result.deletedCount === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook connector not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+/**
+ * @desc    Apply a field mapping to a sample payload without storing anything
+ * @route   POST /api/integrations/webhooks/:eventId/preview
+ * @access  Private
+ */
+exports.previewWebhookMapping = asyncHandler(async (req, res) => {
+  const { fieldMapping, sourceLabel = 'webhook', payload } = req.body;
+  const mapping = pickFieldMapping(fieldMapping);
+
+  if (!mapping.text) {
+    return res.status(400).json({
+      success: false,
+      message: 'A text field path is required'
+    });
+  }
+
+  try {
+    const { items, skipped } = webhookService.mapPayload(
+      { _id: 'preview', event: req.params.eventId, sourceLabel, fieldMapping: mapping },
+      payload
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        items: items.map(({ text, user, createdAt, issueDetails }) => ({
+          text,
+          user,
+          timestamp: createdAt || null,
+          location: issueDetails.location
+        })),
+        skipped
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
@@ -0,0 +1,276 @@
+const mongoose = require('mongoose');
+const Issue = require('../models/Issue');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const issueManager = require('../services/alert/issueManager');
+const asyncHandler = require('../utils/asyncHandler');
+const { escapeRegex } = require('../utils/textProcessing');
+const { canAccessEvent } = require('../middleware/auth');
+
+const EDITABLE_FIELDS = ['title', 'description', 'severity', 'location', 'subtype'];
+
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  lastMentionedAt: 'metadata.lastMentionedAt',
+  feedbackCount: 'metadata.feedbackCount'
+};
+
+/**
+ * @desc    Get issues for an event
+ * @route   GET /api/issues/event/:eventId
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.getEventIssues = asyncHandler(async (req, res) => {
+  const query = {
+    event: req.params.eventId
+  };
+
+  if (req.query.status === 'active') {
+    query.status = { $in: issueManager.ACTIVE_STATUSES };
+  } else if (req.query.status) {
+    query.status = Array.isArray(req.query.status) ? { $in: req.query.status } : req.query.status;
+  }
+
+  ['type', 'severity', 'location'].forEach(field => {
+    if (req.query[field]) {
+      query[field] = Array.isArray(req.query[field]) ? { $in: req.query[field] } : req.query[field];
+    }
+  });
+
+  if (req.query.assignedTo === 'unassigned') {
+    query.assignedTo = null;
+  } else if (req.query.assignedTo === 'me') {
+    query.assignedTo = req.user.id;
+  } else if (req.query.assignedTo && mongoose.isValidObjectId(req.query.assignedTo)) {
+    query.assignedTo = req.query.assignedTo;
+  }
+
+  if (req.query.search) {
+    const search = escapeRegex(String(req.query.search));
+    query.$or = [
+      { title: { $regex: search, $options: 'i' } },
+      { description: { $regex: search, $options: 'i' } },
+      { 'metadata.keywords': { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const startIndex = (page - 1) * limit;
+  const sortField = SORT_FIELDS[req.query.sortBy] || SORT_FIELDS.lastMentionedAt;
+
+  const total = await Issue.countDocuments(query);
+
+  const issues = await Issue.find(query)
+    .select('-feedback -statusUpdates')
+    .populate('assignedTo', 'name email')
+    .skip(startIndex)
+    .limit(limit)
+    .sort({ [sortField]: req.query.sort === 'asc' ? 1 : -1 });
+
+  res.status(200).json({
+    success: true,
+    count: issues.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    },
+    data: issues
+  });
+});
+
+/**
+ * @desc    Get issue counts by status and severity for an event
+ * @route   GET /api/issues/event/:eventId/stats
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.getIssueStats = asyncHandler(async (req, res) => {
+  const eventId = new mongoose.Types.ObjectId(req.params.eventId);
+
+  const [byStatus, bySeverity] = await Promise.all([
+    Issue.aggregate([
+      { $match: { event: eventId } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Issue.aggregate([
+      { $match: { event: eventId, status: { $in: issueManager.ACTIVE_STATUSES } } },
+      { $group: { _id: '$severity', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const status = { detected: 0, confirmed: 0, inProgress: 0, resolved: 0, falsePositive: 0 };
+  byStatus.forEach(item => { status[item._id] = item.count; });
+
+  const severity = { low: 0, medium: 0, high: 0, critical: 0 };
+  bySeverity.forEach(item => { severity[item._id] = item.count; });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      total: Object.values(status).reduce((sum, count) => sum + count, 0),
+      active: issueManager.ACTIVE_STATUSES.reduce((sum, key) => sum + status[key], 0),
+      status,
+      activeBySeverity: severity
+    }
+  });
+});
+
+/**
+ * @desc    Get the users an event's issues can be assigned to
+ * @route   GET /api/issues/event/:eventId/assignees
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.getAssignees = asyncHandler(async (req, res) => {
+  const userIds = await issueManager.getAssignableUserIds(req.params.eventId);
+  const users = await User.find({ _id: { $in: userIds } }).select('name email role');
+
+  res.status(200).json({
+    success: true,
+    count: users.length,
+    data: users
+  });
+});
+
+/**
+ * @desc    Get an issue with its feedback timeline and alerts
+ * @route   GET /api/issues/:issueId
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.getIssue = asyncHandler(async (req, res) => {
+  const issue = await findIssue(req, res, 'view');
+  if (!issue) return;
+
+  await issue.populate([
+    {
+      path: 'feedback',
+      select: 'text source sourceLabel user sentiment sentimentScore issueDetails createdAt',
+      options: { sort: { createdAt: 1 } }
+    },
+    { path: 'alerts', select: 'type severity title status createdAt resolvedAt' },
+    { path: 'assignedTo', select: 'name email' },
+    { path: 'statusUpdates.updatedBy', select: 'name' }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: issue
+  });
+});
+
+/**
+ * @desc    Update an issue's details
+ * @route   PUT /api/issues/:issueId
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.updateIssue = asyncHandler(async (req, res) => {
+  const issue = await findIssue(req, res, 'update');
+  if (!issue) return;
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      issue[field] = req.body[field];
+    }
+  });
+
+  await issue.save();
+
+  res.status(200).json({
+    success: true,
+    data: issue
+  });
+});
+
+/**
+ * @desc    Assign an issue
+ * @route   PUT /api/issues/:issueId/assign
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.assignIssue = asyncHandler(async (req, res) => {
+  const issue = await findIssue(req, res, 'update');
+  if (!issue) return;
+
+  await issueManager.assignIssue(req.io, issue, req.body.userId || null, req.user.id);
+  await issue.populate('assignedTo', 'name email');
+
+  res.status(200).json({
+    success: true,
+    data: issue
+  });
+});
+
+/**
+ * @desc    Confirm, start, resolve, reopen or mark an issue as a false positive
+ * @route   PUT /api/issues/:issueId/status
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.updateIssueStatus = asyncHandler(async (req, res) => {
+  const { status, note, resolutionNotes } = req.body;
+
+  if (!status) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a status'
+    });
+  }
+
+  const issue = await findIssue(req, res, 'update');
+  if (!issue) return;
+
+  const { alerts } = await issueManager.updateStatus(req.io, issue, {
+    status,
+    note,
+    resolutionNotes,
+    userId: req.user.id
+  });
+
+  res.status(200).json({
+    success: true,
+    alertsUpdated: alerts.length,
+    data: issue
+  });
+});
+
+/**
+ * @desc    Merge other issues into this one
+ * @route   POST /api/issues/:issueId/merge
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.mergeIssues = asyncHandler(async (req, res) => {
+  const issue = await findIssue(req, res, 'update');
+  if (!issue) return;
+
+  const { merged } = await issueManager.mergeIssues(req.io, issue, req.body.issueIds, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    merged,
+    data: issue
+  });
+});
+
+const findIssue = async (req, res, action) => {
+  const issue = mongoose.isValidObjectId(req.params.issueId)
+    ? await Issue.findById(req.params.issueId)
+    : null;
+
+  if (!issue) {
+    res.status(404).json({
+      success: false,
+      message: 'Issue not found'
+    });
+    return null;
+  }
+
+  const event = await Event.findById(issue.event);
+  if (!canAccessEvent(event, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: `Not authorized to ${action} this issue`
+    });
+    return null;
+  }
+
+  return issue;
+};
@@ -1,4 +1,5 @@
 const PostEventAnalyzer = require('../services/analytics/postEventAnalyzer');
+const reportExporter = require('../services/analytics/reportExporter');
 const Event = require('../models/Event');
 const asyncHandler = require('../utils/asyncHandler');
 const logger = require('../utils/logger');
@@ -130,8 +131,8 @@ exports.getEventInsights = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Export post-event report (PDF, JSON)
- * @route   GET /api/analytics/post-event/:eventId/export
+ * @desc    Export post-event report (JSON, PDF or zipped CSV sheets)
+ * @route   GET /api/analytics/post-event/:eventId/export?format=json|pdf|csv
  * @access  Private (Event owners and admins)
  */
 exports.exportPostEventReport = asyncHandler(async (req, res) => {
@@ -150,9 +151,25 @@ exports.exportPostEventReport = asyncHandler(async (req, res) => {
       });
     }
     
+    const fileName = reportExporter.getReportFileName(report);
+
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+      reportExporter.renderPostEventPdf(report, res);
+      return;
+    }
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}_csv.zip"`);
+      await reportExporter.writePostEventCsvBundle(report, res);
+      return;
+    }
+    
     res.status(400).json({
       success: false,
-      message: `Export format '${format}' is not supported yet. Please use 'json' format.`
+      message: `Export format '${format}' is not supported. Please use 'json', 'pdf' or 'csv'.`
     });
   } catch (error) {
     logger.error(`Export post-event report error: ${error.message}`, { 
@@ -161,6 +178,12 @@ exports.exportPostEventReport = asyncHandler(async (req, res) => {
       format: req.query.format
     });
     
+    // Headers are already sent once a PDF or zip stream has started
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    
     res.status(error.message.includes('Cannot generate') ? 400 : 500).json({
       success: false,
       message: error.message
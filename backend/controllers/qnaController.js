@@ -0,0 +1,184 @@
+const Question = require('../models/Question');
+const Event = require('../models/Event');
+const qnaService = require('../services/realtime/qnaService');
+const { canAccessEvent } = require('../middleware/auth');
+const asyncHandler = require('../utils/asyncHandler');
+
+/**
+ * @desc    Get public questions for an event
+ * @route   GET /api/qna/event/:eventId
+ * @access  Public
+ */
+exports.getEventQuestions = asyncHandler(async (req, res) => {
+  const questions = await qnaService.listQuestions(req.params.eventId, {
+    session: req.query.session,
+    sort: req.query.sort,
+    askerId: req.query.askerId
+  });
+
+  res.status(200).json({
+    success: true,
+    count: questions.length,
+    data: questions
+  });
+});
+
+/**
+ * @desc    Get Q&A sessions for an event
+ * @route   GET /api/qna/event/:eventId/sessions
+ * @access  Public
+ */
+exports.getEventSessions = asyncHandler(async (req, res) => {
+  const sessions = await qnaService.getSessions(req.params.eventId);
+
+  res.status(200).json({
+    success: true,
+    data: sessions
+  });
+});
+
+/**
+ * @desc    Ask a question
+ * @route   POST /api/qna/event/:eventId
+ * @access  Public (signed-in users are recorded as the asker)
+ */
+exports.askQuestion = asyncHandler(async (req, res) => {
+  const { question } = await qnaService.askQuestion(req.io, {
+    eventId: req.params.eventId,
+    text: req.body.text,
+    session: req.body.session,
+    user: req.body.user || req.body.username,
+    // Only a signed-in caller is identified; never trust an ID from the body
+    userId: req.user ? req.user.id : null,
+    askerId: req.body.askerId
+  });
+
+  res.status(201).json({
+    success: true,
+    data: sanitize(question)
+  });
+});
+
+/**
+ * @desc    Toggle an upvote on a question
+ * @route   POST /api/qna/questions/:questionId/upvote
+ * @access  Public
+ */
+exports.upvoteQuestion = asyncHandler(async (req, res) => {
+  const { question, upvoted } = await qnaService.toggleUpvote(
+    req.io,
+    req.params.questionId,
+    req.body.voterId
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      question: sanitize(question),
+      upvoted
+    }
+  });
+});
+
+/**
+ * @desc    Get all questions for moderation
+ * @route   GET /api/qna/event/:eventId/moderation
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.getModerationQueue = asyncHandler(async (req, res) => {
+  const [questions, sessions] = await Promise.all([
+    qnaService.listQuestions(req.params.eventId, {
+      includeAll: true,
+      session: req.query.session,
+      status: req.query.status,
+      sort: req.query.sort || 'recent'
+    }),
+    qnaService.getSessions(req.params.eventId, true)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: questions.length,
+    sessions,
+    data: questions
+  });
+});
+
+/**
+ * @desc    Moderate or answer a question
+ * @route   PUT /api/qna/questions/:questionId
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.moderateQuestion = asyncHandler(async (req, res) => {
+  const question = await Question.findById(req.params.questionId);
+
+  if (!question) {
+    return res.status(404).json({
+      success: false,
+      message: 'Question not found'
+    });
+  }
+
+  const event = await Event.findById(question.event);
+  if (!canAccessEvent(event, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to moderate this question'
+    });
+  }
+
+  const updated = await qnaService.moderateQuestion(req.io, question, {
+    status: req.body.status,
+    answer: req.body.answer,
+    session: req.body.session,
+    userId: req.user.id
+  });
+
+  res.status(200).json({
+    success: true,
+    data: sanitize(updated)
+  });
+});
+
+/**
+ * @desc    Delete a question
+ * @route   DELETE /api/qna/questions/:questionId
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.deleteQuestion = asyncHandler(async (req, res) => {
+  const question = await Question.findById(req.params.questionId);
+
+  if (!question) {
+    return res.status(404).json({
+      success: false,
+      message: 'Question not found'
+    });
+  }
+
+  const event = await Event.findById(question.event);
+  if (!canAccessEvent(event, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to delete this question'
+    });
+  }
+
+  await question.deleteOne();
+
+  if (req.io) {
+    // Audience and moderation views both drop the question
+    qnaService.broadcastQuestion(req.io, question, 'question-removed');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+const sanitize = (question) => {
+  const data = question.toObject ? question.toObject() : { ...question };
+  delete data.voters;
+  delete data.askerId;
+  return data;
+};
@@ -0,0 +1,223 @@
+const Survey = require('../models/Survey');
+const SurveyResponse = require('../models/SurveyResponse');
+const Event = require('../models/Event');
+const surveyService = require('../services/realtime/surveyService');
+const surveyAnalyzer = require('../services/analytics/surveyAnalyzer');
+const asyncHandler = require('../utils/asyncHandler');
+const { canAccessEvent } = require('../middleware/auth');
+
+const QUESTION_FIELDS = ['type', 'prompt', 'required', 'options', 'allowMultiple', 'scale'];
+
+/**
+ * @desc    Get published surveys for an event
+ * @route   GET /api/surveys/event/:eventId/public
+ * @access  Public
+ */
+exports.getPublishedSurveys = asyncHandler(async (req, res) => {
+  const surveys = await Survey.find({ event: req.params.eventId, status: 'published' })
+    .select('title description questions createdAt')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: surveys.length,
+    data: surveys
+  });
+});
+
+/**
+ * @desc    Submit answers to a survey
+ * @route   POST /api/surveys/:surveyId/responses
+ * @access  Public
+ */
+exports.submitResponse = asyncHandler(async (req, res) => {
+  const { response, feedback } = await surveyService.submitResponse(req.io, req.params.surveyId, {
+    answers: req.body.answers,
+    respondent: req.body.respondent || req.body.user,
+    respondentId: req.body.respondentId
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      _id: response._id,
+      answers: response.answers.length,
+      feedbackCreated: feedback.length
+    }
+  });
+});
+
+/**
+ * @desc    Get all surveys for an event
+ * @route   GET /api/surveys/event/:eventId
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.getEventSurveys = asyncHandler(async (req, res) => {
+  const surveys = await Survey.find({ event: req.params.eventId }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: surveys.length,
+    data: surveys
+  });
+});
+
+/**
+ * @desc    Create a survey
+ * @route   POST /api/surveys/event/:eventId
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.createSurvey = asyncHandler(async (req, res) => {
+  const survey = await Survey.create({
+    event: req.params.eventId,
+    title: req.body.title,
+    description: req.body.description,
+    questions: pickQuestions(req.body.questions),
+    status: req.body.status,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: survey
+  });
+});
+
+/**
+ * @desc    Update a survey
+ * @route   PUT /api/surveys/:surveyId
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.updateSurvey = asyncHandler(async (req, res) => {
+  const survey = await Survey.findById(req.params.surveyId);
+
+  if (!survey) {
+    return res.status(404).json({
+      success: false,
+      message: 'Survey not found'
+    });
+  }
+
+  const event = await Event.findById(survey.event);
+  if (!canAccessEvent(event, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this survey'
+    });
+  }
+
+  if (req.body.questions !== undefined) {
+    // Stored answers reference question IDs, so the structure is frozen once people respond
+    if (survey.responseCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Questions cannot be changed after the survey has responses'
+      });
+    }
+    survey.questions = pickQuestions(req.body.questions);
+  }
+
+  ['title', 'description', 'status'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      survey[field] = req.body[field];
+    }
+  });
+
+  await survey.save();
+
+  res.status(200).json({
+    success: true,
+    data: survey
+  });
+});
+
+/**
+ * @desc    Delete a survey and its responses
+ * @route   DELETE /api/surveys/:surveyId
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.deleteSurvey = asyncHandler(async (req, res) => {
+  const survey = await Survey.findById(req.params.surveyId);
+
+  if (!survey) {
+    return res.status(404).json({
+      success: false,
+      message: 'Survey not found'
+    });
+  }
+
+  const event = await Event.findById(survey.event);
+  if (!canAccessEvent(event, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to delete this survey'
+    });
+  }
+
+  // Feedback created from free-text answers stays with the event
+  await SurveyResponse.deleteMany({ survey: survey._id });
+  await survey.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+/**
+ * @desc    Get results for a survey
+ * @route   GET /api/surveys/:surveyId/results
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.getSurveyResults = asyncHandler(async (req, res) => {
+  const survey = await Survey.findById(req.params.surveyId);
+
+  if (!survey) {
+    return res.status(404).json({
+      success: false,
+      message: 'Survey not found'
+    });
+  }
+
+  const event = await Event.findById(survey.event);
+  if (!canAccessEvent(event, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this survey'
+    });
+  }
+
+  const results = await surveyAnalyzer.getSurveyResults(survey);
+
+  res.status(200).json({
+    success: true,
+    data: results
+  });
+});
+
+/**
+ * @desc    Get combined survey results for an event
+ * @route   GET /api/surveys/event/:eventId/results
+ * @access  Private (Event owners, organizers and admins)
+ */
+exports.getEventSurveyResults = asyncHandler(async (req, res) => {
+  const results = await surveyAnalyzer.getEventSurveyResults(req.params.eventId);
+
+  res.status(200).json({
+    success: true,
+    data: results
+  });
+});
+
+const pickQuestions = (questions) => {
+  if (!Array.isArray(questions)) {
+    return [];
+  }
+
+  return questions.map(question => QUESTION_FIELDS.reduce((acc, field) => {
+    if (question && question[field] !== undefined) {
+      acc[field] = question[field];
+    }
+    return acc;
+  }, {}));
+};
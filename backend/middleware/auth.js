@@ -2,18 +2,31 @@ const jwt = require('jsonwebtoken');
 const asyncHandler = require('../utils/asyncHandler');
 const User = require('../models/User');
 
-exports.protect = asyncHandler(async (req, res, next) => {
-  let token;
-  
+/**
+ * Verify a JWT and load the user it was issued for
+ * @param {String} token - Signed JWT
+ * @returns {Promise<Object|null>} User document, or null if the user no longer exists
+ */
+exports.getUserFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret_key_here');
+  return User.findById(decoded.id);
+};
+
+const getRequestToken = (req) => {
   if (
     req.headers.authorization &&
     req.headers.authorization.startsWith('Bearer')
   ) {
-    token = req.headers.authorization.split(' ')[1];
+    return req.headers.authorization.split(' ')[1];
   } 
-  else if (req.cookies && req.cookies.token) {
-    token = req.cookies.token;
+  if (req.cookies && req.cookies.token) {
+    return req.cookies.token;
   }
+  return null;
+};
+
+exports.protect = asyncHandler(async (req, res, next) => {
+  const token = getRequestToken(req);
 
   if (!token) {
     return res.status(401).json({
@@ -23,9 +36,7 @@ exports.protect = asyncHandler(async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret_key_here');
-
-    req.user = await User.findById(decoded.id);
+    req.user = await exports.getUserFromToken(token);
     
     if (!req.user) {
       return res.status(401).json({
@@ -43,6 +54,49 @@ exports.protect = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * Identify the caller on public routes when they send a valid token, so user
+ * IDs never have to come from the request body. Anonymous callers, and ones
+ * with a bad token, continue without req.user.
+ */
+exports.optionalAuth = asyncHandler(async (req, res, next) => {
+  const token = getRequestToken(req);
+
+  if (token) {
+    try {
+      req.user = await exports.getUserFromToken(token);
+    } catch (err) {
+      req.user = null;
+    }
+  }
+
+  next();
+});
+
+/**
+ * Check whether a user may manage an event: role override, owner or organizer
+ * @param {Object} event - Event document
+ * @param {Object} user - User document
+ * @param {Array} roles - Roles that bypass the ownership check
+ * @param {Object} options - { organizers } false to admit the owner only
+ * @returns {Boolean} Whether access is allowed
+ */
+exports.canAccessEvent = (event, user, roles = ['admin'], { organizers = true } = {}) => {
+  if (!event || !user) {
+    return false;
+  }
+
+  if (roles.includes(user.role)) {
+    return true;
+  }
+
+  if (event.owner.toString() === user.id) {
+    return true;
+  }
+
+  return organizers && event.organizers.map(org => org.toString()).includes(user.id);
+};
+
 exports.authorize = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -89,10 +143,7 @@ exports.checkEventOwnership = (options = {}) => {
         message: 'Event not found'
       });
     }
-        if (
-      event.owner.toString() !== req.user.id && 
-      !event.organizers.map(org => org.toString()).includes(req.user.id)
-    ) {
+    if (!exports.canAccessEvent(event, req.user, roles)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this event'
@@ -4,7 +4,9 @@ const errorHandler = (err, req, res, next) => {
   let error = { ...err };
   error.message = err.message;
 
-  logger.error(`${err.name}: ${err.message}`, { 
+  // Errors thrown with a 4xx statusCode are expected rejections, not failures
+  const log = err.statusCode && err.statusCode < 500 ? logger.warn : logger.error;
+  log(`${err.name}: ${err.message}`, { 
     stack: err.stack,
     url: req.originalUrl,
     method: req.method,
@@ -42,6 +44,11 @@ const errorHandler = (err, req, res, next) => {
     error.statusCode = 401;
   }
   
+  if (err.name === 'MulterError') {
+    error = new Error(err.code === 'LIMIT_FILE_SIZE' ? 'Uploaded file is too large' : err.message);
+    error.statusCode = 400;
+  }
+  
   if (err.name === 'MongoServerError') {
     const message = 'Database operation failed';
     error = new Error(message);
@@ -51,6 +58,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     error: error.message || 'Server Error',
+    message: error.message || 'Server Error',
     stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
   });
 };
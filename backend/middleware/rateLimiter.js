@@ -7,7 +7,8 @@ const createRateLimiter = (options = {}) => {
     windowMs = 15 * 60 * 1000, 
     max = 100, 
     message = 'Too many requests from this IP, please try again later',
-    path = '*'
+    path = '*',
+    keyGenerator
   } = options;
 
 
@@ -30,6 +31,7 @@ const createRateLimiter = (options = {}) => {
     standardHeaders: true, 
     legacyHeaders: false, 
     store,
+    ...(keyGenerator && { keyGenerator }),
     skip: (req) => {
 
       if (process.env.NODE_ENV === 'development') {
@@ -61,6 +63,14 @@ module.exports = {
     max: 30,
     message: 'Too many feedback submissions, please try again later'
   }),
+
+  // Unauthenticated until the signature is checked, which costs a connector lookup
+  webhookLimiter: createRateLimiter({
+    windowMs: 60 * 1000,
+    max: 120,
+    message: 'Too many webhook deliveries, please try again later',
+    keyGenerator: (req) => `${req.params.connectorId}:${req.ip}`
+  }),
   
 
   createRateLimiter
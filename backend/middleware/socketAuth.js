@@ -0,0 +1,85 @@
+const Event = require('../models/Event');
+const { getUserFromToken, canAccessEvent } = require('./auth');
+const logger = require('../utils/logger');
+
+/**
+ * Socket.IO handshake middleware. Staff connect with the same JWT as the REST
+ * API; anyone without a valid token becomes an anonymous attendee who may only
+ * join event rooms, chat, ask questions and submit feedback.
+ * @param {Object} socket - Socket connection
+ * @param {Function} next - Socket.IO middleware callback
+ */
+exports.authenticateSocket = async (socket, next) => {
+  const token = getHandshakeToken(socket);
+
+  socket.data.user = null;
+  socket.data.role = 'attendee';
+  socket.data.authorizedEvents = new Set();
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const user = await getUserFromToken(token);
+
+    if (user) {
+      socket.data.user = user;
+      socket.data.role = user.role;
+    }
+  } catch (error) {
+    // A stale token in an attendee's browser must not lock them out of chat
+    logger.warn(`Socket ${socket.id} presented an invalid token, continuing as attendee`, {
+      error: error.message
+    });
+  }
+
+  next();
+};
+
+/**
+ * Check that a socket may see staff-only data for an event (alerts, moderation)
+ * @param {Object} socket - Socket connection
+ * @param {String|Object} eventOrId - Event document or ID
+ * @returns {Promise<Boolean>} Whether access is allowed
+ */
+exports.authorizeEventAccess = async (socket, eventOrId) => {
+  const user = socket.data.user;
+  if (!user || !eventOrId) {
+    return false;
+  }
+
+  const eventId = (eventOrId._id || eventOrId).toString();
+  if (socket.data.authorizedEvents.has(eventId)) {
+    return true;
+  }
+
+  const event = eventOrId._id ? eventOrId : await Event.findById(eventId);
+  if (!canAccessEvent(event, user)) {
+    return false;
+  }
+
+  socket.data.authorizedEvents.add(eventId);
+  return true;
+};
+
+/**
+ * Whether the socket belongs to a logged-in user rather than an attendee
+ * @param {Object} socket - Socket connection
+ * @returns {Boolean}
+ */
+exports.isAuthenticated = (socket) => Boolean(socket.data.user);
+
+const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+
+  if (auth.token) {
+    return auth.token;
+  }
+
+  if (headers.authorization && headers.authorization.startsWith('Bearer')) {
+    return headers.authorization.split(' ')[1];
+  }
+
+  return null;
+};
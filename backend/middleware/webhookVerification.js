@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const WebhookConnector = require('../models/WebhookConnector');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+
+// Each platform signs with an app-level secret rather than a per-organizer
+// token, so these come from the environment only
+const PLATFORMS = {
+  twitter: {
+    secretEnv: 'TWITTER_API_SECRET',
+    header: 'x-twitter-webhooks-signature',
+    // sha256=<base64 HMAC>
+    parse: (value) => value.startsWith('sha256=') ? value.slice(7) : null,
+    encoding: 'base64'
+  },
+  instagram: {
+    secretEnv: 'INSTAGRAM_APP_SECRET',
+    header: 'x-hub-signature-256',
+    // sha256=<hex HMAC>
+    parse: (value) => value.startsWith('sha256=') ? value.slice(7) : null,
+    encoding: 'hex'
+  },
+  linkedin: {
+    secretEnv: 'LINKEDIN_CLIENT_SECRET',
+    header: 'x-li-signature',
+    // Hex HMAC, optionally prefixed with hmacsha256=
+    parse: (value) => value.replace(/^hmacsha256=/i, ''),
+    encoding: 'hex'
+  }
+};
+
+const rejections = {};
+
+/**
+ * HMAC-SHA256 of a payload with a platform's app secret
+ * @param {String} platform - twitter, instagram or linkedin
+ * @param {String|Buffer} payload - Raw request body or challenge token
+ * @returns {String|null} Signature in the platform's encoding, null if no secret is configured
+ */
+exports.signPayload = (platform, payload) => {
+  const { secretEnv, encoding } = PLATFORMS[platform];
+  const secret = process.env[secretEnv];
+  if (!secret) {
+    return null;
+  }
+
+  return crypto.createHmac('sha256', secret).update(payload).digest(encoding);
+};
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+const recordRejection = (platform, reason, req) => {
+  const stats = rejections[platform] || (rejections[platform] = { total: 0, reasons: {}, lastRejectedAt: null });
+  stats.total++;
+  stats.reasons[reason] = (stats.reasons[reason] || 0) + 1;
+  stats.lastRejectedAt = new Date();
+
+  logger.warn(`Rejected ${platform} webhook: ${reason}`, {
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    totalRejected: stats.total
+  });
+};
+
+/**
+ * Build middleware that checks a webhook's HMAC signature against the raw
+ * request body captured by express.json in server.js
+ * @param {String} platform - twitter, instagram or linkedin
+ * @returns {Function} Express middleware
+ */
+const verifySignature = (platform) => (req, res, next) => {
+  const { header, parse } = PLATFORMS[platform];
+
+  const expected = exports.signPayload(platform, req.rawBody || '');
+  if (!expected) {
+    // Fail closed: an unconfigured secret must not turn into an open endpoint
+    recordRejection(platform, 'secret_not_configured', req);
+    return res.status(503).json({
+      success: false,
+      message: `${platform} webhook verification is not configured`
+    });
+  }
+
+  const value = req.get(header);
+  if (!value) {
+    recordRejection(platform, 'missing_signature', req);
+    return res.status(401).json({
+      success: false,
+      message: 'Missing webhook signature'
+    });
+  }
+
+  const signature = parse(value.trim());
+  if (!signature || !safeEqual(signature, expected)) {
+    recordRejection(platform, 'invalid_signature', req);
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  next();
+};
+
+exports.verifyTwitterSignature = verifySignature('twitter');
+exports.verifyInstagramSignature = verifySignature('instagram');
+exports.verifyLinkedInSignature = verifySignature('linkedin');
+
+/**
+ * Verify a delivery to a custom webhook connector. Senders either sign the
+ * body (X-Webhook-Signature: sha256=<hex HMAC>) or, when the tool cannot sign,
+ * send the secret itself in X-Webhook-Token.
+ */
+exports.verifyConnectorSignature = asyncHandler(async (req, res, next) => {
+  const { connectorId } = req.params;
+
+  const connector = mongoose.isValidObjectId(connectorId)
+    ? await WebhookConnector.findById(connectorId).select('+secret')
+    : null;
+
+  if (!connector || !connector.active) {
+    recordRejection('custom', 'unknown_connector', req);
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+  }
+
+  const secret = connector.getSecret();
+  const signature = req.get('x-webhook-signature');
+  const token = req.get('x-webhook-token');
+
+  let verified = false;
+  if (signature) {
+    const expected = crypto.createHmac('sha256', secret).update(req.rawBody || '').digest('hex');
+    verified = signature.startsWith('sha256=') && safeEqual(signature.slice(7), expected);
+  } else if (token) {
+    verified = safeEqual(token, secret);
+  }
+
+  if (!verified) {
+    recordRejection('custom', signature || token ? 'invalid_signature' : 'missing_signature', req);
+    return res.status(401).json({
+      success: false,
+      message: signature || token ? 'Invalid webhook signature' : 'Missing webhook signature'
+    });
+  }
+
+  req.webhookConnector = connector;
+  next();
+});
+
+/**
+ * Record a failed verification handshake
+ * @param {String} platform - twitter, instagram or linkedin
+ * @param {String} reason - Short machine-readable reason
+ * @param {Object} req - Express request
+ */
+exports.recordRejection = recordRejection;
+
+/**
+ * Rejected webhook counts since the server started
+ * @returns {Object} Stats keyed by platform
+ */
+exports.getRejectionStats = () => [...Object.keys(PLATFORMS), 'custom'].reduce((acc, platform) => {
+  acc[platform] = rejections[platform] || { total: 0, reasons: {}, lastRejectedAt: null };
+  return acc;
+}, {});
@@ -60,7 +60,7 @@ const AlertSchema = new mongoose.Schema({
   },
   category: {
     type: String,
-    enum: ['queue', 'audio', 'video', 'crowding', 'amenities', 'content', 'temperature', 'safety', 'general', 'other', 'emergency'],
+    // Issue category key, or 'general', 'other' or 'emergency'
     default: 'general'
   },
   relatedFeedback: [{
@@ -76,7 +76,16 @@ const AlertSchema = new mongoose.Schema({
     sentimentAverage: Number,
     detectionMethod: String,
     keywords: [String],
-    autoResolveDue: Date
+    autoResolveDue: Date,
+    // Representative sentences from the related feedback
+    summary: {
+      total: Number,
+      highlights: [{
+        _id: false,
+        text: String,
+        count: Number
+      }]
+    }
   },
   statusUpdates: [{
     status: String,
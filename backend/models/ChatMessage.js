@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+const ChatMessageSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  user: {
+    type: String,
+    default: 'Anonymous',
+    trim: true,
+    maxlength: 100
+  },
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  sourceId: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Message text is required'],
+    trim: true,
+    maxlength: [1000, 'Message cannot be more than 1000 characters']
+  },
+  sentiment: {
+    type: String,
+    enum: ['positive', 'neutral', 'negative'],
+    default: 'neutral'
+  },
+  sentimentScore: {
+    type: Number,
+    min: -1,
+    max: 1,
+    default: 0
+  },
+  issueType: {
+    type: String,
+    default: null
+  },
+  toxic: {
+    type: Boolean,
+    default: false
+  },
+  piiRedacted: {
+    type: Boolean,
+    default: false
+  },
+  feedback: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Feedback',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ChatMessageSchema.index({ event: 1, createdAt: -1 });
+ChatMessageSchema.index({ event: 1, sourceId: 1 }, { unique: true });
+
+/**
+ * Get chat statistics for an event
+ * @param {String} eventId - Event ID
+ * @param {Object} options - Window sizes in minutes for rate and activity
+ * @returns {Promise<Object>} Chat statistics
+ */
+ChatMessageSchema.statics.getEventStats = async function(eventId, options = {}) {
+  const { rateWindow = 10, activeWindow = 5, timelineWindow = 60 } = options;
+  const eventObjectId = new mongoose.Types.ObjectId(eventId);
+  const now = Date.now();
+
+  const [totals, sentimentStats, users, recentCount, activeUsers, timeline] = await Promise.all([
+    this.aggregate([
+      { $match: { event: eventObjectId } },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          avgScore: { $avg: '$sentimentScore' },
+          first: { $min: '$createdAt' },
+          last: { $max: '$createdAt' }
+        }
+      }
+    ]),
+    this.aggregate([
+      { $match: { event: eventObjectId } },
+      { $group: { _id: '$sentiment', count: { $sum: 1 } } }
+    ]),
+    this.distinct('user', { event: eventObjectId }),
+    this.countDocuments({
+      event: eventObjectId,
+      createdAt: { $gte: new Date(now - rateWindow * 60 * 1000) }
+    }),
+    this.distinct('user', {
+      event: eventObjectId,
+      createdAt: { $gte: new Date(now - activeWindow * 60 * 1000) }
+    }),
+    this.aggregate([
+      {
+        $match: {
+          event: eventObjectId,
+          createdAt: { $gte: new Date(now - timelineWindow * 60 * 1000) }
+        }
+      },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%dT%H:%M:00.000Z', date: '$createdAt' } },
+          count: { $sum: 1 },
+          positive: { $sum: { $cond: [{ $eq: ['$sentiment', 'positive'] }, 1, 0] } },
+          neutral: { $sum: { $cond: [{ $eq: ['$sentiment', 'neutral'] }, 1, 0] } },
+          negative: { $sum: { $cond: [{ $eq: ['$sentiment', 'negative'] }, 1, 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ])
+  ]);
+
+  const summary = totals[0] || { total: 0, avgScore: 0, first: null, last: null };
+
+  const sentiment = { positive: 0, neutral: 0, negative: 0 };
+  sentimentStats.forEach(item => {
+    sentiment[item._id] = item.count;
+  });
+
+  // Overall rate spans the whole conversation, at least one minute
+  const spanMinutes = summary.first && summary.last
+    ? Math.max((summary.last - summary.first) / 60000, 1)
+    : 1;
+
+  return {
+    total: summary.total,
+    userCount: users.length,
+    activeParticipants: activeUsers.length,
+    messagesPerMinute: {
+      current: recentCount / rateWindow,
+      overall: summary.total / spanMinutes
+    },
+    sentiment,
+    avgSentimentScore: summary.avgScore || 0,
+    firstMessageAt: summary.first,
+    lastMessageAt: summary.last,
+    timeline: timeline.map(item => ({
+      timestamp: item._id,
+      count: item.count,
+      positive: item.positive,
+      neutral: item.neutral,
+      negative: item.negative
+    }))
+  };
+};
+
+module.exports = mongoose.model('ChatMessage', ChatMessageSchema);
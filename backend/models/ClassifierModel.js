@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A trained issue classifier. Each training run stores a new version; the
+// active version for an event (or the global one, event = null) is used for
+// classification.
+const ClassifierModelSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Event',
+    default: null
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // Serialized natural.BayesClassifier
+  model: {
+    type: String,
+    required: true,
+    select: false
+  },
+  labels: [String],
+  exampleCount: {
+    type: Number,
+    default: 0
+  },
+  // Precision/recall on held-out examples at training time
+  metrics: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  trainedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ClassifierModelSchema.index({ event: 1, version: -1 }, { unique: true });
+ClassifierModelSchema.index({ event: 1, isActive: 1 });
+
+module.exports = mongoose.model('ClassifierModel', ClassifierModelSchema);
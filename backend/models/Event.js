@@ -62,12 +62,33 @@ const EventSchema = new mongoose.Schema({
       default: 3,
       min: 1
     },
+    // Fear-labelled feedback within 10 minutes that raises a safety alert
+    fearAlertThreshold: {
+      type: Number,
+      default: 3,
+      min: 1
+    },
     autoResolveTime: {
       type: Number,
       default: 60, 
       min: 5
     }
   },
+  // Custom issue taxonomy; empty means the default categories apply
+  issueCategories: [{
+    _id: false,
+    key: { type: String, required: true },
+    label: { type: String, required: true },
+    description: String,
+    keywords: [String],
+    zeroShotLabels: [String]
+  }],
+  qnaSettings: {
+    requireApproval: {
+      type: Boolean,
+      default: false
+    }
+  },
   integrations: {
     twitter: {
       enabled: {
@@ -8,10 +8,15 @@ const FeedbackSchema = new mongoose.Schema({
   },
   source: {
     type: String,
-    enum: ['direct', 'twitter', 'instagram', 'linkedin', 'manual', 'survey'],
+    enum: ['direct', 'twitter', 'instagram', 'linkedin', 'manual', 'survey', 'webhook'],
     default: 'direct',
     required: true
   },
+  // Free-form origin for webhook feedback, e.g. slack or helpdesk-bot
+  sourceLabel: {
+    type: String,
+    default: null
+  },
   sourceId: {
     type: String,
     default: null
@@ -43,16 +48,76 @@ const FeedbackSchema = new mongoose.Schema({
     max: 1,
     required: true
   },
+  // Unredacted text, kept only when PII_KEEP_ORIGINAL is enabled; never sent to clients
+  originalText: {
+    type: String,
+    select: false
+  },
+  moderation: {
+    piiTypes: [String],
+    toxic: {
+      type: Boolean,
+      default: false
+    },
+    toxicityScore: {
+      type: Number,
+      default: 0
+    },
+    toxicityLabels: [String],
+    method: String
+  },
+  // Bot/spam scoring for social posts; spam is kept for review but left out of trends
+  spam: {
+    score: {
+      type: Number,
+      default: 0
+    },
+    isSpam: {
+      type: Boolean,
+      default: false
+    },
+    reasons: [String],
+    fingerprint: String,
+    reviewedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
+  },
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  emotion: {
+    type: String,
+    enum: ['anger', 'fear', 'joy', 'sadness', 'surprise', 'frustration', null],
+    default: null
+  },
+  emotionScore: {
+    type: Number,
+    default: 0
+  },
   issueType: {
     type: String,
     default: null
   },
+  aspects: [{
+    _id: false,
+    aspect: String,
+    sentiment: {
+      type: String,
+      enum: ['positive', 'neutral', 'negative']
+    },
+    score: Number,
+    span: String,
+    start: Number,
+    end: Number
+  }],
   issueDetails: {
     location: { type: String, default: null },
+    // Set when the location was resolved from the text rather than sent by the client
+    locationConfidence: { type: Number, default: null },
+    locationMethod: { type: String, default: null },
     resolved: { type: Boolean, default: false },
     severity: {
       type: String,
@@ -64,6 +129,15 @@ const FeedbackSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Which pipeline version and methods produced the stored scores
+  scoring: {
+    version: { type: String, default: null },
+    sentimentMethod: String,
+    emotionMethod: String,
+    issueMethod: String,
+    classifierVersion: Number,
+    scoredAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -75,4 +149,17 @@ FeedbackSchema.index(
   { unique: true, sparse: true }
 );
 
+FeedbackSchema.index({ event: 1, 'aspects.aspect': 1 });
+FeedbackSchema.index({ event: 1, 'scoring.version': 1 });
+FeedbackSchema.index({ event: 1, emotion: 1, createdAt: -1 });
+FeedbackSchema.index({ event: 1, 'spam.fingerprint': 1, createdAt: -1 });
+
+// Documents returned by create() still carry originalText, and they are broadcast as-is
+FeedbackSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.originalText;
+    return ret;
+  }
+});
+
 module.exports = mongoose.model('Feedback', FeedbackSchema);
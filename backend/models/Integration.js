@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+// Live ingestion state for one event on one platform. Timers and sockets stay
+// in memory inside the social services; this is what survives a restart.
+const StreamSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: false
+  },
+  // Platform specifics: tracking terms, hashtags, LinkedIn company ID
+  config: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Paging position, e.g. newest Instagram post seen per hashtag
+  cursor: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  isMock: {
+    type: Boolean,
+    default: false
+  },
+  startTime: Date,
+  stoppedAt: Date,
+  lastPollTime: Date,
+  lastActivityAt: Date,
+  processedCount: {
+    type: Number,
+    default: 0
+  },
+  lastResults: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const IntegrationSchema = new mongoose.Schema({
+  // The user who connected the platform; streams they start run on these credentials
+  owner: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  platform: {
+    type: String,
+    enum: ['twitter', 'instagram', 'linkedin'],
+    required: true
+  },
+  // AES-256-GCM encrypted JSON, see utils/encryption
+  credentials: {
+    type: String,
+    default: null,
+    select: false
+  },
+  accountName: {
+    type: String,
+    default: null
+  },
+  connected: {
+    type: Boolean,
+    default: false
+  },
+  tokenExpiresAt: {
+    type: Date,
+    default: null
+  },
+  streams: [StreamSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+IntegrationSchema.index({ owner: 1, platform: 1 }, { unique: true });
+IntegrationSchema.index({ 'streams.event': 1, platform: 1 });
+IntegrationSchema.index({ 'streams.active': 1 });
+
+IntegrationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+IntegrationSchema.methods.setCredentials = function(credentials) {
+  this.credentials = credentials ? encrypt(credentials) : null;
+  this.connected = Boolean(credentials);
+};
+
+IntegrationSchema.methods.getCredentials = function() {
+  return this.credentials ? decrypt(this.credentials) : {};
+};
+
+/**
+ * Decrypted credentials for an organizer, or an empty object so callers can
+ * fall back to the server-wide environment configuration
+ * @param {String} ownerId - User ID that connected the platform
+ * @param {String} platform - twitter, instagram or linkedin
+ * @returns {Promise<Object>} Credentials
+ */
+IntegrationSchema.statics.getCredentials = async function(ownerId, platform) {
+  const integration = await this.findOne({ owner: ownerId, platform }).select('+credentials');
+  return integration ? integration.getCredentials() : {};
+};
+
+IntegrationSchema.statics.saveCredentials = async function(ownerId, platform, credentials, details = {}) {
+  let integration = await this.findOne({ owner: ownerId, platform });
+  if (!integration) {
+    integration = new this({ owner: ownerId, platform });
+  }
+
+  integration.setCredentials(credentials);
+  integration.accountName = details.accountName || integration.accountName;
+  integration.tokenExpiresAt = details.tokenExpiresAt || integration.tokenExpiresAt;
+
+  return integration.save();
+};
+
+/**
+ * Whose credentials an event's ingestion runs on. Admins and co-organizers can
+ * start ingestion for events they don't own, so this is the user starting it
+ * when they have connected the platform, then whoever's integration already
+ * holds the event's stream, then the event owner.
+ * @param {Object} event - Event document
+ * @param {String} platform - twitter, instagram or linkedin
+ * @param {String} userId - User starting ingestion, if any
+ * @returns {Promise<String>} User ID to load credentials for
+ */
+IntegrationSchema.statics.findCredentialOwner = async function(event, platform, userId = null) {
+  if (userId && await this.exists({ owner: userId, platform, connected: true })) {
+    return userId;
+  }
+
+  const running = await this.findOne({ platform, 'streams.event': event._id, connected: true }).select('owner');
+  return running ? running.owner : event.owner;
+};
+
+/**
+ * Mark a stream as running for an event on the integration whose credentials
+ * it uses, creating that record if needed
+ * @param {Object} event - Event document
+ * @param {String} platform - twitter, instagram or linkedin
+ * @param {Object} fields - Stream fields (config, isMock, ...)
+ * @param {String} ownerId - Credential owner, see findCredentialOwner
+ * @returns {Promise<void>}
+ */
+IntegrationSchema.statics.openStream = async function(event, platform, fields = {}, ownerId = event.owner) {
+  const stream = {
+    active: true,
+    startTime: new Date(),
+    stoppedAt: null,
+    lastError: null,
+    ...fields
+  };
+
+  // Restarted by someone else: the stream moves to their integration
+  await this.updateMany(
+    { platform, owner: { $ne: ownerId }, 'streams.event': event._id },
+    { $pull: { streams: { event: event._id } } }
+  );
+
+  const updated = await this.updateStream(event._id, platform, stream);
+  if (!updated) {
+    await this.updateOne(
+      { owner: ownerId, platform },
+      { $push: { streams: { event: event._id, ...stream } } },
+      { upsert: true }
+    );
+  }
+};
+
+/**
+ * Update persisted stream state for an event
+ * @param {String} eventId - Event ID
+ * @param {String} platform - twitter, instagram or linkedin
+ * @param {Object} fields - Fields to set
+ * @param {Object} increments - Numeric fields to increment
+ * @returns {Promise<Boolean>} Whether a stream record existed
+ */
+IntegrationSchema.statics.updateStream = async function(eventId, platform, fields = {}, increments = {}) {
+  const prefix = (values) => Object.entries(values).reduce((acc, [key, value]) => {
+    acc[`streams.$.${key}`] = value;
+    return acc;
+  }, {});
+
+  const update = { $set: prefix(fields) };
+  if (Object.keys(increments).length > 0) {
+    update.$inc = prefix(increments);
+  }
+
+  const result = await this.updateOne({ platform, 'streams.event': eventId }, update);
+  return result.matchedCount > 0;
+};
+
+IntegrationSchema.statics.getStream = async function(eventId, platform) {
+  const integration = await this.findOne({ platform, 'streams.event': eventId });
+  if (!integration) {
+    return null;
+  }
+
+  return integration.streams.find(stream => stream.event.toString() === eventId.toString()) || null;
+};
+
+/**
+ * Streams that were running when the server last stopped
+ * @param {String} platform - twitter, instagram or linkedin
+ * @returns {Promise<Array>} [{ eventId, owner, stream }]
+ */
+IntegrationSchema.statics.findActiveStreams = async function(platform) {
+  const integrations = await this.find({ platform, 'streams.active': true });
+
+  return integrations.flatMap(integration => integration.streams
+    .filter(stream => stream.active)
+    .map(stream => ({
+      eventId: stream.event.toString(),
+      owner: integration.owner,
+      stream
+    })));
+};
+
+module.exports = mongoose.model('Integration', IntegrationSchema);
@@ -8,7 +8,7 @@ const IssueSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['queue', 'audio', 'video', 'crowding', 'amenities', 'content', 'temperature', 'safety', 'other'],
+    // Category key from the event's issue taxonomy, or 'other'
     required: true
   },
   subtype: {
@@ -71,6 +71,18 @@ const IssueSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  statusUpdates: [{
+    status: String,
+    note: String,
+    updatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -99,6 +111,9 @@ IssueSchema.pre('save', function(next) {
   if (this.isModified('status') && this.status === 'resolved' && !this.resolvedAt) {
     this.resolvedAt = Date.now();
   }
+  if (this.isModified('status') && this.status !== 'resolved') {
+    this.resolvedAt = null;
+  }
   next();
 });
 
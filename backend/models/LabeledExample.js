@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// An organizer's correction of a feedback item, kept as training data for the
+// issue classifier. One example per feedback item; later corrections replace it.
+const LabeledExampleSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  feedback: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Feedback',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  issueType: {
+    type: String,
+    default: null
+  },
+  sentiment: {
+    type: String,
+    enum: ['positive', 'neutral', 'negative', null],
+    default: null
+  },
+  // What the pipeline had assigned before the correction
+  predicted: {
+    issueType: String,
+    sentiment: String
+  },
+  // Held-out examples are never trained on and are used for precision/recall
+  split: {
+    type: String,
+    enum: ['train', 'test'],
+    required: true
+  },
+  labeledBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+LabeledExampleSchema.index({ feedback: 1 }, { unique: true });
+LabeledExampleSchema.index({ event: 1, split: 1 });
+
+LabeledExampleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('LabeledExample', LabeledExampleSchema);
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+const QuestionSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  session: {
+    type: String,
+    default: 'general',
+    trim: true,
+    maxlength: [100, 'Session name cannot be more than 100 characters']
+  },
+  text: {
+    type: String,
+    required: [true, 'Please add a question'],
+    trim: true,
+    maxlength: [500, 'Question cannot be more than 500 characters']
+  },
+  user: {
+    type: String,
+    default: 'Anonymous',
+    trim: true,
+    maxlength: 100
+  },
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Anonymous client token of the asker, used to show them their own pending questions
+  askerId: {
+    type: String,
+    default: null,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'answered', 'dismissed'],
+    default: 'pending'
+  },
+  upvotes: {
+    type: Number,
+    default: 0
+  },
+  voters: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  answer: {
+    type: String,
+    default: null,
+    maxlength: [2000, 'Answer cannot be more than 2000 characters']
+  },
+  answeredBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  answeredAt: {
+    type: Date,
+    default: null
+  },
+  moderatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  sentiment: {
+    type: String,
+    enum: ['positive', 'neutral', 'negative'],
+    default: 'neutral'
+  },
+  sentimentScore: {
+    type: Number,
+    min: -1,
+    max: 1,
+    default: 0
+  },
+  issueType: {
+    type: String,
+    default: null
+  },
+  flagged: {
+    type: Boolean,
+    default: false
+  },
+  flagReason: {
+    type: String,
+    enum: ['hostile', 'issue', null],
+    default: null
+  },
+  feedback: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Feedback',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+QuestionSchema.index({ event: 1, status: 1, upvotes: -1 });
+QuestionSchema.index({ event: 1, session: 1, createdAt: -1 });
+
+QuestionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  if (this.isModified('status') && this.status === 'answered' && !this.answeredAt) {
+    this.answeredAt = Date.now();
+  }
+  next();
+});
+
+/**
+ * Toggle an upvote from a voter token
+ * @param {String} questionId - Question ID
+ * @param {String} voterId - Anonymous client token or user ID
+ * @returns {Promise<Object|null>} { question, upvoted } or null if not found
+ */
+QuestionSchema.statics.toggleUpvote = async function(questionId, voterId) {
+  // Atomic add first; if the voter was already present, remove instead
+  let question = await this.findOneAndUpdate(
+    { _id: questionId, voters: { $ne: voterId } },
+    { $addToSet: { voters: voterId }, $inc: { upvotes: 1 } },
+    { new: true }
+  );
+
+  if (question) {
+    return { question, upvoted: true };
+  }
+
+  question = await this.findOneAndUpdate(
+    { _id: questionId, voters: voterId },
+    { $pull: { voters: voterId }, $inc: { upvotes: -1 } },
+    { new: true }
+  );
+
+  return question ? { question, upvoted: false } : null;
+};
+
+module.exports = mongoose.model('Question', QuestionSchema);
@@ -76,41 +76,7 @@ const SentimentRecordSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
-    other: {
-      type: Number,
-      default: 0
-    }
-  },
-  issues: {
-    queue: {
-      type: Number,
-      default: 0
-    },
-    audio: {
-      type: Number,
-      default: 0
-    },
-    video: {
-      type: Number,
-      default: 0
-    },
-    crowding: {
-      type: Number,
-      default: 0
-    },
-    amenities: {
-      type: Number,
-      default: 0
-    },
-    content: {
-      type: Number,
-      default: 0
-    },
-    temperature: {
-      type: Number,
-      default: 0
-    },
-    safety: {
+    webhook: {
       type: Number,
       default: 0
     },
@@ -119,6 +85,16 @@ const SentimentRecordSchema = new mongoose.Schema({
       default: 0
     }
   },
+  // Negative feedback counts keyed by the event's issue categories
+  issues: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Feedback counts keyed by emotion (anger, fear, ...)
+  emotions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -128,6 +104,15 @@ const SentimentRecordSchema = new mongoose.Schema({
 SentimentRecordSchema.index({ event: 1, timeframe: 1, timestamp: -1 });
 SentimentRecordSchema.index({ event: 1, timestamp: -1 });
 
+/**
+ * Map a feedback source onto its rollup counter
+ * @param {String} source - Feedback source
+ * @returns {String} Key under `sources`; sources without their own counter count as other
+ */
+SentimentRecordSchema.statics.sourceKey = function(source) {
+  return source && this.schema.path(`sources.${source}`) ? source : 'other';
+};
+
 SentimentRecordSchema.statics.aggregateEventSentiment = async function(eventId, timeframe = 'hour', startTime, endTime) {
   const query = { 
     event: mongoose.Types.ObjectId(eventId), 
@@ -149,6 +134,7 @@ SentimentRecordSchema.statics.aggregateEventSentiment = async function(eventId,
     total: 0,
     sources: {},
     issues: {},
+    emotions: {},
     timeline: []
   };
   
@@ -172,18 +158,24 @@ SentimentRecordSchema.statics.aggregateEventSentiment = async function(eventId,
       result.sources[source] += record.sources[source];
     });
     
-    Object.keys(record.issues).forEach(issue => {
+    Object.keys(record.issues || {}).forEach(issue => {
       if (!result.issues[issue]) result.issues[issue] = 0;
       result.issues[issue] += record.issues[issue];
     });
     
+    Object.keys(record.emotions || {}).forEach(emotion => {
+      if (!result.emotions[emotion]) result.emotions[emotion] = 0;
+      result.emotions[emotion] += record.emotions[emotion];
+    });
+    
     // Add to timeline
     result.timeline.push({
       timestamp: record.timestamp,
       positive: record.data.positive.count,
       neutral: record.data.neutral.count,
       negative: record.data.negative.count,
-      total: record.data.total
+      total: record.data.total,
+      emotions: record.emotions || {}
     });
   });
   
@@ -227,7 +219,7 @@ SentimentRecordSchema.statics.updateRecord = async function(eventId, timeframe,
   }
   
   const sentiment = feedbackData.sentiment;
-  const source = feedbackData.source;
+  const source = this.sourceKey(feedbackData.source);
   const issueType = feedbackData.issueType || 'other';
   const sentimentScore = feedbackData.sentimentScore;
   
@@ -243,7 +235,19 @@ SentimentRecordSchema.statics.updateRecord = async function(eventId, timeframe,
   record.sources[source] += 1;
   
   if (sentiment === 'negative' && issueType) {
-    record.issues[issueType] += 1;
+    record.issues = {
+      ...record.issues,
+      [issueType]: ((record.issues && record.issues[issueType]) || 0) + 1
+    };
+    record.markModified('issues');
+  }
+  
+  if (feedbackData.emotion) {
+    record.emotions = {
+      ...record.emotions,
+      [feedbackData.emotion]: ((record.emotions && record.emotions[feedbackData.emotion]) || 0) + 1
+    };
+    record.markModified('emotions');
   }
   
   await record.save();
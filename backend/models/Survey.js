@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const QUESTION_TYPES = ['rating', 'nps', 'multiple_choice', 'text'];
+
+const SurveyQuestionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: true
+  },
+  prompt: {
+    type: String,
+    required: [true, 'Please add a question prompt'],
+    trim: true,
+    maxlength: [300, 'Question prompt cannot be more than 300 characters']
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // multiple_choice only
+  options: {
+    type: [String],
+    default: undefined
+  },
+  allowMultiple: {
+    type: Boolean,
+    default: false
+  },
+  // rating only; NPS is always 0-10
+  scale: {
+    type: Number,
+    enum: [5, 10],
+    default: 5
+  }
+});
+
+SurveyQuestionSchema.pre('validate', function(next) {
+  if (this.type === 'multiple_choice') {
+    const options = (this.options || []).map(option => option.trim()).filter(Boolean);
+    if (options.length < 2) {
+      this.invalidate('options', 'Multiple choice questions need at least two options');
+    }
+    this.options = options;
+  } else {
+    this.options = undefined;
+  }
+  next();
+});
+
+const SurveySchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please add a survey title'],
+    trim: true,
+    maxlength: [150, 'Title cannot be more than 150 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot be more than 1000 characters']
+  },
+  questions: {
+    type: [SurveyQuestionSchema],
+    validate: {
+      validator: questions => questions.length > 0 && questions.length <= 50,
+      message: 'A survey needs between 1 and 50 questions'
+    }
+  },
+  // Only published surveys are shown to attendees
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'closed'],
+    default: 'draft'
+  },
+  responseCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SurveySchema.index({ event: 1, status: 1 });
+
+SurveySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+SurveySchema.statics.QUESTION_TYPES = QUESTION_TYPES;
+
+module.exports = mongoose.model('Survey', SurveySchema);
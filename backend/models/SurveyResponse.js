@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const SurveyResponseSchema = new mongoose.Schema({
+  survey: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Survey',
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  answers: [{
+    _id: false,
+    question: {
+      type: mongoose.Schema.ObjectId,
+      required: true
+    },
+    type: {
+      type: String,
+      required: true
+    },
+    // Number for rating/nps, [String] for multiple_choice, String for text
+    value: mongoose.Schema.Types.Mixed,
+    // Feedback created from a free-text answer
+    feedback: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Feedback',
+      default: null
+    }
+  }],
+  respondent: {
+    type: String,
+    default: 'Anonymous',
+    trim: true,
+    maxlength: 100
+  },
+  // Anonymous client token, used to stop the same browser answering twice
+  respondentId: {
+    type: String,
+    default: null,
+    select: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SurveyResponseSchema.index({ survey: 1, createdAt: 1 });
+SurveyResponseSchema.index(
+  { survey: 1, respondentId: 1 },
+  { unique: true, partialFilterExpression: { respondentId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('SurveyResponse', SurveyResponseSchema);
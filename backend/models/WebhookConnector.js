@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { isValidPath } = require('../utils/jsonPath');
+
+const pathValidator = {
+  validator: (value) => value === null || value === undefined || value === '' || isValidPath(value),
+  message: props => `${props.value} is not a valid field path`
+};
+
+// Inbound webhook for feedback sources without a dedicated connector
+// (chatbots, Slack workspaces, ticketing tools)
+const WebhookConnectorSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a connector name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Stored on each feedback item so sources can be told apart in analytics
+  sourceLabel: {
+    type: String,
+    required: [true, 'Please add a source label'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9][a-z0-9_-]{0,39}$/, 'Source label may only contain letters, numbers, dashes and underscores']
+  },
+  // AES-256-GCM encrypted, see utils/encryption
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // JSONPath-style expressions into the incoming payload
+  fieldMapping: {
+    items: { type: String, default: null, validate: pathValidator },
+    text: { type: String, required: [true, 'A text field path is required'], validate: pathValidator },
+    user: { type: String, default: null, validate: pathValidator },
+    timestamp: { type: String, default: null, validate: pathValidator },
+    location: { type: String, default: null, validate: pathValidator },
+    id: { type: String, default: null, validate: pathValidator }
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  receivedCount: {
+    type: Number,
+    default: 0
+  },
+  lastReceivedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+WebhookConnectorSchema.index({ event: 1 });
+
+WebhookConnectorSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+/**
+ * Generate and store a new signing secret
+ * @returns {String} Plain secret, only available at this point
+ */
+WebhookConnectorSchema.methods.generateSecret = function() {
+  const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  this.secret = encrypt(secret);
+  return secret;
+};
+
+WebhookConnectorSchema.methods.getSecret = function() {
+  return decrypt(this.secret);
+};
+
+module.exports = mongoose.model('WebhookConnector', WebhookConnectorSchema);
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const analyticsController = require('../../controllers/analyticsController');
-const { protect, checkEventOwnership } = require('../../middleware/auth');
+const { protect, authorize, checkEventOwnership } = require('../../middleware/auth');
 const { apiLimiter } = require('../../middleware/rateLimiter');
 const postEventAnalyticsController = require('../../controllers/postEventAnalyticsController');
 
@@ -25,16 +25,36 @@ router.get('/issues/trend/:eventId',
   analyticsController.getIssueTrend
 );
 
+router.get('/emotions/trend/:eventId',
+  checkEventOwnership({ idField: 'eventId' }),
+  analyticsController.getEmotionTrend
+);
+
 router.get('/sources/:eventId',
   checkEventOwnership({ idField: 'eventId' }),
   analyticsController.getSourceDistribution
 );
 
+router.get('/languages/:eventId',
+  checkEventOwnership({ idField: 'eventId' }),
+  analyticsController.getLanguageDistribution
+);
+
+router.get('/aspects/:eventId',
+  checkEventOwnership({ idField: 'eventId' }),
+  analyticsController.getAspectSentiment
+);
+
 router.get('/trending/:eventId',
   checkEventOwnership({ idField: 'eventId' }),
   analyticsController.getTrendingTopics
 );
 
+router.get('/topics/clusters/:eventId',
+  checkEventOwnership({ idField: 'eventId' }),
+  analyticsController.getTopicClusters
+);
+
 router.get('/location/:eventId',
   checkEventOwnership({ idField: 'eventId' }),
   analyticsController.getLocationHeatmap
@@ -70,6 +90,11 @@ router.get('/export/:eventId',
   analyticsController.exportAnalyticsData
 );
 
+router.get('/nlp/inference',
+  authorize('admin'),
+  analyticsController.getInferenceStats
+);
+
 router.get('/wordcloud/:eventId',
   checkEventOwnership({ idField: 'eventId' }),
   analyticsController.getWordCloudData
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const chatController = require('../../controllers/chatController');
+const { protect, optionalAuth, checkEventOwnership } = require('../../middleware/auth');
+const { apiLimiter, feedbackLimiter } = require('../../middleware/rateLimiter');
+
+router.get('/event/:eventId', apiLimiter, chatController.getEventMessages);
+
+router.post('/event/:eventId', feedbackLimiter, optionalAuth, chatController.sendMessage);
+
+router.use(protect);
+
+router.use(apiLimiter);
+
+router.get('/stats/:eventId',
+  checkEventOwnership({ idField: 'eventId' }),
+  chatController.getChatStats
+);
+
+module.exports = router;
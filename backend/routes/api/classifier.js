@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const classifierController = require('../../controllers/classifierController');
+const { protect, authorize, checkEventOwnership } = require('../../middleware/auth');
+const { apiLimiter } = require('../../middleware/rateLimiter');
+
+router.use(protect);
+router.use(apiLimiter);
+
+router.get('/global', authorize('admin'), classifierController.getGlobalClassifier);
+
+router.post('/global/train', authorize('admin'), classifierController.trainGlobalClassifier);
+
+router.get('/event/:eventId', checkEventOwnership({ idField: 'eventId' }), classifierController.getEventClassifier);
+
+router.get('/event/:eventId/metrics', checkEventOwnership({ idField: 'eventId' }), classifierController.getEventMetrics);
+
+router.post('/event/:eventId/train', checkEventOwnership({ idField: 'eventId' }), classifierController.trainEventClassifier);
+
+router.put('/event/:eventId/active', checkEventOwnership({ idField: 'eventId' }), classifierController.activateEventVersion);
+
+module.exports = router;
@@ -30,6 +30,10 @@ router.get('/:eventId/location-map', checkEventOwnership({ idField: 'eventId' })
 
 router.put('/:eventId/location-map', checkEventOwnership({ idField: 'eventId' }), eventController.updateLocationMap);
 
+router.get('/:eventId/issue-categories', checkEventOwnership({ idField: 'eventId' }), eventController.getIssueCategories);
+
+router.put('/:eventId/issue-categories', checkEventOwnership({ idField: 'eventId' }), eventController.updateIssueCategories);
+
 router.put('/:eventId/toggle-active', checkEventOwnership({ idField: 'eventId' }), eventController.toggleEventActive);
 
 module.exports = router;
\ No newline at end of file
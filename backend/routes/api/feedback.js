@@ -1,20 +1,40 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const feedbackController = require('../../controllers/feedbackController');
-const { protect, checkEventOwnership } = require('../../middleware/auth');
-const { apiLimiter, feedbackLimiter } = require('../../middleware/rateLimiter');
+const { protect, authorize, checkEventOwnership } = require('../../middleware/auth');
+const { apiLimiter, feedbackLimiter, webhookLimiter } = require('../../middleware/rateLimiter');
+const {
+  verifyTwitterSignature,
+  verifyInstagramSignature,
+  verifyLinkedInSignature,
+  verifyConnectorSignature
+} = require('../../middleware/webhookVerification');
+
+// Imports are parsed from memory; 10MB covers tens of thousands of survey rows
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
 
 
 router.post('/submit', feedbackLimiter, feedbackController.submitFeedback);
 
-router.post('/webhook/twitter', feedbackController.twitterWebhook);
-router.post('/webhook/instagram', feedbackController.instagramWebhook);
-router.post('/webhook/linkedin', feedbackController.linkedinWebhook);
+router.get('/webhook/twitter', feedbackController.twitterWebhookChallenge);
+router.get('/webhook/instagram', feedbackController.instagramWebhookChallenge);
+router.get('/webhook/linkedin', feedbackController.linkedinWebhookChallenge);
+
+router.post('/webhook/twitter', verifyTwitterSignature, feedbackController.twitterWebhook);
+router.post('/webhook/instagram', verifyInstagramSignature, feedbackController.instagramWebhook);
+router.post('/webhook/linkedin', verifyLinkedInSignature, feedbackController.linkedinWebhook);
+router.post('/webhook/custom/:connectorId', webhookLimiter, verifyConnectorSignature, feedbackController.customWebhook);
 
 router.use(protect);
 
 router.use(apiLimiter);
 
+router.get('/webhook/stats', authorize('admin'), feedbackController.getWebhookStats);
+
 router.get('/event/:eventId', 
   checkEventOwnership({ idField: 'eventId' }),
   feedbackController.getEventFeedback
@@ -40,10 +60,35 @@ router.get('/event/:eventId/by-source',
   feedbackController.getFeedbackBySource
 );
 
+router.post('/event/:eventId/import',
+  checkEventOwnership({ idField: 'eventId' }),
+  upload.single('file'),
+  feedbackController.importFeedback
+);
+
+router.get('/event/:eventId/scoring',
+  checkEventOwnership({ idField: 'eventId' }),
+  feedbackController.getScoringVersions
+);
+
+router.post('/event/:eventId/rescore',
+  checkEventOwnership({ idField: 'eventId' }),
+  feedbackController.rescoreFeedback
+);
+
+router.get('/event/:eventId/rescore/:jobId',
+  checkEventOwnership({ idField: 'eventId' }),
+  feedbackController.getRescoreJob
+);
+
 router.get('/:feedbackId',
   feedbackController.getFeedbackById
 );
 
+router.get('/:feedbackId/original',
+  feedbackController.getOriginalText
+);
+
 router.put('/:feedbackId',
   feedbackController.updateFeedback
 );
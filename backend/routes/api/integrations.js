@@ -76,6 +76,36 @@ router.put('/settings/:eventId',
   integrationController.updateIntegrationSettings
 );
 
+router.get('/webhooks/:eventId',
+  checkEventOwnership({ idField: 'eventId' }),
+  integrationController.getWebhookConnectors
+);
+
+router.post('/webhooks/:eventId',
+  checkEventOwnership({ idField: 'eventId' }),
+  integrationController.createWebhookConnector
+);
+
+router.post('/webhooks/:eventId/preview',
+  checkEventOwnership({ idField: 'eventId' }),
+  integrationController.previewWebhookMapping
+);
+
+router.put('/webhooks/:eventId/:connectorId',
+  checkEventOwnership({ idField: 'eventId' }),
+  integrationController.updateWebhookConnector
+);
+
+router.delete('/webhooks/:eventId/:connectorId',
+  checkEventOwnership({ idField: 'eventId' }),
+  integrationController.deleteWebhookConnector
+);
+
+router.post('/webhooks/:eventId/:connectorId/secret',
+  checkEventOwnership({ idField: 'eventId' }),
+  integrationController.rotateWebhookSecret
+);
+
 router.post('/test/:platform',
   integrationController.testIntegration
 );
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const issueController = require('../../controllers/issueController');
+const { protect, checkEventOwnership } = require('../../middleware/auth');
+const { apiLimiter } = require('../../middleware/rateLimiter');
+
+router.use(protect);
+
+router.use(apiLimiter);
+
+router.get('/event/:eventId',
+  checkEventOwnership({ idField: 'eventId' }),
+  issueController.getEventIssues
+);
+
+router.get('/event/:eventId/stats',
+  checkEventOwnership({ idField: 'eventId' }),
+  issueController.getIssueStats
+);
+
+router.get('/event/:eventId/assignees',
+  checkEventOwnership({ idField: 'eventId' }),
+  issueController.getAssignees
+);
+
+router.get('/:issueId',
+  issueController.getIssue
+);
+
+router.put('/:issueId',
+  issueController.updateIssue
+);
+
+router.put('/:issueId/assign',
+  issueController.assignIssue
+);
+
+router.put('/:issueId/status',
+  issueController.updateIssueStatus
+);
+
+router.post('/:issueId/merge',
+  issueController.mergeIssues
+);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const qnaController = require('../../controllers/qnaController');
+const { protect, optionalAuth, checkEventOwnership } = require('../../middleware/auth');
+const { apiLimiter, feedbackLimiter } = require('../../middleware/rateLimiter');
+
+router.get('/event/:eventId', apiLimiter, qnaController.getEventQuestions);
+
+router.get('/event/:eventId/sessions', apiLimiter, qnaController.getEventSessions);
+
+router.post('/event/:eventId', feedbackLimiter, optionalAuth, qnaController.askQuestion);
+
+router.post('/questions/:questionId/upvote', feedbackLimiter, qnaController.upvoteQuestion);
+
+router.use(protect);
+
+router.use(apiLimiter);
+
+router.get('/event/:eventId/moderation',
+  checkEventOwnership({ idField: 'eventId' }),
+  qnaController.getModerationQueue
+);
+
+router.put('/questions/:questionId',
+  qnaController.moderateQuestion
+);
+
+router.delete('/questions/:questionId',
+  qnaController.deleteQuestion
+);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const surveyController = require('../../controllers/surveyController');
+const { protect, checkEventOwnership } = require('../../middleware/auth');
+const { apiLimiter, feedbackLimiter } = require('../../middleware/rateLimiter');
+
+router.get('/event/:eventId/public', apiLimiter, surveyController.getPublishedSurveys);
+
+router.post('/:surveyId/responses', feedbackLimiter, surveyController.submitResponse);
+
+router.use(protect);
+
+router.use(apiLimiter);
+
+router.get('/event/:eventId',
+  checkEventOwnership({ idField: 'eventId' }),
+  surveyController.getEventSurveys
+);
+
+router.post('/event/:eventId',
+  checkEventOwnership({ idField: 'eventId' }),
+  surveyController.createSurvey
+);
+
+router.get('/event/:eventId/results',
+  checkEventOwnership({ idField: 'eventId' }),
+  surveyController.getEventSurveyResults
+);
+
+router.put('/:surveyId',
+  surveyController.updateSurvey
+);
+
+router.delete('/:surveyId',
+  surveyController.deleteSurvey
+);
+
+router.get('/:surveyId/results',
+  surveyController.getSurveyResults
+);
+
+module.exports = router;
@@ -7,6 +7,11 @@ const feedbackRoutes = require('./api/feedback');
 const alertsRoutes = require('./api/alerts');
 const analyticsRoutes = require('./api/analytics');
 const integrationsRoutes = require('./api/integrations');
+const chatRoutes = require('./api/chat');
+const qnaRoutes = require('./api/qna');
+const surveysRoutes = require('./api/surveys');
+const issuesRoutes = require('./api/issues');
+const classifierRoutes = require('./api/classifier');
 
 // Make sure all imported routes are properly initialized Express routers
 router.use('/auth', authRoutes);
@@ -15,6 +20,11 @@ router.use('/feedback', feedbackRoutes);
 router.use('/alerts', alertsRoutes);
 router.use('/analytics', analyticsRoutes);
 router.use('/integrations', integrationsRoutes);
+router.use('/chat', chatRoutes);
+router.use('/qna', qnaRoutes);
+router.use('/surveys', surveysRoutes);
+router.use('/issues', issuesRoutes);
+router.use('/classifier', classifierRoutes);
 
 // Simple health check endpoint
 router.get('/health', (req, res) => {
@@ -37,7 +47,12 @@ router.get('/docs', (req, res) => {
       feedback: ['/api/feedback', '/api/feedback/:id'],
       alerts: ['/api/alerts', '/api/alerts/:id'],
       analytics: ['/api/analytics/sentiment', '/api/analytics/trends'],
-      integrations: ['/api/integrations/twitter', '/api/integrations/instagram']
+      integrations: ['/api/integrations/twitter', '/api/integrations/instagram'],
+      chat: ['/api/chat/event/:eventId', '/api/chat/stats/:eventId'],
+      qna: ['/api/qna/event/:eventId', '/api/qna/event/:eventId/moderation', '/api/qna/questions/:questionId'],
+      surveys: ['/api/surveys/event/:eventId', '/api/surveys/event/:eventId/public', '/api/surveys/:surveyId/responses', '/api/surveys/:surveyId/results'],
+      issues: ['/api/issues/event/:eventId', '/api/issues/event/:eventId/stats', '/api/issues/:issueId', '/api/issues/:issueId/status', '/api/issues/:issueId/assign', '/api/issues/:issueId/merge'],
+      classifier: ['/api/classifier/event/:eventId', '/api/classifier/event/:eventId/metrics', '/api/classifier/event/:eventId/train', '/api/classifier/event/:eventId/active', '/api/classifier/global', '/api/classifier/global/train']
     }
   });
 });
@@ -0,0 +1,247 @@
+/**
+ * Benchmark the sentiment and issue detection strategies against labeled event feedback.
+ *
+ *   npm run benchmark:nlp -- [--dataset file.json|file.csv] [--only sentiment|issues]
+ *                            [--thresholds 0.05,0.25,0.5] [--db] [--event <eventId>] [--json]
+ *
+ * Rows need `text` and `sentiment` (positive, negative or neutral); rows that also
+ * have an `issueType` are used for the issue strategies. Transformer strategies are
+ * skipped when the models can't load (e.g. SKIP_NLP_MODELS=true). `--db` connects to
+ * MongoDB to include the learned classifier, and `--event` also uses that event's
+ * issue categories.
+ */
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const parseArgs = (argv) => {
+  const parsed = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      parsed[key] = true;
+    } else {
+      parsed[key] = next;
+      i++;
+    }
+  }
+  return parsed;
+};
+
+const args = parseArgs(process.argv.slice(2));
+const useDatabase = Boolean(args.db || args.event);
+
+// Without a database, lookups such as the learned classifier fail straight away
+// instead of waiting for a connection
+if (!useDatabase) {
+  mongoose.set('bufferCommands', false);
+}
+
+const logger = require('../utils/logger');
+
+// Keep the report readable; --verbose shows the services' own logging
+if (!args.verbose) {
+  logger.transports.forEach(transport => {
+    transport.silent = true;
+  });
+}
+
+const connectDB = require('../config/db');
+const textProcessing = require('../utils/textProcessing');
+const transformersService = require('../services/nlp/transformersService');
+const sentimentAnalyzer = require('../services/nlp/sentimentAnalyzer');
+const issueClassifier = require('../services/nlp/issueClassifier');
+const issueTaxonomy = require('../services/nlp/issueTaxonomy');
+const classifierTrainer = require('../services/nlp/classifierTrainer');
+const evaluation = require('../services/nlp/evaluation');
+
+const DEFAULT_DATASET = path.join(__dirname, 'data/eventFeedback.json');
+const DEFAULT_THRESHOLDS = [0.05, 0.25, 0.5];
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+
+const loadDataset = (file) => {
+  const content = fs.readFileSync(file, 'utf8');
+  const rows = path.extname(file).toLowerCase() === '.csv'
+    ? require('csv-parse/sync').parse(content, { columns: true, skip_empty_lines: true, trim: true })
+    : JSON.parse(content);
+
+  return rows
+    .map(row => ({
+      text: String(row.text || '').trim(),
+      sentiment: String(row.sentiment || '').trim().toLowerCase(),
+      issueType: row.issueType ? String(row.issueType).trim().toLowerCase() : null
+    }))
+    .filter(row => row.text && SENTIMENTS.includes(row.sentiment));
+};
+
+const sentimentStrategies = (thresholds, status) => [
+  { name: 'pipeline', run: text => sentimentAnalyzer.analyzeSentiment(text) },
+  {
+    name: 'transformers',
+    unavailable: !status.sentimentPipeline && 'sentiment model not loaded',
+    run: text => transformersService.analyzeSentiment(textProcessing.cleanText(text))
+  },
+  { name: 'afinn', run: text => sentimentAnalyzer.analyzeWithAfinn(text) },
+  { name: 'afinn, no hashtags', run: text => sentimentAnalyzer.analyzeWithAfinn(text, { hashtagBoost: false }) },
+  ...thresholds.map(threshold => ({
+    name: `afinn ±${threshold}`,
+    run: text => sentimentAnalyzer.analyzeWithAfinn(text, { threshold })
+  })),
+  { name: 'keywords', run: text => transformersService.analyzeWithKeywords(text) }
+];
+
+const issueStrategies = (categories, eventId, status) => [
+  { name: 'classifyIssue', run: text => issueClassifier.classifyIssue(text, categories, eventId) },
+  {
+    name: 'zero-shot',
+    unavailable: !status.zeroShotClassificationPipeline && 'zero-shot model not loaded',
+    run: text => transformersService.detectIssueType(text, categories)
+  },
+  {
+    name: 'learned',
+    unavailable: !useDatabase && 'needs --db',
+    run: async text => (await classifierTrainer.predict(eventId, text, categories)) || { issueType: 'other', method: 'none' }
+  },
+  { name: 'keywords', run: text => issueTaxonomy.matchKeywords(textProcessing.cleanText(text), categories) },
+  { name: 'bayes', run: text => issueClassifier.classifyWithBayes(textProcessing.cleanText(text), categories) },
+  {
+    name: 'aspects',
+    run: async text => {
+      const aspects = await sentimentAnalyzer.analyzeAspects(text, null, categories);
+      const negative = aspects.find(aspect => aspect.sentiment === 'negative');
+      return { issueType: negative ? negative.aspect : 'other', method: 'aspects' };
+    }
+  }
+];
+
+/**
+ * Run one strategy over the dataset, timing each call after a warm-up
+ * @param {Object} strategy - { name, run }
+ * @param {Array} rows - Labeled rows
+ * @param {String} field - Label field (sentiment or issueType)
+ * @param {Array} labelOrder - Labels listed first in the confusion matrix
+ * @returns {Promise<Object>} Metrics, latency and the methods the strategy reported
+ */
+const runStrategy = async (strategy, rows, field, labelOrder) => {
+  await strategy.run(rows[0].text);
+
+  const pairs = [];
+  const durations = [];
+  const methods = {};
+
+  for (const row of rows) {
+    const start = process.hrtime.bigint();
+    const result = await strategy.run(row.text);
+    durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+
+    pairs.push({ actual: row[field], predicted: result[field] || 'other' });
+    const method = result.method || 'unknown';
+    methods[method] = (methods[method] || 0) + 1;
+  }
+
+  durations.sort((a, b) => a - b);
+
+  return {
+    name: strategy.name,
+    ...evaluation.scorePredictions(pairs, labelOrder),
+    latency: {
+      mean: durations.reduce((sum, value) => sum + value, 0) / durations.length,
+      p50: percentile(durations, 0.5),
+      p95: percentile(durations, 0.95)
+    },
+    methods
+  };
+};
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+const runTask = async (title, strategies, rows, field, labelOrder) => {
+  const results = [];
+  const skipped = [];
+
+  for (const strategy of strategies) {
+    if (strategy.unavailable) {
+      skipped.push({ name: strategy.name, reason: strategy.unavailable });
+    } else {
+      results.push(await runStrategy(strategy, rows, field, labelOrder));
+    }
+  }
+
+  return { title, count: rows.length, results, skipped };
+};
+
+const pad = (value, width) => String(value).padEnd(width);
+const padStart = (value, width) => String(value).padStart(width);
+const fixed = (value) => value.toFixed(3);
+
+const printTask = (task) => {
+  console.log(`\n${task.title} (${task.count} examples)\n`);
+  console.log(`${pad('method', 22)}${padStart('accuracy', 10)}${padStart('macro F1', 10)}${padStart('mean ms', 10)}${padStart('p95 ms', 10)}`);
+  task.results.forEach(result => {
+    console.log(`${pad(result.name, 22)}${padStart(fixed(result.accuracy), 10)}${padStart(fixed(result.macro.f1), 10)}` +
+      `${padStart(result.latency.mean.toFixed(2), 10)}${padStart(result.latency.p95.toFixed(2), 10)}`);
+  });
+  task.skipped.forEach(item => console.log(`${pad(item.name, 22)}skipped: ${item.reason}`));
+
+  task.results.forEach(result => {
+    const via = Object.entries(result.methods).map(([method, count]) => `${method} ${count}`).join(', ');
+    const { labels, matrix } = result.confusion;
+    const width = Math.max(8, ...labels.map(label => label.length + 1));
+
+    console.log(`\n${result.name}: rows are actual, columns predicted (via ${via})`);
+    console.log(`${pad('', width)}${labels.map(label => padStart(label, width)).join('')}`);
+    matrix.forEach((row, index) => {
+      console.log(`${pad(labels[index], width)}${row.map(count => padStart(count || '.', width)).join('')}`);
+    });
+  });
+};
+
+const main = async () => {
+  const datasetPath = args.dataset ? path.resolve(args.dataset) : DEFAULT_DATASET;
+  const rows = loadDataset(datasetPath);
+  if (rows.length === 0) {
+    throw new Error(`No labeled rows in ${datasetPath}`);
+  }
+
+  const thresholds = typeof args.thresholds === 'string'
+    ? args.thresholds.split(',').map(Number).filter(value => Number.isFinite(value) && value >= 0)
+    : DEFAULT_THRESHOLDS;
+
+  if (useDatabase) {
+    await connectDB();
+  }
+
+  const eventId = typeof args.event === 'string' ? args.event : null;
+  const categories = await issueTaxonomy.getEventTaxonomy(eventId);
+  const status = await transformersService.initializeNLP();
+
+  const tasks = [];
+  if (args.only !== 'issues') {
+    tasks.push(await runTask('Sentiment', sentimentStrategies(thresholds, status), rows, 'sentiment', SENTIMENTS));
+  }
+
+  const issueRows = rows.filter(row => row.issueType);
+  if (args.only !== 'sentiment' && issueRows.length > 0) {
+    const labelOrder = [...categories.map(category => category.key), 'other'];
+    tasks.push(await runTask('Issue type', issueStrategies(categories, eventId, status), issueRows, 'issueType', labelOrder));
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify({ dataset: datasetPath, tasks }, null, 2));
+  } else {
+    console.log(`Dataset: ${datasetPath}`);
+    tasks.forEach(printTask);
+  }
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(`Benchmark failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -14,7 +14,11 @@ dotenv.config();
 const { connectDB } = require('./config/db');  
 const logger = require('./utils/logger');
 const feedQueue = require('./services/realtime/feedQueue');
+const transformersService = require('./services/nlp/transformersService');
 const alertBroadcaster = require('./services/realtime/alertBroadcaster');
+const twitterService = require('./services/social/twitterService');
+const instagramService = require('./services/social/instagramService');
+const linkedinService = require('./services/social/linkedinService');
 
 // Ensure logs directory exists
 if (!fs.existsSync(path.join(__dirname, 'logs'))) {
@@ -75,6 +79,10 @@ const initializeServer = async () => {
       logger.error('Socket initialization error:', { error });
     }
 
+    // Load the NLP models on the inference workers in the background; feedback
+    // that arrives meanwhile is scored with the fallbacks
+    transformersService.initializeNLP();
+
     // Start feedback processing queue
     try {
       feedQueue.startProcessing(io);
@@ -93,7 +101,23 @@ const initializeServer = async () => {
       logger.error('Alert processor initialization error:', { error });
     }
 
-  
+    // Resume social streams and polls that were running before the last restart
+    const resumers = [
+      ['Twitter streams', () => twitterService.resumeActiveStreams()],
+      ['Instagram polls', () => instagramService.resumeActivePolls()],
+      ['LinkedIn polls', () => linkedinService.resumeActivePolls()]
+    ];
+
+    for (const [label, resume] of resumers) {
+      try {
+        const resumed = await resume();
+        console.log(`${label} resumed: ${resumed}`);
+      } catch (error) {
+        console.error(`${label} resume error:`, error.message);
+        logger.error(`${label} resume error:`, { error });
+      }
+    }
+
     try {
       alertBroadcaster.setupPeriodicDigests(60); // Send digests every 60 minutes
       console.log('Periodic alert digests started');
@@ -104,7 +128,12 @@ const initializeServer = async () => {
 
     // Middleware
     app.use(cors());
-    app.use(express.json());
+    app.use(express.json({
+      // Webhook signatures are computed over the exact bytes received
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
     app.use(express.urlencoded({ extended: false }));
     app.use(morgan('dev'));
 
@@ -2,11 +2,18 @@ const Alert = require('../../models/Alert');
 const Issue = require('../../models/Issue');
 const Event = require('../../models/Event');
 const SentimentRecord = require('../../models/SentimentRecord');
+const Feedback = require('../../models/Feedback');
 const issueClassifier = require('../nlp/issueClassifier');
+const issueTaxonomy = require('../nlp/issueTaxonomy');
+const emotionLexicon = require('../nlp/emotionLexicon');
+const summarizer = require('../nlp/summarizer');
 const logger = require('../../utils/logger');
 const notificationService = require('./notificationService');
 const socketHandler = require('../realtime/socketHandler');
 
+// How far back fear-labelled feedback counts towards a safety alert
+const FEAR_WINDOW_MINUTES = 10;
+
 /**
  * Generate alerts based on feedback
  * @param {Object} feedbackData - Feedback data
@@ -31,13 +38,15 @@ exports.generateAlerts = async (feedbackData) => {
     const sentimentThreshold = event.alertSettings?.negativeSentimentThreshold || -0.5;
     const issueThreshold = event.alertSettings?.issueAlertThreshold || 3;
     
-    // Check for negative sentiment that exceeds threshold
-    if (feedbackData.sentiment === 'negative' && 
-        feedbackData.sentimentScore <= sentimentThreshold) {
-      const issueType = feedbackData.issueType || 'other';
-      const location = feedbackData.issueDetails?.location || null;
+    const location = feedbackData.issueDetails?.location || null;
+    const categories = issueTaxonomy.resolveCategories(event);
+    
+    for (const candidate of getIssueCandidates(feedbackData, sentimentThreshold)) {
+      // Types from a taxonomy the event has since replaced are filed under 'other'
+      const issueType = issueTaxonomy.hasCategory(categories, candidate.type) ? candidate.type : 'other';
+      const issueLabel = issueTaxonomy.getLabel(categories, issueType);
       
-      logger.info(`Detected negative sentiment feedback above threshold: ${feedbackData.sentimentScore} <= ${sentimentThreshold}`, {
+      logger.info(`Detected negative sentiment feedback above threshold: ${candidate.score} <= ${sentimentThreshold}`, {
         feedbackId: feedbackData._id,
         issueType
       });
@@ -60,7 +69,7 @@ exports.generateAlerts = async (feedbackData) => {
         // Update sentiment average
         const oldAvg = issue.metadata.sentimentAverage || 0;
         const oldCount = issue.metadata.feedbackCount - 1;
-        const newAvg = ((oldAvg * oldCount) + feedbackData.sentimentScore) / issue.metadata.feedbackCount;
+        const newAvg = ((oldAvg * oldCount) + candidate.score) / issue.metadata.feedbackCount;
         issue.metadata.sentimentAverage = newAvg;
         
         // If we've reached the feedback threshold, create an alert
@@ -71,7 +80,7 @@ exports.generateAlerts = async (feedbackData) => {
             issueType
           });
           
-          const alert = await createIssueAlert(issue, feedbackData);
+          const alert = await createIssueAlert(issue, feedbackData, issueLabel);
           generatedAlerts.push(alert);
         }
         
@@ -79,8 +88,8 @@ exports.generateAlerts = async (feedbackData) => {
       } else {
         // Create a new issue
         const severity = detectSeverity(
-          feedbackData.text, 
-          feedbackData.sentimentScore
+          candidate.text, 
+          candidate.score
         ).severity;
         
         logger.info(`Creating new issue for feedback: ${feedbackData._id}`, {
@@ -91,8 +100,8 @@ exports.generateAlerts = async (feedbackData) => {
         const newIssue = await Issue.create({
           event: feedbackData.event,
           type: issueType,
-          title: `${issueType.charAt(0).toUpperCase() + issueType.slice(1)} issue detected`,
-          description: `Issue detected from feedback: "${feedbackData.text}"`,
+          title: `${issueLabel} issue detected`,
+          description: `Issue detected from feedback: "${candidate.text}"`,
           location: location,
           severity: severity,
           feedback: [feedbackData._id],
@@ -101,7 +110,7 @@ exports.generateAlerts = async (feedbackData) => {
             firstDetectedAt: new Date(),
             lastMentionedAt: new Date(),
             keywords: feedbackData.metadata?.keywords || [],
-            sentimentAverage: feedbackData.sentimentScore
+            sentimentAverage: candidate.score
           }
         });
         
@@ -112,20 +121,35 @@ exports.generateAlerts = async (feedbackData) => {
             severity
           });
           
-          const alert = await createIssueAlert(newIssue, feedbackData);
+          const alert = await createIssueAlert(newIssue, feedbackData, issueLabel);
           generatedAlerts.push(alert);
         }
       }
     }
     
-    // Also check for sentiment trends that might need alerts
-    try {
-      const trendAlert = await checkForSentimentTrendAlert(feedbackData.event);
-      if (trendAlert) {
-        generatedAlerts.push(trendAlert);
+    // Frightened attendees point to a safety problem even before an issue forms
+    if (feedbackData.emotion === 'fear') {
+      try {
+        const fearAlert = await checkForFearSpikeAlert(event, categories);
+        if (fearAlert) {
+          generatedAlerts.push(fearAlert);
+        }
+      } catch (fearError) {
+        logger.error(`Error checking for fear spikes: ${fearError.message}`, { error: fearError });
+      }
+    }
+    
+    // Also check for sentiment trends that might need alerts; spam is left out
+    // of the sentiment records, so it shouldn't set off a trend check either
+    if (!feedbackData.spam?.isSpam) {
+      try {
+        const trendAlert = await checkForSentimentTrendAlert(feedbackData.event);
+        if (trendAlert) {
+          generatedAlerts.push(trendAlert);
+        }
+      } catch (trendError) {
+        logger.error(`Error checking for sentiment trends: ${trendError.message}`, { error: trendError });
       }
-    } catch (trendError) {
-      logger.error(`Error checking for sentiment trends: ${trendError.message}`, { error: trendError });
     }
     
     return generatedAlerts;
@@ -135,6 +159,141 @@ exports.generateAlerts = async (feedbackData) => {
   }
 };
 
+/**
+ * Regroup an event's feedback into issues after it has been re-scored. Issues
+ * staff haven't touched (still detected, unassigned, no alerts or status
+ * updates) are rebuilt from scratch; the others keep their feedback and take in
+ * new matches. No alerts are raised for historical feedback.
+ * @param {String} eventId - Event ID
+ * @returns {Promise<Object>} { removed, created, updated }
+ */
+exports.rebuildIssues = async (eventId) => {
+  const event = await Event.findById(eventId);
+  if (!event) {
+    throw new Error(`Event not found: ${eventId}`);
+  }
+  
+  const sentimentThreshold = event.alertSettings?.negativeSentimentThreshold || -0.5;
+  const categories = issueTaxonomy.resolveCategories(event);
+  
+  const { deletedCount } = await Issue.deleteMany({
+    event: eventId,
+    status: 'detected',
+    assignedTo: null,
+    alerts: { $size: 0 },
+    statusUpdates: { $size: 0 }
+  });
+  
+  const kept = await Issue.find({ event: eventId });
+  const claimed = new Set(kept.flatMap(issue => issue.feedback.map(id => id.toString())));
+  const activeIssues = new Map();
+  kept
+    .filter(issue => ['detected', 'confirmed', 'inProgress'].includes(issue.status))
+    .forEach(issue => {
+      const key = `${issue.type}|${issue.location}`;
+      if (!activeIssues.has(key)) {
+        activeIssues.set(key, issue);
+      }
+    });
+  
+  const changed = new Set();
+  let created = 0;
+  
+  const cursor = Feedback.find({
+    event: eventId,
+    'spam.isSpam': { $ne: true },
+    $or: [{ sentiment: 'negative' }, { 'aspects.sentiment': 'negative' }]
+  }).sort({ createdAt: 1 }).cursor();
+  
+  for await (const item of cursor) {
+    if (claimed.has(item._id.toString())) {
+      continue;
+    }
+    
+    const location = item.issueDetails?.location || null;
+    for (const candidate of getIssueCandidates(item, sentimentThreshold)) {
+      const issueType = issueTaxonomy.hasCategory(categories, candidate.type) ? candidate.type : 'other';
+      const key = `${issueType}|${location}`;
+      let issue = activeIssues.get(key);
+      
+      if (issue) {
+        const count = issue.metadata.feedbackCount || 0;
+        issue.feedback.push(item._id);
+        issue.metadata.feedbackCount = count + 1;
+        issue.metadata.sentimentAverage = (((issue.metadata.sentimentAverage || 0) * count) + candidate.score) / (count + 1);
+        if (!issue.metadata.lastMentionedAt || item.createdAt > issue.metadata.lastMentionedAt) {
+          issue.metadata.lastMentionedAt = item.createdAt;
+        }
+      } else {
+        const issueLabel = issueTaxonomy.getLabel(categories, issueType);
+        issue = new Issue({
+          event: eventId,
+          type: issueType,
+          title: `${issueLabel} issue detected`,
+          description: `Issue detected from feedback: "${candidate.text}"`,
+          location,
+          severity: detectSeverity(candidate.text, candidate.score).severity,
+          feedback: [item._id],
+          metadata: {
+            feedbackCount: 1,
+            firstDetectedAt: item.createdAt,
+            lastMentionedAt: item.createdAt,
+            keywords: item.metadata?.keywords || [],
+            sentimentAverage: candidate.score
+          },
+          createdAt: item.createdAt
+        });
+        activeIssues.set(key, issue);
+        created++;
+      }
+      
+      changed.add(issue);
+    }
+  }
+  
+  for (const issue of changed) {
+    await issue.save();
+  }
+  
+  logger.info(`Rebuilt issues for event ${eventId}`, { removed: deletedCount, created, updated: changed.size - created });
+  
+  return { removed: deletedCount, created, updated: changed.size - created };
+};
+
+/**
+ * Work out which issues a feedback item should count towards. Each negative
+ * aspect feeds its own issue; items with no negative aspect fall back to the
+ * overall sentiment and issueType.
+ * @param {Object} feedbackData - Feedback data
+ * @param {Number} sentimentThreshold - Event's negative sentiment threshold
+ * @returns {Array} [{ type, score, text }], one per issue type
+ */
+const getIssueCandidates = (feedbackData, sentimentThreshold) => {
+  const negativeAspects = (feedbackData.aspects || []).filter(aspect => aspect.sentiment === 'negative');
+  
+  if (negativeAspects.length > 0) {
+    const byType = {};
+    negativeAspects
+      .filter(aspect => aspect.score <= sentimentThreshold)
+      .forEach(aspect => {
+        if (!byType[aspect.aspect] || aspect.score < byType[aspect.aspect].score) {
+          byType[aspect.aspect] = { type: aspect.aspect, score: aspect.score, text: aspect.span };
+        }
+      });
+    return Object.values(byType);
+  }
+  
+  if (feedbackData.sentiment === 'negative' && feedbackData.sentimentScore <= sentimentThreshold) {
+    return [{
+      type: feedbackData.issueType || 'other',
+      score: feedbackData.sentimentScore,
+      text: feedbackData.text
+    }];
+  }
+  
+  return [];
+};
+
 /**
  * Check if there is already an active alert for an issue
  * @param {String} issueId - Issue ID
@@ -158,19 +317,32 @@ const hasActiveAlertForIssue = async (issueId) => {
  * Create an alert for an issue
  * @param {Object} issue - Issue object
  * @param {Object} feedbackData - Latest feedback data
+ * @param {String} issueLabel - Display label of the issue's category
  * @returns {Promise<Object>} Created alert
  */
-const createIssueAlert = async (issue, feedbackData) => {
+const createIssueAlert = async (issue, feedbackData, issueLabel) => {
   try {
     let alertSeverity = issue.severity;
     
+    // Summarize everything behind the issue so on-call staff needn't read each item
+    let summary = null;
+    try {
+      summary = await summarizer.summarizeFeedback(issue.feedback);
+    } catch (summaryError) {
+      logger.warn(`Issue summary error: ${summaryError.message}, using latest feedback`);
+    }
+    
+    const details = summary?.highlights.length > 0
+      ? summary.text
+      : `Latest feedback: "${feedbackData.text}"`;
+    
     // Create alert
     const alert = await Alert.create({
       event: issue.event,
       type: 'issue',
       severity: alertSeverity,
-      title: `${issue.type.charAt(0).toUpperCase() + issue.type.slice(1)} issue detected`,
-      description: `Multiple attendees have reported issues with ${issue.type}${issue.location ? ` in ${issue.location}` : ''}. Latest feedback: "${feedbackData.text}"`,
+      title: `${issueLabel} issue detected`,
+      description: `Multiple attendees have reported issues with ${issueLabel}${issue.location ? ` in ${issue.location}` : ''}. ${details}`,
       category: issue.type,
       location: issue.location,
       relatedFeedback: [...issue.feedback],
@@ -179,7 +351,13 @@ const createIssueAlert = async (issue, feedbackData) => {
         sentimentAverage: issue.metadata.sentimentAverage || feedbackData.sentimentScore,
         detectionMethod: 'automatic',
         keywords: issue.metadata.keywords || [],
-        autoResolveDue: new Date(Date.now() + (60 * 60 * 1000)) // 1 hour auto-resolve
+        autoResolveDue: new Date(Date.now() + (60 * 60 * 1000)), // 1 hour auto-resolve
+        ...(summary && {
+          summary: {
+            total: summary.total,
+            highlights: summary.highlights.map(({ text, count }) => ({ text, count }))
+          }
+        })
       },
       statusUpdates: [{
         status: 'new',
@@ -356,6 +534,107 @@ const checkForSentimentTrendAlert = async (eventId) => {
   }
 };
 
+/**
+ * Raise (or update) a safety alert when fear-labelled feedback spikes
+ * @param {Object} event - Event document
+ * @param {Array} categories - Event issue categories
+ * @returns {Promise<Object|null>} Created or updated alert, or null
+ */
+const checkForFearSpikeAlert = async (event, categories) => {
+  const fearThreshold = event.alertSettings?.fearAlertThreshold || 3;
+  const windowStart = new Date(Date.now() - FEAR_WINDOW_MINUTES * 60 * 1000);
+  
+  // Counted from feedback rather than minute records, which not every intake path updates
+  const fearQuery = {
+    event: event._id,
+    emotion: 'fear',
+    'spam.isSpam': { $ne: true },
+    createdAt: { $gte: windowStart }
+  };
+  
+  // Nerves about a talk or a demo aren't a safety problem; only fear about
+  // something at the venue counts
+  const fearFeedback = (await Feedback.find(fearQuery).sort({ createdAt: -1 }).select('_id text issueType'))
+    .filter(item => item.issueType === 'safety' || emotionLexicon.hasSafetyContext(item.text));
+  const fearCount = fearFeedback.length;
+  
+  if (fearCount < fearThreshold) {
+    return null;
+  }
+  
+  const recentFeedback = fearFeedback.slice(0, 20);
+  
+  // Events without a safety category still get the alert, as an emergency
+  const category = issueTaxonomy.hasCategory(categories, 'safety') ? 'safety' : 'emergency';
+  const severity = fearCount >= fearThreshold * 2 ? 'critical' : 'high';
+  const description = `${fearCount} attendees expressed fear in the last ${FEAR_WINDOW_MINUTES} minutes.` +
+    (recentFeedback.length > 0 ? ` Latest feedback: "${recentFeedback[0].text}"` : '');
+  
+  const existingAlert = await Alert.findOne({
+    event: event._id,
+    type: 'sentiment',
+    'metadata.detectionMethod': 'emotion',
+    status: { $in: ['new', 'acknowledged', 'inProgress'] }
+  });
+  
+  if (existingAlert) {
+    existingAlert.description = description;
+    existingAlert.metadata.issueCount = fearCount;
+    if (severity === 'critical') {
+      existingAlert.severity = severity;
+    }
+    existingAlert.relatedFeedback = [...new Set([
+      ...existingAlert.relatedFeedback.map(id => id.toString()),
+      ...recentFeedback.map(item => item._id.toString())
+    ])];
+    await existingAlert.save();
+    
+    logger.info(`Updated fear spike alert: ${existingAlert._id}`, { fearCount });
+    
+    return existingAlert;
+  }
+  
+  const alert = await Alert.create({
+    event: event._id,
+    type: 'sentiment',
+    severity,
+    title: 'Possible safety problem: attendees are afraid',
+    description,
+    category,
+    relatedFeedback: recentFeedback.map(item => item._id),
+    metadata: {
+      issueCount: fearCount,
+      detectionMethod: 'emotion',
+      keywords: ['fear'],
+      autoResolveDue: new Date(Date.now() + (60 * 60 * 1000)) // 1 hour auto-resolve
+    },
+    statusUpdates: [{
+      status: 'new',
+      note: 'Alert automatically created based on a spike in fearful feedback',
+      timestamp: new Date()
+    }]
+  });
+  
+  try {
+    await notificationService.sendAlertNotification(alert);
+  } catch (notificationError) {
+    logger.error(`Error sending fear spike alert notification: ${notificationError.message}`, { error: notificationError });
+  }
+  
+  try {
+    const io = global.io;
+    if (io) {
+      socketHandler.broadcastAlert(io, alert);
+    }
+  } catch (socketError) {
+    logger.error(`Error broadcasting fear spike alert: ${socketError.message}`, { error: socketError });
+  }
+  
+  logger.info(`Created fear spike alert: ${alert._id}`, { fearCount, severity });
+  
+  return alert;
+};
+
 /**
  * Create a manual alert
  * @param {Object} alertData - Alert data
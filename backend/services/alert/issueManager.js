@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+const Issue = require('../../models/Issue');
+const Alert = require('../../models/Alert');
+const Event = require('../../models/Event');
+const socketHandler = require('../realtime/socketHandler');
+const logger = require('../../utils/logger');
+const createError = require('../../utils/createError');
+
+const ACTIVE_STATUSES = ['detected', 'confirmed', 'inProgress'];
+
+// Closed issues can only be reopened; anything active can move anywhere
+const STATUS_TRANSITIONS = {
+  detected: ['confirmed', 'inProgress', 'resolved', 'falsePositive'],
+  confirmed: ['inProgress', 'resolved', 'falsePositive'],
+  inProgress: ['confirmed', 'resolved', 'falsePositive'],
+  resolved: ['confirmed'],
+  falsePositive: ['detected']
+};
+
+// Alert status an issue's open alerts move to when the issue is closed
+const ALERT_CASCADE = {
+  resolved: 'resolved',
+  falsePositive: 'ignored'
+};
+
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Move an issue through its workflow, closing its open alerts when the
+ * issue is resolved or marked as a false positive
+ * @param {Object} io - Socket.io instance for broadcasting (optional)
+ * @param {Object} issue - Issue document
+ * @param {Object} update - { status, note, resolutionNotes, userId }
+ * @returns {Promise<Object>} { issue, alerts } with the alerts that were closed
+ */
+exports.updateStatus = async (io, issue, update) => {
+  const { status, note, resolutionNotes, userId } = update;
+
+  if (!STATUS_TRANSITIONS[status]) {
+    throw createError(`Invalid status: ${status}`, 400);
+  }
+  if (issue.status === status) {
+    throw createError(`Issue is already ${status}`, 400);
+  }
+  if (!STATUS_TRANSITIONS[issue.status].includes(status)) {
+    throw createError(`Cannot change an issue from ${issue.status} to ${status}`, 400);
+  }
+
+  issue.status = status;
+  if (status === 'resolved' && resolutionNotes !== undefined) {
+    issue.resolutionNotes = resolutionNotes;
+  }
+  issue.statusUpdates.push({
+    status,
+    note: note || resolutionNotes || '',
+    updatedBy: userId,
+    timestamp: new Date()
+  });
+
+  await issue.save();
+
+  const alerts = await cascadeToAlerts(io, issue, userId);
+
+  broadcast(io, issue);
+
+  return { issue, alerts };
+};
+
+/**
+ * Assign an issue to one of the event's owners or organizers
+ * @param {Object} io - Socket.io instance for broadcasting (optional)
+ * @param {Object} issue - Issue document
+ * @param {String|null} assigneeId - User ID, or null to unassign
+ * @param {String} userId - User making the change
+ * @returns {Promise<Object>} Updated issue
+ */
+exports.assignIssue = async (io, issue, assigneeId, userId) => {
+  if (assigneeId) {
+    const assignees = await exports.getAssignableUserIds(issue.event);
+    if (!assignees.includes(String(assigneeId))) {
+      throw createError('Issues can only be assigned to the event owner or organizers', 400);
+    }
+  }
+
+  issue.assignedTo = assigneeId || null;
+  issue.statusUpdates.push({
+    status: issue.status,
+    note: assigneeId ? 'Assigned' : 'Unassigned',
+    updatedBy: userId,
+    timestamp: new Date()
+  });
+
+  await issue.save();
+
+  broadcast(io, issue);
+
+  return issue;
+};
+
+/**
+ * Get the IDs of users an event's issues can be assigned to
+ * @param {String} eventId - Event ID
+ * @returns {Promise<Array>} User IDs as strings
+ */
+exports.getAssignableUserIds = async (eventId) => {
+  const event = await Event.findById(eventId).select('owner organizers');
+  if (!event) {
+    return [];
+  }
+
+  return [...new Set([event.owner, ...event.organizers].map(String))];
+};
+
+/**
+ * Fold duplicate issues into one. The target keeps its status and title and
+ * takes over the sources' feedback, alerts and metadata; the sources are deleted.
+ * @param {Object} io - Socket.io instance for broadcasting (optional)
+ * @param {Object} target - Issue document to keep
+ * @param {Array} sourceIds - IDs of the issues to merge into the target
+ * @param {String} userId - User making the change
+ * @returns {Promise<Object>} { issue, merged } with the merged issue IDs
+ */
+exports.mergeIssues = async (io, target, sourceIds, userId) => {
+  const ids = [...new Set((Array.isArray(sourceIds) ? sourceIds : []).map(String))]
+    .filter(id => id !== String(target._id));
+
+  if (ids.length === 0) {
+    throw createError('Please provide at least one other issue to merge', 400);
+  }
+  if (ids.some(id => !mongoose.isValidObjectId(id))) {
+    throw createError('Issue not found', 404);
+  }
+
+  const sources = await Issue.find({ _id: { $in: ids }, event: target.event });
+  if (sources.length !== ids.length) {
+    throw createError('Issues can only be merged within the same event', 400);
+  }
+
+  const issues = [target, ...sources];
+  const weightedSentiment = issues.reduce((acc, issue) => {
+    if (typeof issue.metadata.sentimentAverage === 'number') {
+      const weight = issue.metadata.feedbackCount || 1;
+      acc.total += issue.metadata.sentimentAverage * weight;
+      acc.weight += weight;
+    }
+    return acc;
+  }, { total: 0, weight: 0 });
+
+  target.feedback = uniqueIds(issues.flatMap(issue => issue.feedback));
+  target.alerts = uniqueIds(issues.flatMap(issue => issue.alerts));
+  target.metadata.feedbackCount = target.feedback.length;
+  target.metadata.firstDetectedAt = new Date(Math.min(...issues.map(issue => issue.metadata.firstDetectedAt)));
+  target.metadata.lastMentionedAt = new Date(Math.max(...issues.map(issue => issue.metadata.lastMentionedAt)));
+  target.metadata.keywords = [...new Set(issues.flatMap(issue => issue.metadata.keywords || []))];
+  if (weightedSentiment.weight > 0) {
+    target.metadata.sentimentAverage = weightedSentiment.total / weightedSentiment.weight;
+  }
+  target.severity = issues.reduce((severity, issue) =>
+    SEVERITY_ORDER.indexOf(issue.severity) > SEVERITY_ORDER.indexOf(severity) ? issue.severity : severity,
+  target.severity);
+  if (!target.assignedTo) {
+    const assigned = sources.find(issue => issue.assignedTo);
+    target.assignedTo = assigned ? assigned.assignedTo : null;
+  }
+  target.statusUpdates.push({
+    status: target.status,
+    note: `Merged ${sources.length} issue(s): ${sources.map(issue => issue.title).join('; ')}`,
+    updatedBy: userId,
+    timestamp: new Date()
+  });
+
+  await target.save();
+  await Issue.deleteMany({ _id: { $in: sources.map(issue => issue._id) } });
+
+  // Alerts picked up from the sources follow the target if it is already closed
+  await cascadeToAlerts(io, target, userId);
+
+  logger.info(`Merged ${sources.length} issue(s) into ${target._id}`, { eventId: target.event });
+
+  broadcast(io, target, sources.map(issue => issue._id));
+
+  return { issue: target, merged: sources.map(issue => issue._id) };
+};
+
+/**
+ * Close an issue's open alerts to match a resolved or false-positive issue
+ * @param {Object} io - Socket.io instance for broadcasting (optional)
+ * @param {Object} issue - Issue document
+ * @param {String} userId - User making the change
+ * @returns {Promise<Array>} Alerts that were updated
+ */
+const cascadeToAlerts = async (io, issue, userId) => {
+  const alertStatus = ALERT_CASCADE[issue.status];
+  if (!alertStatus || issue.alerts.length === 0) {
+    return [];
+  }
+
+  const alerts = await Alert.find({
+    _id: { $in: issue.alerts },
+    status: { $nin: ['resolved', 'ignored'] }
+  });
+
+  const note = issue.status === 'resolved'
+    ? `Issue resolved${issue.resolutionNotes ? `: ${issue.resolutionNotes}` : ''}`
+    : 'Issue marked as a false positive';
+
+  for (const alert of alerts) {
+    alert.status = alertStatus;
+    alert.statusUpdates.push({
+      status: alertStatus,
+      note,
+      updatedBy: userId,
+      timestamp: new Date()
+    });
+    if (alertStatus === 'resolved' && !alert.resolvedAt) {
+      alert.resolvedAt = new Date();
+    }
+    await alert.save();
+
+    if (io) {
+      socketHandler.broadcastAlert(io, alert);
+    }
+  }
+
+  return alerts;
+};
+
+const broadcast = (io, issue, mergedIds) => {
+  if (io) {
+    socketHandler.broadcastIssue(io, issue, mergedIds);
+  }
+};
+
+const uniqueIds = (ids) => {
+  const seen = new Set();
+  return ids.filter(id => {
+    const key = String(id);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+};
+
+exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
@@ -3,6 +3,7 @@ const Event = require('../../models/Event');
 const Alert = require('../../models/Alert');
 const sendEmail = require('../../utils/sendEmail');
 const logger = require('../../utils/logger');
+const summarizer = require('../nlp/summarizer');
 
 const initTwilioClient = () => {
   if (
@@ -224,6 +225,27 @@ const getSeverityEmoji = (severity) => {
   }
 };
 
+// Issue alerts store their summary; others are summarized from their feedback
+const getAlertHighlights = async (alert) => {
+  if (alert.metadata?.summary?.highlights?.length > 0) {
+    return alert.metadata.summary.highlights;
+  }
+  if (!alert.relatedFeedback || alert.relatedFeedback.length === 0) {
+    return [];
+  }
+
+  try {
+    const summary = await summarizer.summarizeFeedback(alert.relatedFeedback, { maxSentences: 2 });
+    return summary.highlights;
+  } catch (error) {
+    logger.warn(`Alert summary error: ${error.message}`, { alertId: alert._id });
+    return [];
+  }
+};
+
+const formatHighlights = (highlights, indent) => highlights
+  .map(highlight => `${indent}- "${highlight.text}" (${highlight.count} mention${highlight.count === 1 ? '' : 's'})\n`)
+  .join('');
 
 exports.sendAlertDigest = async (eventId) => {
   try {
@@ -263,6 +285,15 @@ exports.sendAlertDigest = async (eventId) => {
     digestContent += `Time: ${new Date().toLocaleString()}\n`;
     digestContent += `Total Alerts: ${alerts.length} in the last hour\n\n`;
     
+    try {
+      const summary = await summarizer.summarizeWindow(eventId, { startTime: lastHour, sentiment: 'negative' });
+      if (summary.highlights.length > 0) {
+        digestContent += `### What attendees complained about\n\n${formatHighlights(summary.highlights, '')}\n`;
+      }
+    } catch (summaryError) {
+      logger.warn(`Digest summary error: ${summaryError.message}`);
+    }
+    
     const alertsByType = {};
     alerts.forEach(alert => {
       if (!alertsByType[alert.type]) {
@@ -271,19 +302,24 @@ exports.sendAlertDigest = async (eventId) => {
       alertsByType[alert.type].push(alert);
     });
     
-    Object.entries(alertsByType).forEach(([type, typeAlerts]) => {
+    for (const [type, typeAlerts] of Object.entries(alertsByType)) {
       digestContent += `### ${type.charAt(0).toUpperCase() + type.slice(1)} Alerts (${typeAlerts.length})\n\n`;
       
-      typeAlerts.forEach(alert => {
+      for (const alert of typeAlerts) {
         digestContent += `- ${getSeverityEmoji(alert.severity)} **${alert.title}**`;
         if (alert.location) {
           digestContent += ` at ${alert.location}`;
         }
         digestContent += `\n`;
-      });
+        
+        const highlights = await getAlertHighlights(alert);
+        if (highlights.length > 0) {
+          digestContent += formatHighlights(highlights, '  ');
+        }
+      }
       
       digestContent += `\n`;
-    });
+    }
     
     digestContent += `View all alerts at: ${process.env.CLIENT_URL || 'http://localhost:3000'}/events/${eventId}/alerts\n`;
     
@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Feedback = require('../../models/Feedback');
+const LabeledExample = require('../../models/LabeledExample');
+const sentimentAnalyzer = require('../nlp/sentimentAnalyzer');
+const sentimentAggregator = require('./sentimentAggregator');
+const alertGenerator = require('../alert/alertGenerator');
+const socketHandler = require('../realtime/socketHandler');
+const logger = require('../../utils/logger');
+const createError = require('../../utils/createError');
+
+// 'outdated' only re-scores items from another pipeline version
+exports.SCOPES = ['outdated', 'all'];
+
+const BATCH_SIZE = 100;
+const PREVIEW_SAMPLE = 200;
+const MAX_EXAMPLES = 10;
+
+// Finished jobs stay readable this long
+const JOB_TTL = 60 * 60 * 1000;
+
+// Labels compared between the stored and the new scores
+const COMPARED_FIELDS = ['sentiment', 'issueType', 'emotion'];
+
+// jobId -> job state
+const jobs = new Map();
+
+/**
+ * Count an event's feedback per scoring version
+ * @param {String} eventId - Event ID
+ * @returns {Promise<Object>} { currentVersion, versions: [{ version, count }] }
+ */
+exports.getVersionBreakdown = async (eventId) => {
+  const versions = await Feedback.aggregate([
+    { $match: { event: new mongoose.Types.ObjectId(eventId) } },
+    { $group: { _id: '$scoring.version', count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+
+  return {
+    currentVersion: sentimentAnalyzer.getScoringVersion(),
+    versions: versions.map(item => ({ version: item._id || null, count: item.count }))
+  };
+};
+
+/**
+ * Re-score a sample of the feedback without saving, to see how many labels
+ * a full re-score would change
+ * @param {String} eventId - Event ID
+ * @param {Object} options - { scope, sampleSize }
+ * @returns {Promise<Object>} { total, sampled, changed, estimatedChanged, transitions, examples, currentVersion, versions }
+ */
+exports.previewRescore = async (eventId, options = {}) => {
+  const { scope = 'outdated', sampleSize = PREVIEW_SAMPLE } = options;
+  const query = buildQuery(eventId, scope);
+
+  const total = await Feedback.countDocuments(query);
+  const sample = await Feedback.find(query).sort({ createdAt: -1 }).limit(sampleSize);
+  const corrections = await loadCorrections(eventId);
+
+  const diff = createDiff();
+  for (const item of sample) {
+    const result = await rescoreItem(item, corrections);
+    if (result) {
+      recordDiff(diff, item, result.labels);
+    }
+  }
+
+  return {
+    total,
+    sampled: sample.length,
+    changed: diff.changed,
+    estimatedChanged: sample.length > 0 ? Math.round((diff.changed.any / sample.length) * total) : 0,
+    transitions: diff.transitions,
+    examples: diff.examples,
+    ...await exports.getVersionBreakdown(eventId)
+  };
+};
+
+/**
+ * Re-score an event's feedback in the background, then rebuild its sentiment
+ * records and issues. Progress goes to staff sockets and can be polled.
+ * @param {Object} io - Socket.io instance, may be undefined
+ * @param {String} eventId - Event ID
+ * @param {Object} options - { scope, userId }
+ * @returns {Object} Job state; the job itself continues in the background
+ */
+exports.startRescore = (io, eventId, options = {}) => {
+  const running = [...jobs.values()].find(job => job.eventId === String(eventId) && job.status === 'running');
+  if (running) {
+    throw createError(`A re-score is already running for this event (${running.jobId})`, 409);
+  }
+
+  const job = {
+    jobId: `rsc_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`,
+    eventId: String(eventId),
+    scope: options.scope || 'outdated',
+    version: sentimentAnalyzer.getScoringVersion(),
+    status: 'running',
+    stage: 'rescoring',
+    total: 0,
+    processed: 0,
+    failed: 0,
+    changed: null,
+    issues: null,
+    startedBy: options.userId || null,
+    startedAt: new Date(),
+    finishedAt: null
+  };
+  jobs.set(job.jobId, job);
+
+  const report = () => {
+    if (io) {
+      socketHandler.broadcastRescoreProgress(io, job.eventId, { ...job });
+    }
+  };
+
+  runRescore(job, report)
+    .then(() => {
+      job.status = 'completed';
+      logger.info(`Feedback re-score ${job.jobId} finished`, {
+        eventId: job.eventId,
+        processed: job.processed,
+        failed: job.failed,
+        changed: job.changed.any
+      });
+    })
+    .catch(error => {
+      job.status = 'failed';
+      job.error = error.message;
+      logger.error(`Feedback re-score error: ${error.message}`, { error, jobId: job.jobId, eventId: job.eventId });
+    })
+    .finally(() => {
+      job.finishedAt = new Date();
+      report();
+      setTimeout(() => jobs.delete(job.jobId), JOB_TTL).unref();
+    });
+
+  return { ...job };
+};
+
+/**
+ * Get a re-score job's state
+ * @param {String} jobId - Job ID
+ * @returns {Object|null} Job state
+ */
+exports.getJob = (jobId) => {
+  const job = jobs.get(jobId);
+  return job ? { ...job } : null;
+};
+
+const runRescore = async (job, report) => {
+  const query = buildQuery(job.eventId, job.scope);
+  const corrections = await loadCorrections(job.eventId);
+  const diff = createDiff();
+
+  job.total = await Feedback.countDocuments(query);
+  report();
+
+  // Walk by _id so items re-scored earlier in the run aren't picked up again
+  let lastId = null;
+  for (;;) {
+    const batch = await Feedback.find(lastId ? { ...query, _id: { $gt: lastId } } : query)
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE);
+    if (batch.length === 0) {
+      break;
+    }
+
+    for (const item of batch) {
+      const result = await rescoreItem(item, corrections);
+      if (result) {
+        await Feedback.updateOne({ _id: item._id }, { $set: result.updates });
+        recordDiff(diff, item, result.labels);
+      } else {
+        job.failed++;
+      }
+      job.processed++;
+    }
+
+    lastId = batch[batch.length - 1]._id;
+    job.changed = diff.changed;
+    report();
+  }
+
+  job.changed = diff.changed;
+  job.stage = 'rollups';
+  report();
+  await sentimentAggregator.recalculateHistoricalData(job.eventId);
+
+  job.stage = 'issues';
+  report();
+  job.issues = await alertGenerator.rebuildIssues(job.eventId);
+  job.stage = 'done';
+};
+
+/**
+ * Run a stored item through the pipeline again. Text stays as stored (already
+ * redacted) and spam decisions are kept, since they depend on the posts around
+ * the item when it arrived. Organizer corrections win over the new labels.
+ * @param {Object} item - Feedback document
+ * @param {Map} corrections - Feedback ID -> { sentiment, issueType }
+ * @returns {Promise<Object|null>} { updates, labels }, or null if processing failed
+ */
+const rescoreItem = async (item, corrections) => {
+  const stored = item.toObject();
+  const autoLocation = Boolean(stored.issueDetails?.locationMethod);
+
+  // Stored createdAt and spam so the item is scored as it arrived, not as of now
+  const processed = await sentimentAnalyzer.processFeedback({
+    event: stored.event,
+    source: stored.source,
+    text: stored.text,
+    createdAt: stored.createdAt,
+    metadata: stored.metadata,
+    issueDetails: { location: autoLocation ? null : stored.issueDetails?.location || null }
+  }, { spam: stored.spam });
+
+  if (!processed.processed) {
+    return null;
+  }
+
+  const correction = corrections.get(String(item._id)) || {};
+  const updates = {
+    emotion: processed.emotion,
+    emotionScore: processed.emotionScore,
+    issueType: correction.issueType !== undefined ? correction.issueType : processed.issueType,
+    aspects: processed.aspects,
+    'moderation.toxic': processed.moderation.toxic,
+    'moderation.toxicityScore': processed.moderation.toxicityScore,
+    'moderation.toxicityLabels': processed.moderation.toxicityLabels,
+    'moderation.method': processed.moderation.method,
+    'metadata.language': processed.metadata.language,
+    'metadata.analysisMethod': processed.metadata.analysisMethod,
+    scoring: processed.scoring
+  };
+
+  if (!correction.sentiment) {
+    updates.sentiment = processed.sentiment;
+    updates.sentimentScore = processed.sentimentScore;
+  }
+
+  if (autoLocation || !stored.issueDetails?.location) {
+    updates['issueDetails.location'] = processed.issueDetails?.location || null;
+    updates['issueDetails.locationConfidence'] = processed.issueDetails?.locationConfidence ?? null;
+    updates['issueDetails.locationMethod'] = processed.issueDetails?.locationMethod || null;
+  }
+
+  return {
+    updates,
+    labels: {
+      sentiment: correction.sentiment || processed.sentiment,
+      issueType: updates.issueType,
+      emotion: processed.emotion
+    }
+  };
+};
+
+const buildQuery = (eventId, scope) => (scope === 'all'
+  ? { event: eventId }
+  : { event: eventId, 'scoring.version': { $ne: sentimentAnalyzer.getScoringVersion() } });
+
+const loadCorrections = async (eventId) => {
+  const examples = await LabeledExample.find({ event: eventId }).select('feedback sentiment issueType');
+  return new Map(examples.map(example => [String(example.feedback), {
+    sentiment: example.sentiment || null,
+    issueType: example.issueType || undefined
+  }]));
+};
+
+const createDiff = () => ({
+  changed: { any: 0, ...COMPARED_FIELDS.reduce((acc, field) => ({ ...acc, [field]: 0 }), {}) },
+  transitions: COMPARED_FIELDS.reduce((acc, field) => ({ ...acc, [field]: {} }), {}),
+  examples: []
+});
+
+// Tally which labels moved, e.g. transitions.sentiment['neutral -> negative']
+const recordDiff = (diff, item, labels) => {
+  const moved = COMPARED_FIELDS.filter(field => (item[field] || null) !== (labels[field] || null));
+  if (moved.length === 0) {
+    return;
+  }
+
+  diff.changed.any++;
+  moved.forEach(field => {
+    diff.changed[field]++;
+    const key = `${item[field] || 'none'} -> ${labels[field] || 'none'}`;
+    diff.transitions[field][key] = (diff.transitions[field][key] || 0) + 1;
+  });
+
+  if (diff.examples.length < MAX_EXAMPLES) {
+    diff.examples.push({
+      id: item._id,
+      text: item.text,
+      before: COMPARED_FIELDS.reduce((acc, field) => ({ ...acc, [field]: item[field] || null }), {}),
+      after: COMPARED_FIELDS.reduce((acc, field) => ({ ...acc, [field]: labels[field] || null }), {})
+    });
+  }
+};
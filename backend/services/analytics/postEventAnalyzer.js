@@ -3,6 +3,9 @@ const Alert = require('../../models/Alert');
 const Feedback = require('../../models/Feedback');
 const Issue = require('../../models/Issue');
 const SentimentRecord = require('../../models/SentimentRecord');
+const surveyAnalyzer = require('./surveyAnalyzer');
+const topicClusterer = require('./topicClusterer');
+const issueTaxonomy = require('../nlp/issueTaxonomy');
 const logger = require('../../utils/logger');
 
 class PostEventAnalyzer {
@@ -35,12 +38,16 @@ class PostEventAnalyzer {
         feedbackData,
         alertsData,
         issuesData,
-        sentimentData
+        sentimentData,
+        surveyData,
+        topicData
       ] = await Promise.all([
         this.analyzeFeedback(eventId),
         this.analyzeAlerts(eventId),
         this.analyzeIssues(eventId),
-        this.analyzeSentimentTrends(eventId)
+        this.analyzeSentimentTrends(eventId),
+        surveyAnalyzer.getEventSurveyResults(eventId),
+        topicClusterer.clusterFeedback(eventId, { minClusterSize: 3, maxClusters: 15, sample: 'spread' })
       ]);
 
       // Generate key insights based on collected data
@@ -49,6 +56,7 @@ class PostEventAnalyzer {
         alertsData,
         issuesData,
         sentimentData,
+        surveyData,
         event
       );
 
@@ -68,18 +76,22 @@ class PostEventAnalyzer {
           feedbackData,
           alertsData,
           issuesData,
-          sentimentData
+          sentimentData,
+          surveyData
         ),
         feedback: feedbackData,
         alerts: alertsData,
         issues: issuesData,
         sentiment: sentimentData,
+        surveys: surveyData,
+        topics: topicData,
         insights: insights,
         improvement: this.generateImprovementRecommendations(
           feedbackData,
           alertsData,
           issuesData,
-          sentimentData
+          sentimentData,
+          surveyData
         )
       };
     } catch (error) {
@@ -96,6 +108,7 @@ class PostEventAnalyzer {
   static async analyzeFeedback(eventId) {
     try {
       const feedback = await Feedback.find({ event: eventId });
+      const categories = await issueTaxonomy.getEventTaxonomy(eventId);
 
       // Calculate sentiment distribution
       const sentimentCounts = { positive: 0, neutral: 0, negative: 0 };
@@ -213,7 +226,12 @@ class PostEventAnalyzer {
 
       // Top issues by count
       const topIssues = Object.entries(issueTypes)
-        .map(([issue, count]) => ({ issue, count, percentage: issuePercentages[issue] }))
+        .map(([issue, count]) => ({
+          issue,
+          label: issueTaxonomy.getLabel(categories, issue),
+          count,
+          percentage: issuePercentages[issue]
+        }))
         .sort((a, b) => b.count - a.count);
 
       // Calculate overall sentiment metrics
@@ -618,9 +636,10 @@ class PostEventAnalyzer {
    * @param {Object} alertsData - Alerts analysis data
    * @param {Object} issuesData - Issues analysis data
    * @param {Object} sentimentData - Sentiment trend analysis data
+   * @param {Object} surveyData - Survey results with NPS/CSAT
    * @returns {Object} Executive summary
    */
-  static generateExecutiveSummary(feedbackData, alertsData, issuesData, sentimentData) {
+  static generateExecutiveSummary(feedbackData, alertsData, issuesData, sentimentData, surveyData) {
     // Overall success score (0-100)
     let overallScore = 50; // Start at neutral
 
@@ -688,7 +707,10 @@ class PostEventAnalyzer {
       averageAlertResponseTime: alertsData.averageResponseTimeMinutes,
       issuesTotal: issuesData.total,
       issuesResolutionRate: issuesData.resolutionRate.toFixed(1),
-      unresolvedIssuesCount: issuesData.unresolvedCount
+      unresolvedIssuesCount: issuesData.unresolvedCount,
+      surveyResponses: surveyData.responseCount,
+      nps: surveyData.nps ? surveyData.nps.score : null,
+      csat: surveyData.csat ? surveyData.csat.score : null
     };
   }
 
@@ -698,10 +720,11 @@ class PostEventAnalyzer {
    * @param {Object} alertsData - Alerts analysis data
    * @param {Object} issuesData - Issues analysis data
    * @param {Object} sentimentData - Sentiment trend analysis data
+   * @param {Object} surveyData - Survey results with NPS/CSAT
    * @param {Object} event - Event data
    * @returns {Array} Key insights list
    */
-  static generateKeyInsights(feedbackData, alertsData, issuesData, sentimentData, event) {
+  static generateKeyInsights(feedbackData, alertsData, issuesData, sentimentData, surveyData, event) {
     const insights = [];
 
     // Event scale insight
@@ -744,7 +767,7 @@ class PostEventAnalyzer {
       insights.push({
         type: 'warning',
         title: 'Primary Reported Issues',
-        content: `The most common issue type was "${feedbackData.topIssues[0].issue}" (${Math.round(feedbackData.topIssues[0].percentage)}% of negative feedback), followed by ${feedbackData.topIssues.length > 1 ? `"${feedbackData.topIssues[1].issue}" (${Math.round(feedbackData.topIssues[1].percentage)}%)` : 'no other significant issues'}.`
+        content: `The most common issue type was "${feedbackData.topIssues[0].label}" (${Math.round(feedbackData.topIssues[0].percentage)}% of negative feedback), followed by ${feedbackData.topIssues.length > 1 ? `"${feedbackData.topIssues[1].label}" (${Math.round(feedbackData.topIssues[1].percentage)}%)` : 'no other significant issues'}.`
       });
     }
 
@@ -819,6 +842,24 @@ class PostEventAnalyzer {
       });
     }
 
+    // Survey score insights
+    if (surveyData.nps) {
+      const { score, promoters, detractors, total } = surveyData.nps;
+      insights.push({
+        type: score >= 30 ? 'positive' : score < 0 ? 'negative' : 'neutral',
+        title: 'Net Promoter Score',
+        content: `Attendees gave the event an NPS of ${score} from ${total} answers (${promoters} promoters, ${detractors} detractors).`
+      });
+    }
+
+    if (surveyData.csat) {
+      insights.push({
+        type: surveyData.csat.score >= 80 ? 'positive' : surveyData.csat.score < 60 ? 'negative' : 'neutral',
+        title: 'Attendee Satisfaction',
+        content: `${surveyData.csat.score}% of survey ratings were in the top two points of their scale.`
+      });
+    }
+
     return insights;
   }
 
@@ -828,9 +869,10 @@ class PostEventAnalyzer {
    * @param {Object} alertsData - Alerts analysis data
    * @param {Object} issuesData - Issues analysis data
    * @param {Object} sentimentData - Sentiment trend analysis data
+   * @param {Object} surveyData - Survey results with NPS/CSAT
    * @returns {Array} Improvement recommendations
    */
-  static generateImprovementRecommendations(feedbackData, alertsData, issuesData, sentimentData) {
+  static generateImprovementRecommendations(feedbackData, alertsData, issuesData, sentimentData, surveyData) {
     const recommendations = [];
     
     // Issues-based recommendations
@@ -913,8 +955,8 @@ class PostEventAnalyzer {
         default:
           recommendations.push({
             area: 'General',
-            title: `Address ${topIssue.issue} Issues`,
-            description: `Review feedback related to ${topIssue.issue} and develop specific improvements for future events.`,
+            title: `Address ${topIssue.label || topIssue.issue} Issues`,
+            description: `Review feedback related to ${topIssue.label || topIssue.issue} and develop specific improvements for future events.`,
             priority: topIssue.percentage > 25 ? 'high' : 'medium'
           });
       }
@@ -959,6 +1001,25 @@ class PostEventAnalyzer {
         priority: 'medium'
       });
     }
+
+    // Survey-based recommendations
+    if (surveyData.nps && surveyData.nps.score < 0) {
+      recommendations.push({
+        area: 'Customer Experience',
+        title: 'Follow Up With Detractors',
+        description: `Detractors outnumber promoters (NPS ${surveyData.nps.score}). Review the free-text survey answers of low scorers and reach out to understand what would change their rating.`,
+        priority: 'high'
+      });
+    }
+
+    if (surveyData.responseCount === 0) {
+      recommendations.push({
+        area: 'Feedback Collection',
+        title: 'Run a Post-Event Survey',
+        description: 'Publish a short survey with an NPS question so future reports can track attendee loyalty alongside sentiment.',
+        priority: 'low'
+      });
+    }
     
     // Source-based recommendations
     const sourceEntries = Object.entries(feedbackData.sourcePercentages);
@@ -0,0 +1,526 @@
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+const logger = require('../../utils/logger');
+
+const COLORS = {
+  text: '#1F2937',
+  muted: '#6B7280',
+  accent: '#2563EB',
+  grid: '#E5E7EB',
+  positive: '#10B981',
+  neutral: '#9CA3AF',
+  negative: '#EF4444',
+  info: '#3B82F6',
+  warning: '#F59E0B',
+  high: '#EF4444',
+  medium: '#F59E0B',
+  low: '#10B981'
+};
+
+const PAGE_MARGIN = 50;
+
+/**
+ * Build a filesystem-safe base name for exported report files
+ * @param {Object} report - Post-event report from PostEventAnalyzer
+ * @returns {String} File name without extension
+ */
+exports.getReportFileName = (report) => {
+  const name = (report.event && report.event.name) || 'event';
+  return `${name.replace(/[^a-z0-9_-]+/gi, '_')}_report`;
+};
+
+/**
+ * Render a post-event report as a printable PDF
+ * @param {Object} report - Post-event report from PostEventAnalyzer
+ * @param {Stream} output - Writable stream (e.g. the HTTP response)
+ * @returns {PDFDocument} The document being written to the stream
+ */
+exports.renderPostEventPdf = (report, output) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `${report.event.name} - Post-Event Analysis`,
+      Subject: 'Post-event sentiment and issue report'
+    }
+  });
+
+  doc.pipe(output);
+
+  renderHeader(doc, report);
+  renderExecutiveSummary(doc, report.summary);
+  renderCharts(doc, report);
+  renderSurveys(doc, report.surveys);
+  renderInsights(doc, report.insights);
+  renderRecommendations(doc, report.improvement);
+  renderFeedbackExamples(doc, report.feedback);
+
+  doc.end();
+  return doc;
+};
+
+/**
+ * Write a post-event report as a zip bundle of CSV sheets
+ * @param {Object} report - Post-event report from PostEventAnalyzer
+ * @param {Stream} output - Writable stream (e.g. the HTTP response)
+ * @returns {Promise<void>} Resolves once the archive has been finalized
+ */
+exports.writePostEventCsvBundle = async (report, output) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  archive.on('warning', (error) => {
+    logger.warn(`CSV bundle warning: ${error.message}`, { error });
+  });
+
+  archive.pipe(output);
+
+  Object.entries(exports.buildCsvSheets(report)).forEach(([name, rows]) => {
+    archive.append(toCSV(rows), { name: `${name}.csv` });
+  });
+
+  await archive.finalize();
+};
+
+/**
+ * Flatten a post-event report into named CSV sheets
+ * @param {Object} report - Post-event report from PostEventAnalyzer
+ * @returns {Object} Map of sheet name to rows (first row is the header)
+ */
+exports.buildCsvSheets = (report) => {
+  const { event, summary, feedback, alerts, issues, sentiment, surveys } = report;
+
+  return {
+    summary: [
+      ['Metric', 'Value'],
+      ['Event', event.name],
+      ['Location', event.location],
+      ['Start Date', formatDate(event.startDate)],
+      ['End Date', formatDate(event.endDate)],
+      ['Event Status', report.eventStatus],
+      ['Report Generated', formatDate(report.reportGeneratedAt)],
+      ['Overall Score', summary.overallScore],
+      ['Success Level', summary.successLevel],
+      ['Total Feedback', summary.feedbackTotal],
+      ['Primary Sentiment', summary.primarySentiment],
+      ['Positive/Negative Ratio', summary.sentimentRatio],
+      ['Net Sentiment Score', summary.netSentimentScore],
+      ['Primary Source', summary.primarySource],
+      ['Top Issue Type', summary.topIssueType],
+      ['Total Alerts', summary.alertsTotal],
+      ['Alert Resolution Rate (%)', summary.alertsResolutionRate],
+      ['Average Alert Response (min)', summary.averageAlertResponseTime],
+      ['Total Issues', summary.issuesTotal],
+      ['Issue Resolution Rate (%)', summary.issuesResolutionRate],
+      ['Unresolved Issues', summary.unresolvedIssuesCount],
+      ['Survey Responses', summary.surveyResponses],
+      ['NPS', summary.nps],
+      ['CSAT (%)', summary.csat]
+    ],
+    insights: [
+      ['Type', 'Title', 'Content'],
+      ...report.insights.map(insight => [insight.type, insight.title, insight.content])
+    ],
+    recommendations: [
+      ['Priority', 'Area', 'Title', 'Description'],
+      ...report.improvement.map(rec => [rec.priority, rec.area, rec.title, rec.description])
+    ],
+    sentiment: [
+      ['Sentiment', 'Count', 'Percentage'],
+      ...Object.keys(feedback.sentimentCounts).map(key => [
+        key,
+        feedback.sentimentCounts[key],
+        formatNumber(feedback.sentimentPercentages[key])
+      ])
+    ],
+    sources: [
+      ['Source', 'Count', 'Percentage'],
+      ...Object.keys(feedback.sourceCounts).map(key => [
+        key,
+        feedback.sourceCounts[key],
+        formatNumber(feedback.sourcePercentages[key])
+      ])
+    ],
+    issue_types: [
+      ['Issue Type', 'Feedback Count', 'Percentage of Negative Feedback'],
+      ...feedback.topIssues.map(item => [item.issue, item.count, formatNumber(item.percentage)])
+    ],
+    issues: [
+      ['Metric', 'Value'],
+      ['Total', issues.total],
+      ['Resolution Rate (%)', formatNumber(issues.resolutionRate)],
+      ['Average Resolution Time (min)', issues.averageResolutionTimeMinutes],
+      ['Unresolved', issues.unresolvedCount],
+      ...Object.entries(issues.severityCounts).map(([key, count]) => [`Severity: ${key}`, count]),
+      ...Object.entries(issues.statusCounts).map(([key, count]) => [`Status: ${key}`, count]),
+      ...issues.topLocations.map(item => [`Location: ${item.location}`, item.count])
+    ],
+    alerts: [
+      ['Date', 'Alerts', 'Resolved', 'Low', 'Medium', 'High', 'Critical'],
+      ...alerts.timeline.map(day => [
+        day.date,
+        day.count,
+        day.resolved,
+        day.bySeverity.low,
+        day.bySeverity.medium,
+        day.bySeverity.high,
+        day.bySeverity.critical
+      ])
+    ],
+    daily_volume: [
+      ['Date', 'Total', 'Positive', 'Neutral', 'Negative'],
+      ...sentiment.dailyVolume.map(day => [day.date, day.total, day.positive, day.neutral, day.negative])
+    ],
+    hourly_sentiment: [
+      ['Timestamp', 'Total', 'Positive', 'Neutral', 'Negative'],
+      ...sentiment.hourly.timeline.map(period => [
+        formatDate(period.timestamp),
+        period.total,
+        period.positive,
+        period.neutral,
+        period.negative
+      ])
+    ],
+    survey_questions: [
+      ['Survey', 'Question', 'Type', 'Answered', 'Result'],
+      ...surveys.surveys.flatMap(survey => survey.questions.map(question => [
+        survey.title,
+        question.prompt,
+        question.type,
+        question.answered,
+        describeQuestionResult(question)
+      ]))
+    ],
+    top_feedback: [
+      ['Sentiment', 'Score', 'Source', 'Created At', 'Text'],
+      ...feedback.topPositiveFeedback.map(item => ['positive', item.score, item.source, formatDate(item.createdAt), item.text]),
+      ...feedback.topNegativeFeedback.map(item => ['negative', item.score, item.source, formatDate(item.createdAt), item.text])
+    ]
+  };
+};
+
+// CSV helpers
+
+const escapeCSV = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const toCSV = (rows) => rows.map(row => row.map(escapeCSV).join(',')).join('\r\n') + '\r\n';
+
+const formatNumber = (value) => (typeof value === 'number' ? value.toFixed(1) : value);
+
+const formatDate = (value) => (value ? new Date(value).toISOString() : '');
+
+const describeQuestionResult = (question) => {
+  switch (question.type) {
+    case 'nps':
+      return question.nps ? `NPS ${question.nps.score}` : '';
+    case 'rating':
+      return question.average !== null ? `${question.average}/${question.scale} avg, CSAT ${question.csat.score}%` : '';
+    case 'multiple_choice':
+      return question.options.map(item => `${item.option}: ${item.count}`).join('; ');
+    default:
+      return Object.entries(question.sentiment).map(([key, count]) => `${key}: ${count}`).join('; ');
+  }
+};
+
+// PDF helpers
+
+const contentWidth = (doc) => doc.page.width - PAGE_MARGIN * 2;
+
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+};
+
+const sectionTitle = (doc, title) => {
+  ensureSpace(doc, 60);
+  doc.moveDown(1);
+  doc.font('Helvetica-Bold').fontSize(15).fillColor(COLORS.accent)
+    .text(title, PAGE_MARGIN, doc.y);
+  doc.moveTo(PAGE_MARGIN, doc.y + 2).lineTo(PAGE_MARGIN + contentWidth(doc), doc.y + 2)
+    .strokeColor(COLORS.grid).lineWidth(1).stroke();
+  doc.moveDown(0.6);
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+};
+
+const renderHeader = (doc, report) => {
+  const { event } = report;
+
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(COLORS.text)
+    .text(event.name);
+  doc.font('Helvetica').fontSize(13).fillColor(COLORS.muted)
+    .text('Post-Event Analysis');
+  doc.moveDown(0.5);
+  doc.fontSize(10)
+    .text(`${new Date(event.startDate).toLocaleDateString()} - ${new Date(event.endDate).toLocaleDateString()}  |  ${event.location || ''}`)
+    .text(`Report generated ${new Date(report.reportGeneratedAt).toLocaleString()} (${report.eventStatus})`);
+};
+
+const renderExecutiveSummary = (doc, summary) => {
+  sectionTitle(doc, 'Executive Summary');
+
+  const startY = doc.y;
+  doc.font('Helvetica-Bold').fontSize(36).fillColor(COLORS.accent)
+    .text(String(summary.overallScore), PAGE_MARGIN, startY, { width: 90, align: 'center' });
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted)
+    .text('Overall score', PAGE_MARGIN, doc.y, { width: 90, align: 'center' })
+    .text(summary.successLevel, PAGE_MARGIN, doc.y, { width: 90, align: 'center' });
+
+  const metrics = [
+    ['Total feedback', summary.feedbackTotal],
+    ['Primary sentiment', summary.primarySentiment],
+    ['Positive / negative', `${summary.sentimentRatio} %`],
+    ['Primary source', summary.primarySource],
+    ['Top issue type', summary.topIssueType],
+    ['Alerts', `${summary.alertsTotal} (${summary.alertsResolutionRate}% resolved)`],
+    ['Avg. alert response', `${summary.averageAlertResponseTime} min`],
+    ['Issues', `${summary.issuesTotal} (${summary.issuesResolutionRate}% resolved)`],
+    ['Unresolved issues', summary.unresolvedIssuesCount]
+  ];
+
+  const columnX = [PAGE_MARGIN + 110, PAGE_MARGIN + 110 + (contentWidth(doc) - 110) / 2];
+  const columnWidth = (contentWidth(doc) - 110) / 2 - 10;
+  const rowHeight = 28;
+
+  metrics.forEach(([label, value], index) => {
+    const x = columnX[index % 2];
+    const y = startY + Math.floor(index / 2) * rowHeight;
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted).text(label.toUpperCase(), x, y, { width: columnWidth });
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text).text(String(value), x, y + 10, { width: columnWidth });
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = startY + Math.ceil(metrics.length / 2) * rowHeight + 5;
+};
+
+const renderCharts = (doc, report) => {
+  const { feedback, sentiment } = report;
+
+  sectionTitle(doc, 'Charts');
+
+  drawBarChart(doc, 'Sentiment distribution', ['positive', 'neutral', 'negative'].map(key => ({
+    label: key,
+    value: feedback.sentimentCounts[key] || 0,
+    color: COLORS[key]
+  })));
+
+  if (feedback.topIssues.length > 0) {
+    drawBarChart(doc, 'Top reported issues', feedback.topIssues.map(item => ({
+      label: item.issue,
+      value: item.count,
+      color: COLORS.warning
+    })));
+  }
+
+  const sources = Object.entries(feedback.sourceCounts).filter(([, count]) => count > 0);
+  if (sources.length > 0) {
+    drawBarChart(doc, 'Feedback by source', sources.map(([source, count]) => ({
+      label: source,
+      value: count,
+      color: COLORS.info
+    })));
+  }
+
+  if (sentiment.dailyVolume.length > 0) {
+    drawStackedVolumeChart(doc, 'Daily feedback volume', sentiment.dailyVolume);
+  }
+};
+
+const drawBarChart = (doc, title, bars) => {
+  const labelWidth = 110;
+  const barHeight = 14;
+  const gap = 6;
+  const chartWidth = contentWidth(doc) - labelWidth - 50;
+  const max = Math.max(1, ...bars.map(bar => bar.value));
+
+  ensureSpace(doc, 30 + bars.length * (barHeight + gap));
+
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text).text(title, PAGE_MARGIN, doc.y);
+  doc.moveDown(0.4);
+
+  let y = doc.y;
+  bars.forEach(bar => {
+    const width = Math.max(1, (bar.value / max) * chartWidth);
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.text)
+      .text(bar.label, PAGE_MARGIN, y + 3, { width: labelWidth - 10, ellipsis: true, lineBreak: false });
+    doc.rect(PAGE_MARGIN + labelWidth, y, width, barHeight).fill(bar.color);
+    doc.fillColor(COLORS.muted)
+      .text(String(bar.value), PAGE_MARGIN + labelWidth + width + 5, y + 3, { lineBreak: false });
+    y += barHeight + gap;
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = y + 10;
+};
+
+const drawStackedVolumeChart = (doc, title, days) => {
+  const chartHeight = 140;
+  const legendHeight = 20;
+  const width = contentWidth(doc);
+  const max = Math.max(1, ...days.map(day => day.total));
+  const slot = width / days.length;
+  const barWidth = Math.max(2, Math.min(40, slot * 0.7));
+
+  ensureSpace(doc, chartHeight + legendHeight + 50);
+
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text).text(title, PAGE_MARGIN, doc.y);
+  doc.moveDown(0.4);
+
+  const top = doc.y;
+  const baseline = top + chartHeight;
+
+  doc.moveTo(PAGE_MARGIN, baseline).lineTo(PAGE_MARGIN + width, baseline)
+    .strokeColor(COLORS.grid).lineWidth(1).stroke();
+
+  days.forEach((day, index) => {
+    const x = PAGE_MARGIN + index * slot + (slot - barWidth) / 2;
+    let y = baseline;
+
+    ['negative', 'neutral', 'positive'].forEach(key => {
+      const height = (day[key] / max) * chartHeight;
+      if (height > 0) {
+        y -= height;
+        doc.rect(x, y, barWidth, height).fill(COLORS[key]);
+      }
+    });
+
+    // Label every day for short events, otherwise roughly ten labels
+    if (days.length <= 10 || index % Math.ceil(days.length / 10) === 0) {
+      doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted)
+        .text(day.date.slice(5), x - 10, baseline + 3, { width: barWidth + 20, align: 'center', lineBreak: false });
+    }
+  });
+
+  let legendX = PAGE_MARGIN;
+  const legendY = baseline + 16;
+  ['positive', 'neutral', 'negative'].forEach(key => {
+    doc.rect(legendX, legendY, 8, 8).fill(COLORS[key]);
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.text).text(key, legendX + 12, legendY, { lineBreak: false });
+    legendX += 70;
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = legendY + legendHeight;
+};
+
+const renderSurveys = (doc, surveys) => {
+  if (surveys.responseCount === 0) {
+    return;
+  }
+
+  sectionTitle(doc, 'Surveys');
+
+  const scores = [
+    ['Responses', surveys.responseCount],
+    ['NPS', surveys.nps ? `${surveys.nps.score} (${surveys.nps.promoters} promoters / ${surveys.nps.detractors} detractors)` : 'n/a'],
+    ['CSAT', surveys.csat ? `${surveys.csat.score}%` : 'n/a']
+  ];
+  scores.forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.text)
+      .text(`${label}: `, PAGE_MARGIN, doc.y, { continued: true })
+      .font('Helvetica').text(String(value));
+  });
+  doc.moveDown(0.5);
+
+  surveys.surveys.forEach(survey => {
+    survey.questions.forEach(question => {
+      if (question.type === 'nps' && question.answered > 0) {
+        drawBarChart(doc, `${survey.title}: ${question.prompt}`, question.distribution.map((count, score) => ({
+          label: String(score),
+          value: count,
+          color: score >= 9 ? COLORS.positive : score >= 7 ? COLORS.neutral : COLORS.negative
+        })));
+      } else if (question.type === 'multiple_choice' && question.answered > 0) {
+        drawBarChart(doc, `${survey.title}: ${question.prompt}`, question.options.map(item => ({
+          label: item.option,
+          value: item.count,
+          color: COLORS.info
+        })));
+      } else if (question.type === 'rating' && question.answered > 0) {
+        ensureSpace(doc, 30);
+        doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text)
+          .text(`${survey.title}: ${question.prompt}`, PAGE_MARGIN, doc.y);
+        doc.font('Helvetica').fontSize(10)
+          .text(`Average ${question.average} / ${question.scale}  |  CSAT ${question.csat.score}%  |  ${question.answered} answers`);
+        doc.moveDown(0.6);
+      }
+    });
+  });
+};
+
+const renderInsights = (doc, insights) => {
+  sectionTitle(doc, 'Key Insights');
+
+  if (insights.length === 0) {
+    doc.fillColor(COLORS.muted).text('No insights were generated for this event.');
+    return;
+  }
+
+  insights.forEach(insight => {
+    ensureSpace(doc, 50);
+    const color = COLORS[insight.type] || COLORS.info;
+    const y = doc.y;
+    doc.rect(PAGE_MARGIN, y, 3, 12).fill(color);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text)
+      .text(insight.title, PAGE_MARGIN + 10, y);
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text)
+      .text(insight.content, PAGE_MARGIN + 10, doc.y, { width: contentWidth(doc) - 10 });
+    doc.moveDown(0.6);
+  });
+};
+
+const renderRecommendations = (doc, recommendations) => {
+  sectionTitle(doc, 'Recommendations');
+
+  if (recommendations.length === 0) {
+    doc.fillColor(COLORS.muted).text('No recommendations were generated for this event.');
+    return;
+  }
+
+  recommendations.forEach((rec, index) => {
+    ensureSpace(doc, 55);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text)
+      .text(`${index + 1}. ${rec.title}`, PAGE_MARGIN, doc.y, { continued: true })
+      .font('Helvetica').fontSize(9).fillColor(COLORS[rec.priority] || COLORS.muted)
+      .text(`   ${rec.priority.toUpperCase()} PRIORITY  |  ${rec.area}`);
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text)
+      .text(rec.description, PAGE_MARGIN + 14, doc.y, { width: contentWidth(doc) - 14 });
+    doc.moveDown(0.6);
+  });
+};
+
+const renderFeedbackExamples = (doc, feedback) => {
+  const groups = [
+    ['Most positive feedback', feedback.topPositiveFeedback, COLORS.positive],
+    ['Most negative feedback', feedback.topNegativeFeedback, COLORS.negative]
+  ].filter(([, items]) => items.length > 0);
+
+  if (groups.length === 0) {
+    return;
+  }
+
+  sectionTitle(doc, 'Feedback Highlights');
+
+  groups.forEach(([title, items, color]) => {
+    ensureSpace(doc, 40);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(color).text(title, PAGE_MARGIN, doc.y);
+    doc.moveDown(0.3);
+
+    items.forEach(item => {
+      ensureSpace(doc, 35);
+      doc.font('Helvetica-Oblique').fontSize(10).fillColor(COLORS.text)
+        .text(`"${item.text}"`, PAGE_MARGIN + 10, doc.y, { width: contentWidth(doc) - 10 });
+      doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+        .text(`${item.source} - ${new Date(item.createdAt).toLocaleString()}`, PAGE_MARGIN + 10, doc.y);
+      doc.moveDown(0.4);
+    });
+
+    doc.moveDown(0.4);
+  });
+};
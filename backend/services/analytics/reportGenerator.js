@@ -4,6 +4,7 @@ const Alert = require('../../models/Alert');
 const Issue = require('../../models/Issue');
 const sentimentAggregator = require('./sentimentAggregator');
 const trendDetector = require('./trendDetector');
+const topicClusterer = require('./topicClusterer');
 const logger = require('../../utils/logger');
 
 
@@ -88,6 +89,14 @@ exports.generateDetailedReport = async (eventId, options = {}) => {
       maxTopics: 20
     });
     
+    const topicClusters = await topicClusterer.clusterFeedback(eventId, {
+      startTime: reportStart,
+      endTime: reportEnd,
+      minClusterSize: 3,
+      maxClusters: 20,
+      sample: 'spread'
+    });
+    
     const alertHistory = await getAlertHistory(eventId, {
       startTime: reportStart,
       endTime: reportEnd
@@ -135,6 +144,7 @@ exports.generateDetailedReport = async (eventId, options = {}) => {
       },
       contentAnalysis: {
         trendingTopics: trendingTopics.topics,
+        topicClusters: topicClusters.clusters,
         topPositive: topFeedback.positive,
         topNegative: topFeedback.negative
       }
@@ -2,6 +2,7 @@ const SentimentRecord = require('../../models/SentimentRecord');
 const Feedback = require('../../models/Feedback');
 const Event = require('../../models/Event');
 const logger = require('../../utils/logger');
+const issueTaxonomy = require('../nlp/issueTaxonomy');
 
 exports.getSentimentOverview = async (eventId, options = {}) => {
   try {
@@ -15,6 +16,7 @@ exports.getSentimentOverview = async (eventId, options = {}) => {
     }
 
     const feedback = await Feedback.find(query);
+    const categories = await issueTaxonomy.getEventTaxonomy(eventId);
 
     const totalFeedback = feedback.length;
     const sentimentBreakdown = {
@@ -24,6 +26,7 @@ exports.getSentimentOverview = async (eventId, options = {}) => {
     };
     const sourceBreakdown = {};
     const issuesBreakdown = {};
+    const emotionBreakdown = {};
 
     let positiveScores = 0, neutralScores = 0, negativeScores = 0;
 
@@ -38,6 +41,10 @@ exports.getSentimentOverview = async (eventId, options = {}) => {
       if (item.sentiment === 'negative' && item.issueType) {
         issuesBreakdown[item.issueType] = (issuesBreakdown[item.issueType] || 0) + 1;
       }
+
+      if (item.emotion) {
+        emotionBreakdown[item.emotion] = (emotionBreakdown[item.emotion] || 0) + 1;
+      }
     });
 
     sentimentBreakdown.positive.percentage = totalFeedback > 0 ? (sentimentBreakdown.positive.count / totalFeedback) * 100 : 0;
@@ -56,15 +63,23 @@ exports.getSentimentOverview = async (eventId, options = {}) => {
 
     const issues = Object.entries(issuesBreakdown).map(([issue, count]) => ({
       issue,
+      label: issueTaxonomy.getLabel(categories, issue),
       count,
       percentage: sentimentBreakdown.negative.count > 0 ? (count / sentimentBreakdown.negative.count) * 100 : 0,
     })).sort((a, b) => b.count - a.count);
 
+    const emotions = Object.entries(emotionBreakdown).map(([emotion, count]) => ({
+      emotion,
+      count,
+      percentage: totalFeedback > 0 ? (count / totalFeedback) * 100 : 0,
+    })).sort((a, b) => b.count - a.count);
+
     return {
       total: totalFeedback,
       sentiment: sentimentBreakdown,
       sources,
       issues,
+      emotions,
     };
   } catch (error) {
     logger.error(`Get sentiment overview error: ${error.message}`, { error, eventId });
@@ -177,7 +192,7 @@ exports.getIssueTrend = async (eventId, options = {}) => {
 
     const issueTypes = new Set();
     records.forEach(record => {
-      Object.keys(record.issues).forEach(issue => {
+      Object.keys(record.issues || {}).forEach(issue => {
         if (record.issues[issue] > 0) {
           issueTypes.add(issue);
         }
@@ -192,16 +207,23 @@ exports.getIssueTrend = async (eventId, options = {}) => {
       
 
       issueTypes.forEach(issue => {
-        data[issue] = record.issues[issue] || 0;
+        data[issue] = (record.issues && record.issues[issue]) || 0;
       });
       
       return data;
     }).reverse(); 
     
+    const categories = await issueTaxonomy.getEventTaxonomy(eventId);
+    const labels = {};
+    issueTypes.forEach(issue => {
+      labels[issue] = issueTaxonomy.getLabel(categories, issue);
+    });
+    
     return {
       timeline,
       timeframe,
       issueTypes: Array.from(issueTypes),
+      labels,
       recordCount: records.length
     };
   } catch (error) {
@@ -210,6 +232,52 @@ exports.getIssueTrend = async (eventId, options = {}) => {
   }
 };
 
+exports.getEmotionTrend = async (eventId, options = {}) => {
+  try {
+    const { timeframe = 'hour', limit = 24 } = options;
+    
+    const records = await SentimentRecord.find({
+      event: eventId,
+      timeframe
+    })
+    .sort({ timestamp: -1 })
+    .limit(limit);
+
+    const totals = {};
+    const timeline = records.map(record => {
+      const data = {
+        timestamp: record.timestamp,
+        total: record.data.total
+      };
+      
+      Object.entries(record.emotions || {}).forEach(([emotion, count]) => {
+        data[emotion] = count;
+        totals[emotion] = (totals[emotion] || 0) + count;
+      });
+      
+      return data;
+    }).reverse();
+    
+    const feedbackTotal = records.reduce((sum, record) => sum + record.data.total, 0);
+    const emotions = Object.entries(totals).map(([emotion, count]) => ({
+      emotion,
+      count,
+      percentage: feedbackTotal > 0 ? (count / feedbackTotal) * 100 : 0
+    })).sort((a, b) => b.count - a.count);
+    
+    return {
+      timeline,
+      timeframe,
+      emotions,
+      feedbackTotal,
+      recordCount: records.length
+    };
+  } catch (error) {
+    logger.error(`Get emotion trend error: ${error.message}`, { error, eventId });
+    throw error;
+  }
+};
+
 exports.getSourceDistribution = async (eventId, options = {}) => {
   try {
     const { startTime, endTime } = options;
@@ -277,6 +345,123 @@ exports.getSourceDistribution = async (eventId, options = {}) => {
   }
 };
 
+exports.getLanguageDistribution = async (eventId, options = {}) => {
+  try {
+    const { startTime, endTime } = options;
+
+    const query = { event: eventId };
+    
+    if (startTime || endTime) {
+      query.createdAt = {};
+      if (startTime) query.createdAt.$gte = new Date(startTime);
+      if (endTime) query.createdAt.$lte = new Date(endTime);
+    }
+
+    const feedback = await Feedback.find(query).select('sentiment metadata.language metadata.analysisMethod');
+
+    const languageCounts = {};
+    let total = 0;
+    
+    feedback.forEach(item => {
+      // Feedback analyzed before language detection has no language recorded
+      const language = (item.metadata && item.metadata.language) || 'unknown';
+      
+      if (!languageCounts[language]) {
+        languageCounts[language] = {
+          count: 0,
+          sentiment: { positive: 0, neutral: 0, negative: 0 },
+          methods: {}
+        };
+      }
+      
+      const entry = languageCounts[language];
+      entry.count++;
+      entry.sentiment[item.sentiment]++;
+      const method = (item.metadata && item.metadata.analysisMethod) || 'unknown';
+      entry.methods[method] = (entry.methods[method] || 0) + 1;
+      total++;
+    });
+    
+    const distribution = Object.entries(languageCounts).map(([language, data]) => ({
+      language,
+      count: data.count,
+      percentage: total > 0 ? (data.count / total) * 100 : 0,
+      sentiment: data.sentiment,
+      methods: data.methods
+    })).sort((a, b) => b.count - a.count);
+    
+    return {
+      distribution,
+      total
+    };
+  } catch (error) {
+    logger.error(`Get language distribution error: ${error.message}`, { error, eventId });
+    throw error;
+  }
+};
+
+exports.getAspectSentiment = async (eventId, options = {}) => {
+  try {
+    const { startTime, endTime } = options;
+
+    const query = { event: eventId, 'aspects.0': { $exists: true } };
+    
+    if (startTime || endTime) {
+      query.createdAt = {};
+      if (startTime) query.createdAt.$gte = new Date(startTime);
+      if (endTime) query.createdAt.$lte = new Date(endTime);
+    }
+
+    const feedback = await Feedback.find(query).select('aspects');
+    const categories = await issueTaxonomy.getEventTaxonomy(eventId);
+
+    const aspectCounts = {};
+    let totalMentions = 0;
+    
+    feedback.forEach(item => {
+      item.aspects.forEach(aspect => {
+        if (!aspectCounts[aspect.aspect]) {
+          aspectCounts[aspect.aspect] = {
+            mentions: 0,
+            scoreTotal: 0,
+            sentiment: { positive: 0, neutral: 0, negative: 0 },
+            examples: []
+          };
+        }
+        
+        const entry = aspectCounts[aspect.aspect];
+        entry.mentions++;
+        entry.scoreTotal += aspect.score || 0;
+        entry.sentiment[aspect.sentiment]++;
+        if (aspect.sentiment === 'negative' && entry.examples.length < 3) {
+          entry.examples.push(aspect.span);
+        }
+        totalMentions++;
+      });
+    });
+    
+    const aspects = Object.entries(aspectCounts).map(([aspect, data]) => ({
+      aspect,
+      label: issueTaxonomy.getLabel(categories, aspect),
+      mentions: data.mentions,
+      averageScore: data.scoreTotal / data.mentions,
+      // Share of positive minus share of negative mentions, -100..100
+      netSentiment: ((data.sentiment.positive - data.sentiment.negative) / data.mentions) * 100,
+      sentiment: data.sentiment,
+      examples: data.examples
+    })).sort((a, b) => b.mentions - a.mentions);
+    
+    return {
+      aspects,
+      totalMentions,
+      feedbackWithAspects: feedback.length
+    };
+  } catch (error) {
+    logger.error(`Get aspect sentiment error: ${error.message}`, { error, eventId });
+    throw error;
+  }
+};
+
 exports.getFeedbackVolume = async (eventId, options = {}) => {
   try {
     const { 
@@ -395,7 +580,7 @@ exports.recalculateHistoricalData = async (eventId) => {
     
     await SentimentRecord.deleteMany({ event: eventId });
     
-    const feedback = await Feedback.find({ event: eventId });
+    const feedback = await Feedback.find({ event: eventId, 'spam.isSpam': { $ne: true } });
     
     logger.info(`Recalculating sentiment data for event ${eventId}: ${feedback.length} feedback items`);
     
@@ -425,7 +610,8 @@ exports.recalculateHistoricalData = async (eventId) => {
           timestamp: minuteDate,
           data: { positive: 0, neutral: 0, negative: 0, total: 0 },
           sources: {},
-          issues: {}
+          issues: {},
+          emotions: {}
         });
       }
       
@@ -434,7 +620,8 @@ exports.recalculateHistoricalData = async (eventId) => {
           timestamp: hourDate,
           data: { positive: 0, neutral: 0, negative: 0, total: 0 },
           sources: {},
-          issues: {}
+          issues: {},
+          emotions: {}
         });
       }
       
@@ -443,7 +630,8 @@ exports.recalculateHistoricalData = async (eventId) => {
           timestamp: dayDate,
           data: { positive: 0, neutral: 0, negative: 0, total: 0 },
           sources: {},
-          issues: {}
+          issues: {},
+          emotions: {}
         });
       }
       
@@ -457,10 +645,11 @@ exports.recalculateHistoricalData = async (eventId) => {
         record.data[item.sentiment]++;
         record.data.total++;
         
-        if (!record.sources[item.source]) {
-          record.sources[item.source] = 0;
+        const source = SentimentRecord.sourceKey(item.source);
+        if (!record.sources[source]) {
+          record.sources[source] = 0;
         }
-        record.sources[item.source]++;
+        record.sources[source]++;
         
         if (item.sentiment === 'negative' && item.issueType) {
           if (!record.issues[item.issueType]) {
@@ -468,6 +657,10 @@ exports.recalculateHistoricalData = async (eventId) => {
           }
           record.issues[item.issueType]++;
         }
+        
+        if (item.emotion) {
+          record.emotions[item.emotion] = (record.emotions[item.emotion] || 0) + 1;
+        }
       });
     }
     
@@ -495,7 +688,8 @@ exports.recalculateHistoricalData = async (eventId) => {
             total: data.data.total
           },
           sources: data.sources,
-          issues: data.issues
+          issues: data.issues,
+          emotions: data.emotions
         });
         
         newRecords.push(record);
@@ -0,0 +1,238 @@
+const Survey = require('../../models/Survey');
+const SurveyResponse = require('../../models/SurveyResponse');
+const Feedback = require('../../models/Feedback');
+const logger = require('../../utils/logger');
+
+const SAMPLE_ANSWERS = 5;
+
+const round = (value, digits = 1) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Net Promoter Score from 0-10 answers: % promoters (9-10) minus % detractors (0-6)
+ * @param {Array<Number>} values - NPS answers
+ * @returns {Object|null} { score, promoters, passives, detractors, total }
+ */
+exports.calculateNps = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const promoters = values.filter(value => value >= 9).length;
+  const detractors = values.filter(value => value <= 6).length;
+
+  return {
+    score: Math.round(((promoters - detractors) / values.length) * 100),
+    promoters,
+    passives: values.length - promoters - detractors,
+    detractors,
+    total: values.length
+  };
+};
+
+/**
+ * Customer satisfaction: share of ratings in the top two points of their scale
+ * @param {Array<Object>} ratings - [{ value, scale }]
+ * @returns {Object|null} { score, satisfied, total }
+ */
+exports.calculateCsat = (ratings) => {
+  if (ratings.length === 0) {
+    return null;
+  }
+
+  const satisfied = ratings.filter(({ value, scale }) => value >= scale - 1).length;
+
+  return {
+    score: round((satisfied / ratings.length) * 100),
+    satisfied,
+    total: ratings.length
+  };
+};
+
+const summarizeQuestion = (question, answers, feedbackById) => {
+  const base = {
+    id: question._id,
+    type: question.type,
+    prompt: question.prompt,
+    answered: answers.length
+  };
+
+  switch (question.type) {
+    case 'nps': {
+      const values = answers.map(answer => answer.value);
+      const distribution = Array.from({ length: 11 }, (_, score) => values.filter(value => value === score).length);
+      return { ...base, nps: exports.calculateNps(values), distribution };
+    }
+
+    case 'rating': {
+      const values = answers.map(answer => answer.value);
+      const distribution = Array.from({ length: question.scale }, (_, index) =>
+        values.filter(value => value === index + 1).length);
+      return {
+        ...base,
+        scale: question.scale,
+        average: values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length, 2) : null,
+        csat: exports.calculateCsat(values.map(value => ({ value, scale: question.scale }))),
+        distribution
+      };
+    }
+
+    case 'multiple_choice': {
+      const counts = question.options.reduce((acc, option) => {
+        acc[option] = 0;
+        return acc;
+      }, {});
+      answers.forEach(answer => {
+        (answer.value || []).forEach(option => {
+          if (counts[option] !== undefined) counts[option]++;
+        });
+      });
+      return {
+        ...base,
+        options: question.options.map(option => ({
+          option,
+          count: counts[option],
+          percentage: answers.length > 0 ? round((counts[option] / answers.length) * 100) : 0
+        }))
+      };
+    }
+
+    case 'text':
+    default: {
+      const sentiment = { positive: 0, neutral: 0, negative: 0 };
+      const samples = [];
+
+      answers.forEach(answer => {
+        const feedback = answer.feedback && feedbackById.get(answer.feedback.toString());
+        if (feedback) {
+          sentiment[feedback.sentiment]++;
+        }
+        if (samples.length < SAMPLE_ANSWERS) {
+          samples.push({
+            text: answer.value,
+            sentiment: feedback ? feedback.sentiment : null,
+            issueType: feedback ? feedback.issueType : null
+          });
+        }
+      });
+
+      return { ...base, sentiment, samples };
+    }
+  }
+};
+
+const groupAnswers = (survey, responses) => {
+  const answersByQuestion = new Map(survey.questions.map(question => [question._id.toString(), []]));
+
+  responses.forEach(response => {
+    response.answers.forEach(answer => {
+      const bucket = answersByQuestion.get(answer.question.toString());
+      if (bucket) bucket.push(answer);
+    });
+  });
+
+  return answersByQuestion;
+};
+
+// NPS answers and scaled ratings, kept raw so scores can be combined across surveys
+const collectScoreInputs = (survey, answersByQuestion) => ({
+  npsValues: survey.questions
+    .filter(question => question.type === 'nps')
+    .flatMap(question => answersByQuestion.get(question._id.toString()).map(answer => answer.value)),
+  ratings: survey.questions
+    .filter(question => question.type === 'rating')
+    .flatMap(question => answersByQuestion.get(question._id.toString())
+      .map(answer => ({ value: answer.value, scale: question.scale })))
+});
+
+/**
+ * Score one survey from its responses
+ * @param {Object} survey - Survey document
+ * @param {Array} responses - SurveyResponse documents
+ * @param {Map} feedbackById - Feedback created from free-text answers
+ * @returns {Object} Survey results
+ */
+exports.summarizeSurvey = (survey, responses, feedbackById = new Map()) => {
+  const answersByQuestion = groupAnswers(survey, responses);
+  const { npsValues, ratings } = collectScoreInputs(survey, answersByQuestion);
+
+  return {
+    id: survey._id,
+    title: survey.title,
+    status: survey.status,
+    responseCount: responses.length,
+    nps: exports.calculateNps(npsValues),
+    csat: exports.calculateCsat(ratings),
+    questions: survey.questions.map(question =>
+      summarizeQuestion(question, answersByQuestion.get(question._id.toString()), feedbackById))
+  };
+};
+
+/**
+ * Load responses and linked feedback for a set of surveys
+ * @param {Array} surveys - Survey documents
+ * @returns {Promise<Object>} { responses, feedbackById }
+ */
+const loadResponses = async (surveys) => {
+  const responses = await SurveyResponse.find({ survey: { $in: surveys.map(survey => survey._id) } });
+
+  const feedbackIds = responses.flatMap(response =>
+    response.answers.filter(answer => answer.feedback).map(answer => answer.feedback));
+  const feedback = feedbackIds.length > 0
+    ? await Feedback.find({ _id: { $in: feedbackIds } }).select('sentiment issueType')
+    : [];
+
+  return {
+    responses,
+    feedbackById: new Map(feedback.map(item => [item._id.toString(), item]))
+  };
+};
+
+/**
+ * Results for a single survey
+ * @param {Object} survey - Survey document
+ * @returns {Promise<Object>} Survey results
+ */
+exports.getSurveyResults = async (survey) => {
+  const { responses, feedbackById } = await loadResponses([survey]);
+  return exports.summarizeSurvey(survey, responses, feedbackById);
+};
+
+/**
+ * Results for every survey of an event, with NPS/CSAT combined across them
+ * @param {String} eventId - Event ID
+ * @returns {Promise<Object>} { responseCount, nps, csat, surveys }
+ */
+exports.getEventSurveyResults = async (eventId) => {
+  try {
+    const surveys = await Survey.find({ event: eventId, status: { $ne: 'draft' } }).sort({ createdAt: 1 });
+    if (surveys.length === 0) {
+      return { responseCount: 0, nps: null, csat: null, surveys: [] };
+    }
+
+    const { responses, feedbackById } = await loadResponses(surveys);
+    const npsValues = [];
+    const ratings = [];
+
+    const results = surveys.map(survey => {
+      const surveyResponses = responses.filter(response => response.survey.toString() === survey._id.toString());
+      const inputs = collectScoreInputs(survey, groupAnswers(survey, surveyResponses));
+      npsValues.push(...inputs.npsValues);
+      ratings.push(...inputs.ratings);
+
+      return exports.summarizeSurvey(survey, surveyResponses, feedbackById);
+    });
+
+    return {
+      responseCount: responses.length,
+      nps: exports.calculateNps(npsValues),
+      csat: exports.calculateCsat(ratings),
+      surveys: results
+    };
+  } catch (error) {
+    logger.error(`Survey results error: ${error.message}`, { error, eventId });
+    throw error;
+  }
+};
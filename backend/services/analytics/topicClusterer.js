@@ -0,0 +1,399 @@
+const Feedback = require('../../models/Feedback');
+const transformersService = require('../nlp/transformersService');
+const textProcessing = require('../../utils/textProcessing');
+const logger = require('../../utils/logger');
+
+// Items clustered per request unless the caller sets maxItems
+const MAX_ITEMS = 500;
+
+const FEEDBACK_FIELDS = 'text sentiment sentimentScore source issueType createdAt';
+
+// Texts sent to the embedding model per call
+const EMBEDDING_BATCH_SIZE = 32;
+
+// Cosine similarity an item needs to join a cluster. Word-count vectors share
+// far fewer dimensions than sentence embeddings, so they get a lower bar.
+const SIMILARITY_THRESHOLDS = {
+  'transformers-embeddings': 0.55,
+  lexical: 0.3
+};
+
+// Embeddings by feedback id; the same items are clustered again on every refresh
+const CACHE_LIMIT = 5000;
+const embeddingCache = new Map();
+
+// Timeline buckets per window when no bucket size is given
+const TIMELINE_BUCKETS = 12;
+
+// A cluster is emerging when at least this share of its items arrived in the
+// last quarter of the window
+const EMERGING_SHARE = 0.5;
+
+// Lexical fallback only: spellings and near-synonyms that the embedding model
+// places together on its own
+const TERM_ALIASES = {
+  internet: 'wifi',
+  connection: 'wifi',
+  connectivity: 'wifi',
+  mic: 'microphone',
+  mics: 'microphone',
+  queue: 'line',
+  queues: 'line',
+  restroom: 'toilet',
+  bathroom: 'toilet',
+  washroom: 'toilet',
+  aircon: 'ac'
+};
+
+/**
+ * Group an event's feedback into topics by meaning, so "wifi", "wi-fi" and
+ * "internet down" end up in one cluster
+ * @param {String} eventId - Event ID
+ * @param {Object} options - { timeWindow (minutes), startTime, endTime, minClusterSize, maxClusters, bucketMinutes,
+ *   maxItems, sample } where sample is 'recent' (newest maxItems, the default) or 'spread' (maxItems evenly
+ *   spaced over the whole window, for reports that look back over an event)
+ * @returns {Promise<Object>} { clusters, total, clustered, method, startTime, endTime, bucketMinutes }
+ */
+exports.clusterFeedback = async (eventId, options = {}) => {
+  try {
+    const {
+      timeWindow = null,
+      minClusterSize = 2,
+      maxClusters = 10,
+      maxItems = MAX_ITEMS,
+      sample = 'recent'
+    } = options;
+
+    const endTime = options.endTime ? new Date(options.endTime) : new Date();
+    let startTime = options.startTime ? new Date(options.startTime) : null;
+    if (!startTime && timeWindow) {
+      startTime = new Date(endTime.getTime() - timeWindow * 60 * 1000);
+    }
+
+    const query = { event: eventId, 'spam.isSpam': { $ne: true }, createdAt: { $lte: endTime } };
+    if (startTime) {
+      query.createdAt.$gte = startTime;
+    }
+
+    const feedback = (await loadFeedback(query, maxItems, sample))
+      .filter(item => item.text && item.text.trim());
+
+    if (feedback.length === 0) {
+      return {
+        clusters: [],
+        total: 0,
+        clustered: 0,
+        method: null,
+        message: 'No feedback for topic clustering'
+      };
+    }
+
+    const tokens = feedback.map(item => topicTerms(item.text));
+    const { vectors, method } = await embedFeedback(feedback, tokens);
+    const groups = groupVectors(vectors, SIMILARITY_THRESHOLDS[method])
+      .filter(group => group.members.length >= minClusterSize);
+
+    const windowStart = startTime || feedback[0].createdAt;
+    const span = Math.max(endTime - windowStart, 60 * 1000);
+    const bucketMinutes = options.bucketMinutes || Math.max(1, Math.ceil(span / 60000 / TIMELINE_BUCKETS));
+    const labels = labelGroups(groups, tokens);
+
+    const clusters = groups
+      .map((group, index) => describeCluster(group, labels[index], feedback, vectors, {
+        windowStart,
+        endTime,
+        bucketMinutes
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxClusters)
+      .map(({ score, ...cluster }) => cluster);
+
+    return {
+      clusters,
+      total: feedback.length,
+      clustered: groups.reduce((sum, group) => sum + group.members.length, 0),
+      method,
+      startTime: windowStart,
+      endTime,
+      bucketMinutes
+    };
+  } catch (error) {
+    logger.error(`Topic clustering error: ${error.message}`, { error, eventId });
+    throw error;
+  }
+};
+
+/**
+ * Load at most maxItems matching items, oldest first
+ * @param {Object} query - Feedback query
+ * @param {Number} maxItems - Item cap
+ * @param {String} sample - recent or spread
+ * @returns {Promise<Array>} Feedback documents
+ */
+const loadFeedback = async (query, maxItems, sample) => {
+  if (sample !== 'spread') {
+    return (await Feedback.find(query)
+      .sort({ createdAt: -1 })
+      .limit(maxItems)
+      .select(FEEDBACK_FIELDS))
+      .reverse();
+  }
+
+  // Every nth item, so topics from early in the event are not crowded out by
+  // the latest ones and the sample is the same on every run
+  const ids = await Feedback.find(query).sort({ createdAt: 1 }).select('_id').lean();
+  const step = Math.max(ids.length / maxItems, 1);
+  const picked = [];
+  for (let position = 0; position < ids.length && picked.length < maxItems; position += step) {
+    picked.push(ids[Math.floor(position)]._id);
+  }
+
+  return Feedback.find({ _id: { $in: picked } })
+    .sort({ createdAt: 1 })
+    .select(FEEDBACK_FIELDS);
+};
+
+/**
+ * Sentence embeddings for each item, or TF-IDF word vectors when the
+ * embedding model isn't available
+ * @param {Array} feedback - Feedback documents
+ * @param {Array} tokens - Topic terms per item
+ * @returns {Promise<Object>} { vectors, method }
+ */
+const embedFeedback = async (feedback, tokens) => {
+  const missing = feedback.filter(item => !embeddingCache.has(String(item._id)));
+
+  for (let i = 0; i < missing.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = missing.slice(i, i + EMBEDDING_BATCH_SIZE);
+    const result = await transformersService.embedTexts(batch.map(item => textProcessing.cleanText(item.text)));
+
+    if (result.error) {
+      return { vectors: lexicalVectors(tokens), method: 'lexical' };
+    }
+
+    batch.forEach((item, index) => cacheEmbedding(String(item._id), result.embeddings[index]));
+  }
+
+  return {
+    vectors: feedback.map(item => embeddingCache.get(String(item._id))),
+    method: 'transformers-embeddings'
+  };
+};
+
+const cacheEmbedding = (id, embedding) => {
+  if (embeddingCache.size >= CACHE_LIMIT) {
+    embeddingCache.delete(embeddingCache.keys().next().value);
+  }
+  embeddingCache.set(id, embedding);
+};
+
+// Lowercased, stopword-free terms with aliases applied; "wi-fi" becomes "wifi"
+const topicTerms = (text) => {
+  const joined = textProcessing.cleanText(text.replace(/(\w)-(\w)/g, '$1$2'));
+  return textProcessing.removeStopwords(textProcessing.tokenize(joined))
+    .filter(token => token.length >= 3 && !/^\d+$/.test(token))
+    .map(token => TERM_ALIASES[token] || token);
+};
+
+const lexicalVectors = (tokens) => {
+  const stemmed = tokens.map(terms => textProcessing.stemTokens(terms));
+  const documentFrequency = {};
+  stemmed.forEach(terms => {
+    new Set(terms).forEach(term => {
+      documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+    });
+  });
+
+  return stemmed.map(terms => {
+    const vector = new Map();
+    terms.forEach(term => {
+      const idf = Math.log(1 + stemmed.length / documentFrequency[term]);
+      vector.set(term, (vector.get(term) || 0) + idf);
+    });
+    return vector.size > 0 ? normalize(vector) : null;
+  });
+};
+
+/**
+ * Single pass assigning each item to the most similar cluster centroid (or a new
+ * cluster), then merging clusters whose centroids ended up close
+ * @param {Array} vectors - Dense arrays or sparse Maps, normalized; null entries are skipped
+ * @param {Number} threshold - Minimum cosine similarity
+ * @returns {Array} [{ members, centroid }]
+ */
+const groupVectors = (vectors, threshold) => {
+  const groups = [];
+
+  vectors.forEach((vector, index) => {
+    if (!vector) {
+      return;
+    }
+
+    let best = null;
+    let bestSimilarity = threshold;
+    groups.forEach(group => {
+      const value = similarity(vector, group.centroid);
+      if (value >= bestSimilarity) {
+        best = group;
+        bestSimilarity = value;
+      }
+    });
+
+    if (best) {
+      best.members.push(index);
+      best.sum = add(best.sum, vector);
+      best.centroid = normalize(best.sum);
+    } else {
+      groups.push({ members: [index], sum: add(null, vector), centroid: vector });
+    }
+  });
+
+  let merged = true;
+  while (merged) {
+    merged = false;
+    for (let i = 0; i < groups.length && !merged; i++) {
+      for (let j = i + 1; j < groups.length && !merged; j++) {
+        if (similarity(groups[i].centroid, groups[j].centroid) >= threshold) {
+          groups[i].members.push(...groups[j].members);
+          groups[i].sum = add(groups[i].sum, groups[j].sum);
+          groups[i].centroid = normalize(groups[i].sum);
+          groups.splice(j, 1);
+          merged = true;
+        }
+      }
+    }
+  }
+
+  return groups;
+};
+
+/**
+ * Label each cluster with the terms most specific to it (class-based TF-IDF)
+ * @param {Array} groups - Clusters
+ * @param {Array} tokens - Topic terms per item
+ * @returns {Array} [{ label, keywords }] per cluster
+ */
+const labelGroups = (groups, tokens) => {
+  const counts = groups.map(group => {
+    const termCounts = {};
+    group.members.forEach(index => {
+      new Set(tokens[index]).forEach(term => {
+        termCounts[term] = (termCounts[term] || 0) + 1;
+      });
+    });
+    return termCounts;
+  });
+
+  const clusterFrequency = {};
+  counts.forEach(termCounts => {
+    Object.keys(termCounts).forEach(term => {
+      clusterFrequency[term] = (clusterFrequency[term] || 0) + 1;
+    });
+  });
+
+  return counts.map(termCounts => {
+    const keywords = Object.entries(termCounts)
+      .map(([term, count]) => ({ term, weight: count * Math.log(1 + groups.length / clusterFrequency[term]) }))
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, 5)
+      .map(item => item.term);
+
+    return {
+      label: keywords.slice(0, 2).join(' / ') || 'misc',
+      keywords
+    };
+  });
+};
+
+const describeCluster = (group, { label, keywords }, feedback, vectors, window) => {
+  const items = group.members.map(index => feedback[index]);
+  const sentiment = { positive: 0, neutral: 0, negative: 0 };
+  items.forEach(item => {
+    sentiment[item.sentiment] = (sentiment[item.sentiment] || 0) + 1;
+  });
+
+  // Ties go to negative, the one organizers need to act on
+  const dominantSentiment = ['negative', 'positive', 'neutral']
+    .reduce((best, key) => (sentiment[key] > sentiment[best] ? key : best), 'negative');
+
+  const exemplars = group.members
+    .map(index => ({ index, similarity: similarity(vectors[index], group.centroid) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, 3)
+    .map(({ index }) => ({
+      id: feedback[index]._id,
+      text: feedback[index].text,
+      sentiment: feedback[index].sentiment,
+      source: feedback[index].source,
+      createdAt: feedback[index].createdAt
+    }));
+
+  const bucketMs = window.bucketMinutes * 60 * 1000;
+  const timeline = {};
+  items.forEach(item => {
+    const bucket = Math.floor(item.createdAt.getTime() / bucketMs) * bucketMs;
+    timeline[bucket] = (timeline[bucket] || 0) + 1;
+  });
+
+  const times = items.map(item => item.createdAt.getTime());
+  const recentStart = window.endTime - (window.endTime - window.windowStart) / 4;
+  const recent = times.filter(time => time >= recentStart).length;
+
+  return {
+    label,
+    keywords,
+    count: items.length,
+    sentiment,
+    dominantSentiment,
+    avgSentimentScore: items.reduce((sum, item) => sum + (item.sentimentScore || 0), 0) / items.length,
+    exemplars,
+    timeline: Object.entries(timeline)
+      .map(([timestamp, count]) => ({ timestamp: new Date(Number(timestamp)), count }))
+      .sort((a, b) => a.timestamp - b.timestamp),
+    emergence: {
+      firstSeen: new Date(Math.min(...times)),
+      lastSeen: new Date(Math.max(...times)),
+      recentCount: recent,
+      emerging: recent >= 2 && recent / items.length >= EMERGING_SHARE
+    },
+    // Same weighting as keyword topics: negative mentions count extra
+    score: items.length + sentiment.negative * 2 + sentiment.positive * 0.5
+  };
+};
+
+const similarity = (a, b) => {
+  if (Array.isArray(a)) {
+    return a.reduce((sum, value, index) => sum + value * b[index], 0);
+  }
+
+  let sum = 0;
+  a.forEach((value, term) => {
+    if (b.has(term)) {
+      sum += value * b.get(term);
+    }
+  });
+  return sum;
+};
+
+// Adds vector into sum, which is copied rather than modified
+const add = (sum, vector) => {
+  if (Array.isArray(vector)) {
+    return sum ? sum.map((value, index) => value + vector[index]) : [...vector];
+  }
+
+  const result = new Map(sum || []);
+  vector.forEach((value, term) => {
+    result.set(term, (result.get(term) || 0) + value);
+  });
+  return result;
+};
+
+const normalize = (vector) => {
+  const values = Array.isArray(vector) ? vector : [...vector.values()];
+  const norm = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0)) || 1;
+
+  if (Array.isArray(vector)) {
+    return vector.map(value => value / norm);
+  }
+  return new Map([...vector].map(([term, value]) => [term, value / norm]));
+};
@@ -339,7 +339,7 @@ const detectIssueDistributionChanges = (latestRecord, previousRecords) => {
   previousRecords.forEach(record => {
     previousTotalNegative += record.data.negative.count;
     
-    Object.entries(record.issues).forEach(([issue, count]) => {
+    Object.entries(record.issues || {}).forEach(([issue, count]) => {
       if (!avgIssueDistribution[issue]) {
         avgIssueDistribution[issue] = 0;
       }
@@ -358,7 +358,7 @@ const detectIssueDistributionChanges = (latestRecord, previousRecords) => {
   // Calculate current percentages
   const currentIssuePercentages = {};
   
-  Object.entries(latestRecord.issues).forEach(([issue, count]) => {
+  Object.entries(latestRecord.issues || {}).forEach(([issue, count]) => {
     currentIssuePercentages[issue] = latestRecord.data.negative.count > 0 ? 
       (count / latestRecord.data.negative.count) * 100 : 0;
   });
@@ -0,0 +1,164 @@
+const issueTaxonomy = require('./issueTaxonomy');
+
+// Adjectives that imply an aspect only when the clause names nothing else
+// ("it was freezing" is about temperature, "the coffee was cold" is not). Any
+// category keyword in this list is treated as weak.
+const WEAK_WORDS = [
+  'hot', 'cold', 'warm', 'freezing', 'stuffy', 'humid',
+  'crowded', 'packed', 'cramped', 'overcrowded', 'busy', 'full',
+  'unsafe', 'dangerous', 'boring'
+];
+
+// Words that are neutral in general lexicons but negative about an event aspect
+const NEGATIVE_CUES = [
+  'long', 'slow', 'late', 'delayed', 'loud', 'quiet', 'muffled', 'inaudible', 'blurry', 'dark',
+  'hot', 'cold', 'freezing', 'stuffy', 'humid', 'crowded', 'packed', 'cramped', 'overcrowded',
+  'broken', 'down', 'offline', 'dirty', 'missing', 'expensive', 'overpriced', 'blocked', 'laggy', 'echoing', 'unsafe'
+];
+
+const NEGATORS = ['not', 'no', 'never', "isn't", "wasn't", "weren't", "aren't", "didn't", "don't", 'hardly'];
+
+// Sentence ends, commas and connectors that usually switch topic
+const CLAUSE_BREAK = /[.!?;\n]+|,|\s+(?:but|however|although|though|whereas|while|yet|plus|and)\s+/gi;
+
+const DETERMINERS = ['the', 'a', 'an', 'our', 'my', 'this', 'that', 'their', 'its'];
+
+const matcherCache = new WeakMap();
+
+/**
+ * Build strong and weak matchers for each category, once per category list
+ * @param {Array} categories - Event issue categories
+ * @returns {Object} { strong, weak } lists of [aspect, matcher]
+ */
+const getMatchers = (categories) => {
+  if (!matcherCache.has(categories)) {
+    const strong = [];
+    const weak = [];
+    categories.forEach(category => {
+      const keywords = category.keywords || [];
+      const strongMatcher = issueTaxonomy.buildKeywordMatcher(keywords.filter(word => !WEAK_WORDS.includes(word)));
+      const weakMatcher = issueTaxonomy.buildKeywordMatcher(keywords.filter(word => WEAK_WORDS.includes(word)));
+      if (strongMatcher) strong.push([category.key, strongMatcher]);
+      if (weakMatcher) weak.push([category.key, weakMatcher]);
+    });
+    matcherCache.set(categories, { strong, weak });
+  }
+  return matcherCache.get(categories);
+};
+
+/**
+ * Find the taxonomy aspects a piece of text talks about
+ * @param {String} text - Clause text
+ * @param {Object} matchers - Matchers from getMatchers
+ * @returns {Array} Aspect names
+ */
+const matchAspects = (text, { strong, weak }) => {
+  const found = strong.filter(([, matcher]) => matcher.test(text)).map(([aspect]) => aspect);
+  if (found.length > 0) {
+    return found;
+  }
+  return weak.filter(([, matcher]) => matcher.test(text)).map(([aspect]) => aspect);
+};
+
+const countContentWords = (text) => text.toLowerCase().split(/\s+/)
+  .filter(word => word && !DETERMINERS.includes(word)).length;
+
+/**
+ * Split text into clauses, keeping offsets into the original string
+ * @param {String} text - Feedback text
+ * @returns {Array} [{ start, end, sentence, breakWord }]
+ */
+const splitClauses = (text) => {
+  const clauses = [];
+  let sentence = 0;
+  let cursor = 0;
+  let match;
+
+  CLAUSE_BREAK.lastIndex = 0;
+  while ((match = CLAUSE_BREAK.exec(text)) !== null) {
+    clauses.push({ start: cursor, end: match.index, sentence, breakWord: match[0].trim().toLowerCase() });
+    if (/[.!?;\n]/.test(match[0])) {
+      sentence++;
+    }
+    cursor = match.index + match[0].length;
+  }
+  clauses.push({ start: cursor, end: text.length, sentence, breakWord: null });
+
+  return clauses
+    .map(clause => {
+      const raw = text.slice(clause.start, clause.end);
+      const leading = raw.length - raw.trimStart().length;
+      return { ...clause, start: clause.start + leading, end: clause.start + raw.trimEnd().length };
+    })
+    .filter(clause => clause.end > clause.start);
+};
+
+/**
+ * Split feedback into aspect spans using the issue taxonomy. "Great keynote but
+ * the audio was awful and queues were long" gives content, audio and queue spans.
+ * @param {String} text - Feedback text
+ * @param {Array} categories - Event issue categories (defaults to the built-in taxonomy)
+ * @returns {Array} [{ aspect, span, start, end }]
+ */
+exports.extractAspects = (text, categories = issueTaxonomy.DEFAULT_CATEGORIES) => {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const matchers = getMatchers(categories);
+  const clauses = splitClauses(text).map(clause => ({
+    ...clause,
+    aspects: matchAspects(text.slice(clause.start, clause.end), matchers)
+  }));
+
+  const merged = [];
+  clauses.forEach((clause, index) => {
+    const previous = merged[merged.length - 1];
+    const sameSentence = previous && previous.sentence === clause.sentence;
+
+    // Trailing fragments with no aspect ("... and inspiring") belong to the clause before
+    if (clause.aspects.length === 0 && sameSentence) {
+      previous.end = clause.end;
+      return;
+    }
+
+    // A lone noun joined by "and" shares the next clause's verdict ("food and coffee were cold")
+    if (previous && previous.pending && sameSentence) {
+      clause = {
+        ...clause,
+        start: previous.start,
+        aspects: [...new Set([...previous.aspects, ...clause.aspects])]
+      };
+      merged.pop();
+    }
+
+    const next = clauses[index + 1];
+    clause.pending = clause.breakWord === 'and' && countContentWords(text.slice(clause.start, clause.end)) === 1 &&
+      next && next.sentence === clause.sentence;
+
+    merged.push(clause);
+  });
+
+  return merged
+    .filter(clause => clause.aspects.length > 0)
+    .flatMap(clause => clause.aspects.map(aspect => ({
+      aspect,
+      span: text.slice(clause.start, clause.end),
+      start: clause.start,
+      end: clause.end
+    })));
+};
+
+/**
+ * Check whether a span uses a word that is negative about an event aspect
+ * ("queues were long") without being negated ("not long")
+ * @param {String} span - Clause text
+ * @returns {Boolean} Whether a negative cue is present
+ */
+exports.hasNegativeCue = (span) => {
+  const words = span.toLowerCase().split(/[^a-z']+/).filter(Boolean);
+
+  return words.some((word, index) =>
+    NEGATIVE_CUES.includes(word) && !words.slice(Math.max(0, index - 2), index).some(prev => NEGATORS.includes(prev))
+  );
+};
@@ -0,0 +1,360 @@
+const natural = require('natural');
+const LabeledExample = require('../../models/LabeledExample');
+const ClassifierModel = require('../../models/ClassifierModel');
+const issueTaxonomy = require('./issueTaxonomy');
+const evaluation = require('./evaluation');
+const logger = require('../../utils/logger');
+const createError = require('../../utils/createError');
+
+// One in HOLD_OUT_EVERY examples is kept for evaluation, picked from the
+// feedback id so an example never moves between splits
+const HOLD_OUT_EVERY = 5;
+
+// New training examples since the last model before retraining automatically
+const RETRAIN_THRESHOLD = parseInt(process.env.CLASSIFIER_RETRAIN_THRESHOLD, 10) || 10;
+
+// Normalized probability a learned prediction needs to be used
+const MIN_CONFIDENCE = 0.4;
+
+// A real correction outweighs a single synthetic template
+const CORRECTION_WEIGHT = 3;
+
+const CACHE_TTL = 60 * 1000;
+
+// scope -> { version, classifier, checkedAt }; scope is an event id or 'global'
+const cache = new Map();
+const training = new Set();
+
+/**
+ * Build a Bayes classifier seeded with keyword templates for each category,
+ * plus any labeled examples
+ * @param {Array} categories - Issue categories
+ * @param {Array} examples - [{ text, issueType }]
+ * @returns {Object} Trained natural.BayesClassifier
+ */
+exports.buildClassifier = (categories, examples = []) => {
+  const classifier = new natural.BayesClassifier();
+
+  categories.forEach(category => {
+    category.keywords.forEach(keyword => {
+      classifier.addDocument(`The ${keyword} is really bad`, category.key);
+      classifier.addDocument(`I have a problem with the ${keyword}`, category.key);
+      classifier.addDocument(`${keyword} issues need to be fixed`, category.key);
+      classifier.addDocument(`Poor ${keyword} quality`, category.key);
+    });
+  });
+
+  examples.forEach(example => {
+    for (let i = 0; i < CORRECTION_WEIGHT; i++) {
+      classifier.addDocument(example.text, example.issueType);
+    }
+  });
+
+  classifier.train();
+  return classifier;
+};
+
+/**
+ * Classify text, keeping only the given labels and normalizing the scores
+ * @param {Object} classifier - natural.BayesClassifier
+ * @param {String} text - Text to classify
+ * @param {Array} labels - Allowed labels (optional)
+ * @returns {Object|null} { issueType, confidence }
+ */
+exports.classify = (classifier, text, labels = null) => {
+  const classifications = classifier.getClassifications(text)
+    .filter(item => !labels || labels.includes(item.label));
+  const total = classifications.reduce((sum, item) => sum + item.value, 0);
+
+  if (classifications.length === 0 || total <= 0) {
+    return null;
+  }
+
+  const top = classifications.reduce((best, item) => (item.value > best.value ? item : best));
+  return { issueType: top.label, confidence: top.value / total };
+};
+
+/**
+ * Store an organizer's correction as a labeled example
+ * @param {Object} feedback - Feedback before the correction
+ * @param {Object} changes - { issueType, sentiment }
+ * @param {String} userId - User making the correction
+ * @returns {Promise<Object|null>} Labeled example, or null if nothing changed
+ */
+exports.recordCorrection = async (feedback, changes, userId) => {
+  const labels = {};
+  if (changes.issueType !== undefined && changes.issueType !== feedback.issueType) {
+    labels.issueType = changes.issueType || null;
+  }
+  if (changes.sentiment !== undefined && changes.sentiment !== feedback.sentiment) {
+    labels.sentiment = changes.sentiment;
+  }
+
+  if (Object.keys(labels).length === 0 || !feedback.text) {
+    return null;
+  }
+
+  const example = await LabeledExample.findOneAndUpdate(
+    { feedback: feedback._id },
+    {
+      $set: { ...labels, event: feedback.event, text: feedback.text, labeledBy: userId, updatedAt: Date.now() },
+      $setOnInsert: {
+        predicted: { issueType: feedback.issueType, sentiment: feedback.sentiment },
+        split: assignSplit(feedback._id)
+      }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  if (example.split === 'train' && labels.issueType !== undefined) {
+    retrainIfDue(feedback.event);
+  }
+
+  return example;
+};
+
+/**
+ * Train a new classifier version from labeled examples
+ * @param {String|null} eventId - Event ID, or null for the global model
+ * @param {String} userId - User starting the training (optional)
+ * @returns {Promise<Object>} Stored model (without the serialized classifier)
+ */
+exports.train = async (eventId = null, userId = null) => {
+  const scope = eventId ? String(eventId) : 'global';
+  if (training.has(scope)) {
+    throw createError('This classifier is already being trained', 409);
+  }
+  training.add(scope);
+
+  try {
+    const filter = { issueType: { $ne: null } };
+    if (eventId) {
+      filter.event = eventId;
+    }
+
+    const examples = await LabeledExample.find(filter).select('text issueType predicted split');
+    const trainSet = examples.filter(example => example.split === 'train');
+    const testSet = examples.filter(example => example.split === 'test');
+
+    if (trainSet.length === 0) {
+      throw createError('There are no corrected feedback items to train on yet', 400);
+    }
+
+    const categories = eventId ? await issueTaxonomy.getEventTaxonomy(eventId) : issueTaxonomy.DEFAULT_CATEGORIES;
+    const classifier = exports.buildClassifier(categories, trainSet);
+    const labels = [...new Set([...categories.map(category => category.key), ...trainSet.map(example => example.issueType)])];
+
+    const metrics = evaluate(testSet, text => (exports.classify(classifier, text) || {}).issueType);
+    metrics.trainCount = trainSet.length;
+
+    const latest = await ClassifierModel.findOne({ event: eventId }).sort({ version: -1 }).select('version');
+    const version = latest ? latest.version + 1 : 1;
+
+    await ClassifierModel.updateMany({ event: eventId, isActive: true }, { isActive: false });
+    const model = await ClassifierModel.create({
+      event: eventId,
+      version,
+      model: JSON.stringify(classifier),
+      labels,
+      exampleCount: trainSet.length,
+      metrics,
+      isActive: true,
+      trainedBy: userId
+    });
+
+    cache.set(scope, { version, classifier, checkedAt: Date.now() });
+
+    logger.info(`Trained issue classifier ${scope} v${version}`, {
+      trainCount: trainSet.length,
+      testCount: testSet.length,
+      macroF1: metrics.macro.f1
+    });
+
+    const result = model.toObject();
+    delete result.model;
+    return result;
+  } finally {
+    training.delete(scope);
+  }
+};
+
+/**
+ * Predict an issue type with the event's learned classifier, falling back to the global one
+ * @param {String} eventId - Event ID
+ * @param {String} text - Text to classify
+ * @param {Array} categories - Event issue categories
+ * @returns {Promise<Object|null>} { issueType, score, method, modelVersion } or null
+ */
+exports.predict = async (eventId, text, categories) => {
+  try {
+    const active = await getActiveClassifier(eventId);
+    if (!active || !text) {
+      return null;
+    }
+
+    const result = exports.classify(active.classifier, text, [...categories.map(category => category.key), 'other']);
+    if (!result || result.confidence < MIN_CONFIDENCE) {
+      return null;
+    }
+
+    return {
+      issueType: result.issueType,
+      score: result.confidence,
+      method: 'learned',
+      modelVersion: active.version,
+      modelScope: active.scope
+    };
+  } catch (error) {
+    logger.error(`Learned classification error: ${error.message}`, { error, eventId });
+    return null;
+  }
+};
+
+/**
+ * Precision and recall on the event's held-out examples, for the active learned
+ * model and for the labels the pipeline originally assigned
+ * @param {String} eventId - Event ID
+ * @returns {Promise<Object>} Metrics
+ */
+exports.getMetrics = async (eventId) => {
+  const testSet = await LabeledExample.find({ event: eventId, split: 'test', issueType: { $ne: null } })
+    .select('text issueType predicted');
+  const active = await getActiveClassifier(eventId);
+  const categories = await issueTaxonomy.getEventTaxonomy(eventId);
+  const labels = [...categories.map(category => category.key), 'other'];
+
+  return {
+    model: active ? { scope: active.scope, version: active.version } : null,
+    heldOut: testSet.length,
+    learned: active
+      ? evaluate(testSet, text => (exports.classify(active.classifier, text, labels) || {}).issueType)
+      : null,
+    pipeline: evaluate(testSet, (text, example) => example.predicted?.issueType || 'other')
+  };
+};
+
+/**
+ * Training status for an event (or the global model)
+ * @param {String|null} eventId - Event ID, or null for the global model
+ * @returns {Promise<Object>} { active, versions, examples, retrainThreshold }
+ */
+exports.getStatus = async (eventId = null) => {
+  const versions = await ClassifierModel.find({ event: eventId })
+    .sort({ version: -1 })
+    .limit(20)
+    .populate('trainedBy', 'name');
+  const active = versions.find(model => model.isActive) || null;
+
+  const filter = eventId ? { event: eventId } : {};
+  const [train, test, pending] = await Promise.all([
+    LabeledExample.countDocuments({ ...filter, split: 'train', issueType: { $ne: null } }),
+    LabeledExample.countDocuments({ ...filter, split: 'test', issueType: { $ne: null } }),
+    countPending(eventId, active)
+  ]);
+
+  return {
+    active,
+    versions,
+    examples: { train, test, pending },
+    retrainThreshold: RETRAIN_THRESHOLD
+  };
+};
+
+/**
+ * Make an earlier model version the active one
+ * @param {String|null} eventId - Event ID, or null for the global model
+ * @param {Number} version - Version to activate
+ * @returns {Promise<Object>} Activated model
+ */
+exports.activateVersion = async (eventId, version) => {
+  const model = await ClassifierModel.findOne({ event: eventId, version });
+  if (!model) {
+    throw createError(`Classifier version ${version} not found`, 404);
+  }
+
+  await ClassifierModel.updateMany({ event: eventId, isActive: true }, { isActive: false });
+  model.isActive = true;
+  await model.save();
+
+  cache.delete(eventId ? String(eventId) : 'global');
+  return model;
+};
+
+// Retrain in the background once enough new corrections have come in
+const retrainIfDue = async (eventId) => {
+  try {
+    if (training.has(String(eventId))) {
+      return;
+    }
+
+    const active = await ClassifierModel.findOne({ event: eventId, isActive: true }).select('createdAt');
+    if (await countPending(eventId, active) < RETRAIN_THRESHOLD) {
+      return;
+    }
+
+    await exports.train(eventId);
+  } catch (error) {
+    logger.error(`Automatic classifier retraining error: ${error.message}`, { error, eventId });
+  }
+};
+
+const countPending = (eventId, active) => {
+  const filter = { split: 'train', issueType: { $ne: null } };
+  if (eventId) {
+    filter.event = eventId;
+  }
+  if (active) {
+    filter.updatedAt = { $gt: active.createdAt };
+  }
+  return LabeledExample.countDocuments(filter);
+};
+
+// Event model first, then the global one; re-checked for new versions every CACHE_TTL
+const getActiveClassifier = async (eventId) => {
+  for (const scope of [eventId ? String(eventId) : null, 'global'].filter(Boolean)) {
+    const cached = cache.get(scope);
+    if (cached && Date.now() - cached.checkedAt < CACHE_TTL) {
+      if (cached.classifier) {
+        return { ...cached, scope };
+      }
+      continue;
+    }
+
+    const filter = { event: scope === 'global' ? null : scope, isActive: true };
+    const current = await ClassifierModel.findOne(filter).select('version');
+
+    if (!current) {
+      cache.set(scope, { version: null, classifier: null, checkedAt: Date.now() });
+      continue;
+    }
+
+    if (cached && cached.version === current.version && cached.classifier) {
+      cached.checkedAt = Date.now();
+      return { ...cached, scope };
+    }
+
+    const stored = await ClassifierModel.findById(current._id).select('+model');
+    const classifier = natural.BayesClassifier.restore(JSON.parse(stored.model));
+    const entry = { version: current.version, classifier, checkedAt: Date.now() };
+    cache.set(scope, entry);
+    return { ...entry, scope };
+  }
+
+  return null;
+};
+
+const assignSplit = (feedbackId) => {
+  const hex = String(feedbackId).slice(-6);
+  return parseInt(hex, 16) % HOLD_OUT_EVERY === 0 ? 'test' : 'train';
+};
+
+/**
+ * Per-label and macro-averaged precision/recall
+ * @param {Array} examples - Held-out examples
+ * @param {Function} predict - (text, example) => issueType
+ * @returns {Object} { count, accuracy, macro, labels, confusion }
+ */
+const evaluate = (examples, predict) => evaluation.scorePredictions(examples.map(example => ({
+  actual: example.issueType,
+  predicted: predict(example.text, example) || 'other'
+})));
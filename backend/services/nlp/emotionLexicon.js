@@ -0,0 +1,112 @@
+const { escapeRegex } = require('../../utils/textProcessing');
+
+// Emotions classified per feedback item; null when none stands out
+const EMOTIONS = ['anger', 'fear', 'joy', 'sadness', 'surprise', 'frustration'];
+
+// Candidate labels given to the zero-shot model, plus 'neutral' so it can
+// decline to pick an emotion
+const ZERO_SHOT_LABELS = {
+  anger: 'anger',
+  fear: 'fear or feeling unsafe',
+  joy: 'joy',
+  sadness: 'sadness or disappointment',
+  surprise: 'surprise',
+  frustration: 'frustration',
+  neutral: null
+};
+
+// Word starts, so 'frustrat' covers frustrated/frustrating/frustration
+const CUES = {
+  fear: ['scared', 'afraid', 'frighten', 'terrif', 'fear', 'panic', 'unsafe', 'danger', 'worried', 'anxious', 'nervous',
+    'crush', 'stampede', 'trapped', 'smoke', 'fire alarm', 'caught fire', 'fight', 'weapon', 'threat', 'injur',
+    'collaps', 'faint', 'blocked exit', 'no way out', 'can\'t breathe'],
+  anger: ['angry', 'anger', 'furious', 'livid', 'outrag', 'unacceptable', 'ridiculous', 'disgrace', 'disgust', 'rude',
+    'hate', 'scam', 'rip off', 'ripoff', 'pissed', 'insult', 'how dare', 'worst'],
+  frustration: ['frustrat', 'annoy', 'fed up', 'ugh', 'again', 'still waiting', 'still not', 'keeps', 'waste of time',
+    'pointless', 'useless', 'impossible', 'nobody knows', 'no one knows', 'irritat', 'forever'],
+  sadness: ['disappoint', 'sad', 'let down', 'letdown', 'unfortunately', 'shame', 'pity', 'regret', 'upset', 'miss',
+    'expected more', 'underwhelm', 'wish'],
+  surprise: ['wow', 'surpris', 'unexpected', 'can\'t believe', 'cannot believe', 'didn\'t expect', 'did not expect',
+    'shock', 'omg', 'whoa', 'no way', 'suddenly', 'out of nowhere'],
+  joy: ['love', 'happy', 'joy', 'great', 'amazing', 'awesome', 'fantastic', 'excellent', 'wonderful', 'enjoy',
+    'delight', 'thrill', 'excit', 'fun', 'best', 'brilliant', 'perfect', 'glad']
+};
+
+// Ties go to the first emotion listed, so safety-relevant fear wins, except
+// on positive text where joy goes first
+const PRIORITY = ['fear', 'anger', 'frustration', 'sadness', 'surprise', 'joy'];
+const POSITIVE_PRIORITY = ['joy', ...PRIORITY.filter(emotion => emotion !== 'joy')];
+
+// Polite or figurative uses of fear words: "I'm afraid the talk ran late",
+// "I fear we missed it", "no fear"
+const FEAR_IDIOMS = /\b(?:i['’]?m afraid|i am afraid|afraid (?:that|so|not)|i fear|fear not|no fear|never fear)\b/gi;
+
+// Something at the venue that could hurt people. Fear only counts toward a
+// safety alert when one of these is mentioned too.
+const SAFETY_CONTEXT = ['crush', 'crowd', 'stampede', 'trapped', 'smoke', 'fire', 'alarm', 'evacuat', 'exit', 'fight',
+  'weapon', 'gun', 'knife', 'threat', 'injur', 'hurt', 'blood', 'collaps', 'faint', 'unconscious', 'ambulance', 'medic',
+  'police', 'security', 'emergency', 'unsafe', 'danger', 'hazard', 'push', 'shov', 'can\'t breathe', 'no way out'];
+
+// Emotions that contradict the overall sentiment are not considered; fear and
+// surprise can come with either
+const EXCLUDED_BY_SENTIMENT = {
+  positive: ['anger', 'frustration', 'sadness'],
+  negative: ['joy']
+};
+
+const NEGATION = /\b(?:not|no|never|isn't|wasn't|aren't|weren't|don't|didn't|wouldn't|hardly|without)\s+(?:\w+\s+)?$/i;
+
+const buildMatcher = (cues) => new RegExp(`\\b(?:${cues.map(escapeRegex).join('|')})`, 'gi');
+
+const matchers = Object.entries(CUES).reduce((acc, [emotion, cues]) => {
+  acc[emotion] = buildMatcher(cues);
+  return acc;
+}, {});
+
+const safetyMatcher = buildMatcher(SAFETY_CONTEXT);
+
+/**
+ * Pick the emotion whose cue words best match the text
+ * @param {String} text - Text to classify
+ * @param {String} sentiment - Overall sentiment of the text (optional)
+ * @returns {Object} { emotion, score, method }, emotion null when nothing matches
+ */
+exports.matchEmotion = (text, sentiment = null) => {
+  if (!text) {
+    return { emotion: null, score: 0, method: 'emotion-lexicon' };
+  }
+
+  const excluded = EXCLUDED_BY_SENTIMENT[sentiment] || [];
+  const priority = sentiment === 'positive' ? POSITIVE_PRIORITY : PRIORITY;
+  let bestEmotion = null;
+  let bestCount = 0;
+
+  priority.filter(emotion => !excluded.includes(emotion)).forEach(emotion => {
+    const source = emotion === 'fear' ? text.replace(FEAR_IDIOMS, ' ') : text;
+    const matches = [...source.matchAll(matchers[emotion])]
+      .filter(match => !NEGATION.test(source.slice(Math.max(0, match.index - 30), match.index)));
+
+    if (matches.length > bestCount) {
+      bestCount = matches.length;
+      bestEmotion = emotion;
+    }
+  });
+
+  return {
+    emotion: bestEmotion,
+    score: bestCount > 0 ? Math.min(0.4 + bestCount * 0.15, 0.9) : 0,
+    method: 'emotion-lexicon'
+  };
+};
+
+/**
+ * Whether text mentions something at the venue that could hurt people, as
+ * opposed to nerves about a talk or a demo
+ * @param {String} text - Feedback text
+ * @returns {Boolean}
+ */
+exports.hasSafetyContext = (text) => Boolean(text) && [...text.matchAll(safetyMatcher)]
+  .some(match => !NEGATION.test(text.slice(Math.max(0, match.index - 30), match.index)));
+
+exports.EMOTIONS = EMOTIONS;
+exports.ZERO_SHOT_LABELS = ZERO_SHOT_LABELS;
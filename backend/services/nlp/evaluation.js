@@ -0,0 +1,66 @@
+/**
+ * Per-label and macro-averaged precision, recall and F1, plus a confusion matrix
+ * @param {Array} pairs - [{ actual, predicted }]
+ * @param {Array} labelOrder - Labels to list first in the matrix (optional)
+ * @returns {Object} { count, accuracy, macro, labels, confusion }
+ */
+exports.scorePredictions = (pairs, labelOrder = []) => {
+  const counts = {};
+  const matrix = {};
+  let correct = 0;
+
+  const entry = (label) => {
+    if (!counts[label]) {
+      counts[label] = { truePositives: 0, falsePositives: 0, falseNegatives: 0, support: 0 };
+    }
+    return counts[label];
+  };
+
+  pairs.forEach(({ actual, predicted }) => {
+    entry(actual).support++;
+    matrix[actual] = matrix[actual] || {};
+    matrix[actual][predicted] = (matrix[actual][predicted] || 0) + 1;
+
+    if (predicted === actual) {
+      correct++;
+      entry(actual).truePositives++;
+    } else {
+      entry(predicted).falsePositives++;
+      entry(actual).falseNegatives++;
+    }
+  });
+
+  const labels = Object.entries(counts).map(([label, count]) => {
+    const precision = ratio(count.truePositives, count.truePositives + count.falsePositives);
+    const recall = ratio(count.truePositives, count.truePositives + count.falseNegatives);
+    return {
+      label,
+      precision,
+      recall,
+      f1: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0,
+      support: count.support
+    };
+  });
+
+  // Macro averages only cover labels that appear in the labeled set
+  const supported = labels.filter(item => item.support > 0);
+  const average = (field) => (supported.length > 0
+    ? supported.reduce((sum, item) => sum + item[field], 0) / supported.length
+    : 0);
+
+  // Rows are actual labels, columns predicted ones
+  const matrixLabels = [...new Set([...labelOrder, ...Object.keys(counts)])];
+
+  return {
+    count: pairs.length,
+    accuracy: ratio(correct, pairs.length),
+    macro: { precision: average('precision'), recall: average('recall'), f1: average('f1') },
+    labels: labels.sort((a, b) => b.support - a.support),
+    confusion: {
+      labels: matrixLabels,
+      matrix: matrixLabels.map(actual => matrixLabels.map(predicted => (matrix[actual] || {})[predicted] || 0))
+    }
+  };
+};
+
+const ratio = (part, total) => (total > 0 ? part / total : 0);
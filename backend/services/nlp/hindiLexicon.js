@@ -0,0 +1,39 @@
+// AFINN-style polarity (-5..5) for common Hindi feedback words, in Devanagari
+// and in the romanized spellings attendees type on phones
+exports.words = {
+  'अच्छा': 3, 'अच्छी': 3, 'अच्छे': 3, 'accha': 3, 'acha': 3, 'achha': 3, 'achhi': 3, 'acchi': 3,
+  'बढ़िया': 3, 'badhiya': 3, 'badiya': 3, 'badhia': 3,
+  'शानदार': 4, 'shandar': 4, 'shaandaar': 4,
+  'बेहतरीन': 4, 'behtareen': 4, 'behtarin': 4,
+  'मज़ा': 3, 'मजा': 3, 'maza': 3, 'mazaa': 3,
+  'पसंद': 2, 'pasand': 2,
+  'सुंदर': 3, 'sundar': 3,
+  'खुश': 3, 'khush': 3,
+  'धन्यवाद': 2, 'dhanyavad': 2, 'shukriya': 2,
+  'उत्कृष्ट': 4, 'कमाल': 4, 'kamaal': 4, 'kamal': 4,
+  'सही': 1, 'sahi': 1,
+  'आसान': 2, 'aasan': 2,
+  'ठीक': 1, 'theek': 1, 'thik': 1,
+  'खराब': -3, 'ख़राब': -3, 'kharab': -3, 'kharaab': -3,
+  'बुरा': -3, 'बुरी': -3, 'bura': -3, 'buri': -3,
+  'बेकार': -3, 'bekar': -3, 'bekaar': -3,
+  'घटिया': -4, 'ghatiya': -4,
+  'बकवास': -4, 'bakwas': -4, 'bakwaas': -4,
+  'गंदा': -3, 'गंदी': -3, 'ganda': -3, 'gandi': -3,
+  'परेशान': -2, 'pareshan': -2, 'pareshaan': -2,
+  'परेशानी': -2, 'pareshani': -2,
+  'समस्या': -2, 'samasya': -2, 'dikkat': -2, 'दिक्कत': -2,
+  'धीमा': -2, 'dheema': -2, 'dhima': -2,
+  'देर': -1, 'der': -1,
+  'भीड़': -2, 'bheed': -2, 'bhid': -2,
+  'गर्मी': -2, 'garmi': -2,
+  'निराश': -3, 'nirash': -3, 'niraash': -3,
+  'उबाऊ': -2, 'boring': -2,
+  'मुश्किल': -2, 'mushkil': -2,
+  'खतरनाक': -3, 'khatarnak': -3,
+  'गुस्सा': -3, 'gussa': -3
+};
+
+// Hindi negation usually follows the word it negates ("अच्छा नहीं था"),
+// so it flips the polarity of the whole text rather than of the next word
+exports.negations = ['नहीं', 'नही', 'ना', 'मत', 'nahi', 'nahin', 'nai', 'mat'];
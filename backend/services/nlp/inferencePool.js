@@ -0,0 +1,410 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const logger = require('../../utils/logger');
+
+const WORKER_PATH = path.join(__dirname, 'inferenceWorker.js');
+
+const WORKER_COUNT = Math.max(parseInt(process.env.INFERENCE_WORKERS, 10) || 1, 1);
+const MAX_BATCH_SIZE = Math.max(parseInt(process.env.INFERENCE_BATCH_SIZE, 10) || 8, 1);
+// How long the first request of a batch waits for others to join it
+const BATCH_WAIT_MS = parseInt(process.env.INFERENCE_BATCH_WAIT_MS, 10) || 10;
+const MAX_QUEUE = parseInt(process.env.INFERENCE_MAX_QUEUE, 10) || 200;
+const TIMEOUT_MS = parseInt(process.env.INFERENCE_TIMEOUT_MS, 10) || 10000;
+
+// A batch running this long is stuck; the first batch per model includes the download
+const STUCK_WORKER_MS = 5 * 60 * 1000;
+
+// Recent latencies kept per task for percentiles
+const LATENCY_SAMPLES = 500;
+const THROUGHPUT_WINDOW = 60 * 1000;
+
+// { worker, batch, stuckTimer }
+const slots = [];
+// Requests waiting for a worker, oldest first
+const queue = [];
+// `${task}|${model}` -> load error; such models aren't retried until restart
+const failedModels = new Map();
+const loadedModels = new Set();
+// task -> counters and samples
+const taskStats = new Map();
+
+const startedAt = new Date();
+let restarts = 0;
+let nextBatchId = 1;
+let batchTimer = null;
+
+/**
+ * Run one input through a model on the worker pool. Requests for the same task,
+ * model and options are batched together.
+ * @param {String} task - Pipeline task, e.g. 'sentiment-analysis'
+ * @param {String} model - Model name
+ * @param {String} input - Text to run
+ * @param {Object} options - Pipeline options, e.g. { candidateLabels } for zero-shot
+ * @returns {Promise<*>} The pipeline's result for this input. Rejects with
+ * error.code QUEUE_FULL, TIMEOUT, MODEL_UNAVAILABLE or INFERENCE_ERROR.
+ */
+exports.run = (task, model, input, options = {}) => new Promise((resolve, reject) => {
+  const stats = getTaskStats(task);
+  stats.requests++;
+
+  const modelKey = `${task}|${model}`;
+  if (failedModels.has(modelKey)) {
+    stats.rejected++;
+    reject(inferenceError(`Model ${model} is not available: ${failedModels.get(modelKey)}`, 'MODEL_UNAVAILABLE'));
+    return;
+  }
+
+  // Shed load instead of letting callers wait on a backlog they'd time out in anyway
+  if (queue.length >= MAX_QUEUE) {
+    stats.rejected++;
+    reject(inferenceError(`Inference queue is full (${MAX_QUEUE} requests)`, 'QUEUE_FULL'));
+    return;
+  }
+
+  enqueue({
+    batchKey: `${modelKey}|${JSON.stringify(options)}`,
+    task,
+    model,
+    input,
+    options,
+    resolve,
+    reject
+  }, TIMEOUT_MS);
+});
+
+/**
+ * Load a model on a worker ahead of the first request
+ * @param {String} task - Pipeline task
+ * @param {String} model - Model name
+ * @returns {Promise<Boolean>} Whether the model loaded
+ */
+exports.load = (task, model) => new Promise(resolve => {
+  const modelKey = `${task}|${model}`;
+  if (failedModels.has(modelKey)) {
+    resolve(false);
+    return;
+  }
+  if (loadedModels.has(modelKey)) {
+    resolve(true);
+    return;
+  }
+
+  enqueue({
+    batchKey: `${modelKey}|load`,
+    task,
+    model,
+    warmup: true,
+    resolve: () => resolve(true),
+    reject: () => resolve(false)
+  }, STUCK_WORKER_MS);
+});
+
+/**
+ * Throughput, latency and queue figures for sizing the pool
+ * @returns {Object} { startedAt, config, workers, queued, models, tasks }
+ */
+exports.getStats = () => {
+  const now = Date.now();
+  const tasks = {};
+  taskStats.forEach((stats, task) => {
+    pruneCompletions(stats, now);
+    tasks[task] = {
+      requests: stats.requests,
+      completed: stats.completed,
+      failed: stats.failed,
+      timedOut: stats.timedOut,
+      rejected: stats.rejected,
+      batches: stats.batches,
+      avgBatchSize: stats.batches > 0 ? Math.round((stats.batchedItems / stats.batches) * 100) / 100 : 0,
+      throughputPerMinute: stats.completions.length,
+      latencyMs: summarizeSamples(stats.latencies),
+      batchMs: summarizeSamples(stats.batchDurations)
+    };
+  });
+
+  return {
+    startedAt,
+    config: {
+      workers: WORKER_COUNT,
+      maxBatchSize: MAX_BATCH_SIZE,
+      batchWaitMs: BATCH_WAIT_MS,
+      maxQueue: MAX_QUEUE,
+      timeoutMs: TIMEOUT_MS
+    },
+    workers: {
+      total: slots.length,
+      busy: slots.filter(slot => slot.batch).length,
+      restarts
+    },
+    queued: queue.length,
+    models: {
+      loaded: [...loadedModels].map(key => splitModelKey(key)),
+      failed: [...failedModels].map(([key, error]) => ({ ...splitModelKey(key), error }))
+    },
+    tasks
+  };
+};
+
+const enqueue = (request, timeoutMs) => {
+  request.enqueuedAt = Date.now();
+  request.settled = false;
+  request.timer = setTimeout(() => {
+    const index = queue.indexOf(request);
+    if (index !== -1) {
+      queue.splice(index, 1);
+    }
+    settle(request, inferenceError(`Inference timed out after ${timeoutMs}ms`, 'TIMEOUT'));
+  }, timeoutMs);
+  // The worker or batch timer keeps the process alive while a request is pending
+  request.timer.unref();
+
+  queue.push(request);
+  schedule();
+};
+
+const settle = (request, error, result) => {
+  if (request.settled) {
+    return;
+  }
+  request.settled = true;
+  clearTimeout(request.timer);
+
+  if (request.warmup) {
+    if (error) {
+      request.reject(error);
+    } else {
+      request.resolve(result);
+    }
+    return;
+  }
+
+  const stats = getTaskStats(request.task);
+  if (error) {
+    if (error.code === 'TIMEOUT') {
+      stats.timedOut++;
+    } else {
+      stats.failed++;
+    }
+    request.reject(error);
+    return;
+  }
+
+  const now = Date.now();
+  stats.completed++;
+  addSample(stats.latencies, now - request.enqueuedAt);
+  stats.completions.push(now);
+  pruneCompletions(stats, now);
+  request.resolve(result);
+};
+
+// Send the oldest request's batch to an idle worker once it is full or has waited long enough
+const schedule = () => {
+  if (queue.length === 0) {
+    return;
+  }
+
+  ensureWorkers();
+  const slot = slots.find(item => !item.batch);
+  if (!slot) {
+    // Picked up again when a worker finishes its batch
+    return;
+  }
+
+  const first = queue[0];
+  const waited = Date.now() - first.enqueuedAt;
+  const ready = queue.filter(request => request.batchKey === first.batchKey).length;
+
+  if (ready >= MAX_BATCH_SIZE || waited >= BATCH_WAIT_MS || first.warmup) {
+    dispatch(slot, first.batchKey);
+    schedule();
+    return;
+  }
+
+  if (!batchTimer) {
+    batchTimer = setTimeout(() => {
+      batchTimer = null;
+      schedule();
+    }, BATCH_WAIT_MS - waited);
+  }
+};
+
+const dispatch = (slot, batchKey) => {
+  const requests = [];
+  for (let index = 0; index < queue.length && requests.length < MAX_BATCH_SIZE;) {
+    if (queue[index].batchKey === batchKey) {
+      requests.push(queue.splice(index, 1)[0]);
+    } else {
+      index++;
+    }
+  }
+
+  const { task, model, options, warmup } = requests[0];
+  const modelKey = `${task}|${model}`;
+
+  // The model failed to load while these were queued
+  if (failedModels.has(modelKey)) {
+    const error = inferenceError(`Model ${model} is not available: ${failedModels.get(modelKey)}`, 'MODEL_UNAVAILABLE');
+    requests.forEach(request => settle(request, error));
+    return;
+  }
+
+  const batch = { id: nextBatchId++, task, model, requests, startedAt: Date.now() };
+  slot.batch = batch;
+  slot.stuckTimer = setTimeout(() => {
+    logger.error(`Inference batch for ${model} ran longer than ${STUCK_WORKER_MS}ms, restarting worker`);
+    restartWorker(slot, 'Inference worker was restarted');
+  }, STUCK_WORKER_MS);
+  slot.stuckTimer.unref();
+  slot.worker.ref();
+
+  if (!warmup) {
+    const stats = getTaskStats(task);
+    stats.batches++;
+    stats.batchedItems += requests.length;
+  }
+
+  slot.worker.postMessage({
+    id: batch.id,
+    task,
+    model,
+    inputs: warmup ? [] : requests.map(request => request.input),
+    options: warmup ? {} : options
+  });
+};
+
+const handleMessage = (slot, message) => {
+  const { batch } = slot;
+  if (!batch || batch.id !== message.id) {
+    return;
+  }
+  finishBatch(slot);
+
+  const modelKey = `${batch.task}|${batch.model}`;
+  if (message.error) {
+    if (message.stage === 'load') {
+      failedModels.set(modelKey, message.error);
+      logger.warn(`Failed to load ${batch.task} model ${batch.model}: ${message.error}`);
+    }
+    const error = inferenceError(message.error, message.stage === 'load' ? 'MODEL_UNAVAILABLE' : 'INFERENCE_ERROR');
+    batch.requests.forEach(request => settle(request, error));
+  } else {
+    if (!loadedModels.has(modelKey)) {
+      loadedModels.add(modelKey);
+      logger.info(`Loaded ${batch.task} model ${batch.model}`);
+    }
+    if (!batch.requests[0].warmup) {
+      addSample(getTaskStats(batch.task).batchDurations, message.duration);
+    }
+    batch.requests.forEach((request, index) => settle(request, null, request.warmup || message.results[index]));
+  }
+
+  schedule();
+};
+
+const finishBatch = (slot) => {
+  clearTimeout(slot.stuckTimer);
+  slot.stuckTimer = null;
+  slot.batch = null;
+  if (slot.worker) {
+    // Idle workers don't keep the process alive
+    slot.worker.unref();
+  }
+};
+
+const ensureWorkers = () => {
+  while (slots.length < WORKER_COUNT) {
+    const slot = { worker: null, batch: null, stuckTimer: null };
+    slots.push(slot);
+    spawnWorker(slot);
+  }
+};
+
+const spawnWorker = (slot) => {
+  const worker = new Worker(WORKER_PATH);
+  worker.unref();
+  worker.on('message', message => handleMessage(slot, message));
+  worker.on('error', error => {
+    logger.error(`Inference worker error: ${error.message}`, { error });
+  });
+  worker.on('exit', code => {
+    // Ignore workers that were already replaced
+    if (slot.worker !== worker) {
+      return;
+    }
+    logger.warn(`Inference worker exited with code ${code}, restarting`);
+    restartWorker(slot, `Inference worker exited with code ${code}`);
+  });
+  slot.worker = worker;
+};
+
+// Replace a crashed or stuck worker and fail the batch it was running
+const restartWorker = (slot, reason) => {
+  const { worker, batch } = slot;
+  finishBatch(slot);
+  restarts++;
+  spawnWorker(slot);
+  worker.terminate().catch(() => {});
+
+  if (batch) {
+    const error = inferenceError(reason, 'INFERENCE_ERROR');
+    batch.requests.forEach(request => settle(request, error));
+  }
+
+  schedule();
+};
+
+const getTaskStats = (task) => {
+  if (!taskStats.has(task)) {
+    taskStats.set(task, {
+      requests: 0,
+      completed: 0,
+      failed: 0,
+      timedOut: 0,
+      rejected: 0,
+      batches: 0,
+      batchedItems: 0,
+      latencies: [],
+      batchDurations: [],
+      completions: []
+    });
+  }
+  return taskStats.get(task);
+};
+
+const addSample = (samples, value) => {
+  samples.push(value);
+  if (samples.length > LATENCY_SAMPLES) {
+    samples.shift();
+  }
+};
+
+const pruneCompletions = (stats, now) => {
+  while (stats.completions.length > 0 && stats.completions[0] < now - THROUGHPUT_WINDOW) {
+    stats.completions.shift();
+  }
+};
+
+const summarizeSamples = (samples) => {
+  if (samples.length === 0) {
+    return { p50: null, p95: null, max: null, samples: 0 };
+  }
+  const sorted = [...samples].sort((a, b) => a - b);
+  const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+  return {
+    p50: percentile(50),
+    p95: percentile(95),
+    max: sorted[sorted.length - 1],
+    samples: sorted.length
+  };
+};
+
+const splitModelKey = (key) => {
+  const [task, model] = key.split('|');
+  return { task, model };
+};
+
+const inferenceError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
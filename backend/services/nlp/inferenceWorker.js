@@ -0,0 +1,57 @@
+// Runs transformers pipelines off the main event loop. Started by inferencePool;
+// each message is one micro-batch of inputs for a single task and model.
+const { parentPort } = require('worker_threads');
+
+let pipelineFunction;
+let importError = null;
+try {
+  pipelineFunction = require('@xenova/transformers').pipeline;
+} catch (error) {
+  importError = error.message;
+}
+
+// `${task}|${model}` -> Promise of the loaded pipeline
+const pipelines = new Map();
+
+// Inputs are always passed as an array so every task returns one result per input
+const RUNNERS = {
+  'sentiment-analysis': (pipe, inputs) => pipe(inputs),
+  'text-classification': (pipe, inputs, options) => pipe(inputs, options),
+  'zero-shot-classification': (pipe, inputs, { candidateLabels, ...options }) => pipe(inputs, candidateLabels, options),
+  'feature-extraction': async (pipe, inputs, options) => (await pipe(inputs, options)).tolist()
+};
+
+const getPipeline = (task, model) => {
+  const key = `${task}|${model}`;
+  if (!pipelines.has(key)) {
+    const loading = pipelineFunction
+      ? pipelineFunction(task, model)
+      : Promise.reject(new Error(`@xenova/transformers not available: ${importError}`));
+    pipelines.set(key, loading);
+  }
+  return pipelines.get(key);
+};
+
+parentPort.on('message', async ({ id, task, model, inputs, options }) => {
+  const startedAt = Date.now();
+
+  let pipe;
+  try {
+    pipe = await getPipeline(task, model);
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message, stage: 'load' });
+    return;
+  }
+
+  if (!inputs || inputs.length === 0) {
+    parentPort.postMessage({ id, results: [], duration: Date.now() - startedAt });
+    return;
+  }
+
+  try {
+    const results = await RUNNERS[task](pipe, inputs, options || {});
+    parentPort.postMessage({ id, results, duration: Date.now() - startedAt });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message, stage: 'run' });
+  }
+});
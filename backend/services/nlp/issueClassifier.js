@@ -1,44 +1,33 @@
 const transformersService = require('./transformersService');
 const textProcessing = require('../../utils/textProcessing');
 const logger = require('../../utils/logger');
-const natural = require('natural');
-const classifier = new natural.BayesClassifier();
+const issueTaxonomy = require('./issueTaxonomy');
+const classifierTrainer = require('./classifierTrainer');
 
-const issueKeywords = {
-  'queue': ['queue', 'line', 'waiting', 'slow', 'long', 'entry', 'entrance', 'registration', 'check-in'],
-  'audio': ['audio', 'sound', 'volume', 'mic', 'microphone', 'hear', 'loud', 'quiet', 'noise', 'echo', 'speaker'],
-  'video': ['video', 'screen', 'projector', 'display', 'see', 'visible', 'visibility', 'projection', 'slides', 'presentation'],
-  'crowding': ['crowd', 'crowded', 'full', 'packed', 'space', 'room', 'capacity', 'cramped', 'tight', 'busy', 'overcrowded'],
-  'amenities': ['food', 'drink', 'water', 'coffee', 'bathroom', 'toilet', 'restroom', 'wifi', 'internet', 'chairs', 'seating'],
-  'content': ['boring', 'interesting', 'speaker', 'talk', 'topic', 'session', 'presentation', 'content', 'information', 'relevance'],
-  'temperature': ['hot', 'cold', 'temperature', 'air', 'conditioning', 'ac', 'heat', 'warm', 'freezing', 'stuffy', 'ventilation'],
-  'safety': ['unsafe', 'dangerous', 'emergency', 'exit', 'security', 'safe', 'hazard', 'blocked', 'accident', 'incident']
-};
+// One trained classifier per category list; event taxonomies are cached, so
+// the same list comes back until it changes
+const classifiers = new WeakMap();
 
-const initializeClassifier = () => {
-  Object.entries(issueKeywords).forEach(([category, keywords]) => {
-    keywords.forEach(keyword => {
-      // Add various phrases containing the keyword
-      classifier.addDocument(`The ${keyword} is really bad`, category);
-      classifier.addDocument(`I have a problem with the ${keyword}`, category);
-      classifier.addDocument(`${keyword} issues need to be fixed`, category);
-      classifier.addDocument(`Poor ${keyword} quality`, category);
-    });
-  });
-  
-  classifier.train();
+const getClassifier = (categories) => {
+  if (classifiers.has(categories)) {
+    return classifiers.get(categories);
+  }
+
+  const classifier = classifierTrainer.buildClassifier(categories);
+  classifiers.set(categories, classifier);
   
-  logger.info('Issue classifier initialized');
+  return classifier;
 };
 
-initializeClassifier();
+getClassifier(issueTaxonomy.DEFAULT_CATEGORIES);
+logger.info('Issue classifier initialized');
 
 
-exports.classifyIssue = async (text) => {
+exports.classifyIssue = async (text, categories = issueTaxonomy.DEFAULT_CATEGORIES, eventId = null) => {
   try {
-    const transformersResult = await transformersService.detectIssueType(text);
+    const transformersResult = await transformersService.detectIssueType(text, categories);
     
-    if (transformersResult.score > 0.7) {
+    if (transformersResult.method === 'transformers' && transformersResult.score > 0.7) {
       return {
         issueType: transformersResult.issueType,
         confidence: transformersResult.score,
@@ -46,41 +35,36 @@ exports.classifyIssue = async (text) => {
       };
     }
 
-    const cleanedText = textProcessing.cleanText(text);
-    
-    let highestMatchCount = 0;
-    let bestMatchCategory = 'other';
-    
-    Object.entries(issueKeywords).forEach(([category, keywords]) => {
-      const matchCount = keywords.filter(keyword => 
-        cleanedText.toLowerCase().includes(keyword.toLowerCase())
-      ).length;
-      
-      if (matchCount > highestMatchCount) {
-        highestMatchCount = matchCount;
-        bestMatchCategory = category;
-      }
-    });
+    // A model trained on organizer corrections beats keyword matching
+    const learnedResult = await classifierTrainer.predict(eventId, text, categories);
     
-    if (highestMatchCount > 0) {
+    if (learnedResult) {
       return {
-        issueType: bestMatchCategory,
-        confidence: Math.min(highestMatchCount / 3, 0.9), 
-        method: 'keyword',
-        matchCount: highestMatchCount
+        issueType: learnedResult.issueType,
+        confidence: learnedResult.score,
+        method: 'learned',
+        modelVersion: learnedResult.modelVersion
       };
     }
+
+    const cleanedText = textProcessing.cleanText(text);
     
-    const bayesResult = classifier.getClassifications(cleanedText);
+    const keywordResult = issueTaxonomy.matchKeywords(cleanedText, categories);
     
-    if (bayesResult.length > 0 && bayesResult[0].value > 0.3) {
+    if (keywordResult.issueType !== 'other') {
       return {
-        issueType: bayesResult[0].label,
-        confidence: bayesResult[0].value,
-        method: 'bayes'
+        issueType: keywordResult.issueType,
+        confidence: keywordResult.score,
+        method: 'keyword'
       };
     }
     
+    const bayesResult = exports.classifyWithBayes(cleanedText, categories);
+    
+    if (bayesResult.confidence > 0.3) {
+      return bayesResult;
+    }
+    
     return {
       issueType: 'other',
       confidence: 0.3,
@@ -98,6 +82,20 @@ exports.classifyIssue = async (text) => {
   }
 };
 
+/**
+ * Top label from the classifier trained on the taxonomy's keyword templates
+ * @param {String} text - Cleaned text
+ * @param {Array} categories - Event issue categories
+ * @returns {Object} { issueType, confidence, method }
+ */
+exports.classifyWithBayes = (text, categories = issueTaxonomy.DEFAULT_CATEGORIES) => {
+  const [top] = getClassifier(categories).getClassifications(text);
+  
+  return top
+    ? { issueType: top.label, confidence: top.value, method: 'bayes' }
+    : { issueType: 'other', confidence: 0, method: 'bayes' };
+};
+
 exports.detectSeverity = (text, sentimentScore) => {
   let severity = 'low';
   
@@ -0,0 +1,266 @@
+const Event = require('../../models/Event');
+const logger = require('../../utils/logger');
+const createError = require('../../utils/createError');
+const { escapeRegex } = require('../../utils/textProcessing');
+
+// Used by events that have not defined their own categories. `keywords` drive
+// the keyword fallback and aspect extraction; `zeroShotLabels` are the
+// candidate labels given to the zero-shot model.
+const DEFAULT_CATEGORIES = [
+  {
+    key: 'queue',
+    label: 'Queue/Waiting',
+    description: 'Issues with lines or waiting times',
+    keywords: ['queue', 'line', 'wait', 'waiting', 'entry', 'entrance', 'registration', 'check-in', 'checkin', 'badge', 'ticketing'],
+    zeroShotLabels: ['queue', 'waiting in line']
+  },
+  {
+    key: 'audio',
+    label: 'Audio Problems',
+    description: 'Sound system or audio quality issues',
+    keywords: ['audio', 'sound', 'volume', 'mic', 'microphone', 'loudspeaker', 'pa system', 'acoustics', 'echo', 'hear', 'noise'],
+    zeroShotLabels: ['audio problems', 'sound issues']
+  },
+  {
+    key: 'video',
+    label: 'Video/Display',
+    description: 'Projection, screens or visibility issues',
+    keywords: ['video', 'screen', 'projector', 'projection', 'display', 'slide', 'visuals', 'visibility', 'livestream', 'stream'],
+    zeroShotLabels: ['video problems', 'display issues']
+  },
+  {
+    key: 'crowding',
+    label: 'Overcrowding',
+    description: 'Space or capacity problems',
+    keywords: ['crowd', 'space', 'capacity', 'overcrowding', 'crowded', 'packed', 'cramped', 'overcrowded'],
+    zeroShotLabels: ['overcrowding', 'crowded space']
+  },
+  {
+    key: 'amenities',
+    label: 'Amenities',
+    description: 'Issues with facilities like food, bathrooms, etc.',
+    keywords: ['food', 'drink', 'water', 'coffee', 'lunch', 'snack', 'catering', 'bathroom', 'toilet', 'restroom', 'wifi', 'wi-fi', 'internet', 'chair', 'seating', 'seat', 'parking'],
+    zeroShotLabels: ['food and drink', 'bathroom facilities']
+  },
+  {
+    key: 'content',
+    label: 'Content',
+    description: 'Issues with speakers, presentations or content',
+    keywords: ['keynote', 'talk', 'session', 'speaker', 'presentation', 'content', 'topic', 'panel', 'workshop', 'agenda', 'lecture', 'demo', 'boring'],
+    zeroShotLabels: ['presentation content', 'speaker quality']
+  },
+  {
+    key: 'temperature',
+    label: 'Temperature',
+    description: 'Issues with room temperature or climate',
+    keywords: ['temperature', 'air conditioning', 'aircon', 'ac', 'heating', 'ventilation', 'hot', 'cold', 'warm', 'freezing', 'stuffy', 'humid'],
+    zeroShotLabels: ['room temperature', 'air conditioning']
+  },
+  {
+    key: 'safety',
+    label: 'Safety',
+    description: 'Safety or security concerns',
+    keywords: ['safety', 'emergency', 'exit', 'security', 'hazard', 'accident', 'incident', 'unsafe', 'dangerous'],
+    zeroShotLabels: ['safety concerns']
+  }
+];
+
+// Always available, so they can't be redefined by an event
+const RESERVED_KEYS = ['other', 'general', 'emergency'];
+
+const MAX_CATEGORIES = 25;
+const CACHE_TTL = 60 * 1000;
+
+const cache = new Map();
+const matcherCache = new WeakMap();
+
+/**
+ * Build a regex matching any of the keywords as whole words, with an optional plural ending
+ * @param {Array} keywords - Keywords
+ * @returns {RegExp|null} Matcher, or null for an empty list
+ */
+exports.buildKeywordMatcher = (keywords) => {
+  if (!keywords || keywords.length === 0) {
+    return null;
+  }
+  return new RegExp(`\\b(?:${keywords.map(escapeRegex).join('|')})(?:s|es)?\\b`, 'i');
+};
+
+/**
+ * Get an event's issue categories, falling back to the defaults
+ * @param {String} eventId - Event ID
+ * @returns {Promise<Array>} Categories
+ */
+exports.getEventTaxonomy = async (eventId) => {
+  if (!eventId) {
+    return DEFAULT_CATEGORIES;
+  }
+
+  const key = String(eventId);
+  const cached = cache.get(key);
+  if (cached && cached.expires > Date.now()) {
+    return cached.categories;
+  }
+
+  try {
+    const event = await Event.findById(eventId).select('issueCategories');
+    const categories = exports.resolveCategories(event);
+    cache.set(key, { categories, expires: Date.now() + CACHE_TTL });
+    return categories;
+  } catch (error) {
+    logger.error(`Get event taxonomy error: ${error.message}`, { error, eventId });
+    return DEFAULT_CATEGORIES;
+  }
+};
+
+/**
+ * Get the categories defined on an event document, or the defaults
+ * @param {Object} event - Event document (may be null)
+ * @returns {Array} Categories as plain objects
+ */
+exports.resolveCategories = (event) => {
+  if (!event || !event.issueCategories || event.issueCategories.length === 0) {
+    return DEFAULT_CATEGORIES;
+  }
+
+  return event.issueCategories.map(category => ({
+    key: category.key,
+    label: category.label,
+    description: category.description || '',
+    keywords: [...(category.keywords || [])],
+    zeroShotLabels: [...(category.zeroShotLabels || [])]
+  }));
+};
+
+/**
+ * Drop the cached categories for an event after they change
+ * @param {String} eventId - Event ID
+ */
+exports.invalidate = (eventId) => {
+  cache.delete(String(eventId));
+};
+
+/**
+ * Validate and clean categories submitted by an organizer
+ * @param {Array} input - [{ key, label, description, keywords, zeroShotLabels }]
+ * @returns {Array} Normalized categories
+ */
+exports.normalizeCategories = (input) => {
+  if (!Array.isArray(input)) {
+    throw createError('Categories must be an array', 400);
+  }
+  if (input.length > MAX_CATEGORIES) {
+    throw createError(`An event can have at most ${MAX_CATEGORIES} issue categories`, 400);
+  }
+
+  const seen = new Set();
+
+  return input.map((item, index) => {
+    const label = typeof item?.label === 'string' ? item.label.trim() : '';
+    if (!label || label.length > 50) {
+      throw createError(`Category ${index + 1} needs a label of up to 50 characters`, 400);
+    }
+
+    const key = slugify(item.key || label);
+    if (!/^[a-z][a-z0-9-]{0,29}$/.test(key)) {
+      throw createError(`"${label}" needs a key of letters, numbers and dashes, starting with a letter`, 400);
+    }
+    if (RESERVED_KEYS.includes(key)) {
+      throw createError(`"${key}" is a reserved category`, 400);
+    }
+    if (seen.has(key)) {
+      throw createError(`Duplicate category key: ${key}`, 400);
+    }
+    seen.add(key);
+
+    const keywords = parseList(item.keywords, 50);
+    const zeroShotLabels = parseList(item.zeroShotLabels, 10);
+    if (keywords.length === 0) {
+      throw createError(`"${label}" needs at least one keyword`, 400);
+    }
+
+    return {
+      key,
+      label,
+      description: typeof item.description === 'string' ? item.description.trim().slice(0, 200) : '',
+      keywords,
+      zeroShotLabels
+    };
+  });
+};
+
+/**
+ * Pick the category whose keywords best match the text
+ * @param {String} text - Text to classify
+ * @param {Array} categories - Event categories
+ * @returns {Object} { issueType, score, method }
+ */
+exports.matchKeywords = (text, categories = DEFAULT_CATEGORIES) => {
+  let bestMatch = 'other';
+  let bestCount = 0;
+
+  getMatchers(categories).forEach(({ key, matchers }) => {
+    const matchCount = matchers.filter(matcher => matcher.test(text)).length;
+    if (matchCount > bestCount) {
+      bestCount = matchCount;
+      bestMatch = key;
+    }
+  });
+
+  return {
+    issueType: bestMatch,
+    score: bestCount > 0 ? Math.min(bestCount / 3, 0.9) : 0,
+    method: 'keyword-fallback'
+  };
+};
+
+/**
+ * Get a category's display label
+ * @param {Array} categories - Event categories
+ * @param {String} key - Category key
+ * @returns {String} Label
+ */
+exports.getLabel = (categories, key) => {
+  const category = categories.find(item => item.key === key);
+  if (category) {
+    return category.label;
+  }
+  return key ? key.charAt(0).toUpperCase() + key.slice(1) : 'Other';
+};
+
+/**
+ * Check whether a key is usable as an issue type for these categories
+ * @param {Array} categories - Event categories
+ * @param {String} key - Category key
+ * @returns {Boolean} Whether the key is known
+ */
+exports.hasCategory = (categories, key) => {
+  return key === 'other' || categories.some(category => category.key === key);
+};
+
+// One matcher per keyword, built once per category list
+const getMatchers = (categories) => {
+  if (!matcherCache.has(categories)) {
+    matcherCache.set(categories, categories.map(category => ({
+      key: category.key,
+      matchers: category.keywords.map(keyword => exports.buildKeywordMatcher([keyword]))
+    })));
+  }
+  return matcherCache.get(categories);
+};
+
+const slugify = (value) => String(value).toLowerCase().trim()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const parseList = (value, max) => {
+  const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  return [...new Set(items
+    .filter(item => typeof item === 'string')
+    .map(item => item.trim().toLowerCase())
+    .filter(item => item && item.length <= 50))]
+    .slice(0, max);
+};
+
+exports.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+exports.RESERVED_KEYS = RESERVED_KEYS;
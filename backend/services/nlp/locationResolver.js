@@ -0,0 +1,218 @@
+const natural = require('natural');
+const Event = require('../../models/Event');
+const entityExtractor = require('./entityExtractor');
+const textProcessing = require('../../utils/textProcessing');
+const logger = require('../../utils/logger');
+
+// Confidence below which no location is assigned
+const MIN_CONFIDENCE = 0.4;
+
+// Base confidence by how the area was found; fuzzy matches are scaled down further
+const CONFIDENCE = {
+  name: 0.95,
+  keyword: 0.85,
+  entity: 0.7,
+  pattern: 0.45
+};
+
+// Taken off when the text names more than one area
+const AMBIGUITY_PENALTY = 0.15;
+
+// Place phrases longer than this are sentence fragments rather than names
+const MAX_PATTERN_WORDS = 4;
+const PLACE_NOUN = /\b(?:room|hall|area|section|building|floor|booth|stage|entrance|exit|gate)\b/i;
+
+const CACHE_TTL = 60 * 1000;
+
+// eventId -> { areas, expires }
+const cache = new Map();
+
+/**
+ * Get an event's venue areas, cached briefly since every feedback item needs them
+ * @param {String} eventId - Event ID
+ * @returns {Promise<Array>} [{ name, keywords }]
+ */
+exports.getEventAreas = async (eventId) => {
+  if (!eventId) {
+    return [];
+  }
+
+  const key = String(eventId);
+  const cached = cache.get(key);
+  if (cached && cached.expires > Date.now()) {
+    return cached.areas;
+  }
+
+  try {
+    const event = await Event.findById(eventId).select('locationMap');
+    const areas = (event?.locationMap?.areas || [])
+      .filter(area => area.name)
+      .map(area => ({ name: area.name, keywords: (area.keywords || []).filter(Boolean) }));
+    cache.set(key, { areas, expires: Date.now() + CACHE_TTL });
+    return areas;
+  } catch (error) {
+    logger.error(`Get event areas error: ${error.message}`, { error, eventId });
+    return [];
+  }
+};
+
+/**
+ * Drop the cached areas for an event after its location map changes
+ * @param {String} eventId - Event ID
+ */
+exports.invalidate = (eventId) => {
+  cache.delete(String(eventId));
+};
+
+/**
+ * Work out which venue area feedback is about. Area names and keywords are
+ * matched in the text first, tolerating small typos; place phrases extracted
+ * from the text ("in the east hall") are compared with the areas next. Events
+ * without a location map fall back to the extracted phrase itself.
+ * @param {String} text - Feedback text
+ * @param {Array} areas - Event areas [{ name, keywords }]
+ * @returns {Object|null} { location, confidence, method, matched }
+ */
+exports.resolveLocation = (text, areas = []) => {
+  if (!text) {
+    return null;
+  }
+
+  const textTokens = tokenize(text);
+  const result = areas.length > 0
+    ? matchAreaPhrases(textTokens, areas) || matchPlaceEntities(text, areas)
+    : matchPattern(text);
+
+  if (!result || result.confidence < MIN_CONFIDENCE) {
+    return null;
+  }
+  return { ...result, confidence: Math.round(result.confidence * 100) / 100 };
+};
+
+const matchAreaPhrases = (textTokens, areas) => {
+  const matches = [];
+
+  areas.forEach(area => {
+    const phrases = [
+      { phrase: area.name, method: 'name' },
+      ...area.keywords.map(keyword => ({ phrase: keyword, method: 'keyword' }))
+    ];
+
+    phrases.forEach(({ phrase, method }) => {
+      const phraseTokens = tokenize(phrase);
+      const similarity = findPhrase(textTokens, phraseTokens);
+      if (similarity > 0) {
+        matches.push({
+          location: area.name,
+          confidence: CONFIDENCE[method] * similarity,
+          method: similarity < 1 ? `${method}-fuzzy` : method,
+          matched: phrase,
+          length: phraseTokens.length
+        });
+      }
+    });
+  });
+
+  if (matches.length === 0) {
+    return null;
+  }
+
+  // Longer phrases are more specific ("hall b entrance" over "hall b")
+  matches.sort((a, b) => b.confidence - a.confidence || b.length - a.length);
+  const { length, ...best } = matches[0];
+
+  if (matches.some(match => match.location !== best.location && match.confidence === best.confidence)) {
+    best.confidence -= AMBIGUITY_PENALTY;
+  }
+
+  return best;
+};
+
+// Compare place phrases pulled from the text with each area, by shared words
+const matchPlaceEntities = (text, areas) => {
+  const entities = [
+    ...entityExtractor.extractLocations(text),
+    ...entityExtractor.extractPlaces(text)
+  ].map(tokenize).filter(tokens => tokens.length > 0);
+
+  let best = null;
+
+  entities.forEach(entityTokens => {
+    areas.forEach(area => {
+      [area.name, ...area.keywords].forEach(phrase => {
+        const phraseTokens = tokenize(phrase);
+        const shared = phraseTokens.filter(token => entityTokens.some(entityToken => tokensMatch(entityToken, token) > 0)).length;
+        const overlap = shared / Math.max(phraseTokens.length, entityTokens.length);
+        const confidence = CONFIDENCE.entity * overlap;
+
+        if (!best || confidence > best.confidence) {
+          best = { location: area.name, confidence, method: 'entity', matched: entityTokens.join(' ') };
+        }
+      });
+    });
+  });
+
+  return best;
+};
+
+const matchPattern = (text) => {
+  // The identifier-only pattern yields just "b" for "hall b", which says nothing on its own
+  const [phrase] = entityExtractor.extractLocations(text)
+    .filter(candidate => PLACE_NOUN.test(candidate) && candidate.split(/\s+/).length <= MAX_PATTERN_WORDS);
+
+  if (!phrase) {
+    return null;
+  }
+
+  const location = phrase.replace(/^the\s+/i, '').toLowerCase();
+  return { location, confidence: CONFIDENCE.pattern, method: 'pattern', matched: phrase };
+};
+
+/**
+ * Best similarity of the phrase anywhere in the text, comparing word by word
+ * @param {Array} textTokens - Text words
+ * @param {Array} phraseTokens - Phrase words
+ * @returns {Number} 1 for an exact match, less for typos, 0 when absent
+ */
+const findPhrase = (textTokens, phraseTokens) => {
+  if (phraseTokens.length === 0 || phraseTokens.length > textTokens.length) {
+    return 0;
+  }
+
+  let best = 0;
+  for (let start = 0; start + phraseTokens.length <= textTokens.length; start++) {
+    let total = 0;
+    for (let i = 0; i < phraseTokens.length; i++) {
+      const similarity = tokensMatch(textTokens[start + i], phraseTokens[i]);
+      if (similarity === 0) {
+        total = 0;
+        break;
+      }
+      total += similarity;
+    }
+    best = Math.max(best, total / phraseTokens.length);
+  }
+  return best;
+};
+
+// Short words and identifiers ("b", "2", "vip") must match exactly; longer ones
+// may have one typo, or two from eight letters up
+const tokensMatch = (a, b) => {
+  if (a === b) {
+    return 1;
+  }
+  if (a.length <= 3 || b.length <= 3 || /\d/.test(a + b)) {
+    return 0;
+  }
+
+  const distance = natural.DamerauLevenshteinDistance(a, b);
+  const allowed = Math.min(a.length, b.length) >= 8 ? 2 : 1;
+  return distance <= allowed ? 1 - distance / Math.max(a.length, b.length) : 0;
+};
+
+// Single letters stay in: the stopword list drops them, but they tell "Hall B" from "Hall C"
+const tokenize = (text) => {
+  const words = (text || '').toLowerCase().replace(/(\w)-(\w)/g, '$1$2').match(/[\p{L}\p{N}]+/gu) || [];
+  const kept = new Set(textProcessing.removeStopwords(words));
+  return words.filter(word => word.length === 1 || kept.has(word));
+};
@@ -0,0 +1,164 @@
+const transformersService = require('./transformersService');
+const logger = require('../../utils/logger');
+
+// Checked in order; card numbers and IP addresses before phones,
+// which would otherwise match any long digit run
+const PII_PATTERNS = [
+  { type: 'email', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, replacement: '[email]' },
+  { type: 'card', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, replacement: '[card number]', validate: (match) => luhn(match) },
+  { type: 'ip', pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g, replacement: '[ip address]' },
+  { type: 'phone', pattern: /(?:\+|\b)\d[\d\s().-]{7,}\d\b/g, replacement: '[phone]', validate: (match) => isPhone(match) }
+];
+
+// Lexicon fallback when no toxicity model is loaded. Insults only cover words
+// aimed at people, so "stupid queue system" stays an ordinary complaint.
+const TOXIC_TERMS = {
+  profanity: ['fuck', 'fucking', 'fucked', 'shit', 'bullshit', 'bitch', 'bastard', 'asshole', 'dickhead', 'motherfucker'],
+  insult: ['idiot', 'idiots', 'moron', 'morons', 'imbecile', 'dumbass', 'scumbag', 'loser', 'losers', 'jerk', 'clown', 'clowns', 'piece of garbage'],
+  threat: ['kill you', 'kill him', 'kill her', 'kill them', 'hurt you', 'beat you up', 'watch your back', 'burn this place', 'burn it down', 'you will regret'],
+  hate: ['go back to your country', 'should all die', 'subhuman']
+};
+
+// Extra terms from the deployment, e.g. local slurs, counted as hate
+const BLOCKLIST = (process.env.MODERATION_BLOCKLIST || '')
+  .split(',')
+  .map(term => term.trim().toLowerCase())
+  .filter(Boolean);
+
+const TOXICITY_THRESHOLD = 0.5;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toxicMatchers = Object.entries({ ...TOXIC_TERMS, hate: [...TOXIC_TERMS.hate, ...BLOCKLIST] })
+  .map(([label, terms]) => ({
+    label,
+    matcher: new RegExp(`\\b(?:${terms.map(escapeRegex).join('|')})\\b`, 'gi')
+  }));
+
+/**
+ * Replace emails, phone numbers, card numbers and IP addresses with placeholders
+ * @param {String} text - Text to redact
+ * @returns {Object} { text, piiTypes }
+ */
+exports.redactPii = (text) => {
+  if (!text) {
+    return { text, piiTypes: [] };
+  }
+
+  const piiTypes = new Set();
+  let redacted = text;
+
+  PII_PATTERNS.forEach(({ type, pattern, replacement, validate }) => {
+    redacted = redacted.replace(pattern, (match) => {
+      if (validate && !validate(match)) {
+        return match;
+      }
+      piiTypes.add(type);
+      return replacement;
+    });
+  });
+
+  return { text: redacted, piiTypes: [...piiTypes] };
+};
+
+/**
+ * Score text for abuse with the toxicity model, falling back to the term lexicon
+ * @param {String} text - Text to score
+ * @returns {Promise<Object>} { toxic, score, labels, method }
+ */
+exports.detectToxicity = async (text) => {
+  if (!text || text.trim() === '') {
+    return { toxic: false, score: 0, labels: [], method: 'default' };
+  }
+
+  const modelResult = await transformersService.analyzeToxicity(text);
+  if (!modelResult.error) {
+    const labels = modelResult.labels
+      .filter(item => item.score >= TOXICITY_THRESHOLD)
+      .map(item => item.label);
+    const score = Math.max(0, ...modelResult.labels.map(item => item.score));
+
+    return { toxic: score >= TOXICITY_THRESHOLD, score, labels, method: modelResult.method };
+  }
+
+  return matchToxicTerms(text);
+};
+
+/**
+ * Moderation stage run before feedback is analyzed and stored
+ * @param {String} text - Feedback text as submitted
+ * @returns {Promise<Object>} { text, originalText, moderation }; originalText is
+ *   only set when PII was removed and PII_KEEP_ORIGINAL is enabled
+ */
+exports.moderate = async (text) => {
+  const { text: redacted, piiTypes } = exports.redactPii(text);
+
+  let toxicity;
+  try {
+    toxicity = await exports.detectToxicity(redacted);
+  } catch (error) {
+    logger.warn(`Toxicity detection error: ${error.message}, using lexicon`);
+    toxicity = matchToxicTerms(redacted);
+  }
+
+  return {
+    text: redacted,
+    originalText: piiTypes.length > 0 && process.env.PII_KEEP_ORIGINAL === 'true' ? text : null,
+    moderation: {
+      piiTypes,
+      toxic: toxicity.toxic,
+      toxicityScore: toxicity.score,
+      toxicityLabels: toxicity.labels,
+      method: toxicity.method
+    }
+  };
+};
+
+const matchToxicTerms = (text) => {
+  const labels = [];
+  let hits = 0;
+  let score = 0;
+
+  toxicMatchers.forEach(({ label, matcher }) => {
+    const count = (text.match(matcher) || []).length;
+    if (count > 0) {
+      labels.push(label);
+      hits += count;
+      // Threats and hate are serious on their own; profanity and insults add up
+      score = Math.max(score, label === 'threat' || label === 'hate' ? 0.9 : 0.4 + hits * 0.15);
+    }
+  });
+
+  return {
+    toxic: score >= TOXICITY_THRESHOLD,
+    score: Math.min(score, 1),
+    labels,
+    method: 'toxicity-lexicon'
+  };
+};
+
+const digitsOf = (value) => value.replace(/\D/g, '');
+
+const luhn = (value) => {
+  const digits = digitsOf(value);
+  if (digits.length < 13 || digits.length > 19) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+// Nine or more digits rules out times, short dates and most room or ticket numbers
+const isPhone = (value) => {
+  const digits = digitsOf(value);
+  return digits.length >= 9 && digits.length <= 15 && !/^\d{4}-\d{2}-\d{2}/.test(value.trim());
+};
@@ -1,11 +1,50 @@
+const crypto = require('crypto');
 const transformersService = require('./transformersService');
 const natural = require('natural');
 const logger = require('../../utils/logger');
 const textProcessing = require('../../utils/textProcessing');
-const SentimentRecord = require('../../models/SentimentRecord');
+const hindiLexicon = require('./hindiLexicon');
+const aspectExtractor = require('./aspectExtractor');
+const issueTaxonomy = require('./issueTaxonomy');
+const classifierTrainer = require('./classifierTrainer');
+const moderation = require('./moderation');
+const spamDetector = require('./spamDetector');
+const locationResolver = require('./locationResolver');
 
 const analyzer = new natural.SentimentAnalyzer('English', natural.PorterStemmer, 'afinn');
 
+// Lexicons shipped with natural, by detected language. AFINN words score -5..5
+// and pattern words -1..1, so `scale` brings both onto the English AFINN scale.
+const LEXICONS = {
+  es: { language: 'Spanish', stemmer: natural.PorterStemmerEs, type: 'afinn', tokenizer: natural.AggressiveTokenizerEs, scale: 0.5 },
+  pt: { language: 'Portuguese', stemmer: natural.PorterStemmerPt, type: 'afinn', tokenizer: natural.AggressiveTokenizerPt, scale: 0.5 },
+  fr: { language: 'French', stemmer: null, type: 'pattern', tokenizer: natural.AggressiveTokenizerFr, scale: 1 },
+  it: { language: 'Italian', stemmer: null, type: 'pattern', tokenizer: natural.AggressiveTokenizerIt, scale: 1 },
+  de: { language: 'German', stemmer: null, type: 'pattern', tokenizer: natural.AggressiveTokenizerDe, scale: 1 }
+};
+
+// Built on first use; stemming a whole vocabulary is not free
+const lexiconAnalyzers = {};
+
+// Mean AFINN score per word below which English text counts as neutral.
+// `npm run benchmark:nlp -- --thresholds` compares alternatives.
+const AFINN_NEUTRAL_THRESHOLD = 0.1;
+
+// Score given to a neutral span that uses an aspect-specific negative word
+// ("queues were long"); matches the default negativeSentimentThreshold
+const NEGATIVE_CUE_SCORE = -0.5;
+
+// Bump when lexicons, cue lists or scoring rules change, so stored feedback
+// shows up as outdated and can be re-scored
+const SCORING_REVISION = 4;
+
+let scoringVersion = null;
+
+const hindiWords = Object.entries(hindiLexicon.words).reduce((acc, [word, score]) => {
+  acc[word.normalize('NFC')] = score;
+  return acc;
+}, {});
+
 /**
  * Analyze sentiment of text
  * @param {String} text - Text to analyze
@@ -14,13 +53,22 @@ const analyzer = new natural.SentimentAnalyzer('English', natural.PorterStemmer,
 exports.analyzeSentiment = async (text) => {
   try {
     if (!text || text.trim() === '') {
-      return { sentiment: 'neutral', score: 0, method: 'default' };
+      return { sentiment: 'neutral', score: 0, method: 'default', language: 'en' };
     }
     
+    const language = textProcessing.detectLanguage(text);
     const cleanedText = textProcessing.cleanText(text);
     
     if (cleanedText.length < 3) {
-      return { sentiment: 'neutral', score: 0, method: 'short-text' };
+      return { sentiment: 'neutral', score: 0, method: 'short-text', language };
+    }
+    
+    // The English model and AFINN list can't read other languages
+    if (language !== 'en') {
+      const result = await analyzeOtherLanguage(cleanedText, language);
+      if (result) {
+        return { ...result, language };
+      }
     }
     
     // Try transformers-based analysis first
@@ -30,43 +78,14 @@ exports.analyzeSentiment = async (text) => {
       return {
         sentiment: transformersResult.sentiment,
         score: transformersResult.score,
-        method: 'transformers'
+        // The keyword fallback when the model isn't loaded is reported as such
+        method: transformersResult.method || 'transformers',
+        language
       };
     }
     
     // Fallback to AFINN if transformers fail
-    const tokens = textProcessing.tokenize(cleanedText);
-    const filteredTokens = textProcessing.removeStopwords(tokens);
-    
-    // Extract hashtags and consider them in sentiment
-    const hashtags = textProcessing.extractHashtags(text);
-    const hashtagBoost = hashtags.reduce((acc, tag) => {
-      const lowerTag = tag.toLowerCase();
-      if (positiveHashtags.includes(lowerTag)) return acc + 0.3;
-      if (negativeHashtags.includes(lowerTag)) return acc - 0.3;
-      return acc;
-    }, 0);
-    
-    const afinnScore = analyzer.getSentiment(filteredTokens) + hashtagBoost;
-    
-    let sentiment, score;
-    // Adjusted thresholds for social media text
-    if (afinnScore > 0.1) {
-      sentiment = 'positive';
-      score = Math.min(afinnScore / 2, 1); // Adjusted scaling
-    } else if (afinnScore < -0.1) {
-      sentiment = 'negative';
-      score = Math.max(afinnScore / 2, -1); // Adjusted scaling
-    } else {
-      sentiment = 'neutral';
-      score = afinnScore;
-    }
-    
-    return {
-      sentiment,
-      score,
-      method: 'afinn'
-    };
+    return { ...exports.analyzeWithAfinn(text), language };
   } catch (error) {
     logger.error(`Sentiment analysis error: ${error.message}`, { error, text });
     
@@ -79,33 +98,237 @@ exports.analyzeSentiment = async (text) => {
   }
 };
 
+/**
+ * Score English text with the AFINN word list, boosted by known hashtags
+ * @param {String} text - Text to analyze
+ * @param {Object} options - { threshold, hashtagBoost } (defaults match analyzeSentiment)
+ * @returns {Object} Sentiment analysis result
+ */
+exports.analyzeWithAfinn = (text, { threshold = AFINN_NEUTRAL_THRESHOLD, hashtagBoost = true } = {}) => {
+  const tokens = textProcessing.tokenize(textProcessing.cleanText(text || ''));
+  const filteredTokens = textProcessing.removeStopwords(tokens);
+  
+  // Extract hashtags and consider them in sentiment
+  const boost = !hashtagBoost ? 0 : textProcessing.extractHashtags(text || '').reduce((acc, tag) => {
+    const lowerTag = tag.toLowerCase();
+    if (positiveHashtags.includes(lowerTag)) return acc + 0.3;
+    if (negativeHashtags.includes(lowerTag)) return acc - 0.3;
+    return acc;
+  }, 0);
+  
+  const afinnScore = (filteredTokens.length > 0 ? analyzer.getSentiment(filteredTokens) : 0) + boost;
+  
+  let sentiment, score;
+  // Adjusted thresholds for social media text
+  if (afinnScore > threshold) {
+    sentiment = 'positive';
+    score = Math.min(afinnScore / 2, 1); // Adjusted scaling
+  } else if (afinnScore < -threshold) {
+    sentiment = 'negative';
+    score = Math.max(afinnScore / 2, -1); // Adjusted scaling
+  } else {
+    sentiment = 'neutral';
+    score = afinnScore;
+  }
+  
+  return {
+    sentiment,
+    score,
+    method: 'afinn'
+  };
+};
+
+/**
+ * Score non-English text with the multilingual model, or a lexicon for the language
+ * @param {String} cleanedText - Cleaned text
+ * @param {String} language - ISO 639-1 code from textProcessing.detectLanguage
+ * @returns {Object|null} Sentiment result, or null when nothing handles the language
+ */
+const analyzeOtherLanguage = async (cleanedText, language) => {
+  const modelResult = await transformersService.analyzeMultilingualSentiment(cleanedText);
+  if (!modelResult.error) {
+    return {
+      sentiment: modelResult.sentiment,
+      score: modelResult.score,
+      method: modelResult.method
+    };
+  }
+  
+  let lexiconScore;
+  let method;
+  
+  if (language === 'hi') {
+    const tokens = cleanedText.toLowerCase().normalize('NFC').split(/[^\p{L}\p{M}]+/u).filter(Boolean);
+    const total = tokens.reduce((sum, token) => sum + (hindiWords[token] || 0), 0);
+    const negated = tokens.some(token => hindiLexicon.negations.includes(token));
+    lexiconScore = tokens.length > 0 ? ((negated ? -total : total) / tokens.length) * 0.5 : 0;
+    method = 'lexicon-hi';
+  } else if (LEXICONS[language]) {
+    const config = LEXICONS[language];
+    if (!lexiconAnalyzers[language]) {
+      lexiconAnalyzers[language] = new natural.SentimentAnalyzer(config.language, config.stemmer, config.type);
+    }
+    const tokens = new config.tokenizer().tokenize(cleanedText.toLowerCase());
+    lexiconScore = tokens.length > 0 ? lexiconAnalyzers[language].getSentiment(tokens) * config.scale : 0;
+    method = `${config.type}-${language}`;
+  } else {
+    return null;
+  }
+  
+  // Same threshold as the English AFINN path, before halving
+  let sentiment = 'neutral';
+  if (lexiconScore > AFINN_NEUTRAL_THRESHOLD / 2) {
+    sentiment = 'positive';
+  } else if (lexiconScore < -AFINN_NEUTRAL_THRESHOLD / 2) {
+    sentiment = 'negative';
+  }
+  
+  return {
+    sentiment,
+    score: Math.max(-1, Math.min(1, lexiconScore)),
+    method
+  };
+};
+
+/**
+ * Split text into aspects from the issue taxonomy and score each one
+ * @param {String} text - Text to analyze
+ * @param {Object} overall - Sentiment of the whole text, reused when one span covers it (optional)
+ * @param {Array} categories - Event issue categories (defaults to the built-in taxonomy)
+ * @returns {Promise<Array>} [{ aspect, sentiment, score, span, start, end }]
+ */
+exports.analyzeAspects = async (text, overall = null, categories = issueTaxonomy.DEFAULT_CATEGORIES) => {
+  try {
+    const spans = aspectExtractor.extractAspects(text, categories);
+    const scored = {};
+    
+    const aspects = [];
+    for (const span of spans) {
+      const key = `${span.start}:${span.end}`;
+      if (!scored[key]) {
+        const coversText = overall && span.span === text.trim();
+        scored[key] = coversText ? overall : await this.analyzeSentiment(span.span);
+      }
+      
+      let { sentiment, score } = scored[key];
+      if (sentiment === 'neutral' && aspectExtractor.hasNegativeCue(span.span)) {
+        sentiment = 'negative';
+        score = Math.min(score, NEGATIVE_CUE_SCORE);
+      }
+      
+      aspects.push({ ...span, sentiment, score });
+    }
+    
+    return aspects;
+  } catch (error) {
+    logger.error(`Aspect analysis error: ${error.message}`, { error, text });
+    return [];
+  }
+};
+
 // Simple hashtag sentiment dictionary (expand as needed)
 const positiveHashtags = ['awesome', 'great', 'love', 'amazing', 'happy', 'best'];
 const negativeHashtags = ['terrible', 'bad', 'hate', 'awful', 'worst', 'fail'];
 
-exports.processFeedback = async (feedback) => {
+/**
+ * Bring a score in line with a manually corrected label: keep its strength,
+ * give it the label's sign, and zero it for neutral
+ * @param {String} sentiment - positive, neutral or negative
+ * @param {Number} score - Previously stored score
+ * @returns {Number} Score between -1 and 1
+ */
+exports.alignScore = (sentiment, score) => {
+  if (sentiment === 'neutral') {
+    return 0;
+  }
+
+  // A neutral item has no strength to keep, so it gets a moderate one
+  const magnitude = Math.min(Math.abs(score || 0), 1) || Math.abs(NEGATIVE_CUE_SCORE);
+  return sentiment === 'negative' ? -magnitude : magnitude;
+};
+
+/**
+ * Version of the scoring pipeline: the rule revision plus a hash of the models
+ * and thresholds in use. Stored with each feedback item.
+ * @returns {String} e.g. "1.3f9c2a1b"
+ */
+exports.getScoringVersion = () => {
+  if (!scoringVersion) {
+    const config = {
+      models: process.env.SKIP_NLP_MODELS === 'true' ? null : transformersService.MODELS,
+      afinnNeutralThreshold: AFINN_NEUTRAL_THRESHOLD,
+      negativeCueScore: NEGATIVE_CUE_SCORE
+    };
+    const hash = crypto.createHash('sha1').update(JSON.stringify(config)).digest('hex').slice(0, 8);
+    scoringVersion = `${SCORING_REVISION}.${hash}`;
+  }
+  return scoringVersion;
+};
+
+/**
+ * Run feedback through moderation, spam, sentiment, emotion and issue detection.
+ * Nothing is written; callers store the result and update SentimentRecord
+ * rollups themselves (see feedQueue), so previews and re-scores are safe.
+ * @param {Object} feedback - Feedback data
+ * @param {Object} options - { spam } to keep a stored spam decision
+ * @returns {Promise<Object>} Processed feedback, processed false on failure
+ */
+exports.processFeedback = async (feedback, options = {}) => {
   try {
-    const { text } = feedback;
+    // Redact PII first so nothing downstream (aspects, keywords, alerts) sees it
+    const moderated = await moderation.moderate(feedback.text);
+    const { text } = moderated;
+    const spam = options.spam || await spamDetector.scoreSpam({ ...feedback, text });
     
     const sentimentResult = await this.analyzeSentiment(text);
+    const emotionResult = await transformersService.detectEmotion(text, sentimentResult.sentiment);
+    const categories = await issueTaxonomy.getEventTaxonomy(feedback.event);
+    
+    const aspects = await this.analyzeAspects(text, sentimentResult, categories);
+    const negativeAspects = aspects
+      .filter(aspect => aspect.sentiment === 'negative')
+      .sort((a, b) => a.score - b.score);
     
     let issueResult = { issueType: null };
-    if (sentimentResult.sentiment === 'negative') {
+    if (negativeAspects.length > 0) {
+      // The most negative aspect stands for the item; alertGenerator uses all of them
+      issueResult = { issueType: negativeAspects[0].aspect, method: 'aspect' };
+    } else if (sentimentResult.sentiment === 'negative') {
       try {
         // Try transformers service first
         if (transformersService && typeof transformersService.detectIssueType === 'function') {
-          issueResult = await transformersService.detectIssueType(text);
-          logger.debug(`Issue detected with Transformers: ${issueResult.issueType}`, {
+          issueResult = await transformersService.detectIssueType(text, categories);
+          
+          // Without a confident zero-shot match, prefer a model trained on organizer corrections
+          if (issueResult.method !== 'transformers') {
+            issueResult = await classifierTrainer.predict(feedback.event, text, categories) || issueResult;
+          }
+          logger.debug(`Issue detected: ${issueResult.issueType}`, {
             score: issueResult.score,
             method: issueResult.method
           });
         } else {
           // Fall back to simpler methods
-          issueResult = fallbackIssueDetection(text);
+          issueResult = issueTaxonomy.matchKeywords(text, categories);
         }
       } catch (issueError) {
         logger.warn(`Issue detection error: ${issueError.message}, using fallback`);
-        issueResult = fallbackIssueDetection(text);
+        issueResult = issueTaxonomy.matchKeywords(text, categories);
+      }
+    }
+    
+    // Clients rarely send a location, so work it out from the text
+    let issueDetails = feedback.issueDetails;
+    if (!issueDetails?.location) {
+      const areas = await locationResolver.getEventAreas(feedback.event);
+      const resolved = locationResolver.resolveLocation(text, areas);
+      if (resolved) {
+        issueDetails = {
+          ...issueDetails,
+          location: resolved.location,
+          locationConfidence: resolved.confidence,
+          locationMethod: resolved.method
+        };
       }
     }
     
@@ -116,38 +339,45 @@ exports.processFeedback = async (feedback) => {
     
     return {
       ...feedback,
+      text,
+      ...(moderated.originalText && { originalText: moderated.originalText }),
+      moderation: moderated.moderation,
+      spam,
       sentiment: sentimentResult.sentiment,
       sentimentScore: sentimentResult.score,
+      emotion: emotionResult.emotion,
+      emotionScore: emotionResult.score,
       issueType: issueResult.issueType,
+      ...(issueDetails && { issueDetails }),
+      aspects,
       metadata: {
         ...feedback.metadata,
         hashTags: hashtags,
         mentions,
         keywords,
+        language: sentimentResult.language || textProcessing.detectLanguage(text),
         analysisMethod: sentimentResult.method // Add method for debugging
       },
+      scoring: {
+        version: exports.getScoringVersion(),
+        sentimentMethod: sentimentResult.method,
+        emotionMethod: emotionResult.method,
+        issueMethod: issueResult.method || null,
+        classifierVersion: issueResult.modelVersion || null,
+        scoredAt: new Date()
+      },
       processed: true
     };
-    
-    // Update sentiment records asynchronously if needed
-    try {
-      if (feedback.event) {
-        await updateSentimentRecords(processedFeedback);
-      }
-    } catch (recordError) {
-      logger.error(`Error updating sentiment records: ${recordError.message}`, { error: recordError });
-      // Don't let this stop the feedback from being processed
-    }
-    
-    return processedFeedback;
   } catch (error) {
+    const { text } = moderation.redactPii(feedback.text);
     logger.error(`Feedback processing error: ${error.message}`, { 
       error, 
-      feedback: { text: feedback.text, source: feedback.source, sourceId: feedback.sourceId } 
+      feedback: { text, source: feedback.source, sourceId: feedback.sourceId } 
     });
     
     return {
       ...feedback,
+      text,
       sentiment: 'neutral',
       sentimentScore: 0,
       issueType: null,
@@ -179,83 +409,3 @@ exports.batchProcessFeedback = async (feedbackItems) => {
     throw error;
   }
 };
-
-/**
- * Fallback issue detection using keyword matching
- * @param {String} text - Text to analyze
- * @returns {Object} Issue detection result
- */
-const fallbackIssueDetection = (text) => {
-  const lowerText = text.toLowerCase();
-  
-  const issuePatterns = {
-    'queue': ['queue', 'line', 'wait', 'long', 'slow', 'entry', 'enter', 'registration', 'check-in'],
-    'audio': ['audio', 'sound', 'hear', 'loud', 'quiet', 'volume', 'mic', 'speaker', 'noise'],
-    'video': ['video', 'screen', 'see', 'visible', 'projection', 'display', 'slides', 'visibility', 'projector'],
-    'crowding': ['crowd', 'space', 'room', 'full', 'packed', 'cramped', 'busy', 'overcrowded', 'capacity'],
-    'amenities': ['food', 'drink', 'bathroom', 'toilet', 'wifi', 'chair', 'seat', 'internet', 'water'],
-    'content': ['boring', 'presentation', 'speaker', 'talk', 'content', 'session', 'information', 'lecture'],
-    'temperature': ['hot', 'cold', 'temp', 'air', 'ac', 'heat', 'warm', 'stuffy', 'freezing', 'ventilation'],
-    'safety': ['safe', 'danger', 'emergency', 'security', 'hazard', 'exit', 'unsafe', 'accident']
-  };
-  
-  let bestMatch = 'other';
-  let bestScore = 0;
-  
-  Object.entries(issuePatterns).forEach(([issue, keywords]) => {
-    const matchCount = keywords.filter(kw => lowerText.includes(kw)).length;
-    const score = matchCount / keywords.length;
-    
-    if (score > bestScore) {
-      bestScore = score;
-      bestMatch = issue;
-    }
-  });
-  
-  return {
-    issueType: bestScore > 0.1 ? bestMatch : 'other',
-    score: bestScore,
-    method: 'keyword-fallback'
-  };
-};
-
-/**
- * Update sentiment records for trend analysis
- * @param {Object} feedback - Processed feedback data
- */
-const updateSentimentRecords = async (feedback) => {
-  try {
-    if (!feedback.event || !feedback.sentiment) {
-      return;
-    }
-    
-    await SentimentRecord.updateRecord(
-      feedback.event,
-      'minute',
-      feedback.createdAt || new Date(),
-      feedback
-    );
-    
-    await SentimentRecord.updateRecord(
-      feedback.event,
-      'hour',
-      feedback.createdAt || new Date(),
-      feedback
-    );
-    
-    await SentimentRecord.updateRecord(
-      feedback.event,
-      'day',
-      feedback.createdAt || new Date(),
-      feedback
-    );
-    
-    logger.debug(`Updated sentiment records for event: ${feedback.event}`, {
-      sentiment: feedback.sentiment,
-      source: feedback.source
-    });
-  } catch (error) {
-    logger.error(`Update sentiment records error: ${error.message}`, { error, feedbackId: feedback._id });
-    // Don't throw - this is a background process that shouldn't disrupt the main flow
-  }
-};
\ No newline at end of file
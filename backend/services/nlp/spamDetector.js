@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const Feedback = require('../../models/Feedback');
+const logger = require('../../utils/logger');
+
+// Only posts pulled in from social platforms are scored; app and survey
+// feedback comes from attendees
+const SOCIAL_SOURCES = ['twitter', 'instagram', 'linkedin'];
+
+// Score at or above which an item is treated as spam
+const SPAM_THRESHOLD = parseFloat(process.env.SPAM_THRESHOLD) || 0.6;
+
+// Posts with the same text inside this window count as a burst
+const DUPLICATE_WINDOW_MINUTES = 30;
+
+// Normalized text shorter than this ("great talk!") is too common to fingerprint
+const MIN_FINGERPRINT_LENGTH = 20;
+
+const PROMO_TERMS = [
+  'buy now', 'discount', 'promo code', 'coupon', 'giveaway', 'free followers', 'follow back', 'follow for follow',
+  'dm me', 'dm for', 'check my profile', 'link in bio', 'crypto', 'airdrop', 'earn money', 'make money',
+  'click here', 'limited offer', 'sign up now', 'use code'
+];
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+const PROMO_PATTERN = new RegExp(`\\b(?:${PROMO_TERMS.join('|')})\\b`, 'gi');
+const PROMO_USERNAME = /promo|deals?|offers?|giveaway|crypto|forex|followers|bot\b/i;
+
+/**
+ * Fingerprint of the text with links, mentions, numbers and punctuation removed,
+ * so copies that only vary those still match
+ * @param {String} text - Feedback text
+ * @returns {String|null} Fingerprint, or null when the text is too short
+ */
+exports.fingerprint = (text) => {
+  const normalized = (text || '')
+    .toLowerCase()
+    .replace(URL_PATTERN, ' ')
+    .replace(/@\w+/g, ' ')
+    .replace(/[^\p{L}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (normalized.length < MIN_FINGERPRINT_LENGTH) {
+    return null;
+  }
+
+  return crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 16);
+};
+
+/**
+ * Score how likely social feedback is to be spam or from a bot, using account
+ * metadata, link density, promotional wording and duplicate-text bursts
+ * @param {Object} feedback - Feedback data (event, source, text, metadata, createdAt)
+ * @returns {Promise<Object>} { score, isSpam, reasons, fingerprint }
+ */
+exports.scoreSpam = async (feedback) => {
+  const fingerprint = exports.fingerprint(feedback.text);
+
+  if (!SOCIAL_SOURCES.includes(feedback.source)) {
+    return { score: 0, isSpam: false, reasons: [], fingerprint };
+  }
+
+  const signals = [
+    ...scoreAccount(feedback.metadata || {}),
+    ...scoreContent(feedback.text || ''),
+    ...await scoreDuplicates(feedback, fingerprint)
+  ];
+
+  const score = Math.min(signals.reduce((sum, signal) => sum + signal.weight, 0), 1);
+
+  return {
+    score,
+    isSpam: score >= SPAM_THRESHOLD,
+    reasons: signals.map(signal => signal.reason),
+    fingerprint
+  };
+};
+
+const scoreAccount = (metadata) => {
+  const signals = [];
+  const { followerCount, username } = metadata;
+
+  // Null or missing means the platform didn't say; only a reported count is a signal
+  if (typeof followerCount === 'number') {
+    if (followerCount === 0) {
+      signals.push({ reason: 'no followers', weight: 0.25 });
+    } else if (followerCount < 10) {
+      signals.push({ reason: 'few followers', weight: 0.15 });
+    }
+  }
+
+  if (username) {
+    if (/\d{5,}$/.test(username)) {
+      signals.push({ reason: 'generated username', weight: 0.15 });
+    }
+    if (PROMO_USERNAME.test(username)) {
+      signals.push({ reason: 'promotional username', weight: 0.15 });
+    }
+  }
+
+  return signals;
+};
+
+const scoreContent = (text) => {
+  const signals = [];
+  const words = text.split(/\s+/).filter(Boolean).length || 1;
+  const links = (text.match(URL_PATTERN) || []).length;
+
+  if (links >= 3 || links / words >= 0.25) {
+    signals.push({ reason: 'link heavy', weight: 0.35 });
+  } else if (links > 0) {
+    signals.push({ reason: 'contains link', weight: 0.1 });
+  }
+
+  if ((text.match(/#\w+/g) || []).length >= 6) {
+    signals.push({ reason: 'hashtag stuffing', weight: 0.15 });
+  }
+
+  const promoMatches = (text.match(PROMO_PATTERN) || []).length;
+  if (promoMatches > 0) {
+    signals.push({ reason: 'promotional wording', weight: promoMatches > 1 ? 0.35 : 0.25 });
+  }
+
+  return signals;
+};
+
+// Other items stored for the event with the same fingerprint, posted within the
+// window either side of this one so backfills and re-scores see the same burst
+const scoreDuplicates = async (feedback, fingerprint) => {
+  const eventId = feedback.event;
+  if (!eventId || !fingerprint) {
+    return [];
+  }
+
+  const postedAt = feedback.createdAt ? new Date(feedback.createdAt).getTime() : Date.now();
+  const windowMs = DUPLICATE_WINDOW_MINUTES * 60 * 1000;
+  const query = {
+    event: eventId,
+    'spam.fingerprint': fingerprint,
+    createdAt: { $gte: new Date(postedAt - windowMs), $lte: new Date(postedAt + windowMs) }
+  };
+  if (feedback._id) {
+    query._id = { $ne: feedback._id };
+  }
+
+  try {
+    const duplicates = await Feedback.countDocuments(query);
+
+    if (duplicates >= 3) {
+      return [{ reason: 'duplicate burst', weight: 0.5 }];
+    }
+    if (duplicates > 0) {
+      return [{ reason: 'duplicate text', weight: 0.25 }];
+    }
+    return [];
+  } catch (error) {
+    logger.error(`Spam duplicate check error: ${error.message}`, { error, eventId });
+    return [];
+  }
+};
+
+exports.SPAM_THRESHOLD = SPAM_THRESHOLD;
@@ -0,0 +1,220 @@
+const Feedback = require('../../models/Feedback');
+const textProcessing = require('../../utils/textProcessing');
+const logger = require('../../utils/logger');
+
+// Most recent items read per summary
+const MAX_ITEMS = 300;
+
+const DEFAULT_SENTENCES = 3;
+
+// Sentences sharing this much of their weighted vocabulary make the same point
+const SIMILARITY_THRESHOLD = 0.3;
+
+// Sentences with fewer content words ("Ugh.", "Please fix!") carry no point of their own
+const MIN_TERMS = 2;
+
+const MAX_SENTENCE_LENGTH = 200;
+
+/**
+ * Condense feedback into its most representative sentences. Each sentence is
+ * scored by how many items say something similar, and picked sentences that
+ * repeat an earlier pick are skipped.
+ * @param {Array} feedback - Items with text, sentiment and optionally _id and moderation
+ * @param {Object} options - { maxSentences }
+ * @returns {Object} { total, sentiment, highlights: [{ text, count, feedback, sentiment }], text }
+ */
+exports.summarize = (feedback, options = {}) => {
+  const { maxSentences = DEFAULT_SENTENCES } = options;
+  const items = (feedback || []).filter(item => item.text && item.text.trim());
+
+  const sentiment = { positive: 0, neutral: 0, negative: 0 };
+  items.forEach(item => {
+    sentiment[item.sentiment] = (sentiment[item.sentiment] || 0) + 1;
+  });
+
+  // Toxic items count towards the totals but are not quoted
+  const sentences = [];
+  items.forEach((item, itemIndex) => {
+    if (item.moderation?.toxic) {
+      return;
+    }
+    splitSentences(item.text).forEach(text => {
+      const terms = sentenceTerms(text);
+      if (new Set(terms).size >= MIN_TERMS) {
+        sentences.push({ text, terms, itemIndex });
+      }
+    });
+  });
+
+  const vectors = weightTerms(sentences.map(sentence => sentence.terms));
+
+  // Items with at least one sentence close to each candidate
+  const scored = sentences.map((sentence, index) => {
+    const supporters = new Set([sentence.itemIndex]);
+    let centrality = 0;
+    sentences.forEach((other, otherIndex) => {
+      if (otherIndex === index) {
+        return;
+      }
+      const value = similarity(vectors[index], vectors[otherIndex]);
+      centrality += value;
+      if (value >= SIMILARITY_THRESHOLD) {
+        supporters.add(other.itemIndex);
+      }
+    });
+    return { ...sentence, index, count: supporters.size, centrality };
+  });
+
+  // Most supported first; among equals the more central, then the shorter sentence
+  scored.sort((a, b) => b.count - a.count || b.centrality - a.centrality || a.text.length - b.text.length);
+
+  const picked = [];
+  for (const candidate of scored) {
+    if (picked.length >= maxSentences) {
+      break;
+    }
+    if (picked.some(pick => similarity(vectors[pick.index], vectors[candidate.index]) >= SIMILARITY_THRESHOLD)) {
+      continue;
+    }
+    picked.push(candidate);
+  }
+
+  const highlights = picked.map(pick => ({
+    text: pick.text,
+    count: pick.count,
+    feedback: items[pick.itemIndex]._id || null,
+    sentiment: items[pick.itemIndex].sentiment
+  }));
+
+  return {
+    total: items.length,
+    sentiment,
+    highlights,
+    text: formatSummary(items.length, sentiment, highlights)
+  };
+};
+
+/**
+ * Summarize specific feedback items, e.g. those behind an Issue or an alert
+ * @param {Array} feedbackIds - Feedback IDs
+ * @param {Object} options - { maxSentences }
+ * @returns {Promise<Object>} Summary, see summarize
+ */
+exports.summarizeFeedback = async (feedbackIds, options = {}) => {
+  try {
+    if (!feedbackIds || feedbackIds.length === 0) {
+      return exports.summarize([], options);
+    }
+
+    const feedback = await Feedback.find({ _id: { $in: feedbackIds } })
+      .sort({ createdAt: -1 })
+      .limit(MAX_ITEMS)
+      .select('text sentiment moderation.toxic createdAt');
+
+    return exports.summarize(feedback, options);
+  } catch (error) {
+    logger.error(`Feedback summary error: ${error.message}`, { error });
+    throw error;
+  }
+};
+
+/**
+ * Summarize an event's feedback over a time window, leaving out spam
+ * @param {String} eventId - Event ID
+ * @param {Object} options - { startTime, endTime, sentiment, maxSentences }
+ * @returns {Promise<Object>} Summary with startTime and endTime
+ */
+exports.summarizeWindow = async (eventId, options = {}) => {
+  try {
+    const endTime = options.endTime ? new Date(options.endTime) : new Date();
+    const startTime = options.startTime ? new Date(options.startTime) : new Date(endTime.getTime() - 60 * 60 * 1000);
+
+    const query = {
+      event: eventId,
+      'spam.isSpam': { $ne: true },
+      createdAt: { $gte: startTime, $lte: endTime }
+    };
+    if (options.sentiment) {
+      query.sentiment = options.sentiment;
+    }
+
+    const feedback = await Feedback.find(query)
+      .sort({ createdAt: -1 })
+      .limit(MAX_ITEMS)
+      .select('text sentiment moderation.toxic createdAt');
+
+    return {
+      ...exports.summarize(feedback, options),
+      startTime,
+      endTime
+    };
+  } catch (error) {
+    logger.error(`Feedback window summary error: ${error.message}`, { error, eventId });
+    throw error;
+  }
+};
+
+const splitSentences = (text) => text
+  .split(/(?<=[.!?])\s+|\n+/)
+  .map(sentence => sentence.trim())
+  .filter(Boolean)
+  .map(sentence => (sentence.length > MAX_SENTENCE_LENGTH
+    ? `${sentence.slice(0, MAX_SENTENCE_LENGTH - 3).trim()}...`
+    : sentence));
+
+// Stemmed content words; "wi-fi" is read as "wifi"
+const sentenceTerms = (text) => {
+  const joined = textProcessing.cleanText(text.replace(/(\w)-(\w)/g, '$1$2'));
+  return textProcessing.stemTokens(
+    textProcessing.removeStopwords(textProcessing.tokenize(joined)).filter(term => term.length >= 3)
+  );
+};
+
+// "12 items (9 negative). Key points: "..." (5 mentions); "..." (2 mentions)"
+const formatSummary = (total, sentiment, highlights) => {
+  if (total === 0) {
+    return 'No feedback.';
+  }
+
+  const breakdown = ['negative', 'neutral', 'positive']
+    .filter(key => sentiment[key] > 0)
+    .map(key => `${sentiment[key]} ${key}`)
+    .join(', ');
+
+  let summary = `${total} feedback item${total === 1 ? '' : 's'} (${breakdown}).`;
+  if (highlights.length > 0) {
+    summary += ` Key points: ${highlights
+      .map(highlight => `"${highlight.text}" (${highlight.count} mention${highlight.count === 1 ? '' : 's'})`)
+      .join('; ')}`;
+  }
+  return summary;
+};
+
+const weightTerms = (termLists) => {
+  const documentFrequency = {};
+  termLists.forEach(terms => {
+    new Set(terms).forEach(term => {
+      documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+    });
+  });
+
+  return termLists.map(terms => {
+    const vector = new Map();
+    terms.forEach(term => {
+      vector.set(term, (vector.get(term) || 0) + Math.log(1 + termLists.length / documentFrequency[term]));
+    });
+    const norm = Math.sqrt([...vector.values()].reduce((sum, value) => sum + value * value, 0)) || 1;
+    vector.forEach((value, term) => vector.set(term, value / norm));
+    return vector;
+  });
+};
+
+const similarity = (a, b) => {
+  let sum = 0;
+  a.forEach((value, term) => {
+    if (b.has(term)) {
+      sum += value * b.get(term);
+    }
+  });
+  return sum;
+};
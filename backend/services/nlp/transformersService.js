@@ -1,21 +1,28 @@
-let pipelineFunction;
-try {
-  pipelineFunction = require('@xenova/transformers').pipeline;
-} catch (error) {
-  console.warn(`Error importing @xenova/transformers: ${error.message}`);
-}
 const logger = require('../../utils/logger');
+const issueTaxonomy = require('./issueTaxonomy');
+const emotionLexicon = require('./emotionLexicon');
+// Pipelines run on worker threads so inference doesn't block request handling
+const inferencePool = require('./inferencePool');
 
-let sentimentPipeline = null;
-let zeroShotClassificationPipeline = null;
+const SENTIMENT_MODEL = 'Xenova/distilbert-base-uncased-finetuned-sst-2-english';
+const ZERO_SHOT_MODEL = 'Xenova/distilbert-base-uncased-mnli';
+const MULTILINGUAL_SENTIMENT_MODEL = process.env.MULTILINGUAL_SENTIMENT_MODEL || 'Xenova/twitter-xlm-roberta-base-sentiment';
+const TOXICITY_MODEL = process.env.TOXICITY_MODEL || 'Xenova/toxic-bert';
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2';
 
+/**
+ * Load the sentiment and zero-shot models on the inference workers. The
+ * pipelines stay on the workers; the model names are returned for the ones
+ * that loaded.
+ * @returns {Promise<Object>} { sentimentPipeline, zeroShotClassificationPipeline, status }
+ */
 exports.initializeNLP = async () => {
   try {
     logger.info('Initializing NLP pipelines...');
     
-    // Skip initialization if env var is set or if transformers isn't available
-    if (process.env.SKIP_NLP_MODELS === 'true' || !pipelineFunction) {
-      logger.info('Skipping NLP model initialization (SKIP_NLP_MODELS=true or module not available)');
+    // Skip initialization if env var is set
+    if (process.env.SKIP_NLP_MODELS === 'true') {
+      logger.info('Skipping NLP model initialization (SKIP_NLP_MODELS=true)');
       return {
         sentimentPipeline: null,
         zeroShotClassificationPipeline: null,
@@ -23,43 +30,15 @@ exports.initializeNLP = async () => {
       };
     }
     
-    let sentimentPipelineInitialized = false;
-    let zeroShotPipelineInitialized = false;
-    
-    if (!sentimentPipeline) {
-      try {
-        logger.info('Loading sentiment analysis model...');
-        sentimentPipeline = await pipelineFunction('sentiment-analysis', 'Xenova/distilbert-base-uncased-finetuned-sst-2-english');
-        logger.info('Sentiment analysis model loaded successfully');
-        sentimentPipelineInitialized = true;
-      } catch (error) {
-        logger.warn(`Failed to load sentiment model: ${error.message}`);
-        sentimentPipeline = null;
-      }
-    } else {
-      sentimentPipelineInitialized = true;
-    }
-    
-    if (!zeroShotClassificationPipeline) {
-      try {
-        logger.info('Loading zero-shot classification model...');
-        zeroShotClassificationPipeline = await pipelineFunction('zero-shot-classification', 'Xenova/distilbert-base-uncased-mnli');
-        logger.info('Zero-shot classification model loaded successfully');
-        zeroShotPipelineInitialized = true;
-      } catch (error) {
-        logger.warn(`Failed to load zero-shot model: ${error.message}`);
-        zeroShotClassificationPipeline = null;
-      }
-    } else {
-      zeroShotPipelineInitialized = true;
-    }
+    const sentimentReady = await inferencePool.load('sentiment-analysis', SENTIMENT_MODEL);
+    const zeroShotReady = await inferencePool.load('zero-shot-classification', ZERO_SHOT_MODEL);
     
     return {
-      sentimentPipeline,
-      zeroShotClassificationPipeline,
+      sentimentPipeline: sentimentReady ? SENTIMENT_MODEL : null,
+      zeroShotClassificationPipeline: zeroShotReady ? ZERO_SHOT_MODEL : null,
       status: {
-        sentimentReady: sentimentPipelineInitialized,
-        zeroShotReady: zeroShotPipelineInitialized
+        sentimentReady,
+        zeroShotReady
       }
     };
   } catch (error) {
@@ -73,6 +52,12 @@ exports.initializeNLP = async () => {
   }
 };
 
+/**
+ * Pipeline throughput, latency and queue stats for sizing the worker pool
+ * @returns {Object} See inferencePool.getStats
+ */
+exports.getInferenceStats = () => inferencePool.getStats();
+
 /**
  * Analyze sentiment of text
  * @param {String} text - Text to analyze
@@ -85,72 +70,46 @@ exports.analyzeSentiment = async (text) => {
       return { sentiment: 'neutral', score: 0 };
     }
     
-    // Initialize pipeline if not already loaded
-    if (!sentimentPipeline) {
-      const init = await this.initializeNLP();
-      
-      // If still null after initialization, use fallback
-      if (!init.sentimentPipeline) {
+    if (process.env.SKIP_NLP_MODELS === 'true') {
+      return exports.analyzeWithKeywords(text);
+    }
+
+    let result;
+    try {
+      result = await inferencePool.run('sentiment-analysis', SENTIMENT_MODEL, text);
+    } catch (error) {
+      if (error.code === 'MODEL_UNAVAILABLE') {
         logger.warn('Using fallback sentiment analysis (NLP models not available)');
-        // Simple fallback using basic keyword matching
-        const sentiment = text.match(/good|great|excellent|amazing|love|happy|positive/i) ? 'positive' :
-                          text.match(/bad|terrible|awful|hate|poor|negative|issue|problem/i) ? 'negative' : 
-                          'neutral';
-        const score = sentiment === 'positive' ? 0.7 : 
-                      sentiment === 'negative' ? -0.7 : 0;
-        
-        return { sentiment, score, method: 'fallback-keywords' };
+        return exports.analyzeWithKeywords(text);
       }
+      if (error.code === 'TIMEOUT' || error.code === 'QUEUE_FULL') {
+        // Overloaded: report the error so the caller scores with AFINN instead of waiting
+        logger.warn(`Sentiment analysis skipped: ${error.message}`);
+        return { sentiment: 'neutral', score: 0, error: error.message, method: 'overloaded' };
+      }
+      logger.warn(`Sentiment analysis model error: ${error.message}, using fallback`);
+      return { ...exports.analyzeWithKeywords(text), method: 'fallback-after-error' };
     }
 
-    // Continue with transformer model if available
-    if (sentimentPipeline) {
-      try {
-        const result = await sentimentPipeline(text);
-        
-        // Convert to our application's format
-        let sentiment, score;
-        
-        if (result[0].label === 'POSITIVE') {
-          sentiment = 'positive';
-          score = result[0].score;
-        } else if (result[0].label === 'NEGATIVE') {
-          sentiment = 'negative';
-          score = -result[0].score; // Convert to negative value for our scale
-        } else {
-          sentiment = 'neutral';
-          score = 0;
-        }
-        
-        // Normalize to -1 to 1 scale
-        const normalizedScore = sentiment === 'negative' ? -result[0].score : result[0].score;
-        
-        return {
-          sentiment,
-          score: normalizedScore,
-          method: 'transformers',
-          original: result[0]
-        };
-      } catch (error) {
-        logger.warn(`Sentiment analysis model error: ${error.message}, using fallback`);
-        const sentiment = text.match(/good|great|excellent|amazing|love|happy|positive/i) ? 'positive' :
-                          text.match(/bad|terrible|awful|hate|poor|negative|issue|problem/i) ? 'negative' : 
-                          'neutral';
-        const score = sentiment === 'positive' ? 0.7 : 
-                      sentiment === 'negative' ? -0.7 : 0;
-                          
-        return { sentiment, score, method: 'fallback-after-error' };
-      }
+    // Convert to our application's format
+    let sentiment;
+    if (result.label === 'POSITIVE') {
+      sentiment = 'positive';
+    } else if (result.label === 'NEGATIVE') {
+      sentiment = 'negative';
     } else {
-      // Simple fallback using basic keyword matching
-      const sentiment = text.match(/good|great|excellent|amazing|love|happy|positive/i) ? 'positive' :
-                        text.match(/bad|terrible|awful|hate|poor|negative|issue|problem/i) ? 'negative' : 
-                        'neutral';
-      const score = sentiment === 'positive' ? 0.7 : 
-                    sentiment === 'negative' ? -0.7 : 0;
-      
-      return { sentiment, score, method: 'fallback-keywords' };
+      sentiment = 'neutral';
     }
+    
+    // Normalize to -1 to 1 scale
+    const normalizedScore = sentiment === 'negative' ? -result.score : result.score;
+    
+    return {
+      sentiment,
+      score: normalizedScore,
+      method: 'transformers',
+      original: result
+    };
   } catch (error) {
     logger.error(`Sentiment analysis error: ${error.message}`, { error, text });
     // Return neutral sentiment on error
@@ -163,91 +122,181 @@ exports.analyzeSentiment = async (text) => {
   }
 };
 
+/**
+ * Keyword sentiment used when the model can't run
+ * @param {String} text - Text to analyze
+ * @returns {Object} Sentiment analysis result
+ */
+exports.analyzeWithKeywords = (text) => {
+  const sentiment = text.match(/good|great|excellent|amazing|love|happy|positive/i) ? 'positive' :
+                    text.match(/bad|terrible|awful|hate|poor|negative|issue|problem/i) ? 'negative' : 
+                    'neutral';
+  const score = sentiment === 'positive' ? 0.7 : 
+                sentiment === 'negative' ? -0.7 : 0;
+  
+  return { sentiment, score, method: 'fallback-keywords' };
+};
+
+/**
+ * Analyze sentiment of non-English text with a multilingual model. The model is
+ * loaded on first use so English-only deployments never pay for it.
+ * @param {String} text - Text to analyze
+ * @returns {Object} Sentiment analysis result, with `error` set when no model is available
+ */
+exports.analyzeMultilingualSentiment = async (text) => {
+  if (!text || text.trim() === '') {
+    return { sentiment: 'neutral', score: 0 };
+  }
+
+  if (process.env.SKIP_NLP_MODELS === 'true') {
+    return { error: 'Multilingual sentiment model not available' };
+  }
+
+  try {
+    const result = await inferencePool.run('sentiment-analysis', MULTILINGUAL_SENTIMENT_MODEL, text);
+    const label = result.label.toLowerCase();
+
+    // XLM-R style models use negative/neutral/positive; review models use 1-5 stars
+    const stars = parseInt(label, 10);
+    let sentiment;
+    if (!Number.isNaN(stars)) {
+      sentiment = stars >= 4 ? 'positive' : stars <= 2 ? 'negative' : 'neutral';
+    } else {
+      sentiment = ['positive', 'negative'].includes(label) ? label : 'neutral';
+    }
+
+    return {
+      sentiment,
+      score: sentiment === 'positive' ? result.score : sentiment === 'negative' ? -result.score : 0,
+      method: 'transformers-multilingual',
+      original: result
+    };
+  } catch (error) {
+    if (error.code !== 'MODEL_UNAVAILABLE') {
+      logger.warn(`Multilingual sentiment model error: ${error.message}`);
+    }
+    return { error: error.message };
+  }
+};
+
+/**
+ * Score text for toxicity with a multi-label model (toxic, insult, threat, ...).
+ * Loaded on first use, like the multilingual model.
+ * @param {String} text - Text to analyze
+ * @returns {Object} { labels: [{ label, score }], method }, with `error` set when no model is available
+ */
+exports.analyzeToxicity = async (text) => {
+  if (process.env.SKIP_NLP_MODELS === 'true') {
+    return { error: 'Toxicity model not available' };
+  }
+
+  try {
+    const result = await inferencePool.run('text-classification', TOXICITY_MODEL, text, { topk: null });
+    return {
+      labels: result.map(item => ({ label: item.label.toLowerCase(), score: item.score })),
+      method: 'transformers-toxicity'
+    };
+  } catch (error) {
+    if (error.code !== 'MODEL_UNAVAILABLE') {
+      logger.warn(`Toxicity model error: ${error.message}`);
+    }
+    return { error: error.message };
+  }
+};
+
+/**
+ * Embed texts with a sentence-embedding model, mean-pooled and normalized so the
+ * dot product of two vectors is their cosine similarity. Loaded on first use.
+ * @param {Array} texts - Texts to embed
+ * @returns {Object} { embeddings, method }, with `error` set when no model is available
+ */
+exports.embedTexts = async (texts) => {
+  if (process.env.SKIP_NLP_MODELS === 'true') {
+    return { error: 'Sentence embedding model not available' };
+  }
+
+  try {
+    // One request per text; the pool batches them back together
+    const embeddings = await Promise.all(texts.map(text => (
+      inferencePool.run('feature-extraction', EMBEDDING_MODEL, text, { pooling: 'mean', normalize: true })
+    )));
+    return {
+      embeddings,
+      method: 'transformers-embeddings'
+    };
+  } catch (error) {
+    if (error.code !== 'MODEL_UNAVAILABLE') {
+      logger.warn(`Sentence embedding model error: ${error.message}`);
+    }
+    return { error: error.message };
+  }
+};
+
 /**
  * Detect issue type from text
  * @param {String} text - Text to analyze
+ * @param {Array} categories - Event issue categories (defaults to the built-in taxonomy)
  * @returns {Object} Issue detection result
  */
-exports.detectIssueType = async (text) => {
+exports.detectIssueType = async (text, categories = issueTaxonomy.DEFAULT_CATEGORIES) => {
   try {
     // If no text, return 'other'
     if (!text || text.trim() === '') {
       return { issueType: 'other', score: 0 };
     }
     
-    // Initialize pipeline if not already loaded
-    if (!zeroShotClassificationPipeline) {
-      const init = await this.initializeNLP();
-      
-      // If still null after initialization, use fallback
-      if (!init.zeroShotClassificationPipeline) {
-        logger.warn('Using fallback issue detection (NLP models not available)');
-        return fallbackIssueDetection(text);
-      }
+    if (process.env.SKIP_NLP_MODELS === 'true') {
+      return issueTaxonomy.matchKeywords(text, categories);
     }
 
-    // Continue with transformer model if available
-    if (zeroShotClassificationPipeline) {
-      try {
-        // Define issue categories
-        const issueCategories = [
-          'queue', 'waiting in line', 
-          'audio problems', 'sound issues',
-          'video problems', 'display issues',
-          'overcrowding', 'crowded space',
-          'food and drink', 'bathroom facilities',
-          'presentation content', 'speaker quality',
-          'room temperature', 'air conditioning',
-          'safety concerns'
-        ];
-        
-        // Run zero-shot classification
-        const result = await zeroShotClassificationPipeline(text, issueCategories);
-        
-        // Map results to our issue types
-        const issueMap = {
-          'queue': 'queue',
-          'waiting in line': 'queue',
-          'audio problems': 'audio',
-          'sound issues': 'audio',
-          'video problems': 'video',
-          'display issues': 'video',
-          'overcrowding': 'crowding',
-          'crowded space': 'crowding',
-          'food and drink': 'amenities',
-          'bathroom facilities': 'amenities',
-          'presentation content': 'content',
-          'speaker quality': 'content',
-          'room temperature': 'temperature',
-          'air conditioning': 'temperature',
-          'safety concerns': 'safety'
+    // Candidate labels come from the event's categories, falling back to the label itself
+    const issueMap = {};
+    categories.forEach(category => {
+      const labels = category.zeroShotLabels && category.zeroShotLabels.length > 0
+        ? category.zeroShotLabels
+        : [category.label];
+      labels.forEach(label => {
+        issueMap[label] = category.key;
+      });
+    });
+    const issueCategories = Object.keys(issueMap);
+    
+    if (issueCategories.length === 0) {
+      return issueTaxonomy.matchKeywords(text, categories);
+    }
+    
+    try {
+      // Run zero-shot classification
+      const result = await inferencePool.run('zero-shot-classification', ZERO_SHOT_MODEL, text, {
+        candidateLabels: issueCategories
+      });
+      
+      // Get the most likely issue
+      const topIssue = result.labels[0];
+      const topScore = result.scores[0];
+      
+      // Only return an issue if the score is above threshold
+      if (topScore > 0.6) {
+        return {
+          issueType: issueMap[topIssue] || 'other',
+          score: topScore,
+          method: 'transformers',
+          original: {
+            label: topIssue,
+            score: topScore
+          }
         };
-        
-        // Get the most likely issue
-        const topIssue = result.labels[0];
-        const topScore = result.scores[0];
-        
-        // Only return an issue if the score is above threshold
-        if (topScore > 0.6) {
-          return {
-            issueType: issueMap[topIssue] || 'other',
-            score: topScore,
-            method: 'transformers',
-            original: {
-              label: topIssue,
-              score: topScore
-            }
-          };
-        }
-        
-        // If no strong match, use fallback
-        return fallbackIssueDetection(text);
-      } catch (error) {
+      }
+      
+      // If no strong match, use fallback
+      return issueTaxonomy.matchKeywords(text, categories);
+    } catch (error) {
+      if (error.code === 'MODEL_UNAVAILABLE') {
+        logger.warn('Using fallback issue detection (NLP models not available)');
+      } else {
         logger.warn(`Issue detection model error: ${error.message}, using fallback`);
-        return fallbackIssueDetection(text);
       }
-    } else {
-      return fallbackIssueDetection(text);
+      return issueTaxonomy.matchKeywords(text, categories);
     }
   } catch (error) {
     logger.error(`Issue detection error: ${error.message}`, { error, text });
@@ -261,37 +310,69 @@ exports.detectIssueType = async (text) => {
   }
 };
 
-// Fallback issue detection using keyword matching
-function fallbackIssueDetection(text) {
-  const lowerText = text.toLowerCase();
-  
-  const issuePatterns = {
-    'queue': ['queue', 'line', 'wait', 'long', 'slow', 'entry', 'enter'],
-    'audio': ['audio', 'sound', 'hear', 'loud', 'quiet', 'volume', 'mic', 'speaker'],
-    'video': ['video', 'screen', 'see', 'visible', 'projection', 'display', 'slides'],
-    'crowding': ['crowd', 'space', 'room', 'full', 'packed', 'cramped', 'busy'],
-    'amenities': ['food', 'drink', 'bathroom', 'toilet', 'wifi', 'chair', 'seat'],
-    'content': ['boring', 'presentation', 'speaker', 'talk', 'content', 'session'],
-    'temperature': ['hot', 'cold', 'temp', 'air', 'ac', 'heat', 'warm', 'stuffy'],
-    'safety': ['safe', 'danger', 'emergency', 'security', 'hazard', 'exit']
-  };
-  
-  let bestMatch = 'other';
-  let bestScore = 0;
-  
-  Object.entries(issuePatterns).forEach(([issue, keywords]) => {
-    const matchCount = keywords.filter(kw => lowerText.includes(kw)).length;
-    const score = matchCount / keywords.length;
+/**
+ * Detect the emotion behind a piece of feedback with the zero-shot model,
+ * falling back to the emotion lexicon
+ * @param {String} text - Text to analyze
+ * @param {String} sentiment - Overall sentiment, used by the lexicon fallback (optional)
+ * @returns {Object} { emotion, score, method }, emotion null when none stands out
+ */
+exports.detectEmotion = async (text, sentiment = null) => {
+  try {
+    if (!text || text.trim() === '') {
+      return { emotion: null, score: 0 };
+    }
     
-    if (score > bestScore) {
-      bestScore = score;
-      bestMatch = issue;
+    if (process.env.SKIP_NLP_MODELS === 'true') {
+      return emotionLexicon.matchEmotion(text, sentiment);
     }
-  });
-  
-  return {
-    issueType: bestScore > 0.1 ? bestMatch : 'other',
-    score: bestScore,
-    method: 'keyword-fallback'
-  };
-}
\ No newline at end of file
+    
+    try {
+      const emotionMap = {};
+      Object.entries(emotionLexicon.ZERO_SHOT_LABELS).forEach(([emotion, label]) => {
+        emotionMap[label || emotion] = label ? emotion : null;
+      });
+      
+      const result = await inferencePool.run('zero-shot-classification', ZERO_SHOT_MODEL, text, {
+        candidateLabels: Object.keys(emotionMap)
+      });
+      const topLabel = result.labels[0];
+      const topScore = result.scores[0];
+      
+      if (topScore > 0.5) {
+        return {
+          emotion: emotionMap[topLabel],
+          score: topScore,
+          method: 'transformers',
+          original: {
+            label: topLabel,
+            score: topScore
+          }
+        };
+      }
+      
+      return emotionLexicon.matchEmotion(text, sentiment);
+    } catch (error) {
+      if (error.code !== 'MODEL_UNAVAILABLE') {
+        logger.warn(`Emotion detection model error: ${error.message}, using fallback`);
+      }
+      return emotionLexicon.matchEmotion(text, sentiment);
+    }
+  } catch (error) {
+    logger.error(`Emotion detection error: ${error.message}`, { error, text });
+    return {
+      emotion: null,
+      score: 0,
+      error: error.message,
+      method: 'error-fallback'
+    };
+  }
+};
+
+// Models feedback is scored with, recorded so stored scores can be traced to them
+exports.MODELS = {
+  sentiment: SENTIMENT_MODEL,
+  zeroShot: ZERO_SHOT_MODEL,
+  multilingualSentiment: MULTILINGUAL_SENTIMENT_MODEL,
+  toxicity: TOXICITY_MODEL
+};
@@ -0,0 +1,147 @@
+const Event = require('../../models/Event');
+const ChatMessage = require('../../models/ChatMessage');
+const feedQueue = require('./feedQueue');
+const socketHandler = require('./socketHandler');
+const logger = require('../../utils/logger');
+const createError = require('../../utils/createError');
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+/**
+ * Persist a chat message and run it through the feedback pipeline
+ * @param {Object} io - Socket.io instance for broadcasting (optional)
+ * @param {Object} messageData - { eventId, text, user, userId, sourceId }
+ * @returns {Promise<Object>} { message, feedback, alerts, duplicate }
+ */
+exports.postMessage = async (io, messageData) => {
+  const { eventId, userId } = messageData;
+  const text = typeof messageData.text === 'string' ? messageData.text.trim() : '';
+
+  if (!eventId || !text) {
+    throw createError('Event ID and message text are required', 400);
+  }
+
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    throw createError(`Message cannot be more than ${MAX_MESSAGE_LENGTH} characters`, 400);
+  }
+
+  const event = await Event.findById(eventId);
+  if (!event) {
+    throw createError('Event not found', 404);
+  }
+
+  if (!event.isActive) {
+    throw createError('Event is not active', 400);
+  }
+
+  const sourceId = messageData.sourceId ||
+    `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`;
+
+  // Clients retry on reconnect, so the same sourceId may arrive twice
+  const existing = await ChatMessage.findOne({ event: eventId, sourceId });
+  if (existing) {
+    return { message: existing, feedback: null, alerts: [], duplicate: true };
+  }
+
+  const user = typeof messageData.user === 'string' && messageData.user.trim()
+    ? messageData.user.trim()
+    : 'Anonymous';
+
+  const { feedback, alerts } = await feedQueue.processImmediately({
+    event: eventId,
+    source: 'direct',
+    sourceId,
+    text,
+    user,
+    userId: userId || null,
+    metadata: {
+      platform: 'app_chat',
+      channel: 'chat'
+    }
+  });
+
+  const message = await ChatMessage.create({
+    event: eventId,
+    user,
+    userId: userId || null,
+    sourceId,
+    // Redacted by the moderation stage, so chat never echoes contact details
+    text: feedback.text,
+    sentiment: feedback.sentiment,
+    sentimentScore: feedback.sentimentScore,
+    issueType: feedback.issueType,
+    toxic: Boolean(feedback.moderation?.toxic),
+    piiRedacted: (feedback.moderation?.piiTypes || []).length > 0,
+    feedback: feedback._id
+  });
+
+  if (io) {
+    io.to(`event:${eventId}`).emit('chat-message', message);
+    socketHandler.broadcastFeedback(io, feedback);
+
+    if (alerts && alerts.length > 0) {
+      alerts.forEach(alert => socketHandler.broadcastAlert(io, alert));
+    }
+  }
+
+  logger.info(`Chat message stored: ${message._id}`, {
+    eventId,
+    sentiment: message.sentiment,
+    toxic: message.toxic,
+    alertsGenerated: alerts ? alerts.length : 0
+  });
+
+  return { message, feedback, alerts: alerts || [], duplicate: false };
+};
+
+/**
+ * Get a page of chat history, oldest first
+ * @param {String} eventId - Event ID
+ * @param {Object} options - { limit, before }
+ * @returns {Promise<Object>} { messages, hasMore }
+ */
+exports.getMessages = async (eventId, options = {}) => {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 200);
+  const query = { event: eventId };
+
+  if (options.before) {
+    const before = new Date(options.before);
+    if (!isNaN(before.getTime())) {
+      query.createdAt = { $lt: before };
+    }
+  }
+
+  // Fetch one extra row to know whether an older page exists
+  const messages = await ChatMessage.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit + 1)
+    .select('-feedback');
+
+  const hasMore = messages.length > limit;
+
+  return {
+    messages: messages.slice(0, limit).reverse(),
+    hasMore,
+    limit
+  };
+};
+
+/**
+ * Get chat statistics for an event, including recent messages
+ * @param {String} eventId - Event ID
+ * @returns {Promise<Object>} Chat statistics
+ */
+exports.getStats = async (eventId) => {
+  const [stats, recent] = await Promise.all([
+    ChatMessage.getEventStats(eventId),
+    ChatMessage.find({ event: eventId })
+      .sort({ createdAt: -1 })
+      .limit(10)
+      .select('user text sentiment sentimentScore toxic createdAt')
+  ]);
+
+  return {
+    ...stats,
+    recentMessages: recent
+  };
+};
@@ -254,6 +254,11 @@ exports.startProcessing = (io) => {
  * @param {Object} feedback - Feedback data
  */
 const updateSentimentRecords = async (feedback) => {
+  // Spam stays stored for review but doesn't count towards trends
+  if (feedback.spam && feedback.spam.isSpam) {
+    return;
+  }
+  
   try {
     await SentimentRecord.updateRecord(
       feedback.event,
@@ -347,13 +352,7 @@ exports.processImmediately = async (feedbackData) => {
   try {
     // Process the feedback through sentiment analyzer
     const processedFeedback = await sentimentAnalyzer.processFeedback(feedbackData);
-    const feedback = await Feedback.create(processedFeedback);
-    
-    // Update sentiment records
-    await updateSentimentRecords(feedback);
-    
-    // Generate alerts
-    const alerts = await alertGenerator.generateAlerts(feedback);
+    const { feedback, alerts } = await this.storeProcessedFeedback(processedFeedback);
     
     logger.info(`Processed feedback immediately: ${feedback._id}`, {
       source: feedbackData.source,
@@ -370,4 +369,24 @@ exports.processImmediately = async (feedbackData) => {
     logger.error(`Immediate processing error: ${error.message}`, { error, feedbackData });
     throw error;
   }
+};
+
+/**
+ * Store feedback that has already been through the sentiment analyzer
+ * @param {Object} processedFeedback - Output of sentimentAnalyzer.processFeedback
+ * @returns {Promise<Object>} Stored feedback and generated alerts
+ */
+exports.storeProcessedFeedback = async (processedFeedback) => {
+  const feedback = await Feedback.create(processedFeedback);
+  
+  // Update sentiment records
+  await updateSentimentRecords(feedback);
+  
+  // Generate alerts
+  const alerts = await alertGenerator.generateAlerts(feedback);
+  
+  return {
+    feedback,
+    alerts
+  };
 };
\ No newline at end of file
@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const readline = require('readline');
+const { Readable } = require('stream');
+const { parse } = require('csv-parse');
+const Feedback = require('../../models/Feedback');
+const sentimentAnalyzer = require('../nlp/sentimentAnalyzer');
+const feedQueue = require('./feedQueue');
+const socketHandler = require('./socketHandler');
+const { resolvePath, isValidPath } = require('../../utils/jsonPath');
+const logger = require('../../utils/logger');
+
+const MAX_ROWS = 10000;
+const PREVIEW_ROWS = 20;
+const CHUNK_SIZE = 200;
+const MAX_REPORTED_ERRORS = 100;
+
+exports.IMPORT_SOURCES = ['survey', 'manual'];
+exports.MAPPING_FIELDS = ['text', 'user', 'timestamp', 'location', 'id'];
+
+/**
+ * Work out the file format from an explicit choice, the file name or its MIME type
+ * @param {Object} file - Multer file
+ * @param {String} format - Requested format, if any
+ * @returns {String|null} csv, ndjson or null if unknown
+ */
+exports.detectFormat = (file, format) => {
+  if (format) {
+    return ['csv', 'ndjson'].includes(format) ? format : null;
+  }
+
+  const name = (file.originalname || '').toLowerCase();
+  if (name.endsWith('.csv') || file.mimetype === 'text/csv') {
+    return 'csv';
+  }
+  if (name.endsWith('.ndjson') || name.endsWith('.jsonl') || file.mimetype === 'application/x-ndjson') {
+    return 'ndjson';
+  }
+
+  return null;
+};
+
+/**
+ * Yield parsed rows one at a time so large files never sit in memory as objects
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {String} format - csv or ndjson
+ * @returns {AsyncGenerator<Object>} { rowNumber, record } or { rowNumber, error }
+ */
+async function* readRows(buffer, format) {
+  if (format === 'csv') {
+    const parser = Readable.from([buffer]).pipe(parse({
+      columns: header => header.map(column => column.trim()),
+      bom: true,
+      trim: true,
+      skip_empty_lines: true,
+      relax_column_count: true,
+      info: true
+    }));
+
+    for await (const { record, info } of parser) {
+      yield { rowNumber: info.lines, record };
+    }
+    return;
+  }
+
+  const lines = readline.createInterface({ input: Readable.from([buffer]), crlfDelay: Infinity });
+  let rowNumber = 0;
+
+  for await (const line of lines) {
+    rowNumber++;
+    if (!line.trim()) continue;
+
+    try {
+      yield { rowNumber, record: JSON.parse(line) };
+    } catch (error) {
+      yield { rowNumber, error: 'Invalid JSON' };
+    }
+  }
+}
+
+// CSV columns are used by name; NDJSON (or CSV) fields can also be addressed
+// with a JSONPath-style expression starting with $
+const readField = (record, spec) => {
+  if (!spec) {
+    return undefined;
+  }
+
+  const value = spec.startsWith('$') ? resolvePath(record, spec) : record[spec];
+  if (value === null || value === undefined || typeof value === 'object') {
+    return undefined;
+  }
+
+  const text = String(value).trim();
+  return text || undefined;
+};
+
+/**
+ * Find the first $ path in a mapping that cannot be parsed, so a typo is
+ * reported once up front instead of failing on every row
+ * @param {Object} mapping - Field name or path per feedback field
+ * @returns {Object|null} { field, path } or null if every path is valid
+ */
+exports.findInvalidPath = (mapping) => {
+  const field = exports.MAPPING_FIELDS.find(name => (
+    typeof mapping[name] === 'string' && mapping[name].startsWith('$') && !isValidPath(mapping[name])
+  ));
+
+  return field ? { field, path: mapping[field] } : null;
+};
+
+/**
+ * Validate one row and turn it into queue-ready feedback data
+ * @param {Object} record - Parsed row
+ * @param {Object} mapping - Field name or path per feedback field
+ * @param {Object} options - { eventId, source, sourceLabel }
+ * @returns {Object} { feedbackData } or { error }
+ */
+exports.normalizeRow = (record, mapping, options) => {
+  if (!record || typeof record !== 'object') {
+    return { error: 'Row is not an object' };
+  }
+
+  const text = readField(record, mapping.text);
+  if (!text) {
+    return { error: `Missing text in "${mapping.text}"` };
+  }
+  if (text.length > 2000) {
+    return { error: 'Text is longer than 2000 characters' };
+  }
+
+  const user = readField(record, mapping.user);
+  if (user && user.length > 100) {
+    return { error: 'User is longer than 100 characters' };
+  }
+
+  let createdAt;
+  const rawTimestamp = readField(record, mapping.timestamp);
+  if (rawTimestamp) {
+    createdAt = new Date(rawTimestamp);
+    if (Number.isNaN(createdAt.getTime())) {
+      return { error: `Invalid timestamp "${rawTimestamp}"` };
+    }
+  }
+
+  const externalId = readField(record, mapping.id);
+  // Without an ID column, identical answers in a re-uploaded file still
+  // collide, which is what makes re-imports safe
+  const sourceId = externalId
+    ? `import:${externalId}`
+    : `import:${crypto.createHash('sha1').update(`${text}|${user || ''}|${rawTimestamp || ''}`).digest('hex')}`;
+
+  const feedbackData = {
+    event: options.eventId,
+    source: options.source,
+    sourceLabel: options.sourceLabel || null,
+    sourceId,
+    text,
+    user: user || 'Anonymous',
+    issueDetails: {
+      location: readField(record, mapping.location) || null
+    },
+    metadata: {
+      platform: options.sourceLabel || options.source,
+      imported: true,
+      externalId: externalId || null
+    }
+  };
+
+  if (createdAt) {
+    feedbackData.createdAt = createdAt;
+  }
+
+  return { feedbackData };
+};
+
+/**
+ * Split a batch of valid rows into new and already-known feedback
+ * @param {String} eventId - Event ID
+ * @param {String} source - Feedback source
+ * @param {Array} rows - [{ rowNumber, feedbackData }]
+ * @param {Set} seen - Source IDs already seen earlier in this file
+ * @returns {Promise<Object>} { fresh, duplicates }
+ */
+const splitDuplicates = async (eventId, source, rows, seen) => {
+  const existing = new Set(await Feedback.distinct('sourceId', {
+    event: eventId,
+    source,
+    sourceId: { $in: rows.map(row => row.feedbackData.sourceId) }
+  }));
+
+  const fresh = [];
+  const duplicates = [];
+
+  for (const row of rows) {
+    const { sourceId } = row.feedbackData;
+    if (existing.has(sourceId) || seen.has(sourceId)) {
+      duplicates.push(row);
+    } else {
+      seen.add(sourceId);
+      fresh.push(row);
+    }
+  }
+
+  return { fresh, duplicates };
+};
+
+/**
+ * Walk the file in chunks, validating and de-duplicating rows
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { eventId, format, mapping, source, sourceLabel }
+ * @param {Function} onChunk - async (summary, fresh, duplicates) called per chunk
+ * @returns {Promise<Object>} Final summary
+ */
+const scanFile = async (buffer, options, onChunk) => {
+  const summary = {
+    totalRows: 0,
+    valid: 0,
+    invalid: 0,
+    duplicates: 0,
+    truncated: false,
+    errors: []
+  };
+  const seen = new Set();
+  let chunk = [];
+
+  const flush = async () => {
+    if (chunk.length === 0) return;
+    const { fresh, duplicates } = await splitDuplicates(options.eventId, options.source, chunk, seen);
+    summary.valid += fresh.length;
+    summary.duplicates += duplicates.length;
+    chunk = [];
+    await onChunk(summary, fresh, duplicates);
+  };
+
+  for await (const { rowNumber, record, error } of readRows(buffer, options.format)) {
+    if (summary.totalRows >= MAX_ROWS) {
+      summary.truncated = true;
+      break;
+    }
+    summary.totalRows++;
+
+    const result = error ? { error } : exports.normalizeRow(record, options.mapping, options);
+    if (result.error) {
+      summary.invalid++;
+      if (summary.errors.length < MAX_REPORTED_ERRORS) {
+        summary.errors.push({ row: rowNumber, message: result.error });
+      }
+      continue;
+    }
+
+    chunk.push({ rowNumber, feedbackData: result.feedbackData });
+    if (chunk.length >= CHUNK_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+  return summary;
+};
+
+/**
+ * Validate a file and classify the first rows without storing anything
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { eventId, format, mapping, source, sourceLabel }
+ * @returns {Promise<Object>} Summary with a classified preview
+ */
+exports.previewImport = async (buffer, options) => {
+  const preview = [];
+
+  const summary = await scanFile(buffer, options, async (progress, fresh, duplicates) => {
+    const rows = [
+      ...fresh.map(row => ({ ...row, duplicate: false })),
+      ...duplicates.map(row => ({ ...row, duplicate: true }))
+    ].sort((a, b) => a.rowNumber - b.rowNumber);
+
+    for (const row of rows) {
+      if (preview.length >= PREVIEW_ROWS) break;
+
+      const analyzed = await sentimentAnalyzer.processFeedback(row.feedbackData);
+      preview.push({
+        row: row.rowNumber,
+        text: analyzed.text,
+        user: analyzed.user,
+        location: analyzed.issueDetails.location,
+        timestamp: analyzed.createdAt || null,
+        sentiment: analyzed.sentiment,
+        sentimentScore: analyzed.sentimentScore,
+        issueType: analyzed.issueType,
+        duplicate: row.duplicate
+      });
+    }
+  });
+
+  return { ...summary, preview };
+};
+
+/**
+ * Queue every new row, reporting progress to staff sockets as chunks finish
+ * @param {Object} io - Socket.io instance, may be undefined
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { eventId, format, mapping, source, sourceLabel }
+ * @returns {String} Import ID; the import itself continues in the background
+ */
+exports.startImport = (io, buffer, options) => {
+  const importId = `imp_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`;
+  let queued = 0;
+  let lastSummary = { totalRows: 0, duplicates: 0, invalid: 0 };
+
+  const report = (status, summary, extra = {}) => {
+    if (!io) return;
+    socketHandler.broadcastImportProgress(io, options.eventId, {
+      importId,
+      status,
+      processedRows: summary.totalRows,
+      queued,
+      duplicates: summary.duplicates,
+      invalid: summary.invalid,
+      ...extra
+    });
+  };
+
+  scanFile(buffer, options, async (summary, fresh) => {
+    for (const row of fresh) {
+      await feedQueue.addToQueue(row.feedbackData);
+      queued++;
+    }
+    lastSummary = summary;
+    report('running', summary);
+  })
+    .then(summary => {
+      logger.info(`Feedback import ${importId} finished`, {
+        eventId: options.eventId,
+        queued,
+        duplicates: summary.duplicates,
+        invalid: summary.invalid
+      });
+      report('completed', summary, { truncated: summary.truncated, errors: summary.errors });
+    })
+    .catch(error => {
+      logger.error(`Feedback import error: ${error.message}`, { error, importId, eventId: options.eventId });
+      report('failed', lastSummary, { error: error.message });
+    });
+
+  return importId;
+};
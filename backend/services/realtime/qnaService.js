@@ -0,0 +1,327 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const Question = require('../../models/Question');
+const sentimentAnalyzer = require('../nlp/sentimentAnalyzer');
+const feedQueue = require('./feedQueue');
+const socketHandler = require('./socketHandler');
+const logger = require('../../utils/logger');
+const createError = require('../../utils/createError');
+
+// Questions in these states are visible to every attendee
+const PUBLIC_STATUSES = ['approved', 'answered'];
+
+const MODERATION_TRANSITIONS = {
+  pending: ['approved', 'answered', 'dismissed'],
+  approved: ['answered', 'dismissed', 'pending'],
+  answered: ['approved', 'dismissed'],
+  dismissed: ['pending', 'approved']
+};
+
+/**
+ * Submit a new question, running it through the NLP pipeline
+ * @param {Object} io - Socket.io instance for broadcasting (optional)
+ * @param {Object} questionData - { eventId, text, session, user, userId, askerId }
+ * @returns {Promise<Object>} { question, feedback, alerts }
+ */
+exports.askQuestion = async (io, questionData) => {
+  const { eventId, userId, askerId } = questionData;
+  const text = typeof questionData.text === 'string' ? questionData.text.trim() : '';
+
+  if (!eventId || !text) {
+    throw createError('Event ID and question text are required', 400);
+  }
+
+  const event = await Event.findById(eventId);
+  if (!event) {
+    throw createError('Event not found', 404);
+  }
+
+  if (!event.isActive) {
+    throw createError('Event is not active', 400);
+  }
+
+  const user = typeof questionData.user === 'string' && questionData.user.trim()
+    ? questionData.user.trim()
+    : 'Anonymous';
+  const session = typeof questionData.session === 'string' && questionData.session.trim()
+    ? questionData.session.trim()
+    : 'general';
+  const sourceId = `qna-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`;
+
+  const feedbackData = {
+    event: eventId,
+    source: 'direct',
+    sourceId,
+    text,
+    user,
+    userId: userId || null,
+    metadata: {
+      platform: 'qna',
+      channel: 'qna',
+      session
+    }
+  };
+
+  const processed = await sentimentAnalyzer.processFeedback(feedbackData);
+  const flagReason = getFlagReason(processed);
+
+  // Only hostile or issue-bearing questions are kept as feedback
+  let feedback = null;
+  let alerts = [];
+  if (flagReason) {
+    try {
+      ({ feedback, alerts } = await feedQueue.storeProcessedFeedback(processed));
+    } catch (error) {
+      logger.error(`Failed to store Q&A feedback: ${error.message}`, { error, eventId });
+    }
+  }
+
+  const requireApproval = event.qnaSettings && event.qnaSettings.requireApproval;
+
+  const question = await Question.create({
+    event: eventId,
+    session,
+    text: processed.text,
+    user,
+    userId: userId || null,
+    askerId: askerId || null,
+    // Issue reports are ordinary questions; only hostile ones wait for a moderator
+    status: flagReason === 'hostile' || requireApproval ? 'pending' : 'approved',
+    sentiment: processed.sentiment,
+    sentimentScore: processed.sentimentScore,
+    issueType: processed.issueType,
+    flagged: Boolean(flagReason),
+    flagReason,
+    feedback: feedback ? feedback._id : null
+  });
+
+  if (io) {
+    broadcastQuestion(io, question, 'new-question');
+
+    if (feedback) {
+      socketHandler.broadcastFeedback(io, feedback);
+    }
+    if (alerts && alerts.length > 0) {
+      alerts.forEach(alert => socketHandler.broadcastAlert(io, alert));
+    }
+  }
+
+  logger.info(`Question submitted: ${question._id}`, {
+    eventId,
+    session,
+    status: question.status,
+    flagged: question.flagged
+  });
+
+  return { question, feedback, alerts: alerts || [] };
+};
+
+/**
+ * List questions for an event
+ * @param {String} eventId - Event ID
+ * @param {Object} options - { session, status, sort, includeAll, askerId }
+ * @returns {Promise<Array>} Questions
+ */
+exports.listQuestions = async (eventId, options = {}) => {
+  const query = { event: eventId };
+
+  if (options.session) {
+    query.session = options.session;
+  }
+
+  if (options.includeAll) {
+    if (options.status) {
+      query.status = options.status;
+    }
+  } else if (options.askerId) {
+    // Attendees also see their own questions while they wait for moderation
+    query.$or = [
+      { status: { $in: PUBLIC_STATUSES } },
+      { askerId: options.askerId, status: 'pending' }
+    ];
+  } else {
+    query.status = { $in: PUBLIC_STATUSES };
+  }
+
+  const sort = options.sort === 'recent'
+    ? { createdAt: -1 }
+    : { upvotes: -1, createdAt: -1 };
+
+  return Question.find(query).sort(sort).limit(500);
+};
+
+/**
+ * Get Q&A sessions for an event with question counts
+ * @param {String} eventId - Event ID
+ * @param {Boolean} includeAll - Count every status, not just public ones
+ * @returns {Promise<Array>} Sessions
+ */
+exports.getSessions = async (eventId, includeAll = false) => {
+  // Served on a public route, so a malformed ID is a missing event rather than a server error
+  if (!mongoose.isValidObjectId(eventId)) {
+    throw createError('Event not found', 404);
+  }
+
+  const match = { event: new mongoose.Types.ObjectId(eventId) };
+
+  if (!includeAll) {
+    match.status = { $in: PUBLIC_STATUSES };
+  }
+
+  const sessions = await Question.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$session',
+        total: { $sum: 1 },
+        pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+        approved: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] } },
+        answered: { $sum: { $cond: [{ $eq: ['$status', 'answered'] }, 1, 0] } },
+        dismissed: { $sum: { $cond: [{ $eq: ['$status', 'dismissed'] }, 1, 0] } },
+        lastQuestionAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { lastQuestionAt: -1 } }
+  ]);
+
+  return sessions.map(session => ({
+    session: session._id,
+    total: session.total,
+    pending: session.pending,
+    approved: session.approved,
+    answered: session.answered,
+    dismissed: session.dismissed,
+    lastQuestionAt: session.lastQuestionAt
+  }));
+};
+
+/**
+ * Toggle an attendee upvote on a question
+ * @param {Object} io - Socket.io instance for broadcasting (optional)
+ * @param {String} questionId - Question ID
+ * @param {String} voterId - Anonymous client token or user ID
+ * @returns {Promise<Object>} { question, upvoted }
+ */
+exports.toggleUpvote = async (io, questionId, voterId) => {
+  if (!voterId) {
+    throw createError('Voter ID is required', 400);
+  }
+
+  const existing = await Question.findById(questionId);
+  if (!existing) {
+    throw createError('Question not found', 404);
+  }
+
+  if (!PUBLIC_STATUSES.includes(existing.status)) {
+    throw createError('Only approved questions can be upvoted', 400);
+  }
+
+  const result = await Question.toggleUpvote(questionId, voterId);
+  if (!result) {
+    throw createError('Question not found', 404);
+  }
+
+  if (io) {
+    broadcastQuestion(io, result.question, 'question-updated');
+  }
+
+  return result;
+};
+
+/**
+ * Apply a moderation action to a question
+ * @param {Object} io - Socket.io instance for broadcasting (optional)
+ * @param {Object} question - Question document
+ * @param {Object} update - { status, answer, session, userId }
+ * @returns {Promise<Object>} Updated question
+ */
+exports.moderateQuestion = async (io, question, update) => {
+  const { status, answer, session, userId } = update;
+  const previousStatus = question.status;
+
+  if (status && status !== question.status) {
+    if (!MODERATION_TRANSITIONS[question.status].includes(status)) {
+      throw createError(`Cannot change question from ${question.status} to ${status}`, 400);
+    }
+    question.status = status;
+    question.moderatedBy = userId;
+  }
+
+  if (answer !== undefined) {
+    question.answer = answer || null;
+    question.answeredBy = answer ? userId : null;
+    if (answer && question.status !== 'answered') {
+      question.status = 'answered';
+    }
+  }
+
+  if (typeof session === 'string' && session.trim()) {
+    question.session = session.trim();
+  }
+
+  await question.save();
+
+  if (io) {
+    // Questions that leave the public list must be pulled from attendee screens
+    const event = PUBLIC_STATUSES.includes(question.status) || !PUBLIC_STATUSES.includes(previousStatus)
+      ? 'question-updated'
+      : 'question-removed';
+    broadcastQuestion(io, question, event);
+  }
+
+  logger.info(`Question ${question._id} moderated`, {
+    from: previousStatus,
+    to: question.status,
+    userId
+  });
+
+  return question;
+};
+
+/**
+ * Broadcast a question change to the right rooms
+ * @param {Object} io - Socket.io instance
+ * @param {Object} question - Question document
+ * @param {String} eventName - Socket event name
+ */
+const broadcastQuestion = (io, question, eventName) => {
+  try {
+    const eventId = question.event.toString();
+    const payload = question.toObject ? question.toObject() : question;
+    delete payload.voters;
+    delete payload.askerId;
+
+    if (PUBLIC_STATUSES.includes(question.status) || eventName === 'question-removed') {
+      io.to(`event:${eventId}`).emit(eventName, eventName === 'question-removed'
+        ? { _id: question._id, event: question.event, status: question.status }
+        : payload);
+    }
+
+    // Moderators see every state change, including pending and dismissed questions
+    io.to(`alerts:${eventId}`).emit(`moderation:${eventName}`, payload);
+  } catch (error) {
+    logger.error(`Broadcast question error: ${error.message}`, { error, questionId: question._id });
+  }
+};
+
+/**
+ * Decide whether a processed question should surface as feedback
+ * @param {Object} processed - Output of sentimentAnalyzer.processFeedback
+ * @returns {String|null} Flag reason
+ */
+const getFlagReason = (processed) => {
+  // Abuse is held for moderation even when the overall sentiment isn't negative
+  if (processed.moderation && processed.moderation.toxic) {
+    return 'hostile';
+  }
+
+  // "Why is the wifi down?" reports an issue without sounding negative
+  if (processed.issueType && processed.issueType !== 'other') {
+    return 'issue';
+  }
+
+  return processed.sentiment === 'negative' ? 'hostile' : null;
+};
+
+exports.broadcastQuestion = broadcastQuestion;
+exports.PUBLIC_STATUSES = PUBLIC_STATUSES;
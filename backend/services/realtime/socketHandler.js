@@ -3,6 +3,8 @@ const Feedback = require('../../models/Feedback');
 const Alert = require('../../models/Alert');
 const sentimentAnalyzer = require('../nlp/sentimentAnalyzer');
 const alertGenerator = require('../alert/alertGenerator');
+const chatService = require('./chatService');
+const { authorizeEventAccess, isAuthenticated } = require('../../middleware/socketAuth');
 const logger = require('../../utils/logger');
 
 // Map to track connected clients by event
@@ -17,7 +19,8 @@ exports.setupEventHandlers = (io, socket) => {
   // Handle joining an event room
   socket.on('join-event', async (data) => {
     try {
-      const { eventId, userId } = data;
+      const { eventId } = data;
+      const userId = socket.data.user ? socket.data.user.id : null;
       if (!eventId) {
         return socket.emit('error', { message: 'Event ID is required' });
       }
@@ -43,7 +46,7 @@ exports.setupEventHandlers = (io, socket) => {
         name: event.name
       });
       
-      logger.info(`Socket ${socket.id} joined event: ${eventId}`, { userId, eventId });
+      logger.info(`Socket ${socket.id} joined event: ${eventId}`, { userId, eventId, role: socket.data.role });
       
       // Notify about connection count
       io.to(`event:${eventId}`).emit('connection-count', {
@@ -79,7 +82,9 @@ exports.setupEventHandlers = (io, socket) => {
   
   socket.on('submit-feedback', async (data) => {
     try {
-      const { eventId, text, source = 'app_chat', location, userId, user } = data;
+      const { eventId, text, source = 'app_chat', location, user } = data;
+      // Never trust a user ID from the payload; only the handshake identifies staff
+      const userId = socket.data.user ? socket.data.user.id : null;
       if (!eventId || !text) {
         return socket.emit('error', { message: 'Event ID and feedback text are required' });
       }
@@ -113,7 +118,7 @@ exports.setupEventHandlers = (io, socket) => {
       // Generate and broadcast alerts if any
       const alerts = await alertGenerator.generateAlerts(feedback);
       if (alerts?.length) {
-        io.to(`event:${eventId}`).emit('new-alerts', alerts);
+        io.to(`alerts:${eventId}`).emit('new-alerts', alerts);
         alerts.forEach(alert => {
           io.to(`alerts:${eventId}`).emit('new-alert', alert);
         });
@@ -127,8 +132,33 @@ exports.setupEventHandlers = (io, socket) => {
       socket.emit('error', { message: 'Failed to submit feedback' });
     }
   });
-  
-  
+
+  // Handle attendee chat messages
+  socket.on('send-chat-message', async (data) => {
+    try {
+      const { eventId, text, user, sourceId } = data || {};
+      const { message } = await chatService.postMessage(io, {
+        eventId,
+        text,
+        user,
+        userId: socket.data.user ? socket.data.user.id : null,
+        sourceId
+      });
+
+      socket.emit('chat-message-sent', {
+        success: true,
+        messageId: message._id,
+        sourceId: message.sourceId
+      });
+    } catch (error) {
+      logger.error(`Chat message error: ${error.message}`, { error, socketId: socket.id });
+      socket.emit('chat-error', {
+        message: error.statusCode ? error.message : 'Failed to send message',
+        sourceId: data && data.sourceId
+      });
+    }
+  });
+
   // Handle subscribing to alerts for an event
   socket.on('subscribe-alerts', async (data) => {
     try {
@@ -136,6 +166,10 @@ exports.setupEventHandlers = (io, socket) => {
       if (!eventId) {
         return socket.emit('error', { message: 'Event ID is required' });
       }
+      if (!isAuthenticated(socket) || !await authorizeEventAccess(socket, eventId)) {
+        logger.warn(`Socket ${socket.id} denied alert subscription for event: ${eventId}`, { role: socket.data.role });
+        return socket.emit('error', { message: 'Not authorized to subscribe to alerts for this event' });
+      }
       socket.join(`alerts:${eventId}`);
       socket.emit('subscribed-alerts', { eventId });
       logger.info(`Socket ${socket.id} subscribed to alerts for event: ${eventId}`);
@@ -148,7 +182,11 @@ exports.setupEventHandlers = (io, socket) => {
   // Handle alert status updates via socket
   socket.on('update-alert', async (data) => {
     try {
-      const { alertId, status, note, userId } = data;
+      const { alertId, status, note } = data;
+      if (!isAuthenticated(socket)) {
+        return socket.emit('error', { message: 'Not authorized to update alerts' });
+      }
+      const userId = socket.data.user.id;
       if (!alertId || !status) {
         return socket.emit('error', { message: 'Alert ID and status are required' });
       }
@@ -156,6 +194,10 @@ exports.setupEventHandlers = (io, socket) => {
       if (!alert) {
         return socket.emit('error', { message: 'Alert not found' });
       }
+      if (!await authorizeEventAccess(socket, alert.event)) {
+        logger.warn(`Socket ${socket.id} denied update of alert ${alertId}`, { userId });
+        return socket.emit('error', { message: 'Not authorized to update this alert' });
+      }
       alert.status = status;
       alert.statusUpdates.push({
         status,
@@ -226,14 +268,58 @@ exports.broadcastFeedback = (io, feedback) => {
 exports.broadcastAlert = (io, alert) => {
   try {
     if (!alert || !alert.event) return;
+    // Alerts are staff-only; attendees share the event room but not this one
     io.to(`alerts:${alert.event}`).emit('new-alert', alert);
-    io.to(`event:${alert.event}`).emit('new-alert', alert);
     logger.debug(`Broadcasted alert: ${alert._id}`);
   } catch (error) {
     logger.error(`Broadcast alert error: ${error.message}`, { error, alertId: alert._id });
   }
 };
 
+/**
+ * Broadcast an issue change to event staff
+ * @param {Object} io - Socket.io instance
+ * @param {Object} issue - Issue data
+ * @param {Array} mergedIds - IDs of issues folded into this one (optional)
+ */
+exports.broadcastIssue = (io, issue, mergedIds = []) => {
+  try {
+    if (!issue || !issue.event) return;
+    io.to(`alerts:${issue.event}`).emit('issue-updated', { issue, mergedIds });
+    logger.debug(`Broadcasted issue: ${issue._id}`);
+  } catch (error) {
+    logger.error(`Broadcast issue error: ${error.message}`, { error, issueId: issue._id });
+  }
+};
+
+/**
+ * Broadcast feedback import progress to event staff
+ * @param {Object} io - Socket.io instance
+ * @param {string} eventId - Event ID
+ * @param {Object} progress - Import progress report
+ */
+exports.broadcastImportProgress = (io, eventId, progress) => {
+  try {
+    io.to(`alerts:${eventId}`).emit('import-progress', progress);
+  } catch (error) {
+    logger.error(`Broadcast import progress error: ${error.message}`, { error, eventId });
+  }
+};
+
+/**
+ * Broadcast re-scoring progress to an event's staff
+ * @param {Object} io - Socket.io instance
+ * @param {string} eventId - Event ID
+ * @param {Object} progress - Job progress
+ */
+exports.broadcastRescoreProgress = (io, eventId, progress) => {
+  try {
+    io.to(`alerts:${eventId}`).emit('rescore-progress', progress);
+  } catch (error) {
+    logger.error(`Broadcast rescore progress error: ${error.message}`, { error, eventId });
+  }
+};
+
 /**
  * Get connection count for an event
  * @param {string} eventId - Event ID
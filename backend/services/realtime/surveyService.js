@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const Survey = require('../../models/Survey');
+const SurveyResponse = require('../../models/SurveyResponse');
+const sentimentAnalyzer = require('../nlp/sentimentAnalyzer');
+const feedQueue = require('./feedQueue');
+const socketHandler = require('./socketHandler');
+const logger = require('../../utils/logger');
+const createError = require('../../utils/createError');
+
+/**
+ * Check one answer against its question
+ * @param {Object} question - Survey question
+ * @param {*} value - Submitted value
+ * @returns {Object} { value } normalized, { empty: true } or { error }
+ */
+const validateAnswer = (question, value) => {
+  if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return { empty: true };
+  }
+
+  switch (question.type) {
+    case 'rating':
+    case 'nps': {
+      const number = Number(value);
+      const [min, max] = question.type === 'nps' ? [0, 10] : [1, question.scale];
+      if (!Number.isInteger(number) || number < min || number > max) {
+        return { error: `"${question.prompt}" needs a whole number from ${min} to ${max}` };
+      }
+      return { value: number };
+    }
+
+    case 'multiple_choice': {
+      const choices = (Array.isArray(value) ? value : [value]).map(String);
+      if (!question.allowMultiple && choices.length > 1) {
+        return { error: `"${question.prompt}" accepts a single choice` };
+      }
+      if (choices.some(choice => !question.options.includes(choice))) {
+        return { error: `"${question.prompt}" has an unknown option` };
+      }
+      return { value: [...new Set(choices)] };
+    }
+
+    case 'text':
+    default: {
+      const text = typeof value === 'string' ? value.trim() : '';
+      if (!text) {
+        return { empty: true };
+      }
+      if (text.length > 2000) {
+        return { error: `"${question.prompt}" cannot be more than 2000 characters` };
+      }
+      return { value: text };
+    }
+  }
+};
+
+/**
+ * Store an attendee's answers; free-text answers go through the NLP pipeline
+ * and become survey feedback
+ * @param {Object} io - Socket.io instance for broadcasting (optional)
+ * @param {String} surveyId - Survey ID
+ * @param {Object} responseData - { answers: [{ question, value }], respondent, respondentId }
+ * @returns {Promise<Object>} { response, feedback }
+ */
+exports.submitResponse = async (io, surveyId, responseData) => {
+  if (!mongoose.isValidObjectId(surveyId)) {
+    throw createError('Survey not found', 404);
+  }
+
+  const survey = await Survey.findById(surveyId);
+  if (!survey || survey.status === 'draft') {
+    throw createError('Survey not found', 404);
+  }
+  if (survey.status !== 'published') {
+    throw createError('This survey is closed', 400);
+  }
+
+  const submitted = new Map((Array.isArray(responseData.answers) ? responseData.answers : [])
+    .filter(answer => answer && answer.question)
+    .map(answer => [String(answer.question), answer.value]));
+
+  const answers = [];
+  for (const question of survey.questions) {
+    const result = validateAnswer(question, submitted.get(question._id.toString()));
+
+    if (result.error) {
+      throw createError(result.error, 400);
+    }
+    if (result.empty) {
+      if (question.required) {
+        throw createError(`"${question.prompt}" is required`, 400);
+      }
+      continue;
+    }
+
+    answers.push({ question: question._id, type: question.type, value: result.value });
+  }
+
+  if (answers.length === 0) {
+    throw createError('Please answer at least one question', 400);
+  }
+
+  const respondent = typeof responseData.respondent === 'string' && responseData.respondent.trim()
+    ? responseData.respondent.trim().substring(0, 100)
+    : 'Anonymous';
+
+  let response;
+  try {
+    response = await SurveyResponse.create({
+      survey: survey._id,
+      event: survey.event,
+      answers,
+      respondent,
+      respondentId: typeof responseData.respondentId === 'string' ? responseData.respondentId : null
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createError('You have already answered this survey', 409);
+    }
+    throw error;
+  }
+
+  const feedback = [];
+  for (const answer of response.answers) {
+    if (answer.type !== 'text') continue;
+
+    const question = survey.questions.id(answer.question);
+    try {
+      const processed = await sentimentAnalyzer.processFeedback({
+        event: survey.event,
+        source: 'survey',
+        sourceId: `survey-${response._id}-${answer.question}`,
+        text: answer.value,
+        user: respondent,
+        metadata: {
+          platform: 'survey',
+          surveyId: survey._id,
+          questionId: answer.question,
+          prompt: question.prompt
+        }
+      });
+      const stored = await feedQueue.storeProcessedFeedback(processed);
+
+      answer.feedback = stored.feedback._id;
+      feedback.push(stored.feedback);
+
+      if (io) {
+        socketHandler.broadcastFeedback(io, stored.feedback);
+        (stored.alerts || []).forEach(alert => socketHandler.broadcastAlert(io, alert));
+      }
+    } catch (error) {
+      // The structured answer is already stored; losing its sentiment is not fatal
+      logger.error(`Survey answer analysis error: ${error.message}`, { error, surveyId, responseId: response._id });
+    }
+  }
+
+  if (feedback.length > 0) {
+    await response.save();
+  }
+  await Survey.updateOne({ _id: survey._id }, { $inc: { responseCount: 1 } });
+
+  logger.info(`Survey response submitted: ${response._id}`, {
+    surveyId,
+    eventId: survey.event,
+    answers: answers.length,
+    feedbackCreated: feedback.length
+  });
+
+  return { response, feedback };
+};
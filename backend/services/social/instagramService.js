@@ -1,53 +1,308 @@
 const axios = require('axios');
 const Event = require('../../models/Event');
 const Feedback = require('../../models/Feedback');
+const Integration = require('../../models/Integration');
 const sentimentAnalyzer = require('../nlp/sentimentAnalyzer');
 const logger = require('../../utils/logger');
 
-let instagramAccessToken = {
-  token: process.env.INSTAGRAM_ACCESS_TOKEN,
-  expiresAt: null
-};
+const DEFAULT_GRAPH_API_URL = 'https://graph.facebook.com/v18.0';
+const MEDIA_FIELDS = 'id,caption,media_type,media_url,permalink,timestamp,like_count,comments_count';
+const PAGE_SIZE = 50;
+const MAX_PAGES = 5;
+const MAX_RETRIES = 3;
+const MAX_BACKOFF_MS = 60 * 1000;
+const RATE_LIMIT_PAUSE_MS = 15 * 60 * 1000;
+const TOKEN_REFRESH_MARGIN_MS = 24 * 60 * 60 * 1000;
+
+// Graph API error codes for app, user and business-use-case throttling
+const RATE_LIMIT_CODES = [4, 17, 32, 613];
+const EXPIRED_TOKEN_CODE = 190;
 
 const activePolls = new Map();
 
-const getInstagramClient = async () => {
-  if (!instagramAccessToken.token) {
+// One Graph API session per organizer with stored credentials, plus one for the
+// server-wide environment credentials. Each carries its own live token,
+// throttling window and hashtag ID cache.
+const sessions = new Map();
+
+/**
+ * Get the Graph API session for a credential owner
+ * @param {String} ownerId - User ID, see Integration.findCredentialOwner
+ * @returns {Promise<Object>} Session
+ */
+const getSession = async (ownerId) => {
+  const stored = ownerId ? await Integration.getCredentials(ownerId, 'instagram') : {};
+  const key = stored.accessToken ? ownerId.toString() : 'env';
+
+  if (!sessions.has(key)) {
+    const credentials = stored.accessToken ? stored : {
+      accessToken: process.env.INSTAGRAM_ACCESS_TOKEN,
+      businessAccountId: process.env.INSTAGRAM_BUSINESS_ACCOUNT_ID,
+      appId: process.env.INSTAGRAM_APP_ID,
+      appSecret: process.env.INSTAGRAM_APP_SECRET
+    };
+
+    sessions.set(key, {
+      ownerId: stored.accessToken ? ownerId : null,
+      credentials,
+      expiresAt: credentials.tokenExpiresAt ? new Date(credentials.tokenExpiresAt) : null,
+      refreshInProgress: null,
+      rateLimitedUntil: null,
+      // Hashtag IDs never change and Instagram caps unique hashtag lookups per week
+      hashtagIds: new Map()
+    });
+  }
+
+  return sessions.get(key);
+};
+
+/**
+ * Drop a cached session after an organizer's credentials change
+ * @param {String} ownerId - User ID
+ */
+exports.clearSession = (ownerId) => {
+  sessions.delete(ownerId.toString());
+};
+
+/**
+ * Whether Instagram ingestion should use generated demo posts instead of the
+ * Graph API. Forced with INSTAGRAM_MOCK_MODE=true, and used automatically when
+ * the Graph API credentials are missing.
+ * @param {Object} session - Graph API session, env credentials when omitted
+ * @returns {Boolean}
+ */
+const isMockMode = (session) => {
+  const credentials = session ? session.credentials : {
+    accessToken: process.env.INSTAGRAM_ACCESS_TOKEN,
+    businessAccountId: process.env.INSTAGRAM_BUSINESS_ACCOUNT_ID
+  };
+
+  return process.env.INSTAGRAM_MOCK_MODE === 'true' ||
+    !credentials.accessToken ||
+    !credentials.businessAccountId;
+};
+
+exports.isMockMode = isMockMode;
+
+const getInstagramClient = async (session) => {
+  if (!session.credentials.accessToken) {
     throw new Error('Instagram access token not configured');
   }
   
-  if (instagramAccessToken.expiresAt && new Date() >= instagramAccessToken.expiresAt) {
-    await refreshAccessToken();
+  if (session.expiresAt && Date.now() >= session.expiresAt.getTime() - TOKEN_REFRESH_MARGIN_MS) {
+    await refreshAccessToken(session);
   }
   
   return {
-    baseURL: 'https://graph.instagram.com/v12.0',
+    baseURL: process.env.INSTAGRAM_GRAPH_API_URL || DEFAULT_GRAPH_API_URL,
     headers: {
-      'Authorization': `Bearer ${instagramAccessToken.token}`
+      'Authorization': `Bearer ${session.credentials.accessToken}`
     }
   };
 };
 
 
-const refreshAccessToken = async () => {
+/**
+ * Exchange the session's long-lived token for a fresh one. Concurrent callers
+ * share a single exchange, and organizer tokens are saved back encrypted.
+ * @param {Object} session - Graph API session
+ * @returns {Promise<Object>} New expiry information
+ */
+const refreshAccessToken = async (session) => {
+  if (session.refreshInProgress) {
+    return session.refreshInProgress;
+  }
+
+  session.refreshInProgress = (async () => {
+    try {
+      const { appId, appSecret } = session.credentials;
+      if (!appId || !appSecret) {
+        throw new Error('Instagram app ID and secret are required to refresh the access token');
+      }
+
+      const response = await axios.get('/oauth/access_token', {
+        baseURL: process.env.INSTAGRAM_GRAPH_API_URL || DEFAULT_GRAPH_API_URL,
+        params: {
+          grant_type: 'fb_exchange_token',
+          client_id: appId,
+          client_secret: appSecret,
+          fb_exchange_token: session.credentials.accessToken
+        }
+      });
+
+      const { access_token: token, expires_in: expiresIn } = response.data;
+
+      session.credentials.accessToken = token;
+      session.expiresAt = new Date(Date.now() + (expiresIn ? expiresIn * 1000 : 60 * 24 * 60 * 60 * 1000)); // 60 days
+
+      if (session.ownerId) {
+        await Integration.saveCredentials(session.ownerId, 'instagram', {
+          ...session.credentials,
+          tokenExpiresAt: session.expiresAt
+        }, { tokenExpiresAt: session.expiresAt });
+      }
+
+      logger.info('Refreshed Instagram access token', { expiresAt: session.expiresAt });
+
+      return {
+        success: true,
+        expiresAt: session.expiresAt
+      };
+    } catch (error) {
+      logger.error(`Refresh Instagram token error: ${error.message}`, { error });
+      throw error;
+    } finally {
+      session.refreshInProgress = null;
+    }
+  })();
+
+  return session.refreshInProgress;
+};
+
+const getGraphError = (error) => (error.response && error.response.data && error.response.data.error) || {};
+
+const isRateLimitError = (error) => (
+  (error.response && error.response.status === 429) ||
+  RATE_LIMIT_CODES.includes(getGraphError(error).code)
+);
+
+const getBackoffDelay = (error, attempt) => {
+  const retryAfter = error.response && parseInt(error.response.headers['retry-after'], 10);
+  const delay = retryAfter ? retryAfter * 1000 : 1000 * Math.pow(2, attempt);
+  return Math.min(delay, MAX_BACKOFF_MS);
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Stop calling the API before Meta starts rejecting us outright
+const trackAppUsage = (session, headers = {}) => {
+  const usageHeader = headers['x-app-usage'];
+  if (!usageHeader) return;
+
   try {
-   
-    logger.info('Would refresh Instagram access token here');
-    
-    instagramAccessToken.expiresAt = new Date(Date.now() + (60 * 24 * 60 * 60 * 1000)); // 60 days
-    
-    return {
-      success: true,
-      expiresAt: instagramAccessToken.expiresAt
-    };
+    const usage = JSON.parse(usageHeader);
+    const highest = Math.max(usage.call_count || 0, usage.total_time || 0, usage.total_cputime || 0);
+    if (highest >= 95) {
+      session.rateLimitedUntil = new Date(Date.now() + RATE_LIMIT_PAUSE_MS);
+      logger.warn(`Instagram app usage at ${highest}%, pausing requests until ${session.rateLimitedUntil.toISOString()}`);
+    }
   } catch (error) {
-    logger.error(`Refresh Instagram token error: ${error.message}`, { error });
-    throw error;
+    logger.debug(`Unreadable Instagram x-app-usage header: ${usageHeader}`);
+  }
+};
+
+/**
+ * GET a Graph API path, refreshing an expired token once and backing off
+ * exponentially on rate limits
+ * @param {Object} session - Graph API session
+ * @param {String} path - Graph API path
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} Response body
+ */
+const graphGet = async (session, path, params = {}) => {
+  let tokenRefreshed = false;
+
+  for (let attempt = 0; ; attempt++) {
+    if (session.rateLimitedUntil && new Date() < session.rateLimitedUntil) {
+      throw new Error(`Instagram API rate limited until ${session.rateLimitedUntil.toISOString()}`);
+    }
+
+    const client = await getInstagramClient(session);
+
+    try {
+      const response = await axios.get(path, { ...client, params });
+      trackAppUsage(session, response.headers);
+      return response.data;
+    } catch (error) {
+      const graphError = getGraphError(error);
+
+      if (graphError.code === EXPIRED_TOKEN_CODE && !tokenRefreshed) {
+        tokenRefreshed = true;
+        await refreshAccessToken(session);
+        continue;
+      }
+
+      if (isRateLimitError(error)) {
+        if (attempt >= MAX_RETRIES) {
+          session.rateLimitedUntil = new Date(Date.now() + RATE_LIMIT_PAUSE_MS);
+          throw new Error(`Instagram API rate limit exceeded, pausing until ${session.rateLimitedUntil.toISOString()}`);
+        }
+
+        const delay = getBackoffDelay(error, attempt);
+        logger.warn(`Instagram API rate limited on ${path}, retrying in ${delay}ms`, { code: graphError.code });
+        await wait(delay);
+        continue;
+      }
+
+      throw new Error(graphError.message ? `Instagram API error: ${graphError.message}` : error.message);
+    }
+  }
+};
+
+const getHashtagId = async (session, hashtag) => {
+  const key = hashtag.toLowerCase();
+  if (session.hashtagIds.has(key)) {
+    return session.hashtagIds.get(key);
+  }
+
+  const result = await graphGet(session, '/ig_hashtag_search', {
+    user_id: session.credentials.businessAccountId,
+    q: key
+  });
+
+  const hashtagId = result.data && result.data[0] && result.data[0].id;
+  if (!hashtagId) {
+    throw new Error(`Instagram hashtag not found: #${hashtag}`);
+  }
+
+  session.hashtagIds.set(key, hashtagId);
+  return hashtagId;
+};
+
+const extractTags = (text, prefix) => (
+  text.match(new RegExp(`${prefix}(\\w+)`, 'g')) || []
+).map(tag => tag.substring(1));
+
+const mapGraphMedia = (media, hashtag) => {
+  const caption = media.caption || '';
+  const hashtags = extractTags(caption, '#');
+  if (!hashtags.includes(hashtag)) {
+    hashtags.push(hashtag);
   }
+
+  // Hashtag search does not expose the author, only the public permalink
+  return {
+    id: media.id,
+    caption,
+    username: null,
+    userUrl: media.permalink,
+    userFollowers: null,
+    mediaUrl: media.media_url || null,
+    hashtags,
+    mentions: extractTags(caption, '@'),
+    createdAt: new Date(media.timestamp),
+    likes: media.like_count || 0,
+    comments: media.comments_count || 0
+  };
 };
 
+const getTrackingHashtags = (event) => event.socialTracking.hashtags
+  .filter(tag => tag.startsWith('#'))
+  .map(tag => tag.substring(1));
+
+const schedulePoll = (eventId, hashtags) => {
+  const pollInterval = setInterval(async () => {
+    try {
+      await pollInstagramHashtags(hashtags, eventId);
+    } catch (error) {
+      logger.error(`Instagram poll error: ${error.message}`, { error });
+    }
+  }, 5 * 60 * 1000); 
+  
+  activePolls.set(eventId, { pollInterval, hashtags });
+};
 
-exports.startEventPolling = async (eventId) => {
+exports.startEventPolling = async (eventId, userId = null) => {
   try {
     if (activePolls.has(eventId)) {
       return {
@@ -62,29 +317,22 @@ exports.startEventPolling = async (eventId) => {
       throw new Error(`Event not found: ${eventId}`);
     }
     
-    const trackingHashtags = event.socialTracking.hashtags
-      .filter(tag => tag.startsWith('#'))
-      .map(tag => tag.substring(1)); 
+    const trackingHashtags = getTrackingHashtags(event);
     
     if (trackingHashtags.length === 0) {
       throw new Error('No Instagram hashtags configured for event');
     }
     
-    const pollInterval = setInterval(async () => {
-      try {
-        await pollInstagramHashtags(trackingHashtags, eventId);
-      } catch (error) {
-        logger.error(`Instagram poll error: ${error.message}`, { error });
-      }
-    }, 5 * 60 * 1000); 
+    schedulePoll(eventId, trackingHashtags);
     
-    activePolls.set(eventId, {
-      pollInterval,
-      hashtags: trackingHashtags,
-      startTime: new Date(),
+    const credentialOwner = await Integration.findCredentialOwner(event, 'instagram', userId);
+    await Integration.openStream(event, 'instagram', {
+      config: { hashtags: trackingHashtags },
+      cursor: {},
+      isMock: isMockMode(await getSession(credentialOwner)),
       lastPollTime: null,
       lastResults: null
-    });
+    }, credentialOwner);
     
     const initialPoll = await pollInstagramHashtags(trackingHashtags, eventId);
     
@@ -99,11 +347,9 @@ exports.startEventPolling = async (eventId) => {
     logger.error(`Start Instagram polling error: ${error.message}`, { error, eventId });
     
     if (activePolls.has(eventId)) {
-      const activePoll = activePolls.get(eventId);
-      if (activePoll.pollInterval) {
-        clearInterval(activePoll.pollInterval);
-      }
+      clearInterval(activePolls.get(eventId).pollInterval);
       activePolls.delete(eventId);
+      await Integration.updateStream(eventId, 'instagram', { active: false }).catch(() => {});
     }
     
     throw error;
@@ -112,7 +358,9 @@ exports.startEventPolling = async (eventId) => {
 
 exports.stopEventPolling = async (eventId) => {
   try {
-    if (!activePolls.has(eventId)) {
+    const poll = await Integration.getStream(eventId, 'instagram');
+    
+    if (!activePolls.has(eventId) && !(poll && poll.active)) {
       return {
         success: true,
         message: 'No active Instagram polling found',
@@ -120,17 +368,18 @@ exports.stopEventPolling = async (eventId) => {
       };
     }
     
-    const activePoll = activePolls.get(eventId);
-    
-    clearInterval(activePoll.pollInterval);
+    if (activePolls.has(eventId)) {
+      clearInterval(activePolls.get(eventId).pollInterval);
+      activePolls.delete(eventId);
+    }
     
-    activePolls.delete(eventId);
+    await Integration.updateStream(eventId, 'instagram', { active: false, stoppedAt: new Date() });
     
     return {
       success: true,
       message: 'Instagram polling stopped successfully',
       isActive: false,
-      runtime: getPollRuntime(activePoll.startTime)
+      runtime: getPollRuntime(poll && poll.startTime)
     };
   } catch (error) {
     logger.error(`Stop Instagram polling error: ${error.message}`, { error, eventId });
@@ -138,27 +387,75 @@ exports.stopEventPolling = async (eventId) => {
   }
 };
 
-// Modified to fetch real hashtag data from Instagram API
+/**
+ * Restart polls that were active when the server last stopped
+ * @returns {Promise<Number>} Number of polls resumed
+ */
+exports.resumeActivePolls = async () => {
+  const streams = await Integration.findActiveStreams('instagram');
+  let resumed = 0;
+  
+  for (const { eventId, stream } of streams) {
+    const hashtags = (stream.config && stream.config.hashtags) || [];
+    if (activePolls.has(eventId) || hashtags.length === 0) continue;
+    
+    schedulePoll(eventId, hashtags);
+    resumed++;
+    
+    pollInstagramHashtags(hashtags, eventId).catch(error => {
+      logger.error(`Resumed Instagram poll error: ${error.message}`, { error, eventId });
+    });
+  }
+  
+  if (resumed > 0) {
+    logger.info(`Resumed ${resumed} Instagram hashtag poll(s)`);
+  }
+  
+  return resumed;
+};
+
 const pollInstagramHashtags = async (hashtags, eventId) => {
   try {
-    logger.info(`Polling Instagram hashtags: ${hashtags.join(', ')}`);
-    
-    if (activePolls.has(eventId)) {
-      activePolls.get(eventId).lastPollTime = new Date();
+    const event = await Event.findById(eventId);
+    if (!event) {
+      throw new Error(`Event not found: ${eventId}`);
     }
     
-    let allPosts = [];
+    const session = await getSession(await Integration.findCredentialOwner(event, 'instagram'));
+    logger.info(`Polling Instagram hashtags${isMockMode(session) ? ' (mock mode)' : ''}: ${hashtags.join(', ')}`);
+    
+    // Newest post already ingested per hashtag, kept across restarts
+    const poll = await Integration.getStream(eventId, 'instagram');
+    const tracked = Boolean(poll && poll.active);
+    const lastSeen = tracked ? { ...(poll.cursor || {}) } : {};
+    
+    // The same post often carries several tracked hashtags
+    const postsById = new Map();
     
     for (const hashtag of hashtags) {
       try {
-        const posts = await fetchHashtagPosts(hashtag); // Mock data for now
-        allPosts = [...allPosts, ...posts];
+        const since = lastSeen[hashtag] ? new Date(lastSeen[hashtag]) : null;
+        const posts = await fetchHashtagPosts(session, hashtag, since);
+        
+        posts.forEach(post => {
+          postsById.set(post.id, post);
+          if (!lastSeen[hashtag] || post.createdAt > new Date(lastSeen[hashtag])) {
+            lastSeen[hashtag] = post.createdAt;
+          }
+        });
       } catch (error) {
         logger.error(`Error fetching posts for hashtag #${hashtag}: ${error.message}`);
       }
     }
     
-    const processPromises = allPosts.map(post => processInstagramPost(post, eventId));
+    const alreadyProcessed = new Set(await Feedback.distinct('sourceId', {
+      event: eventId,
+      source: 'instagram',
+      sourceId: { $in: [...postsById.keys()] }
+    }));
+    const newPosts = [...postsById.values()].filter(post => !alreadyProcessed.has(post.id));
+    
+    const processPromises = newPosts.map(post => processInstagramPost(post, eventId));
     const results = await Promise.all(processPromises);
     const validResults = results.filter(Boolean);
     
@@ -169,12 +466,19 @@ const pollInstagramHashtags = async (hashtags, eventId) => {
       neutral: validResults.filter(r => r.sentiment === 'neutral').length
     };
     
-    if (activePolls.has(eventId)) {
-      activePolls.get(eventId).lastResults = {
-        count: validResults.length,
-        timestamp: new Date(),
-        sentimentSummary
-      };
+    if (tracked) {
+      await Integration.updateStream(eventId, 'instagram', {
+        lastPollTime: new Date(),
+        cursor: lastSeen,
+        lastResults: {
+          count: validResults.length,
+          skippedDuplicates: postsById.size - newPosts.length,
+          timestamp: new Date(),
+          sentimentSummary,
+          rateLimitedUntil: session.rateLimitedUntil
+        },
+        lastError: null
+      }, { processedCount: validResults.length });
     }
     
     return {
@@ -183,15 +487,62 @@ const pollInstagramHashtags = async (hashtags, eventId) => {
     };
   } catch (error) {
     logger.error(`Poll Instagram hashtags error: ${error.message}`, { error, hashtags });
+    await Integration.updateStream(eventId, 'instagram', { lastPollTime: new Date(), lastError: error.message }).catch(() => {});
     throw error;
   }
 };
 
-// New function to fetch posts for a specific hashtag
-const fetchHashtagPosts = async (hashtag) => {
-  // In production, this would make real API calls
-  // For development, we're generating relevant mock data
+/**
+ * Fetch recent posts for a hashtag, following paging cursors until a post
+ * older than `since` shows up or the page limit is reached
+ * @param {Object} session - Graph API session
+ * @param {String} hashtag - Hashtag without the leading #
+ * @param {Date} since - Newest post timestamp already ingested
+ * @returns {Promise<Array>} Normalized posts
+ */
+const fetchHashtagPosts = async (session, hashtag, since = null) => {
+  if (isMockMode(session)) {
+    return generateMockPosts(hashtag);
+  }
   
+  const hashtagId = await getHashtagId(session, hashtag);
+  const posts = [];
+  let after = null;
+  
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const result = await graphGet(session, `/${hashtagId}/recent_media`, {
+      user_id: session.credentials.businessAccountId,
+      fields: MEDIA_FIELDS,
+      limit: PAGE_SIZE,
+      ...(after && { after })
+    });
+    
+    let reachedSeenPosts = false;
+    
+    (result.data || []).forEach(media => {
+      if (since && new Date(media.timestamp) < since) {
+        reachedSeenPosts = true;
+        return;
+      }
+      
+      // Feedback needs text; image-only posts carry nothing to analyze
+      if (media.caption) {
+        posts.push(mapGraphMedia(media, hashtag));
+      }
+    });
+    
+    const paging = result.paging || {};
+    after = paging.cursors && paging.cursors.after;
+    
+    if (reachedSeenPosts || !after || !paging.next) {
+      break;
+    }
+  }
+  
+  return posts;
+};
+
+const generateMockPosts = (hashtag) => {
   const currentTime = new Date();
   const posts = [];
   
@@ -261,17 +612,6 @@ const generateMockPostForHashtag = (hashtag, timestamp, index) => {
 
 const processInstagramPost = async (post, eventId) => {
   try {
-    const existingFeedback = await Feedback.findOne({
-      event: eventId,
-      source: 'instagram',
-      sourceId: post.id
-    });
-    
-    if (existingFeedback) {
-      logger.debug(`Instagram post already processed: ${post.id}`);
-      return existingFeedback;
-    }
-    
     const feedbackData = {
       event: eventId,
       source: 'instagram',
@@ -282,7 +622,7 @@ const processInstagramPost = async (post, eventId) => {
         platform: 'instagram',
         profileUrl: post.userUrl,
         followerCount: post.userFollowers,
-        mediaUrls: [post.mediaUrl],
+        mediaUrls: post.mediaUrl ? [post.mediaUrl] : [],
         hashTags: post.hashtags,
         mentions: post.mentions,
         engagement: {
@@ -304,6 +644,12 @@ const processInstagramPost = async (post, eventId) => {
     
     return feedback;
   } catch (error) {
+    // Another poll for the same hashtag stored it first
+    if (error.code === 11000) {
+      logger.debug(`Instagram post already processed: ${post.id}`);
+      return null;
+    }
+    
     logger.error(`Process Instagram post error: ${error.message}`, { error, postId: post.id });
     return null;
   }
@@ -347,29 +693,39 @@ const generateMockInstagramPosts = (hashtags, count = 5) => {
   return posts;
 };
 
-exports.getPollStatus = (eventId) => {
+/**
+ * Report Instagram polling for an event from its persisted state
+ * @param {String} eventId - Event ID
+ * @returns {Promise<Object>} Poll status
+ */
+exports.getPollStatus = async (eventId) => {
   try {
-    const isActive = activePolls.has(eventId);
+    const poll = await Integration.getStream(eventId, 'instagram');
     
-    if (!isActive) {
+    if (!poll || !poll.active) {
       return {
         isActive: false,
+        lastPollTime: poll ? poll.lastPollTime : null,
+        lastResults: poll ? poll.lastResults : null,
         message: 'No active Instagram polling'
       };
     }
     
-    const activePoll = activePolls.get(eventId);
+    const rateLimitedUntil = poll.lastResults && poll.lastResults.rateLimitedUntil;
     
     return {
       isActive: true,
-      startTime: activePoll.startTime,
-      runtime: getPollRuntime(activePoll.startTime),
-      lastPollTime: activePoll.lastPollTime,
-      hashtags: activePoll.hashtags,
-      lastResults: activePoll.lastResults ? {
-        ...activePoll.lastResults,
-        sentimentSummary: activePoll.lastResults.sentimentSummary
-      } : null,
+      // False until this process picks the poll up again after a restart
+      isRunning: activePolls.has(eventId.toString()),
+      startTime: poll.startTime,
+      runtime: getPollRuntime(poll.startTime),
+      lastPollTime: poll.lastPollTime,
+      hashtags: poll.config.hashtags,
+      mockMode: poll.isMock,
+      rateLimitedUntil: rateLimitedUntil && new Date(rateLimitedUntil) > new Date() ? rateLimitedUntil : null,
+      processedCount: poll.processedCount,
+      lastResults: poll.lastResults,
+      lastError: poll.lastError || null,
       message: 'Instagram polling is active'
     };
   } catch (error) {
@@ -389,9 +745,7 @@ exports.fetchLatestPostsForEvent = async (eventId) => {
       throw new Error(`Event not found: ${eventId}`);
     }
     
-    const trackingHashtags = event.socialTracking.hashtags
-      .filter(tag => tag.startsWith('#'))
-      .map(tag => tag.substring(1));
+    const trackingHashtags = getTrackingHashtags(event);
     
     if (trackingHashtags.length === 0) {
       throw new Error('No Instagram hashtags configured for event');
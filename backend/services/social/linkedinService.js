@@ -1,27 +1,258 @@
 const axios = require('axios');
 const Event = require('../../models/Event');
 const Feedback = require('../../models/Feedback');
+const Integration = require('../../models/Integration');
 const sentimentAnalyzer = require('../nlp/sentimentAnalyzer');
 const logger = require('../../utils/logger');
 
+const DEFAULT_API_URL = 'https://api.linkedin.com/rest';
+const DEFAULT_API_VERSION = '202401';
+const POLL_INTERVAL_MS = 10 * 60 * 1000;
+const PAGE_SIZE = 50;
+const MAX_POST_PAGES = 3;
+const MAX_COMMENT_PAGES = 5;
+const MAX_RETRIES = 3;
+const MAX_BACKOFF_MS = 60 * 1000;
+
+// Posts published this long before the event still collect event comments
+const POST_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Poll timers live in memory; everything needed to report on or resume a poll
+// is persisted on the organizer's Integration record
 const activePolls = new Map();
 
-const getLinkedInClient = () => {
-  if (!process.env.LINKEDIN_CLIENT_ID || !process.env.LINKEDIN_CLIENT_SECRET) {
-    throw new Error('LinkedIn API keys not configured');
+/**
+ * Credentials stored on a user's Integration record, falling back to the
+ * server-wide environment configuration
+ * @param {String} ownerId - Credential owner, see Integration.findCredentialOwner
+ * @returns {Promise<Object>} { accessToken }
+ */
+const getCredentials = async (ownerId) => ({
+  accessToken: process.env.LINKEDIN_ACCESS_TOKEN,
+  ...(ownerId ? await Integration.getCredentials(ownerId, 'linkedin') : {})
+});
+
+/**
+ * Whether LinkedIn ingestion should use generated demo threads instead of the
+ * REST API. Forced with LINKEDIN_MOCK_MODE=true, and used automatically when
+ * no access token is configured.
+ * @param {Object} credentials - Resolved credentials, env-only when omitted
+ * @returns {Boolean}
+ */
+const isMockMode = (credentials = {}) => (
+  process.env.LINKEDIN_MOCK_MODE === 'true' ||
+  !(credentials.accessToken || process.env.LINKEDIN_ACCESS_TOKEN)
+);
+
+exports.isMockMode = isMockMode;
+
+const getLinkedInClient = (credentials) => {
+  if (!credentials.accessToken) {
+    throw new Error('LinkedIn access token not configured');
   }
   
   return axios.create({
-    baseURL: 'https://api.linkedin.com/v2',
+    baseURL: process.env.LINKEDIN_API_URL || DEFAULT_API_URL,
     headers: {
-      'Authorization': `Bearer ${process.env.LINKEDIN_ACCESS_TOKEN}`,
-      'Content-Type': 'application/json'
+      'Authorization': `Bearer ${credentials.accessToken}`,
+      'Content-Type': 'application/json',
+      'LinkedIn-Version': process.env.LINKEDIN_API_VERSION || DEFAULT_API_VERSION,
+      'X-Restli-Protocol-Version': '2.0.0'
     }
   });
 };
 
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * GET a LinkedIn REST path, backing off exponentially on 429 responses
+ * @param {Object} client - Axios instance from getLinkedInClient
+ * @param {String} path - REST path (URNs already encoded)
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} Response body
+ */
+const restGet = async (client, path, params = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await client.get(path, { params });
+      return response.data;
+    } catch (error) {
+      const status = error.response && error.response.status;
+
+      if (status === 429 && attempt < MAX_RETRIES) {
+        const retryAfter = parseInt(error.response.headers['retry-after'], 10);
+        const delay = Math.min(retryAfter ? retryAfter * 1000 : 1000 * Math.pow(2, attempt), MAX_BACKOFF_MS);
+        logger.warn(`LinkedIn API rate limited on ${path}, retrying in ${delay}ms`);
+        await wait(delay);
+        continue;
+      }
+
+      const message = error.response && error.response.data && error.response.data.message;
+      throw new Error(message ? `LinkedIn API error (${status}): ${message}` : error.message);
+    }
+  }
+};
+
+const toOrganizationUrn = (companyId) => (
+  String(companyId).startsWith('urn:li:') ? String(companyId) : `urn:li:organization:${companyId}`
+);
+
+const extractTags = (text, prefix) => (
+  text.match(new RegExp(`${prefix}(\\w+)`, 'g')) || []
+).map(tag => tag.substring(1));
 
-exports.startCompanyPolling = async (eventId, companyId) => {
+/**
+ * Fetch recent organization posts, newest first
+ * @param {Object} client - Axios instance
+ * @param {String} companyId - Organization ID or URN
+ * @param {Date} since - Ignore posts created before this date
+ * @returns {Promise<Array>} Normalized posts
+ */
+const fetchOrganizationPosts = async (client, companyId, since) => {
+  const posts = [];
+
+  for (let page = 0; page < MAX_POST_PAGES; page++) {
+    const result = await restGet(client, '/posts', {
+      q: 'author',
+      author: toOrganizationUrn(companyId),
+      sortBy: 'CREATED',
+      start: page * PAGE_SIZE,
+      count: PAGE_SIZE
+    });
+
+    const elements = result.elements || [];
+    let reachedOlderPosts = false;
+
+    elements.forEach(element => {
+      if (since && element.createdAt < since.getTime()) {
+        reachedOlderPosts = true;
+        return;
+      }
+
+      posts.push({
+        id: element.id,
+        text: element.commentary || '',
+        companyId,
+        url: `https://www.linkedin.com/feed/update/${element.id}`,
+        createdAt: new Date(element.createdAt)
+      });
+    });
+
+    if (reachedOlderPosts || elements.length < PAGE_SIZE) {
+      break;
+    }
+  }
+
+  return posts;
+};
+
+/**
+ * Fetch the comment thread of a post or comment. Top-level comments that have
+ * replies are followed one level down, which is as deep as LinkedIn nests.
+ * @param {Object} client - Axios instance
+ * @param {Object} post - Normalized post
+ * @param {String} parentCommentId - Comment URN when fetching replies
+ * @returns {Promise<Array>} Normalized comments
+ */
+const fetchPostComments = async (client, post, parentCommentId = null) => {
+  const comments = [];
+  const target = parentCommentId || post.id;
+
+  for (let page = 0; page < MAX_COMMENT_PAGES; page++) {
+    const result = await restGet(client, `/socialActions/${encodeURIComponent(target)}/comments`, {
+      start: page * PAGE_SIZE,
+      count: PAGE_SIZE
+    });
+
+    const elements = result.elements || [];
+
+    for (const element of elements) {
+      const id = element.commentUrn || element.$URN || `urn:li:comment:(${post.id},${element.id})`;
+      const text = element.message && element.message.text;
+
+      if (text) {
+        comments.push({
+          id,
+          text,
+          authorName: element.actor || null,
+          authorUrl: null,
+          authorFollowers: null,
+          parentCommentId,
+          hashtags: extractTags(text, '#'),
+          mentions: extractTags(text, '@'),
+          createdAt: new Date((element.created && element.created.time) || Date.now())
+        });
+      }
+
+      const replyCount = element.commentsSummary && element.commentsSummary.aggregatedTotalComments;
+      if (!parentCommentId && replyCount > 0) {
+        comments.push(...await fetchPostComments(client, post, id));
+      }
+    }
+
+    if (elements.length < PAGE_SIZE) {
+      break;
+    }
+  }
+
+  return comments;
+};
+
+/**
+ * Load organization posts with their comment threads, from the REST API or
+ * from generated demo data in mock mode
+ * @param {String} companyId - Organization ID or URN
+ * @param {Date} since - Ignore posts created before this date
+ * @param {Array} trackingTerms - Event hashtags, mentions and keywords
+ * @param {Object} credentials - Resolved credentials
+ * @returns {Promise<Array>} [{ post, comments }]
+ */
+const fetchCompanyThreads = async (companyId, since, trackingTerms, credentials) => {
+  if (isMockMode(credentials)) {
+    return generateMockLinkedInThreads(companyId, trackingTerms);
+  }
+
+  const client = getLinkedInClient(credentials);
+  const posts = await fetchOrganizationPosts(client, companyId, since);
+  const threads = [];
+
+  // Sequential on purpose: LinkedIn throttles per member and per application
+  for (const post of posts) {
+    try {
+      threads.push({ post, comments: await fetchPostComments(client, post) });
+    } catch (error) {
+      logger.error(`Error fetching comments for LinkedIn post ${post.id}: ${error.message}`);
+    }
+  }
+
+  return threads;
+};
+
+const getTrackingTerms = (event) => [
+  ...event.socialTracking.hashtags,
+  ...event.socialTracking.mentions,
+  ...event.socialTracking.keywords
+];
+
+const getPostLookback = (event) => new Date(new Date(event.startDate).getTime() - POST_LOOKBACK_MS);
+
+const schedulePoll = (eventId, companyId) => {
+  const pollInterval = setInterval(async () => {
+    try {
+      const event = await Event.findById(eventId);
+      if (!event) {
+        throw new Error(`Event not found: ${eventId}`);
+      }
+      await pollLinkedInCompany(companyId, event);
+    } catch (error) {
+      logger.error(`LinkedIn poll error: ${error.message}`, { error });
+    }
+  }, POLL_INTERVAL_MS);
+
+  activePolls.set(eventId, { pollInterval, companyId });
+};
+
+exports.startCompanyPolling = async (eventId, companyId, userId = null) => {
   try {
     if (activePolls.has(eventId)) {
       return {
@@ -40,42 +271,32 @@ exports.startCompanyPolling = async (eventId, companyId) => {
       throw new Error('LinkedIn company ID is required');
     }
     
+    schedulePoll(eventId, companyId);
 
-    const pollInterval = setInterval(async () => {
-      try {
-        await pollLinkedInCompany(companyId, event);
-      } catch (error) {
-        logger.error(`LinkedIn poll error: ${error.message}`, { error });
-      }
-    }, 10 * 60 * 1000); 
-    
-
-    activePolls.set(eventId, {
-      pollInterval,
-      companyId,
-      startTime: new Date(),
+    const credentialOwner = await Integration.findCredentialOwner(event, 'linkedin', userId);
+    await Integration.openStream(event, 'linkedin', {
+      config: { companyId },
+      isMock: isMockMode(await getCredentials(credentialOwner)),
       lastPollTime: null,
       lastResults: null
-    });
+    }, credentialOwner);
     
- 
-    await pollLinkedInCompany(companyId, event);
+    const results = await pollLinkedInCompany(companyId, event);
     
     return {
       success: true,
       message: 'LinkedIn polling started successfully',
       isActive: true,
-      companyId
+      companyId,
+      commentsCount: results.length
     };
   } catch (error) {
     logger.error(`Start LinkedIn polling error: ${error.message}`, { error, eventId, companyId });
     
     if (activePolls.has(eventId)) {
-      const activePoll = activePolls.get(eventId);
-      if (activePoll.pollInterval) {
-        clearInterval(activePoll.pollInterval);
-      }
+      clearInterval(activePolls.get(eventId).pollInterval);
       activePolls.delete(eventId);
+      await Integration.updateStream(eventId, 'linkedin', { active: false }).catch(() => {});
     }
     
     throw error;
@@ -84,7 +305,9 @@ exports.startCompanyPolling = async (eventId, companyId) => {
 
 exports.stopCompanyPolling = async (eventId) => {
   try {
-    if (!activePolls.has(eventId)) {
+    const poll = await Integration.getStream(eventId, 'linkedin');
+
+    if (!activePolls.has(eventId) && !(poll && poll.active)) {
       return {
         success: true,
         message: 'No active LinkedIn polling found',
@@ -92,17 +315,18 @@ exports.stopCompanyPolling = async (eventId) => {
       };
     }
     
-    const activePoll = activePolls.get(eventId);
-    
-    clearInterval(activePoll.pollInterval);
+    if (activePolls.has(eventId)) {
+      clearInterval(activePolls.get(eventId).pollInterval);
+      activePolls.delete(eventId);
+    }
     
-    activePolls.delete(eventId);
+    await Integration.updateStream(eventId, 'linkedin', { active: false, stoppedAt: new Date() });
     
     return {
       success: true,
       message: 'LinkedIn polling stopped successfully',
       isActive: false,
-      runtime: getPollRuntime(activePoll.startTime)
+      runtime: getPollRuntime(poll && poll.startTime)
     };
   } catch (error) {
     logger.error(`Stop LinkedIn polling error: ${error.message}`, { error, eventId });
@@ -110,74 +334,117 @@ exports.stopCompanyPolling = async (eventId) => {
   }
 };
 
+/**
+ * Restart polls that were active when the server last stopped
+ * @returns {Promise<Number>} Number of polls resumed
+ */
+exports.resumeActivePolls = async () => {
+  const streams = await Integration.findActiveStreams('linkedin');
+  let resumed = 0;
+
+  for (const { eventId, stream } of streams) {
+    const { companyId } = stream.config || {};
+    const event = await Event.findById(eventId);
+
+    if (activePolls.has(eventId) || !companyId || !event) continue;
+
+    schedulePoll(eventId, companyId);
+    resumed++;
+
+    pollLinkedInCompany(companyId, event).catch(error => {
+      logger.error(`Resumed LinkedIn poll error: ${error.message}`, { error, eventId });
+    });
+  }
+
+  if (resumed > 0) {
+    logger.info(`Resumed ${resumed} LinkedIn company poll(s)`);
+  }
+
+  return resumed;
+};
+
 const pollLinkedInCompany = async (companyId, event) => {
+  const eventId = event._id.toString();
+
   try {
+    const credentials = await getCredentials(await Integration.findCredentialOwner(event, 'linkedin'));
+    logger.info(`Polling LinkedIn company${isMockMode(credentials) ? ' (mock mode)' : ''}: ${companyId}`);
    
-    logger.info(`Polling LinkedIn company: ${companyId}`);
-    
-    if (activePolls.has(event._id.toString())) {
-      activePolls.get(event._id.toString()).lastPollTime = new Date();
-    }
+    const threads = await fetchCompanyThreads(companyId, getPostLookback(event), getTrackingTerms(event), credentials);
     
-    const trackingTerms = [
-      ...event.socialTracking.hashtags,
-      ...event.socialTracking.mentions,
-      ...event.socialTracking.keywords
-    ];
+    const commentIds = threads.flatMap(thread => thread.comments.map(comment => comment.id));
+    const alreadyProcessed = new Set(await Feedback.distinct('sourceId', {
+      event: event._id,
+      source: 'linkedin',
+      sourceId: { $in: commentIds }
+    }));
     
-    const mockPosts = generateMockLinkedInPosts(companyId, trackingTerms, 3);
+    const processPromises = [];
     
-    const processPromises = mockPosts.map(post => processLinkedInPost(post, event._id));
-    const results = await Promise.all(processPromises);
+    threads.forEach(({ post, comments }) => {
+      comments.forEach(comment => {
+        if (!alreadyProcessed.has(comment.id)) {
+          processPromises.push(processLinkedInComment(comment, post, event._id));
+        }
+      });
+    });
     
-    if (activePolls.has(event._id.toString())) {
-      activePolls.get(event._id.toString()).lastResults = {
-        count: results.filter(Boolean).length,
-        timestamp: new Date()
-      };
-    }
+    const results = (await Promise.all(processPromises)).filter(Boolean);
+    
+    await Integration.updateStream(eventId, 'linkedin', {
+      lastPollTime: new Date(),
+      lastResults: {
+        count: results.length,
+        postsCount: threads.length,
+        skippedDuplicates: commentIds.length - processPromises.length,
+        timestamp: new Date(),
+        sentimentSummary: {
+          positive: results.filter(r => r.sentiment === 'positive').length,
+          negative: results.filter(r => r.sentiment === 'negative').length,
+          neutral: results.filter(r => r.sentiment === 'neutral').length
+        }
+      },
+      lastError: null
+    }, { processedCount: results.length });
     
-    return results.filter(Boolean);
+    return results;
   } catch (error) {
     logger.error(`Poll LinkedIn company error: ${error.message}`, { error, companyId });
+    await Integration.updateStream(eventId, 'linkedin', { lastPollTime: new Date(), lastError: error.message }).catch(() => {});
     throw error;
   }
 };
 
 
-const processLinkedInPost = async (post, eventId) => {
+const processLinkedInComment = async (comment, post, eventId) => {
   try {
-    const existingFeedback = await Feedback.findOne({
-      event: eventId,
-      source: 'linkedin',
-      sourceId: post.id
-    });
-    
-    if (existingFeedback) {
-      logger.debug(`LinkedIn post already processed: ${post.id}`);
-      return existingFeedback;
-    }
-    
     const feedbackData = {
       event: eventId,
       source: 'linkedin',
-      sourceId: post.id,
-      text: post.text,
+      sourceId: comment.id,
+      text: comment.text,
+      // Trends bucket the comment by when it was written, not when we polled
+      createdAt: comment.createdAt,
       metadata: {
-        username: post.authorName,
+        username: comment.authorName,
         platform: 'linkedin',
-        profileUrl: post.authorUrl,
-        followerCount: post.authorFollowers,
-        mediaUrls: post.mediaUrl ? [post.mediaUrl] : [],
-        hashTags: post.hashtags,
-        mentions: post.mentions
+        profileUrl: comment.authorUrl,
+        followerCount: comment.authorFollowers,
+        hashTags: comment.hashtags,
+        mentions: comment.mentions,
+        postId: post.id,
+        postUrl: post.url,
+        postText: post.text.substring(0, 280),
+        parentCommentId: comment.parentCommentId,
+        postDate: comment.createdAt
       }
     };
     
     const processedFeedback = await sentimentAnalyzer.processFeedback(feedbackData);
     const feedback = await Feedback.create(processedFeedback);
     
-    logger.info(`Processed LinkedIn post as feedback: ${feedback._id}`, { 
+    logger.info(`Processed LinkedIn comment as feedback: ${feedback._id}`, {
+      commentId: comment.id,
       postId: post.id, 
       sentiment: feedback.sentiment,
       issueType: feedback.issueType
@@ -185,12 +452,37 @@ const processLinkedInPost = async (post, eventId) => {
     
     return feedback;
   } catch (error) {
-    logger.error(`Process LinkedIn post error: ${error.message}`, { error, postId: post.id });
+    // A concurrent poll stored the same comment first
+    if (error.code === 11000) {
+      logger.debug(`LinkedIn comment already processed: ${comment.id}`);
+      return null;
+    }
+
+    logger.error(`Process LinkedIn comment error: ${error.message}`, { error, commentId: comment.id });
     return null;
   }
 };
 
 
+const generateMockLinkedInThreads = (companyId, trackingTerms, count = 3) => {
+  const postId = `urn:li:share:mock${Date.now()}`;
+  const post = {
+    id: postId,
+    text: 'Thank you to everyone who joined us this week! Tell us how it went in the comments.',
+    companyId,
+    url: `https://www.linkedin.com/feed/update/${postId}`,
+    createdAt: new Date()
+  };
+
+  const comments = generateMockLinkedInPosts(companyId, trackingTerms, count).map((mock, index) => ({
+    ...mock,
+    id: `urn:li:comment:(${postId},${Date.now()}${index})`,
+    parentCommentId: null
+  }));
+
+  return [{ post, comments }];
+};
+
 const generateMockLinkedInPosts = (companyId, trackingTerms, count = 3) => {
   const posts = [];
   
@@ -206,7 +498,7 @@ const generateMockLinkedInPosts = (companyId, trackingTerms, count = 3) => {
   
   for (let i = 0; i < count; i++) {
     const randomTemplate = commentTemplates[Math.floor(Math.random() * commentTemplates.length)];
-    const text = randomTemplate.replace('{company}', 'ABC Company');
+    let text = randomTemplate.replace('{company}', 'ABC Company');
     
     const hashtags = text.match(/#(\w+)/g)?.map(tag => tag.substring(1)) || [];
     
@@ -241,26 +533,36 @@ const generateMockLinkedInPosts = (companyId, trackingTerms, count = 3) => {
   return posts;
 };
 
-exports.getPollStatus = (eventId) => {
+/**
+ * Report LinkedIn polling for an event from its persisted state
+ * @param {String} eventId - Event ID
+ * @returns {Promise<Object>} Poll status
+ */
+exports.getPollStatus = async (eventId) => {
   try {
-    const isActive = activePolls.has(eventId);
+    const poll = await Integration.getStream(eventId, 'linkedin');
     
-    if (!isActive) {
+    if (!poll || !poll.active) {
       return {
         isActive: false,
+        lastPollTime: poll ? poll.lastPollTime : null,
+        lastResults: poll ? poll.lastResults : null,
         message: 'No active LinkedIn polling'
       };
     }
     
-    const activePoll = activePolls.get(eventId);
-    
     return {
       isActive: true,
-      startTime: activePoll.startTime,
-      runtime: getPollRuntime(activePoll.startTime),
-      lastPollTime: activePoll.lastPollTime,
-      companyId: activePoll.companyId,
-      lastResults: activePoll.lastResults,
+      // False until this process picks the poll up again after a restart
+      isRunning: activePolls.has(eventId.toString()),
+      mockMode: poll.isMock,
+      startTime: poll.startTime,
+      runtime: getPollRuntime(poll.startTime),
+      lastPollTime: poll.lastPollTime,
+      companyId: poll.config.companyId,
+      processedCount: poll.processedCount,
+      lastResults: poll.lastResults,
+      lastError: poll.lastError || null,
       message: 'LinkedIn polling is active'
     };
   } catch (error) {
@@ -280,21 +582,24 @@ exports.searchCompanyPosts = async (searchParams) => {
       throw new Error('Company ID is required');
     }
     
-
+    const event = eventId ? await Event.findById(eventId) : null;
+    const credentials = await getCredentials(event && await Integration.findCredentialOwner(event, 'linkedin'));
     const trackingTerms = keywords || [];
-    const mockPosts = generateMockLinkedInPosts(companyId, trackingTerms, Math.min(maxResults, 20));
-    
+    const threads = (await fetchCompanyThreads(companyId, null, trackingTerms, credentials)).slice(0, maxResults);
 
     if (eventId) {
-      const processPromises = mockPosts.map(post => processLinkedInPost(post, eventId));
+      const processPromises = threads.flatMap(({ post, comments }) =>
+        comments.map(comment => processLinkedInComment(comment, post, eventId))
+      );
       await Promise.all(processPromises);
     }
     
     return {
       success: true,
-      results: mockPosts,
+      results: threads,
       meta: {
-        count: mockPosts.length,
+        count: threads.length,
+        commentsCount: threads.reduce((sum, thread) => sum + thread.comments.length, 0),
         timestamp: new Date()
       }
     };
@@ -307,7 +612,7 @@ exports.searchCompanyPosts = async (searchParams) => {
 const getPollRuntime = (startTime) => {
   if (!startTime) return 'unknown';
   
-  const runtime = Math.floor((new Date() - startTime) / 1000);
+  const runtime = Math.floor((new Date() - new Date(startTime)) / 1000);
   
   if (runtime < 60) {
     return `${runtime} seconds`;
@@ -318,4 +623,4 @@ const getPollRuntime = (startTime) => {
     const minutes = Math.floor((runtime % 3600) / 60);
     return `${hours} hours ${minutes} minutes`;
   }
-};
\ No newline at end of file
+};
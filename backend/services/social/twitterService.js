@@ -1,36 +1,56 @@
 const { TwitterApi } = require('twitter-api-v2');
 const Event = require('../../models/Event');
 const Feedback = require('../../models/Feedback');
+const Integration = require('../../models/Integration');
 const sentimentAnalyzer = require('../nlp/sentimentAnalyzer');
+const emotionLexicon = require('../nlp/emotionLexicon');
+const moderation = require('../nlp/moderation');
+const spamDetector = require('../nlp/spamDetector');
 const alertGenerator = require('../alert/alertGenerator');
 const socketHandler = require('../realtime/socketHandler');
 const logger = require('../../utils/logger');
 
 let activeStreams = new Map();
 
+/**
+ * Credentials stored on a user's Integration record, falling back to the
+ * server-wide environment configuration
+ * @param {string} ownerId - Credential owner, see Integration.findCredentialOwner
+ * @returns {Promise<Object>} Twitter credentials
+ */
+const getCredentials = async (ownerId) => ({
+  apiKey: process.env.TWITTER_API_KEY,
+  apiSecret: process.env.TWITTER_API_SECRET,
+  accessToken: process.env.TWITTER_ACCESS_TOKEN,
+  accessTokenSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET,
+  bearerToken: process.env.TWITTER_BEARER_TOKEN,
+  ...(ownerId ? await Integration.getCredentials(ownerId, 'twitter') : {})
+});
+
 /**
  * Get authenticated Twitter client
+ * @param {Object} credentials - Resolved credentials, env-only when omitted
  * @returns {TwitterApi} Authenticated Twitter client
  */
-const getTwitterClient = () => {
-  const requiredEnvVars = [
-    'TWITTER_API_KEY',
-    'TWITTER_API_SECRET',
-    'TWITTER_ACCESS_TOKEN',
-    'TWITTER_ACCESS_TOKEN_SECRET'
-  ];
+const getTwitterClient = (credentials = {
+  apiKey: process.env.TWITTER_API_KEY,
+  apiSecret: process.env.TWITTER_API_SECRET,
+  accessToken: process.env.TWITTER_ACCESS_TOKEN,
+  accessTokenSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET
+}) => {
+  const requiredFields = ['apiKey', 'apiSecret', 'accessToken', 'accessTokenSecret'];
 
-  for (const envVar of requiredEnvVars) {
-    if (!process.env[envVar]) {
-      throw new Error(`${envVar} not configured in environment variables`);
+  for (const field of requiredFields) {
+    if (!credentials[field]) {
+      throw new Error(`Twitter ${field} not configured`);
     }
   }
 
   return new TwitterApi({
-    appKey: process.env.TWITTER_API_KEY,
-    appSecret: process.env.TWITTER_API_SECRET,
-    accessToken: process.env.TWITTER_ACCESS_TOKEN,
-    accessSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET
+    appKey: credentials.apiKey,
+    appSecret: credentials.apiSecret,
+    accessToken: credentials.accessToken,
+    accessSecret: credentials.accessTokenSecret
   });
 };
 
@@ -42,13 +62,6 @@ const calculateMockScore = (text) => {
   return 0;
 };
 
-const mapScoreToEmotion = (score) => {
-  if (score <= -5) return 'angry';
-  if (score > 0 && score <= 2) return 'positive';
-  if (score > 2) return 'happy';
-  return 'neutral';
-};
-
 exports.searchTweets = async (eventId, query) => {
   try {
     console.log(`Searching tweets for event: ${eventId}`);
@@ -69,7 +82,7 @@ exports.searchTweets = async (eventId, query) => {
 
     const response = await client.v2.search(searchQuery, {
       'tweet.fields': ['text', 'created_at', 'author_id', 'public_metrics'],
-      'user.fields': ['username'],
+      'user.fields': ['username', 'public_metrics'],
       'expansions': ['author_id'],
       max_results: 20
     });
@@ -77,35 +90,51 @@ exports.searchTweets = async (eventId, query) => {
     const tweets = response.data.data || [];
     console.log(`Found ${tweets.length} tweets`);
 
-    const detailed = tweets.map(tweet => {
-      const score = calculateMockScore(tweet.text);
-      const emotion = mapScoreToEmotion(score);
+    // Tweets skip processFeedback, so they are moderated here before being stored or returned
+    const originals = new Map();
+    const detailed = await Promise.all(tweets.map(async tweet => {
+      const moderated = await moderation.moderate(tweet.text);
+      if (moderated.originalText) {
+        originals.set(tweet.id, moderated.originalText);
+      }
+      const score = calculateMockScore(moderated.text);
+      const { emotion } = emotionLexicon.matchEmotion(moderated.text);
       return {
-        text: tweet.text,
+        id: tweet.id,
+        text: moderated.text,
         score,
-        emotion
+        emotion,
+        moderation: moderated.moderation
       };
-    });
+    }));
 
-    const summary = {
-      neutral: detailed.filter(d => d.emotion === 'neutral').length,
-      angry: detailed.filter(d => d.emotion === 'angry').length,
-      positive: detailed.filter(d => d.emotion === 'positive').length,
-      happy: detailed.filter(d => d.emotion === 'happy').length
-    };
+    const summary = emotionLexicon.EMOTIONS.reduce((acc, emotion) => {
+      acc[emotion] = detailed.filter(d => d.emotion === emotion).length;
+      return acc;
+    }, { none: detailed.filter(d => !d.emotion).length });
 
     const feedbackPromises = detailed.map(async (entry) => {
-      const tweet = tweets.find(t => t.text === entry.text);
+      const tweet = tweets.find(t => t.id === entry.id);
       const user = response.data.includes.users.find(u => u.id === tweet.author_id);
+      const spam = await spamDetector.scoreSpam({
+        event: eventId,
+        source: 'twitter',
+        text: entry.text,
+        metadata: { username: user?.username, followerCount: user?.public_metrics?.followers_count }
+      });
       const feedback = {
         event: eventId,
         source: 'twitter',
         sourceId: tweet.id,
         text: entry.text,
+        ...(originals.has(tweet.id) && { originalText: originals.get(tweet.id) }),
+        moderation: entry.moderation,
+        spam,
         sentiment: entry.score,
+        emotion: entry.emotion,
         metadata: {
           username: user?.username,
-          emotion: entry.emotion,
+          followerCount: user?.public_metrics?.followers_count ?? null,
           hashtag: searchQuery,
           createdAt: tweet.created_at,
           publicMetrics: tweet.public_metrics
@@ -144,18 +173,29 @@ const processTweet = async (tweetData, eventId) => {
   try {
     const tweet = tweetData.data;
     const user = tweetData.includes?.users?.find(u => u.id === tweet.author_id);
-    const score = calculateMockScore(tweet.text);
-    const emotion = mapScoreToEmotion(score);
+    const moderated = await moderation.moderate(tweet.text);
+    const spam = await spamDetector.scoreSpam({
+      event: eventId,
+      source: 'twitter',
+      text: moderated.text,
+      metadata: { username: user?.username, followerCount: user?.public_metrics?.followers_count }
+    });
+    const score = calculateMockScore(moderated.text);
+    const { emotion } = emotionLexicon.matchEmotion(moderated.text);
 
     const feedback = {
       event: eventId,
       source: 'twitter',
       sourceId: tweet.id,
-      text: tweet.text,
+      text: moderated.text,
+      ...(moderated.originalText && { originalText: moderated.originalText }),
+      moderation: moderated.moderation,
+      spam,
       sentiment: score,
+      emotion,
       metadata: {
         username: user?.username,
-        emotion,
+        followerCount: user?.public_metrics?.followers_count ?? null,
         hashtag: (await Event.findById(eventId)).socialTracking.hashtags.find(h => tweet.text.includes(h)),
         createdAt: tweet.created_at,
         publicMetrics: tweet.public_metrics
@@ -173,6 +213,8 @@ const processTweet = async (tweetData, eventId) => {
       socketHandler.broadcastFeedback(io, savedFeedback);
     }
 
+    await Integration.updateStream(eventId, 'twitter', { lastActivityAt: new Date() }, { processedCount: 1 });
+
     return savedFeedback;
   } catch (error) {
     logger.error(`Process tweet error: ${error.message}`, { error, tweetId: tweetData?.data?.id });
@@ -183,9 +225,11 @@ const processTweet = async (tweetData, eventId) => {
 /**
  * Start streaming tweets for an event
  * @param {string} eventId - Event ID
+ * @param {Object} options - { userId } of the user starting it, { startTime } to
+ * keep the original start when resuming
  * @returns {Promise<Object>} Stream status
  */
-exports.startEventStream = async (eventId) => {
+exports.startEventStream = async (eventId, options = {}) => {
   try {
     if (activeStreams.has(eventId)) {
       return {
@@ -210,10 +254,17 @@ exports.startEventStream = async (eventId) => {
       throw new Error('No tracking terms configured for event');
     }
     
+    const credentialOwner = await Integration.findCredentialOwner(event, 'twitter', options.userId);
+    const credentials = await getCredentials(credentialOwner);
+    const streamState = {
+      config: { trackingTerms },
+      ...(options.startTime && { startTime: options.startTime })
+    };
+    
     // Check if we have Twitter API configuration
-    if (process.env.TWITTER_BEARER_TOKEN) {
+    if (credentials.bearerToken) {
       // REAL API IMPLEMENTATION
-      const client = getTwitterClient();
+      const client = getTwitterClient(credentials);
       
       const rules = trackingTerms.map(term => ({
         value: term,
@@ -255,8 +306,11 @@ exports.startEventStream = async (eventId) => {
       
       stream.on('error', (error) => {
         logger.error(`Twitter stream error: ${error.message}`, { error, eventId });
+        Integration.updateStream(eventId, 'twitter', { lastError: error.message }).catch(() => {});
       });
       
+      await Integration.openStream(event, 'twitter', { ...streamState, isMock: false }, credentialOwner);
+      
       return {
         success: true,
         message: 'Twitter stream started successfully',
@@ -287,6 +341,8 @@ exports.startEventStream = async (eventId) => {
         isMock: true
       });
       
+      await Integration.openStream(event, 'twitter', { ...streamState, isMock: true }, credentialOwner);
+      
       // Generate initial batch of mock tweets
       const initialTweets = generateMockTweets(trackingTerms, 3);
       for (const tweet of initialTweets) {
@@ -312,6 +368,7 @@ exports.startEventStream = async (eventId) => {
         clearInterval(activeStream.mockInterval);
       }
       activeStreams.delete(eventId);
+      await Integration.updateStream(eventId, 'twitter', { active: false, lastError: error.message }).catch(() => {});
     }
     
     throw error;
@@ -325,7 +382,14 @@ exports.startEventStream = async (eventId) => {
  */
 exports.stopEventStream = async (eventId) => {
   try {
+    const persisted = await Integration.getStream(eventId, 'twitter');
+    
     if (!activeStreams.has(eventId)) {
+      // Marked active before a restart but never resumed in this process
+      if (persisted && persisted.active) {
+        await Integration.updateStream(eventId, 'twitter', { active: false, stoppedAt: new Date() });
+      }
+      
       return {
         success: true,
         message: 'No active stream found',
@@ -343,7 +407,9 @@ exports.stopEventStream = async (eventId) => {
       activeStream.stream.destroy();
       
       try {
-        const client = getTwitterClient();
+        const event = await Event.findById(eventId);
+        const credentialOwner = event && await Integration.findCredentialOwner(event, 'twitter');
+        const client = getTwitterClient(await getCredentials(credentialOwner));
         const streamClient = client.readOnly;
         await streamClient.v2.updateStreamRules({
           delete: { ids: await getStreamRuleIds(streamClient) }
@@ -354,12 +420,13 @@ exports.stopEventStream = async (eventId) => {
     }
     
     activeStreams.delete(eventId);
+    await Integration.updateStream(eventId, 'twitter', { active: false, stoppedAt: new Date() });
     
     return {
       success: true,
       message: 'Twitter stream stopped successfully',
       isActive: false,
-      runTime: getStreamRuntime(activeStream.startTime),
+      runTime: getStreamRuntime(persisted ? persisted.startTime : activeStream.startTime),
       isMock: activeStream.isMock
     };
   } catch (error) {
@@ -369,30 +436,34 @@ exports.stopEventStream = async (eventId) => {
 };
 
 /**
- * Get status of a Twitter stream
+ * Get status of a Twitter stream from its persisted state
  * @param {string} eventId - Event ID
- * @returns {Object} Stream status
+ * @returns {Promise<Object>} Stream status
  */
-exports.getStreamStatus = (eventId) => {
+exports.getStreamStatus = async (eventId) => {
   try {
-    const isActive = activeStreams.has(eventId);
+    const stream = await Integration.getStream(eventId, 'twitter');
     
-    if (!isActive) {
+    if (!stream || !stream.active) {
       return {
         isActive: false,
+        processedCount: stream ? stream.processedCount : 0,
         message: 'No active stream'
       };
     }
     
-    const activeStream = activeStreams.get(eventId);
-    
     return {
       isActive: true,
-      startTime: activeStream.startTime,
-      runTime: getStreamRuntime(activeStream.startTime),
-      rules: activeStream.rules || activeStream.trackingTerms,
+      // False until this process picks the stream up again after a restart
+      isRunning: activeStreams.has(eventId.toString()),
+      startTime: stream.startTime,
+      runTime: getStreamRuntime(stream.startTime),
+      rules: stream.config.trackingTerms,
+      processedCount: stream.processedCount,
+      lastActivityAt: stream.lastActivityAt,
+      lastError: stream.lastError,
       message: 'Stream is active',
-      isMock: activeStream.isMock
+      isMock: stream.isMock
     };
   } catch (error) {
     logger.error(`Get stream status error: ${error.message}`, { error, eventId });
@@ -403,6 +474,32 @@ exports.getStreamStatus = (eventId) => {
   }
 };
 
+/**
+ * Restart streams that were active when the server last stopped
+ * @returns {Promise<number>} Number of streams resumed
+ */
+exports.resumeActiveStreams = async () => {
+  const streams = await Integration.findActiveStreams('twitter');
+  let resumed = 0;
+  
+  for (const { eventId, stream } of streams) {
+    if (activeStreams.has(eventId)) continue;
+    
+    try {
+      await exports.startEventStream(eventId, { startTime: stream.startTime });
+      resumed++;
+    } catch (error) {
+      logger.error(`Resume Twitter stream error: ${error.message}`, { error, eventId });
+    }
+  }
+  
+  if (resumed > 0) {
+    logger.info(`Resumed ${resumed} Twitter stream(s)`);
+  }
+  
+  return resumed;
+};
+
 /**
  * Get IDs of current stream rules
  * @param {Object} streamClient - Twitter stream client
@@ -445,68 +542,68 @@ const getStreamRuntime = (startTime) => {
  * @param {number} count - Number of mock tweets to generate
  * @returns {Array} Mock tweets
  */
-// const generateMockTweets = (trackingTerms, count = 5) => {
-//   const tweets = [];
+const generateMockTweets = (trackingTerms, count = 5) => {
+  const tweets = [];
   
-//   const sentiments = [
-//     { text: 'Loving this event! The speakers are fantastic! #awesome', sentiment: 'positive' },
-//     { text: 'The line for registration is way too long. Been waiting for 30 minutes! #frustrated', sentiment: 'negative' },
-//     { text: 'Audio issues in the main hall making it hard to hear the presenters #techproblems', sentiment: 'negative' },
-//     { text: 'Just attended an incredible session about AI. Mind blown! #inspired', sentiment: 'positive' },
-//     { text: 'Cannot see the slides from the back of the room. Need bigger screens! #visibility', sentiment: 'negative' },
-//     { text: 'Wifi keeps dropping during the presentations #internetissues', sentiment: 'negative' },
-//     { text: 'The food at this conference is amazing! Great job organizers! #foodie', sentiment: 'positive' },
-//     { text: 'Room is too cold, everyone is shivering #temperature', sentiment: 'negative' },
-//     { text: 'Pretty average presentation, nothing special #meh', sentiment: 'neutral' }
-//   ];
+  const sentiments = [
+    { text: 'Loving this event! The speakers are fantastic! #awesome', sentiment: 'positive' },
+    { text: 'The line for registration is way too long. Been waiting for 30 minutes! #frustrated', sentiment: 'negative' },
+    { text: 'Audio issues in the main hall making it hard to hear the presenters #techproblems', sentiment: 'negative' },
+    { text: 'Just attended an incredible session about AI. Mind blown! #inspired', sentiment: 'positive' },
+    { text: 'Cannot see the slides from the back of the room. Need bigger screens! #visibility', sentiment: 'negative' },
+    { text: 'Wifi keeps dropping during the presentations #internetissues', sentiment: 'negative' },
+    { text: 'The food at this conference is amazing! Great job organizers! #foodie', sentiment: 'positive' },
+    { text: 'Room is too cold, everyone is shivering #temperature', sentiment: 'negative' },
+    { text: 'Pretty average presentation, nothing special #meh', sentiment: 'neutral' }
+  ];
   
-//   for (let i = 0; i < count; i++) {
-//     const randomTerm = trackingTerms[Math.floor(Math.random() * trackingTerms.length)] || '#event';
-//     const randomSentiment = sentiments[Math.floor(Math.random() * sentiments.length)];
+  for (let i = 0; i < count; i++) {
+    const randomTerm = trackingTerms[Math.floor(Math.random() * trackingTerms.length)] || '#event';
+    const randomSentiment = sentiments[Math.floor(Math.random() * sentiments.length)];
     
-//     // Create mock tweet with the random sentiment and tracking term
-//     const tweetText = `${randomSentiment.text} ${randomTerm}`;
+    // Create mock tweet with the random sentiment and tracking term
+    const tweetText = `${randomSentiment.text} ${randomTerm}`;
     
-//     // Extract hashtags from the tweet text
-//     const hashtagMatches = [...tweetText.matchAll(/#(\w+)/g)];
-//     const hashtags = hashtagMatches.map(match => ({
-//       tag: match[1]
-//     }));
+    // Extract hashtags from the tweet text
+    const hashtagMatches = [...tweetText.matchAll(/#(\w+)/g)];
+    const hashtags = hashtagMatches.map(match => ({
+      tag: match[1]
+    }));
     
-//     // Extract mentions from the tweet text
-//     const mentionMatches = [...tweetText.matchAll(/@(\w+)/g)];
-//     const mentions = mentionMatches.map(match => ({
-//       username: match[1]
-//     }));
+    // Extract mentions from the tweet text
+    const mentionMatches = [...tweetText.matchAll(/@(\w+)/g)];
+    const mentions = mentionMatches.map(match => ({
+      username: match[1]
+    }));
     
-//     tweets.push({
-//       data: {
-//         id: `mock_tweet_${Date.now()}_${i}`,
-//         text: tweetText,
-//         created_at: new Date().toISOString(),
-//         entities: {
-//           hashtags,
-//           mentions
-//         }
-//       },
-//       includes: {
-//         users: [{
-//           id: `user_${Math.floor(Math.random() * 1000)}`,
-//           username: `user${Math.floor(Math.random() * 1000)}`,
-//           name: `User ${Math.floor(Math.random() * 1000)}`,
-//           profile_image_url: 'https://placehold.co/100x100',
-//           public_metrics: {
-//             followers_count: Math.floor(Math.random() * 5000),
-//             following_count: Math.floor(Math.random() * 1000),
-//             tweet_count: Math.floor(Math.random() * 10000)
-//           }
-//         }]
-//       }
-//     });
-//   }
+    tweets.push({
+      data: {
+        id: `mock_tweet_${Date.now()}_${i}`,
+        text: tweetText,
+        created_at: new Date().toISOString(),
+        entities: {
+          hashtags,
+          mentions
+        }
+      },
+      includes: {
+        users: [{
+          id: `user_${Math.floor(Math.random() * 1000)}`,
+          username: `user${Math.floor(Math.random() * 1000)}`,
+          name: `User ${Math.floor(Math.random() * 1000)}`,
+          profile_image_url: 'https://placehold.co/100x100',
+          public_metrics: {
+            followers_count: Math.floor(Math.random() * 5000),
+            following_count: Math.floor(Math.random() * 1000),
+            tweet_count: Math.floor(Math.random() * 10000)
+          }
+        }]
+      }
+    });
+  }
   
-//   return tweets;
-// };
+  return tweets;
+};
 
 /**
  * Test tweet processing manually
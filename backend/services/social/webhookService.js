@@ -0,0 +1,144 @@
+const Feedback = require('../../models/Feedback');
+const WebhookConnector = require('../../models/WebhookConnector');
+const feedQueue = require('../realtime/feedQueue');
+const { resolvePath } = require('../../utils/jsonPath');
+const logger = require('../../utils/logger');
+
+// Upper bound on items accepted from one batched payload
+const MAX_ITEMS_PER_PAYLOAD = 100;
+
+const toText = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === 'object') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  return text || null;
+};
+
+const toDate = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  // Unix timestamps in seconds (Slack) or milliseconds
+  const numeric = Number(value);
+  const date = Number.isFinite(numeric)
+    ? new Date(numeric < 1e12 ? numeric * 1000 : numeric)
+    : new Date(value);
+
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Apply a connector's field mapping to a payload
+ * @param {Object} connector - WebhookConnector document or plain mapping holder
+ * @param {*} payload - Parsed request body
+ * @returns {Object} { items: feedbackData[], skipped: [{ index, reason }] }
+ */
+exports.mapPayload = (connector, payload) => {
+  const mapping = connector.fieldMapping || {};
+
+  let records = mapping.items ? resolvePath(payload, mapping.items) : payload;
+  if (!Array.isArray(records)) {
+    records = records === undefined || records === null ? [] : [records];
+  }
+
+  const items = [];
+  const skipped = [];
+
+  records.slice(0, MAX_ITEMS_PER_PAYLOAD).forEach((record, index) => {
+    const text = toText(resolvePath(record, mapping.text));
+    if (!text) {
+      skipped.push({ index, reason: `No text found at ${mapping.text}` });
+      return;
+    }
+
+    const externalId = mapping.id ? toText(resolvePath(record, mapping.id)) : null;
+    const timestamp = mapping.timestamp ? toDate(resolvePath(record, mapping.timestamp)) : null;
+
+    const feedbackData = {
+      event: connector.event,
+      source: 'webhook',
+      sourceLabel: connector.sourceLabel,
+      // Prefixed so two connectors on one event cannot collide
+      sourceId: externalId
+        ? `${connector._id}:${externalId}`
+        : `${connector._id}:${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`,
+      text: text.substring(0, 2000),
+      user: (mapping.user && toText(resolvePath(record, mapping.user))) || 'Anonymous',
+      issueDetails: {
+        location: mapping.location ? toText(resolvePath(record, mapping.location)) : null
+      },
+      metadata: {
+        platform: connector.sourceLabel,
+        connectorId: connector._id,
+        externalId
+      }
+    };
+
+    if (timestamp) {
+      feedbackData.createdAt = timestamp;
+    }
+
+    items.push(feedbackData);
+  });
+
+  if (records.length > MAX_ITEMS_PER_PAYLOAD) {
+    skipped.push({ index: MAX_ITEMS_PER_PAYLOAD, reason: `Only the first ${MAX_ITEMS_PER_PAYLOAD} items are accepted` });
+  }
+
+  return { items, skipped };
+};
+
+/**
+ * Map a payload and queue the resulting feedback
+ * @param {Object} connector - WebhookConnector document
+ * @param {*} payload - Parsed request body
+ * @returns {Promise<Object>} { queued, duplicates, skipped }
+ */
+exports.ingestPayload = async (connector, payload) => {
+  try {
+    const { items, skipped } = exports.mapPayload(connector, payload);
+
+    // Retried deliveries carry the same external ID; drop them before queueing
+    const existing = new Set(await Feedback.distinct('sourceId', {
+      event: connector.event,
+      source: 'webhook',
+      sourceId: { $in: items.map(item => item.sourceId) }
+    }));
+
+    const fresh = items.filter(item => !existing.has(item.sourceId));
+    for (const item of fresh) {
+      await feedQueue.addToQueue(item);
+    }
+
+    await WebhookConnector.updateOne({ _id: connector._id }, {
+      $inc: { receivedCount: fresh.length },
+      $set: {
+        lastReceivedAt: new Date(),
+        lastError: items.length === 0 && skipped.length > 0 ? skipped[0].reason : null
+      }
+    });
+
+    logger.info(`Webhook connector ${connector._id} queued ${fresh.length} item(s)`, {
+      eventId: connector.event,
+      sourceLabel: connector.sourceLabel,
+      duplicates: items.length - fresh.length,
+      skipped: skipped.length
+    });
+
+    return {
+      queued: fresh.length,
+      duplicates: items.length - fresh.length,
+      skipped
+    };
+  } catch (error) {
+    logger.error(`Webhook ingest error: ${error.message}`, { error, connectorId: connector._id });
+    await WebhookConnector.updateOne({ _id: connector._id }, { $set: { lastError: error.message } }).catch(() => {});
+    throw error;
+  }
+};
@@ -0,0 +1,41 @@
+const http = require('http');
+
+/**
+ * Start a local HTTP stand-in for a platform API. Set `stub.handle` to answer
+ * requests with { status, headers, body }; every request is recorded in
+ * `stub.requests`.
+ * @returns {Promise<Object>} { url, requests, handle, close }
+ */
+const startStubServer = () => new Promise(resolve => {
+  const stub = { requests: [], handle: null };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: body ? JSON.parse(body) : null
+      };
+      stub.requests.push(request);
+
+      const reply = (stub.handle && stub.handle(request)) || { status: 404, body: { message: 'Not stubbed' } };
+      res.writeHead(reply.status || 200, { 'content-type': 'application/json', ...reply.headers });
+      res.end(JSON.stringify(reply.body || {}));
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    stub.url = `http://127.0.0.1:${server.address().port}`;
+    stub.close = () => new Promise(done => server.close(done));
+    resolve(stub);
+  });
+});
+
+module.exports = { startStubServer };
@@ -0,0 +1,299 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStubServer } = require('../../helpers/stubServer');
+
+process.env.SKIP_NLP_MODELS = 'true';
+delete process.env.INSTAGRAM_MOCK_MODE;
+
+const Event = require('../../../models/Event');
+const Feedback = require('../../../models/Feedback');
+const Integration = require('../../../models/Integration');
+const sentimentAnalyzer = require('../../../services/nlp/sentimentAnalyzer');
+const instagramService = require('../../../services/social/instagramService');
+const logger = require('../../../utils/logger');
+
+const EVENT_ID = '64b000000000000000000001';
+
+const media = (id, timestamp, caption = `Great talk #techconf ${id}`) => ({
+  id,
+  caption,
+  media_type: 'IMAGE',
+  permalink: `https://instagram.com/p/${id}`,
+  timestamp,
+  like_count: 3,
+  comments_count: 1
+});
+
+describe('instagramService against a local Graph API', () => {
+  let graph;
+  let owner;
+  let ownerCount = 0;
+  let credentials;
+  let stream;
+  let stored;
+  let streamUpdates;
+  let savedCredentials;
+
+  before(async () => {
+    graph = await startStubServer();
+    process.env.INSTAGRAM_GRAPH_API_URL = graph.url;
+    logger.silent = true;
+  });
+
+  after(async () => {
+    await graph.close();
+    logger.silent = false;
+  });
+
+  beforeEach(() => {
+    // Sessions are cached per owner, so each test gets a fresh one
+    owner = `owner-${++ownerCount}`;
+    credentials = { accessToken: 'token-1', businessAccountId: 'biz-1' };
+    stream = null;
+    stored = [];
+    streamUpdates = [];
+    savedCredentials = [];
+    graph.requests.length = 0;
+    graph.handle = null;
+
+    mock.method(Event, 'findById', async () => ({
+      _id: EVENT_ID,
+      owner,
+      socialTracking: { hashtags: ['#techconf'] }
+    }));
+    mock.method(Integration, 'findCredentialOwner', async () => owner);
+    mock.method(Integration, 'getCredentials', async () => ({ ...credentials }));
+    mock.method(Integration, 'saveCredentials', async (ownerId, platform, saved) => {
+      savedCredentials.push(saved);
+    });
+    mock.method(Integration, 'getStream', async () => stream);
+    mock.method(Integration, 'updateStream', async (eventId, platform, fields) => {
+      streamUpdates.push(fields);
+      return true;
+    });
+    mock.method(Feedback, 'distinct', async (field, query) => (
+      stored.filter(id => query.sourceId.$in.includes(id))
+    ));
+    mock.method(Feedback, 'create', async (data) => {
+      stored.push(data.sourceId);
+      return { _id: `fb-${data.sourceId}`, ...data };
+    });
+    mock.method(sentimentAnalyzer, 'processFeedback', async (feedback) => ({
+      ...feedback,
+      sentiment: 'positive',
+      issueType: null
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const recentMediaRequests = () => graph.requests.filter(request => request.path.endsWith('/recent_media'));
+
+  describe('paging', () => {
+    it('follows cursors across pages and skips posts without captions', async () => {
+      graph.handle = (request) => {
+        if (request.path === '/ig_hashtag_search') {
+          return { body: { data: [{ id: 'tag-1' }] } };
+        }
+        if (request.path === '/tag-1/recent_media' && !request.query.after) {
+          return {
+            body: {
+              data: [media('m1', '2024-05-01T10:05:00+0000'), { ...media('m2', '2024-05-01T10:04:00+0000'), caption: undefined }],
+              paging: { cursors: { after: 'cursor-1' }, next: `${graph.url}/tag-1/recent_media?after=cursor-1` }
+            }
+          };
+        }
+        if (request.path === '/tag-1/recent_media' && request.query.after === 'cursor-1') {
+          return {
+            body: {
+              data: [media('m3', '2024-05-01T10:03:00+0000')],
+              paging: { cursors: { after: 'cursor-2' } }
+            }
+          };
+        }
+        return null;
+      };
+
+      const result = await instagramService.fetchLatestPostsForEvent(EVENT_ID);
+
+      assert.equal(result.postsCount, 2);
+      assert.deepEqual(stored, ['m1', 'm3']);
+      assert.deepEqual(recentMediaRequests().map(request => request.query.after || null), [null, 'cursor-1']);
+      assert.equal(recentMediaRequests()[0].query.user_id, 'biz-1');
+      assert.equal(recentMediaRequests()[0].headers.authorization, 'Bearer token-1');
+    });
+
+    it('stops paging at posts older than the stored cursor and advances it', async () => {
+      stream = { active: true, cursor: { techconf: new Date('2024-05-01T10:00:00Z') } };
+      graph.handle = (request) => {
+        if (request.path === '/ig_hashtag_search') {
+          return { body: { data: [{ id: 'tag-1' }] } };
+        }
+        if (request.path === '/tag-1/recent_media') {
+          return {
+            body: {
+              data: [media('new', '2024-05-01T10:30:00+0000'), media('old', '2024-05-01T09:30:00+0000')],
+              paging: { cursors: { after: 'cursor-1' }, next: 'more' }
+            }
+          };
+        }
+        return null;
+      };
+
+      await instagramService.fetchLatestPostsForEvent(EVENT_ID);
+
+      assert.equal(recentMediaRequests().length, 1);
+      assert.deepEqual(stored, ['new']);
+      const { cursor } = streamUpdates.find(update => update.cursor);
+      assert.equal(new Date(cursor.techconf).toISOString(), '2024-05-01T10:30:00.000Z');
+    });
+
+    it('looks a hashtag ID up once per session', async () => {
+      graph.handle = (request) => {
+        if (request.path === '/ig_hashtag_search') {
+          return { body: { data: [{ id: 'tag-1' }] } };
+        }
+        return { body: { data: [] } };
+      };
+
+      await instagramService.fetchLatestPostsForEvent(EVENT_ID);
+      await instagramService.fetchLatestPostsForEvent(EVENT_ID);
+
+      assert.equal(graph.requests.filter(request => request.path === '/ig_hashtag_search').length, 1);
+      assert.equal(recentMediaRequests().length, 2);
+    });
+  });
+
+  describe('dedupe', () => {
+    beforeEach(() => {
+      graph.handle = (request) => {
+        if (request.path === '/ig_hashtag_search') {
+          return { body: { data: [{ id: 'tag-1' }] } };
+        }
+        return {
+          body: {
+            data: [media('m1', '2024-05-01T10:05:00+0000'), media('m2', '2024-05-01T10:04:00+0000')]
+          }
+        };
+      };
+    });
+
+    it('skips posts already stored as feedback', async () => {
+      stream = { active: true, cursor: {} };
+      stored = ['m1'];
+
+      const result = await instagramService.fetchLatestPostsForEvent(EVENT_ID);
+
+      assert.equal(result.postsCount, 1);
+      assert.deepEqual(stored, ['m1', 'm2']);
+      assert.equal(Feedback.create.mock.callCount(), 1);
+      assert.equal(streamUpdates.find(update => update.lastResults).lastResults.skippedDuplicates, 1);
+    });
+
+    it('treats a duplicate key error from a concurrent poll as already processed', async () => {
+      Feedback.create.mock.mockImplementation(async (data) => {
+        if (data.sourceId === 'm1') {
+          const error = new Error('E11000 duplicate key error');
+          error.code = 11000;
+          throw error;
+        }
+        return { _id: `fb-${data.sourceId}`, ...data };
+      });
+
+      const result = await instagramService.fetchLatestPostsForEvent(EVENT_ID);
+
+      assert.equal(result.postsCount, 1);
+      assert.equal(result.sentimentSummary.positive, 1);
+    });
+  });
+
+  describe('rate limits', () => {
+    it('backs off and retries after a 429', async () => {
+      let throttled = false;
+      graph.handle = (request) => {
+        if (request.path === '/ig_hashtag_search') {
+          return { body: { data: [{ id: 'tag-1' }] } };
+        }
+        if (!throttled) {
+          throttled = true;
+          return { status: 429, headers: { 'retry-after': '1' }, body: { error: { message: 'Too many calls', code: 4 } } };
+        }
+        return { body: { data: [media('m1', '2024-05-01T10:05:00+0000')] } };
+      };
+
+      const startedAt = Date.now();
+      const result = await instagramService.fetchLatestPostsForEvent(EVENT_ID);
+
+      assert.equal(result.postsCount, 1);
+      assert.equal(recentMediaRequests().length, 2);
+      assert.ok(Date.now() - startedAt >= 900, 'waits for Retry-After');
+    });
+
+    it('pauses the session when x-app-usage nears the limit', async () => {
+      stream = { active: true, cursor: {} };
+      graph.handle = (request) => {
+        if (request.path === '/ig_hashtag_search') {
+          return { headers: { 'x-app-usage': JSON.stringify({ call_count: 96, total_time: 10 }) }, body: { data: [{ id: 'tag-1' }] } };
+        }
+        return { body: { data: [media('m1', '2024-05-01T10:05:00+0000')] } };
+      };
+
+      const result = await instagramService.fetchLatestPostsForEvent(EVENT_ID);
+
+      assert.equal(result.postsCount, 0);
+      assert.equal(recentMediaRequests().length, 0);
+      const { lastResults } = streamUpdates.find(update => update.lastResults);
+      assert.ok(lastResults.rateLimitedUntil > new Date());
+    });
+  });
+
+  describe('token refresh', () => {
+    const refreshHandler = (request) => {
+      if (request.path === '/oauth/access_token') {
+        return { body: { access_token: 'token-2', expires_in: 5184000 } };
+      }
+      if (request.path === '/ig_hashtag_search') {
+        return { body: { data: [{ id: 'tag-1' }] } };
+      }
+      return null;
+    };
+
+    it('refreshes a token close to expiry before calling the API and stores it', async () => {
+      credentials = {
+        ...credentials,
+        appId: 'app-1',
+        appSecret: 'secret-1',
+        tokenExpiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      };
+      graph.handle = (request) => refreshHandler(request) || { body: { data: [] } };
+
+      await instagramService.fetchLatestPostsForEvent(EVENT_ID);
+
+      const [refresh] = graph.requests;
+      assert.equal(refresh.path, '/oauth/access_token');
+      assert.equal(refresh.query.fb_exchange_token, 'token-1');
+      assert.equal(refresh.query.client_id, 'app-1');
+      assert.ok(graph.requests.slice(1).every(request => request.headers.authorization === 'Bearer token-2'));
+      assert.equal(savedCredentials.length, 1);
+      assert.equal(savedCredentials[0].accessToken, 'token-2');
+    });
+
+    it('refreshes once and retries when the Graph API reports an expired token', async () => {
+      credentials = { ...credentials, appId: 'app-1', appSecret: 'secret-1' };
+      graph.handle = (request) => {
+        if (request.path === '/tag-1/recent_media' && request.headers.authorization === 'Bearer token-1') {
+          return { status: 400, body: { error: { message: 'Session has expired', code: 190 } } };
+        }
+        return refreshHandler(request) || { body: { data: [media('m1', '2024-05-01T10:05:00+0000')] } };
+      };
+
+      const result = await instagramService.fetchLatestPostsForEvent(EVENT_ID);
+
+      assert.equal(result.postsCount, 1);
+      assert.equal(graph.requests.filter(request => request.path === '/oauth/access_token').length, 1);
+      assert.deepEqual(recentMediaRequests().map(request => request.headers.authorization), ['Bearer token-1', 'Bearer token-2']);
+    });
+  });
+});
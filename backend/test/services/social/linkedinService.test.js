@@ -0,0 +1,237 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStubServer } = require('../../helpers/stubServer');
+
+process.env.SKIP_NLP_MODELS = 'true';
+delete process.env.LINKEDIN_MOCK_MODE;
+
+const Event = require('../../../models/Event');
+const Feedback = require('../../../models/Feedback');
+const Integration = require('../../../models/Integration');
+const sentimentAnalyzer = require('../../../services/nlp/sentimentAnalyzer');
+const linkedinService = require('../../../services/social/linkedinService');
+const logger = require('../../../utils/logger');
+
+const EVENT_ID = '64b000000000000000000002';
+const COMPANY_ID = '12345';
+const EVENT_START = new Date('2024-05-01T09:00:00Z');
+
+const post = (id, createdAt) => ({ id, commentary: `Thanks for coming! ${id}`, createdAt: createdAt.getTime() });
+
+const comment = (id, text, time, replies = 0) => ({
+  id,
+  commentUrn: `urn:li:comment:(urn:li:share:1,${id})`,
+  actor: 'urn:li:person:abc',
+  message: { text },
+  created: { time: time.getTime() },
+  commentsSummary: { aggregatedTotalComments: replies }
+});
+
+describe('linkedinService against a local REST API', () => {
+  let api;
+  let stored;
+  let streamUpdates;
+
+  before(async () => {
+    api = await startStubServer();
+    process.env.LINKEDIN_API_URL = api.url;
+    logger.silent = true;
+  });
+
+  after(async () => {
+    await api.close();
+    logger.silent = false;
+  });
+
+  beforeEach(() => {
+    stored = [];
+    streamUpdates = [];
+    api.requests.length = 0;
+    api.handle = null;
+
+    mock.method(Event, 'findById', async () => ({
+      _id: EVENT_ID,
+      owner: 'owner-1',
+      startDate: EVENT_START,
+      socialTracking: { hashtags: ['#techconf'], mentions: [], keywords: [] }
+    }));
+    // An admin who connected LinkedIn started the poll on an organizer's event
+    mock.method(Integration, 'findCredentialOwner', async () => 'admin-1');
+    mock.method(Integration, 'getCredentials', async (ownerId) => (
+      ownerId === 'admin-1' ? { accessToken: 'li-token' } : {}
+    ));
+    mock.method(Integration, 'openStream', async () => {});
+    mock.method(Integration, 'getStream', async () => ({ active: true, startTime: new Date() }));
+    mock.method(Integration, 'updateStream', async (eventId, platform, fields) => {
+      streamUpdates.push(fields);
+      return true;
+    });
+    mock.method(Feedback, 'distinct', async (field, query) => (
+      stored.map(item => item.sourceId).filter(id => query.sourceId.$in.includes(id))
+    ));
+    mock.method(Feedback, 'create', async (data) => {
+      stored.push(data);
+      return { _id: `fb-${stored.length}`, ...data };
+    });
+    mock.method(sentimentAnalyzer, 'processFeedback', async (feedback) => ({
+      ...feedback,
+      sentiment: 'negative',
+      issueType: null
+    }));
+  });
+
+  afterEach(async () => {
+    // Clears the poll timer
+    await linkedinService.stopCompanyPolling(EVENT_ID);
+    mock.restoreAll();
+  });
+
+  const commentsPath = (request) => {
+    const match = decodeURIComponent(request.path).match(/^\/socialActions\/(.+)\/comments$/);
+    return match && match[1];
+  };
+
+  const poll = () => linkedinService.startCompanyPolling(EVENT_ID, COMPANY_ID, 'admin-1');
+
+  it('reads organization posts within the lookback and their comment threads', async () => {
+    api.handle = (request) => {
+      if (request.path === '/posts') {
+        return {
+          body: {
+            elements: [
+              post('urn:li:share:1', new Date('2024-05-01T12:00:00Z')),
+              post('urn:li:share:0', new Date('2024-04-01T12:00:00Z'))
+            ]
+          }
+        };
+      }
+      const target = commentsPath(request);
+      if (target === 'urn:li:share:1') {
+        return {
+          body: {
+            elements: [
+              comment('c1', 'The wifi kept dropping #techconf', new Date('2024-05-01T13:00:00Z'), 1),
+              comment('c2', '', new Date('2024-05-01T13:05:00Z'))
+            ]
+          }
+        };
+      }
+      if (target === 'urn:li:comment:(urn:li:share:1,c1)') {
+        return { body: { elements: [comment('r1', 'Same in hall B', new Date('2024-05-01T13:10:00Z'))] } };
+      }
+      return null;
+    };
+
+    const result = await poll();
+
+    assert.equal(result.commentsCount, 2);
+    const postsRequest = api.requests.find(request => request.path === '/posts');
+    assert.equal(postsRequest.query.author, `urn:li:organization:${COMPANY_ID}`);
+    assert.equal(postsRequest.headers.authorization, 'Bearer li-token');
+    assert.deepEqual(Integration.findCredentialOwner.mock.calls[0].arguments.slice(1), ['linkedin', 'admin-1']);
+    assert.equal(Integration.openStream.mock.calls[0].arguments[3], 'admin-1');
+    assert.equal(postsRequest.headers['linkedin-version'], '202401');
+    // The older post is outside the lookback, so its comments are never requested
+    assert.deepEqual(api.requests.map(commentsPath).filter(Boolean), ['urn:li:share:1', 'urn:li:comment:(urn:li:share:1,c1)']);
+
+    const reply = stored.find(item => item.sourceId === 'urn:li:comment:(urn:li:share:1,r1)');
+    assert.equal(reply.metadata.parentCommentId, 'urn:li:comment:(urn:li:share:1,c1)');
+    assert.deepEqual(stored.find(item => item.text.startsWith('The wifi')).metadata.hashTags, ['techconf']);
+  });
+
+  it('pages through posts while pages are full', async () => {
+    const fullPage = Array.from({ length: 50 }, (_, index) => (
+      post(`urn:li:share:p${index}`, new Date('2024-05-01T12:00:00Z'))
+    ));
+    api.handle = (request) => {
+      if (request.path === '/posts') {
+        return { body: { elements: request.query.start === '0' ? fullPage : [post('urn:li:share:last', new Date('2024-05-01T11:00:00Z'))] } };
+      }
+      return { body: { elements: [] } };
+    };
+
+    await poll();
+
+    assert.deepEqual(api.requests.filter(request => request.path === '/posts').map(request => request.query.start), ['0', '50']);
+    assert.equal(api.requests.filter(commentsPath).length, 51);
+  });
+
+  it('dates feedback by when the comment was written', async () => {
+    const writtenAt = new Date('2024-05-01T13:00:00Z');
+    api.handle = (request) => {
+      if (request.path === '/posts') {
+        return { body: { elements: [post('urn:li:share:1', new Date('2024-05-01T12:00:00Z'))] } };
+      }
+      return { body: { elements: [comment('c1', 'Great keynote', writtenAt)] } };
+    };
+
+    await poll();
+
+    assert.equal(stored[0].createdAt.toISOString(), writtenAt.toISOString());
+    assert.equal(stored[0].metadata.postDate.toISOString(), writtenAt.toISOString());
+  });
+
+  describe('dedupe', () => {
+    beforeEach(() => {
+      api.handle = (request) => {
+        if (request.path === '/posts') {
+          return { body: { elements: [post('urn:li:share:1', new Date('2024-05-01T12:00:00Z'))] } };
+        }
+        return {
+          body: {
+            elements: [
+              comment('c1', 'Queue was long', new Date('2024-05-01T13:00:00Z')),
+              comment('c2', 'Room too cold', new Date('2024-05-01T13:01:00Z'))
+            ]
+          }
+        };
+      };
+    });
+
+    it('skips comments already stored as feedback', async () => {
+      stored.push({ sourceId: 'urn:li:comment:(urn:li:share:1,c1)' });
+
+      const result = await poll();
+
+      assert.equal(result.commentsCount, 1);
+      assert.equal(Feedback.create.mock.callCount(), 1);
+      assert.equal(streamUpdates.find(update => update.lastResults).lastResults.skippedDuplicates, 1);
+    });
+
+    it('treats a duplicate key error from a concurrent poll as already processed', async () => {
+      Feedback.create.mock.mockImplementation(async (data) => {
+        if (data.sourceId.endsWith('c1)')) {
+          const error = new Error('E11000 duplicate key error');
+          error.code = 11000;
+          throw error;
+        }
+        return { _id: 'fb-2', ...data };
+      });
+
+      const result = await poll();
+
+      assert.equal(result.commentsCount, 1);
+    });
+  });
+
+  it('backs off and retries after a 429', async () => {
+    let throttled = false;
+    api.handle = (request) => {
+      if (request.path === '/posts') {
+        if (!throttled) {
+          throttled = true;
+          return { status: 429, headers: { 'retry-after': '1' }, body: { message: 'Too many requests' } };
+        }
+        return { body: { elements: [post('urn:li:share:1', new Date('2024-05-01T12:00:00Z'))] } };
+      }
+      return { body: { elements: [comment('c1', 'Great keynote', new Date('2024-05-01T13:00:00Z'))] } };
+    };
+
+    const startedAt = Date.now();
+    const result = await poll();
+
+    assert.equal(result.commentsCount, 1);
+    assert.equal(api.requests.filter(request => request.path === '/posts').length, 2);
+    assert.ok(Date.now() - startedAt >= 900, 'waits for Retry-After');
+  });
+});
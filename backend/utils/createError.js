@@ -0,0 +1,8 @@
+// Error with the HTTP status errorHandler should respond with
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+module.exports = createError;
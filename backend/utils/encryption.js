@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+const getKey = () => {
+  const secret = process.env.INTEGRATION_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('INTEGRATION_ENCRYPTION_KEY not configured');
+  }
+
+  // Accept any passphrase; AES-256 needs exactly 32 bytes
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a JSON-serializable value
+ * @param {*} value - Value to encrypt
+ * @returns {String} iv:authTag:ciphertext, base64 encoded
+ */
+exports.encrypt = (value) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a value produced by encrypt
+ * @param {String} payload - iv:authTag:ciphertext
+ * @returns {*} Original value
+ */
+exports.decrypt = (payload) => {
+  const [iv, authTag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  const decrypted = Buffer.concat([decipher.update(encrypted), decipher.final()]);
+  return JSON.parse(decrypted.toString('utf8'));
+};
@@ -0,0 +1,72 @@
+// Subset of JSONPath used by webhook field mappings: $.a.b, a[0].b, $['key with spaces']
+const SEGMENT = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\[(?:'([^']*)'|"([^"]*)")\]/y;
+
+/**
+ * Split a path expression into property names and array indexes
+ * @param {String} path - Path such as $.event.user.name
+ * @returns {Array} Segments (strings for keys, numbers for indexes)
+ * @throws {Error} If the path is malformed
+ */
+exports.parsePath = (path) => {
+  if (typeof path !== 'string' || !path.trim()) {
+    throw new Error('Path must be a non-empty string');
+  }
+
+  let expression = path.trim();
+  if (expression.startsWith('$')) {
+    expression = expression.slice(1);
+  }
+  if (expression && !expression.startsWith('.') && !expression.startsWith('[')) {
+    expression = `.${expression}`;
+  }
+
+  const segments = [];
+  SEGMENT.lastIndex = 0;
+
+  while (SEGMENT.lastIndex < expression.length) {
+    const position = SEGMENT.lastIndex;
+    const match = SEGMENT.exec(expression);
+    if (!match) {
+      throw new Error(`Invalid path "${path}" at position ${position}`);
+    }
+
+    const [, key, index, singleQuoted, doubleQuoted] = match;
+    if (index !== undefined) {
+      segments.push(Number(index));
+    } else {
+      segments.push(key !== undefined ? key : (singleQuoted !== undefined ? singleQuoted : doubleQuoted));
+    }
+  }
+
+  return segments;
+};
+
+/**
+ * Check a path expression without resolving it
+ * @param {String} path - Path expression
+ * @returns {Boolean} Whether the path can be parsed
+ */
+exports.isValidPath = (path) => {
+  try {
+    exports.parsePath(path);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Read the value at a path
+ * @param {*} value - Parsed JSON payload
+ * @param {String} path - Path expression
+ * @returns {*} Value at the path, undefined if any segment is missing
+ */
+exports.resolvePath = (value, path) => {
+  return exports.parsePath(path).reduce((current, segment) => {
+    // Own properties only, so paths like $.constructor can't reach the prototype
+    if (current === null || current === undefined || !Object.prototype.hasOwnProperty.call(current, segment)) {
+      return undefined;
+    }
+    return current[segment];
+  }, value);
+};
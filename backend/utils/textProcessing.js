@@ -82,6 +82,13 @@ exports.extractKeywords = (text, count = 5) => {
 };
 
 
+/**
+ * Escape text for literal use inside a regular expression
+ * @param {String} value - Text to escape
+ * @returns {String} Escaped text
+ */
+exports.escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 exports.cleanText = (text) => {
   if (!text) return '';
   
@@ -90,7 +97,8 @@ exports.cleanText = (text) => {
   cleanedText = cleanedText.replace(/@[\w\u00C0-\u017F]+/g, '');
   cleanedText = cleanedText.replace(/#[\w\u00C0-\u017F]+/g, '');
   
-  cleanedText = cleanedText.replace(/[^\w\s]/g, ' ');
+  // Keep letters and combining marks from every script (accents, Devanagari vowel signs)
+  cleanedText = cleanedText.replace(/[^\p{L}\p{M}\p{N}_\s]/gu, ' ');
   
   cleanedText = cleanedText.replace(/\s+/g, ' ').trim();
   
@@ -98,19 +106,80 @@ exports.cleanText = (text) => {
 };
 
 
+// Scripts that identify a language on their own
+const SCRIPT_LANGUAGES = [
+  ['hi', /[\u0900-\u097F]/g],
+  ['ar', /[\u0600-\u06FF]/g],
+  ['ru', /[\u0400-\u04FF]/g],
+  ['ja', /[\u3040-\u30FF]/g],
+  ['zh', /[\u4E00-\u9FFF]/g],
+  ['ko', /[\uAC00-\uD7AF]/g]
+];
+
+// Frequent short words for Latin-script languages; 'hi' covers romanized Hindi.
+// Words that are also common in English feedback ('no', 'a', 'da') are left out.
+const FUNCTION_WORDS = {
+  en: ['the', 'and', 'is', 'was', 'it', 'this', 'that', 'of', 'to', 'in', 'very', 'not', 'with', 'for', 'are', 'but', 'so', 'too', 'i', 'we'],
+  es: ['el', 'la', 'los', 'las', 'es', 'muy', 'que', 'de', 'del', 'y', 'en', 'fue', 'está', 'esta', 'pero', 'por', 'con', 'una', 'un', 'hay', 'mucho'],
+  fr: ['le', 'la', 'les', 'est', 'très', 'et', 'de', 'des', 'du', 'un', 'une', 'pas', 'mais', 'pour', 'avec', 'était', 'c\'est', 'il', 'nous', 'trop', 'ce'],
+  pt: ['os', 'é', 'muito', 'que', 'de', 'do', 'em', 'foi', 'não', 'mas', 'com', 'uma', 'um', 'está'],
+  de: ['der', 'die', 'das', 'ist', 'sehr', 'und', 'nicht', 'war', 'ein', 'eine', 'mit', 'zu', 'aber', 'auch', 'es', 'wir'],
+  it: ['il', 'lo', 'gli', 'è', 'molto', 'che', 'di', 'non', 'era', 'ma', 'con', 'una', 'un', 'per', 'della', 'troppo'],
+  hi: ['hai', 'tha', 'thi', 'bahut', 'nahi', 'nahin', 'accha', 'acha', 'kya', 'mein', 'aur', 'ka', 'ki', 'ke', 'bhi', 'yeh', 'bilkul', 'bekar']
+};
+
+// Characters that only (or mostly) occur in one of the Latin-script languages
+const LETTER_HINTS = {
+  es: /[ñ¿¡]/g,
+  fr: /[çœèêëàâîôùû]/g,
+  pt: /[ãõ]/g,
+  de: /[äöüß]/g
+};
+
+// Another language needs this many function words, and to beat English by
+// this much, before feedback leaves the English path
+const MIN_LANGUAGE_HITS = 2;
+const MIN_LEAD_OVER_ENGLISH = 2;
+
+/**
+ * Detect the language of a piece of feedback
+ * @param {String} text - Text to inspect
+ * @returns {String} ISO 639-1 code, 'en' when nothing else stands out
+ */
 exports.detectLanguage = (text) => {
   if (!text) return 'en';
   
   try {
-    const languageDetector = new natural.LanguageDetect();
-    const detections = languageDetector.detect(text, 1);
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    for (const [language, pattern] of SCRIPT_LANGUAGES) {
+      if (letters > 0 && (text.match(pattern) || []).length / letters > 0.3) {
+        return language;
+      }
+    }
+    
+    const words = text.toLowerCase()
+      .replace(/https?:\/\/\S+|[@#][\p{L}\p{N}_]+/gu, ' ')
+      .split(/[^\p{L}\p{M}']+/u)
+      .filter(Boolean);
     
-    if (detections.length > 0) {
-      return detections[0][0];
+    const scores = Object.entries(FUNCTION_WORDS).map(([language, list]) => {
+      const hits = words.filter(word => list.includes(word)).length;
+      const hints = LETTER_HINTS[language] ? (text.toLowerCase().match(LETTER_HINTS[language]) || []).length : 0;
+      return { language, hits, score: hits + hints * 0.5 };
+    });
+    
+    const english = scores.find(entry => entry.language === 'en');
+    const best = scores
+      .filter(entry => entry.language !== 'en')
+      .reduce((top, current) => (current.score > top.score ? current : top));
+    
+    // Short or mixed feedback stays on the English path
+    if (best.hits >= MIN_LANGUAGE_HITS && best.score - english.score >= MIN_LEAD_OVER_ENGLISH) {
+      return best.language;
     }
   } catch (error) {
     console.error('Language detection error:', error);
   }
   
   return 'en'; 
-};
\ No newline at end of file
+};
@@ -14,12 +14,16 @@ import Dashboard from './pages/Dashboard';
 import Events from './pages/Events';
 import Feedback from './pages/Feedback';
 import Alerts from './pages/Alerts';
+import Issues from './pages/Issues';
 import Analytics from './pages/Analytics';
 import Integrations from './pages/Integrations';
 import Settings from './pages/Settings';
 import NotFound from './pages/NotFound';
 import EngagementLanding from './pages/EngagementLanding';
 import Chat from './pages/Chat';
+import ChatStats from './pages/ChatStats';
+import QnA from './pages/QnA';
+import QnaModeration from './pages/QnaModeration';
 import SubmitFeedback from './pages/SubmitFeedback';
 import PostEventAnalysis from './pages/PostEventAnalyzer'; 
 import SosButton from './pages/SosButton';
@@ -62,6 +66,7 @@ function App() {
       <Routes>
         <Route path="/event/:eventId/engage" element={<EngagementLanding />} />
         <Route path="/chat/:eventId" element={<Chat />} />
+        <Route path="/qna/:eventId" element={<QnA />} />
         <Route path="/submit-feedback/:eventId" element={<SubmitFeedback />} />
         <Route path="/sos/:eventId" element={<SosButton />} />
         <Route path="/admin-panel" element={<AdminPanel />} />
@@ -121,6 +126,22 @@ function App() {
                               </ProtectedRoute>
                             }
                           />
+                          <Route
+                            path="/chat-stats"
+                            element={
+                              <ProtectedRoute>
+                                <ChatStats />
+                              </ProtectedRoute>
+                            }
+                          />
+                          <Route
+                            path="/qna-moderation"
+                            element={
+                              <ProtectedRoute>
+                                <QnaModeration />
+                              </ProtectedRoute>
+                            }
+                          />
                           <Route
                             path="/alerts"
                             element={
@@ -129,6 +150,14 @@ function App() {
                               </ProtectedRoute>
                             }
                           />
+                          <Route
+                            path="/issues"
+                            element={
+                              <ProtectedRoute>
+                                <Issues />
+                              </ProtectedRoute>
+                            }
+                          />
                           <Route
                             path="/analytics/:eventId?"
                             element={
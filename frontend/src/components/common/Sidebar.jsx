@@ -12,7 +12,10 @@ import {
   LogOut,
   Users,
   ChevronLeft,
-  ChevronRight
+  ChevronRight,
+  MessageSquare,
+  HelpCircle,
+  AlertTriangle
 } from 'react-feather';
 
 const Sidebar = ({ collapsed, setCollapsed }) => {
@@ -30,7 +33,10 @@ const Sidebar = ({ collapsed, setCollapsed }) => {
     { path: '/dashboard', name: 'Dashboard', icon: <Home size={20} />, access: ['admin', 'organizer', 'staff'] },
     { path: '/events', name: 'Events', icon: <Calendar size={20} />, access: ['admin', 'organizer', 'staff'] },
     { path: '/feedback', name: 'Feedback', icon: <MessageCircle size={20} />, access: ['admin', 'organizer', 'staff'] },
+    { path: '/chat-stats', name: 'Chat', icon: <MessageSquare size={20} />, access: ['admin', 'organizer', 'staff'] },
+    { path: '/qna-moderation', name: 'Q&A', icon: <HelpCircle size={20} />, access: ['admin', 'organizer', 'staff'] },
     { path: '/alerts', name: 'Alerts', icon: <Bell size={20} />, access: ['admin', 'organizer', 'staff'] },
+    { path: '/issues', name: 'Issues', icon: <AlertTriangle size={20} />, access: ['admin', 'organizer'] },
     { path: '/analytics', name: 'Analytics', icon: <BarChart2 size={20} />, access: ['admin', 'organizer'] },
     { path: '/integrations', name: 'Integrations', icon: <Share2 size={20} />, access: ['admin', 'organizer'] },
     { path: '/users', name: 'User Management', icon: <Users size={20} />, access: ['admin'] },
@@ -1,6 +1,6 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
-import { MessageCircle, Smile, Meh, Frown, Twitter, Instagram, Linkedin, ExternalLink } from 'react-feather';
+import { MessageCircle, Smile, Meh, Frown, Twitter, Instagram, Linkedin, ExternalLink, EyeOff } from 'react-feather';
 
 const getSentimentIcon = (sentiment) => {
   switch (sentiment) {
@@ -62,13 +62,26 @@ const truncateText = (text, maxLength = 100) => {
 };
 
 const FeedbackItem = ({ feedback }) => {
+  const [revealed, setRevealed] = useState(false);
+  const hidden = feedback.moderation?.toxic && !revealed;
+
   return (
     <div className={`p-3 border rounded mb-3 ${getSentimentClass(feedback.sentiment)}`}>
       <div className="flex justify-between items-start">
         <div className="flex items-start">
           {getSentimentIcon(feedback.sentiment)}
           <div className="ml-2">
-            <p className="text-sm text-gray-300">{truncateText(feedback.text)}</p>
+            {hidden ? (
+              <p className="flex items-center text-sm italic text-gray-500">
+                <EyeOff size={14} className="mr-1" />
+                Hidden by moderation
+                <button className="ml-2 not-italic text-blue-400 hover:text-blue-300" onClick={() => setRevealed(true)}>
+                  Show
+                </button>
+              </p>
+            ) : (
+              <p className="text-sm text-gray-300">{truncateText(feedback.text)}</p>
+            )}
             {feedback.issueType && (
               <span className="inline-block mt-1 px-2 py-0.5 bg-gray-800 text-gray-300 text-xs rounded-full">
                 {feedback.issueType}
@@ -81,7 +94,7 @@ const FeedbackItem = ({ feedback }) => {
         <div className="flex items-center space-x-2">
           <span className="flex items-center">
             {getSourceIcon(feedback.source)}
-            <span className="ml-1 capitalize">{feedback.source}</span>
+            <span className="ml-1 capitalize">{feedback.sourceLabel || feedback.source}</span>
           </span>
           {feedback.metadata?.username && (
             <span>by {feedback.metadata.username}</span>
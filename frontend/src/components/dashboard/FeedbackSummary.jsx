@@ -0,0 +1,62 @@
+import React from 'react';
+import { FileText, Smile, Meh, Frown } from 'react-feather';
+
+const getSentimentIcon = (sentiment) => {
+  switch (sentiment) {
+    case 'positive':
+      return <Smile className="text-green-500" size={14} />;
+    case 'neutral':
+      return <Meh className="text-gray-500" size={14} />;
+    case 'negative':
+      return <Frown className="text-red-500" size={14} />;
+    default:
+      return null;
+  }
+};
+
+const FeedbackSummary = ({ summary, className }) => {
+  if (!summary || summary.total === 0) {
+    return (
+      <div className={className}>
+        <div className="flex items-center mb-4">
+          <FileText className="text-blue-500 mr-2" size={20} />
+          <h3 className="text-lg font-semibold">Feedback Summary</h3>
+        </div>
+        <p className="text-center text-gray-500 p-6">No feedback in the past hour</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={className}>
+      <div className="flex justify-between items-center mb-4">
+        <div className="flex items-center">
+          <FileText className="text-blue-500 mr-2" size={20} />
+          <h3 className="text-lg font-semibold">Feedback Summary</h3>
+        </div>
+        <span className="text-xs text-gray-500">Past 60 minutes</span>
+      </div>
+
+      <div className="flex space-x-4 text-sm mb-3">
+        <span className="text-gray-300">{summary.total} items</span>
+        <span className="text-red-400">{summary.sentiment.negative} negative</span>
+        <span className="text-gray-400">{summary.sentiment.neutral} neutral</span>
+        <span className="text-green-400">{summary.sentiment.positive} positive</span>
+      </div>
+
+      <ul className="space-y-2">
+        {summary.highlights.map((highlight, index) => (
+          <li key={`${highlight.feedback}-${index}`} className="flex items-start text-sm text-gray-300">
+            <span className="mr-2 mt-0.5">{getSentimentIcon(highlight.sentiment)}</span>
+            <span className="flex-1">"{highlight.text}"</span>
+            <span className="ml-2 text-xs text-gray-500 whitespace-nowrap">
+              {highlight.count} {highlight.count === 1 ? 'mention' : 'mentions'}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default FeedbackSummary;
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { TrendingUp, Smile, Meh, Frown } from 'react-feather';
 
 const getSentimentIcon = (sentiment) => {
@@ -27,7 +27,7 @@ const getSentimentColorClass = (sentiment) => {
   }
 };
 
-const TopicItem = ({ topic, index }) => {
+const TopicItem = ({ topic, index, selected, onSelect }) => {
   // Calculate size class based on count or score
   const getTopicSizeClass = (index) => {
     switch (index) {
@@ -42,19 +42,30 @@ const TopicItem = ({ topic, index }) => {
   };
 
   return (
-    <div className={`inline-flex items-center px-3 py-1 m-1 rounded-full border ${getSentimentColorClass(topic.sentiment)}`}>
-      <span className={getTopicSizeClass(index)}>{topic.keyword}</span>
-      {topic.sentiment && (
+    <button
+      type="button"
+      onClick={onSelect}
+      className={`inline-flex items-center px-3 py-1 m-1 rounded-full border ${getSentimentColorClass(topic.dominantSentiment)} ${selected ? 'ring-2 ring-blue-400' : ''}`}
+      title={topic.keywords?.join(', ')}
+    >
+      <span className={getTopicSizeClass(index)}>{topic.label}</span>
+      {topic.dominantSentiment && (
         <span className="ml-1">
-          {getSentimentIcon(topic.sentiment)}
+          {getSentimentIcon(topic.dominantSentiment)}
         </span>
       )}
       <span className="ml-1 text-xs opacity-70">({topic.count})</span>
-    </div>
+      {topic.emergence?.emerging && (
+        <span className="ml-1 px-1.5 rounded-full bg-yellow-200 text-yellow-800 text-xs">new</span>
+      )}
+    </button>
   );
 };
 
 const TrendingTopics = ({ topics = [], className }) => {
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const selected = topics && topics[selectedIndex];
+
   if (!topics || topics.length === 0) {
     return (
       <div className={className}>
@@ -85,14 +96,31 @@ const TrendingTopics = ({ topics = [], className }) => {
       <div className="flex flex-wrap">
         {topics.map((topic, index) => (
           <TopicItem 
-            key={`${topic.keyword}-${index}`}
+            key={`${topic.label}-${index}`}
             topic={topic}
             index={index}
+            selected={index === selectedIndex}
+            onSelect={() => setSelectedIndex(index === selectedIndex ? null : index)}
           />
         ))}
       </div>
       
-      {topics.length > 0 && topics[0].sentiment === 'negative' && (
+      {selected && (
+        <div className="mt-3 space-y-2">
+          {selected.exemplars.map(exemplar => (
+            <div key={exemplar.id} className="flex items-start text-sm text-gray-300">
+              <span className="mr-2 mt-0.5">{getSentimentIcon(exemplar.sentiment)}</span>
+              <span>"{exemplar.text}"</span>
+            </div>
+          ))}
+          <p className="text-xs text-gray-500">
+            First mentioned {new Date(selected.emergence.firstSeen).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            {' · '}{selected.emergence.recentCount} in the last 15 minutes
+          </p>
+        </div>
+      )}
+      
+      {topics.length > 0 && topics[0].dominantSentiment === 'negative' && (
         <div className="mt-4 p-2 bg-red-50 text-red-700 rounded text-sm">
           <div className="flex items-center">
             <Frown className="mr-2" size={16} />
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useContext } from 'react';
 import { EventContext } from '../../context/EventContext';
 import { Button } from '../common/Button';
 import { Loader } from '../common/Loader';
+import alertService from '../../services/alertService';
 import { AlertTriangle, Bell, MapPin, Info } from 'react-feather';
 
 const AlertForm = ({ alert, onSubmit, onCancel }) => {
@@ -19,6 +20,14 @@ const AlertForm = ({ alert, onSubmit, onCancel }) => {
   
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [alertCategories, setAlertCategories] = useState([]);
+  
+  useEffect(() => {
+    // Categories follow the event's issue taxonomy
+    alertService.getAlertTypes(selectedEvent?._id)
+      .then(types => setAlertCategories(types.categories))
+      .catch(err => console.error('Error loading alert categories:', err));
+  }, [selectedEvent]);
   
   useEffect(() => {
     // Set event ID from selected event
@@ -87,18 +96,7 @@ const AlertForm = ({ alert, onSubmit, onCancel }) => {
   ];
   
   // Categories
-  const categories = [
-    { value: 'queue', label: 'Queue/Waiting' },
-    { value: 'audio', label: 'Audio Issues' },
-    { value: 'video', label: 'Video/Display Issues' },
-    { value: 'crowding', label: 'Overcrowding' },
-    { value: 'amenities', label: 'Amenities' },
-    { value: 'content', label: 'Content Issues' },
-    { value: 'temperature', label: 'Temperature' },
-    { value: 'safety', label: 'Safety Concerns' },
-    { value: 'general', label: 'General' },
-    { value: 'other', label: 'Other' }
-  ];
+  const categories = alertCategories.map(category => ({ value: category.id, label: category.label }));
   
   return (
     <form onSubmit={handleSubmit} className="space-y-6">
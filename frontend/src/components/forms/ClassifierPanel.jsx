@@ -0,0 +1,156 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Button } from '../common/Button';
+import { Loader } from '../common/Loader';
+import classifierService from '../../services/classifierService';
+import { RefreshCw, CheckCircle } from 'react-feather';
+
+const formatPercent = (value) => `${Math.round((value || 0) * 100)}%`;
+
+const MetricsSummary = ({ title, metrics }) => (
+  <div className="rounded-md bg-gray-800 p-3 text-sm">
+    <div className="text-gray-300 mb-2">{title}</div>
+    {metrics && metrics.count > 0 ? (
+      <>
+        <div className="grid grid-cols-3 gap-2 text-center mb-2">
+          <div>
+            <div className="text-xl font-bold text-white">{formatPercent(metrics.macro.precision)}</div>
+            <div className="text-xs text-gray-400">Precision</div>
+          </div>
+          <div>
+            <div className="text-xl font-bold text-white">{formatPercent(metrics.macro.recall)}</div>
+            <div className="text-xs text-gray-400">Recall</div>
+          </div>
+          <div>
+            <div className="text-xl font-bold text-white">{formatPercent(metrics.accuracy)}</div>
+            <div className="text-xs text-gray-400">Accuracy</div>
+          </div>
+        </div>
+        {metrics.labels.filter(item => item.support > 0).map(item => (
+          <div key={item.label} className="flex justify-between text-xs text-gray-400">
+            <span>{item.label}</span>
+            <span>P {formatPercent(item.precision)} · R {formatPercent(item.recall)} · {item.support} held out</span>
+          </div>
+        ))}
+      </>
+    ) : (
+      <div className="text-gray-400">No held-out corrections yet.</div>
+    )}
+  </div>
+);
+
+const ClassifierPanel = ({ eventId }) => {
+  const [status, setStatus] = useState(null);
+  const [metrics, setMetrics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [training, setTraining] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchClassifier = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [classifier, heldOut] = await Promise.all([
+        classifierService.getEventClassifier(eventId),
+        classifierService.getEventMetrics(eventId)
+      ]);
+      setStatus(classifier);
+      setMetrics(heldOut);
+    } catch (err) {
+      setError(err.toString());
+    } finally {
+      setLoading(false);
+    }
+  }, [eventId]);
+
+  useEffect(() => {
+    fetchClassifier();
+  }, [fetchClassifier]);
+
+  const train = async () => {
+    try {
+      setTraining(true);
+      setError(null);
+      await classifierService.trainEventClassifier(eventId);
+      fetchClassifier();
+    } catch (err) {
+      setError(err.toString());
+    } finally {
+      setTraining(false);
+    }
+  };
+
+  const activate = async (version) => {
+    try {
+      setError(null);
+      await classifierService.activateVersion(eventId, version);
+      fetchClassifier();
+    } catch (err) {
+      setError(err.toString());
+    }
+  };
+
+  if (loading && !status) {
+    return <Loader />;
+  }
+
+  return (
+    <div className="space-y-4">
+      {error && <div className="rounded-md bg-red-900/20 p-3 text-sm text-red-300">{error}</div>}
+
+      <div className="flex justify-between items-center">
+        <p className="text-sm text-gray-400">
+          Issue type corrections are kept as training examples; one in five is held out to measure accuracy.
+          {status && ` ${status.examples.train} training and ${status.examples.test} held-out corrections,
+          ${status.examples.pending} since the last model (retrains automatically at ${status.retrainThreshold}).`}
+        </p>
+        <Button
+          variant="primary"
+          size="sm"
+          icon={<RefreshCw size={14} />}
+          onClick={train}
+          disabled={training || !status || status.examples.train === 0}
+        >
+          {training ? 'Training...' : 'Retrain Now'}
+        </Button>
+      </div>
+
+      {metrics && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <MetricsSummary
+            title={metrics.model
+              ? `Learned model v${metrics.model.version}${metrics.model.scope === 'global' ? ' (global)' : ''}`
+              : 'Learned model (not trained yet)'}
+            metrics={metrics.learned}
+          />
+          <MetricsSummary title="Original classification" metrics={metrics.pipeline} />
+        </div>
+      )}
+
+      {status && status.versions.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-300 mb-2">Versions</h3>
+          <ul className="divide-y divide-gray-700 text-sm">
+            {status.versions.map(model => (
+              <li key={model._id} className="flex items-center justify-between py-2">
+                <span className="text-white">
+                  v{model.version}
+                  <span className="ml-2 text-gray-400">
+                    {new Date(model.createdAt).toLocaleString()} · {model.exampleCount} examples
+                    {model.metrics?.count > 0 && ` · F1 ${formatPercent(model.metrics.macro.f1)}`}
+                    {model.trainedBy ? ` · ${model.trainedBy.name}` : ' · automatic'}
+                  </span>
+                </span>
+                {model.isActive ? (
+                  <span className="flex items-center text-green-400"><CheckCircle size={14} className="mr-1" />Active</span>
+                ) : (
+                  <Button variant="text" size="sm" onClick={() => activate(model.version)}>Use this version</Button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClassifierPanel;
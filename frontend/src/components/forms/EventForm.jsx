@@ -21,6 +21,7 @@ const EventForm = ({ event, onSubmit, onCancel }) => {
     alertSettings: {
       negativeSentimentThreshold: -0.5,
       issueAlertThreshold: 3,
+      fearAlertThreshold: 3,
       autoResolveTime: 60
     }
   });
@@ -56,6 +57,7 @@ const EventForm = ({ event, onSubmit, onCancel }) => {
         alertSettings: {
           negativeSentimentThreshold: event.alertSettings?.negativeSentimentThreshold || -0.5,
           issueAlertThreshold: event.alertSettings?.issueAlertThreshold || 3,
+          fearAlertThreshold: event.alertSettings?.fearAlertThreshold || 3,
           autoResolveTime: event.alertSettings?.autoResolveTime || 60
         }
       });
@@ -676,6 +678,27 @@ const EventForm = ({ event, onSubmit, onCancel }) => {
               </p>
             </div>
             
+            <div>
+              <label htmlFor="fearAlertThreshold" className="block text-sm font-medium text-gray-700">
+                Fear Alert Threshold
+              </label>
+              <div className="mt-1 flex items-center">
+                <input
+                  type="number"
+                  id="fearAlertThreshold"
+                  name="alertSettings.fearAlertThreshold"
+                  min="1"
+                  max="20"
+                  className="mt-1 focus:ring-blue-500 focus:border-blue-500 block w-36 sm:text-sm border-gray-300 rounded-md"
+                  value={formData.alertSettings.fearAlertThreshold}
+                  onChange={handleChange}
+                />
+              </div>
+              <p className="mt-1 text-xs text-gray-500">
+                Number of fearful feedback items within 10 minutes that raises a safety alert
+              </p>
+            </div>
+            
             <div>
               <label htmlFor="autoResolveTime" className="block text-sm font-medium text-gray-700">
                 Auto-Resolve Time (minutes)
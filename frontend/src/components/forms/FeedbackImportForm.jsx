@@ -0,0 +1,272 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { Button } from '../common/Button';
+import { Loader } from '../common/Loader';
+import { EventContext } from '../../context/EventContext';
+import { SocketContext } from '../../context/SocketContext';
+import feedbackService from '../../services/feedbackService';
+import { Upload, Eye, Smile, Meh, Frown } from 'react-feather';
+
+const MAPPING_FIELDS = [
+  { key: 'text', label: 'Feedback text', required: true },
+  { key: 'user', label: 'Respondent' },
+  { key: 'timestamp', label: 'Submitted at' },
+  { key: 'location', label: 'Location' },
+  { key: 'id', label: 'Response ID' }
+];
+
+const inputClassName = 'block w-full rounded-md bg-gray-800 border border-gray-700 text-white shadow-sm focus:border-[#9D174D] focus:ring-[#9D174D] sm:text-sm px-3 py-2';
+
+// Read the header row (CSV) or first record's keys (NDJSON) to suggest mappings
+const readColumns = async (file) => {
+  const head = await file.slice(0, 64 * 1024).text();
+  const firstLine = head.replace(/^﻿/, '').split(/\r?\n/)[0] || '';
+
+  if (/\.(ndjson|jsonl)$/i.test(file.name)) {
+    try {
+      return Object.keys(JSON.parse(firstLine));
+    } catch (err) {
+      return [];
+    }
+  }
+
+  const columns = [];
+  let current = '';
+  let quoted = false;
+  for (const char of firstLine) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      columns.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  columns.push(current.trim());
+  return columns.filter(Boolean);
+};
+
+const guessColumn = (columns, key) => {
+  const hints = {
+    text: ['feedback', 'comment', 'text', 'answer', 'response', 'message'],
+    user: ['name', 'user', 'respondent', 'email'],
+    timestamp: ['timestamp', 'date', 'time', 'submitted'],
+    location: ['location', 'room', 'venue', 'session'],
+    id: ['id', 'response id', 'response_id']
+  };
+  return columns.find(column => hints[key].some(hint => column.toLowerCase().includes(hint))) || '';
+};
+
+const SentimentIcon = ({ sentiment }) => {
+  if (sentiment === 'positive') return <Smile size={14} className="text-green-400" />;
+  if (sentiment === 'negative') return <Frown size={14} className="text-red-400" />;
+  return <Meh size={14} className="text-gray-400" />;
+};
+
+const FeedbackImportForm = ({ onComplete }) => {
+  const { selectedEvent } = useContext(EventContext);
+  const { socket } = useContext(SocketContext);
+
+  const [file, setFile] = useState(null);
+  const [columns, setColumns] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [source, setSource] = useState('survey');
+  const [sourceLabel, setSourceLabel] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [importId, setImportId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!socket || !importId) return;
+
+    const handleProgress = (report) => {
+      if (report.importId !== importId) return;
+      setProgress(report);
+      if (report.status === 'completed' && onComplete) {
+        onComplete(report);
+      }
+    };
+
+    socket.on('import-progress', handleProgress);
+    return () => socket.off('import-progress', handleProgress);
+  }, [socket, importId, onComplete]);
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0];
+    setFile(selected || null);
+    setPreview(null);
+    setProgress(null);
+    setImportId(null);
+
+    if (!selected) return;
+
+    const detected = await readColumns(selected);
+    const isNdjson = /\.(ndjson|jsonl)$/i.test(selected.name);
+    setColumns(detected);
+    setMapping(MAPPING_FIELDS.reduce((acc, field) => {
+      const column = guessColumn(detected, field.key);
+      // NDJSON keys can contain characters that only a bracket path can address
+      acc[field.key] = column && isNdjson && !/^[A-Za-z_$][\w$-]*$/.test(column) ? `$['${column}']` : column;
+      return acc;
+    }, {}));
+  };
+
+  const runImport = async (dryRun) => {
+    if (!file) {
+      setError('Please choose a file');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await feedbackService.importFeedback(selectedEvent._id, file, {
+        mapping,
+        source,
+        sourceLabel,
+        dryRun
+      });
+
+      if (dryRun) {
+        setPreview(result);
+      } else {
+        setImportId(result.importId);
+        setProgress({ status: 'running', processedRows: 0, queued: 0, duplicates: 0, invalid: 0 });
+      }
+    } catch (err) {
+      setError(err.toString());
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="rounded-md bg-red-900/20 p-3 text-sm text-red-300">
+          {error}
+        </div>
+      )}
+
+      <div>
+        <label className="block text-sm text-gray-300 mb-1">CSV or NDJSON file</label>
+        <input
+          type="file"
+          accept=".csv,.ndjson,.jsonl,text/csv,application/x-ndjson"
+          onChange={handleFileChange}
+          className="block w-full text-sm text-gray-300"
+        />
+      </div>
+
+      {file && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {MAPPING_FIELDS.map(field => (
+              <div key={field.key}>
+                <label className="block text-xs text-gray-400 mb-1">
+                  {field.label}{field.required && ' *'}
+                </label>
+                <input
+                  className={inputClassName}
+                  list="import-columns"
+                  value={mapping[field.key] || ''}
+                  onChange={(e) => {
+                    setMapping(prev => ({ ...prev, [field.key]: e.target.value }));
+                    setPreview(null);
+                  }}
+                  placeholder="Column name or $.path"
+                />
+              </div>
+            ))}
+            <datalist id="import-columns">
+              {columns.map(column => <option key={column} value={column} />)}
+            </datalist>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Source</label>
+              <select className={inputClassName} value={source} onChange={(e) => setSource(e.target.value)}>
+                <option value="survey">Survey</option>
+                <option value="manual">Manual entry</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Label (optional)</label>
+              <input
+                className={inputClassName}
+                value={sourceLabel}
+                onChange={(e) => setSourceLabel(e.target.value)}
+                placeholder="paper-survey"
+              />
+            </div>
+          </div>
+        </>
+      )}
+
+      {preview && (
+        <div className="rounded-md bg-gray-800 p-3 text-sm">
+          <div className="flex flex-wrap gap-4 text-gray-300 mb-2">
+            <span>{preview.totalRows} rows</span>
+            <span className="text-green-300">{preview.valid} new</span>
+            <span className="text-yellow-300">{preview.duplicates} duplicates</span>
+            <span className="text-red-300">{preview.invalid} invalid</span>
+            {preview.truncated && <span className="text-red-300">File truncated to the row limit</span>}
+          </div>
+
+          {preview.preview.map(row => (
+            <div key={row.row} className="flex items-start py-1 border-b border-gray-700 last:border-0">
+              <span className="w-10 text-gray-500">#{row.row}</span>
+              <SentimentIcon sentiment={row.sentiment} />
+              <span className={`ml-2 flex-1 ${row.duplicate ? 'text-gray-500 line-through' : 'text-white'}`}>{row.text}</span>
+              {row.issueType && (
+                <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-red-900/30 text-red-300">{row.issueType}</span>
+              )}
+            </div>
+          ))}
+
+          {preview.errors.length > 0 && (
+            <div className="mt-2 text-red-300">
+              {preview.errors.slice(0, 10).map(entry => (
+                <div key={entry.row}>Row {entry.row}: {entry.message}</div>
+              ))}
+              {preview.errors.length > 10 && <div>…and {preview.errors.length - 10} more</div>}
+            </div>
+          )}
+        </div>
+      )}
+
+      {progress && (
+        <div className="rounded-md bg-gray-800 p-3 text-sm text-gray-300">
+          <div className="capitalize text-white mb-1">Import {progress.status}</div>
+          {progress.processedRows} rows read · {progress.queued} queued · {progress.duplicates} duplicates · {progress.invalid} invalid
+          {progress.error && <div className="text-red-300 mt-1">{progress.error}</div>}
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-2">
+        {loading && <Loader size="sm" />}
+        <Button
+          variant="secondary"
+          onClick={() => runImport(true)}
+          disabled={!file || !mapping.text || loading}
+          icon={<Eye size={16} />}
+        >
+          Preview
+        </Button>
+        <Button
+          variant="primary"
+          onClick={() => runImport(false)}
+          disabled={!file || !mapping.text || loading || (progress && progress.status === 'running')}
+          icon={<Upload size={16} />}
+        >
+          Import
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default FeedbackImportForm;
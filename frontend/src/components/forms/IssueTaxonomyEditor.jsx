@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Button } from '../common/Button';
+import { Loader } from '../common/Loader';
+import eventService from '../../services/eventService';
+import { Plus, Trash2, RotateCcw } from 'react-feather';
+
+const inputClassName = 'block w-full rounded-md bg-gray-800 border border-gray-700 text-white shadow-sm focus:border-[#9D174D] focus:ring-[#9D174D] sm:text-sm px-3 py-2';
+
+// Keywords and zero-shot labels are edited as comma-separated text
+const toDraft = (categories) => categories.map(category => ({
+  key: category.key,
+  label: category.label,
+  description: category.description || '',
+  keywords: (category.keywords || []).join(', '),
+  zeroShotLabels: (category.zeroShotLabels || []).join(', ')
+}));
+
+const newCategory = () => ({ key: '', label: '', description: '', keywords: '', zeroShotLabels: '' });
+
+const IssueTaxonomyEditor = ({ eventId }) => {
+  const [draft, setDraft] = useState([]);
+  const [defaults, setDefaults] = useState([]);
+  const [isDefault, setIsDefault] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  const applyResult = (result) => {
+    setDraft(toDraft(result.categories));
+    setDefaults(result.defaults);
+    setIsDefault(result.isDefault);
+  };
+
+  const fetchCategories = useCallback(async () => {
+    try {
+      setLoading(true);
+      applyResult(await eventService.getIssueCategories(eventId));
+    } catch (err) {
+      setError(err.toString());
+    } finally {
+      setLoading(false);
+    }
+  }, [eventId]);
+
+  useEffect(() => {
+    fetchCategories();
+  }, [fetchCategories]);
+
+  const updateCategory = (index, changes) => {
+    setSaved(false);
+    setDraft(prev => prev.map((category, i) => (i === index ? { ...category, ...changes } : category)));
+  };
+
+  const removeCategory = (index) => {
+    setSaved(false);
+    setDraft(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const save = async (categories) => {
+    try {
+      setSaving(true);
+      setError(null);
+      applyResult(await eventService.updateIssueCategories(eventId, categories));
+      setSaved(true);
+    } catch (err) {
+      setError(err.toString());
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const resetToDefaults = () => {
+    if (!window.confirm('Replace this event\'s categories with the defaults?')) return;
+    save([]);
+  };
+
+  if (loading) {
+    return <Loader />;
+  }
+
+  return (
+    <div className="space-y-4">
+      {error && <div className="rounded-md bg-red-900/20 p-3 text-sm text-red-300">{error}</div>}
+      {saved && <div className="rounded-md bg-green-900/20 p-3 text-sm text-green-300">Categories saved.</div>}
+
+      <p className="text-sm text-gray-400">
+        {isDefault ? 'This event uses the default categories. ' : ''}
+        Keywords drive aspect detection and the keyword fallback; zero-shot labels are what the
+        language model is asked to choose between (the label is used if none are given). Feedback
+        that fits no category is filed as "other". Changes apply to new feedback.
+      </p>
+
+      {draft.map((category, index) => (
+        <div key={index} className="rounded-md bg-gray-800 p-3 space-y-2">
+          <div className="flex items-center space-x-2">
+            <input
+              className={inputClassName}
+              value={category.label}
+              onChange={(e) => updateCategory(index, { label: e.target.value })}
+              placeholder="Label, e.g. Parking"
+            />
+            <input
+              className={`${inputClassName} w-40`}
+              value={category.key}
+              onChange={(e) => updateCategory(index, { key: e.target.value })}
+              placeholder="key (optional)"
+            />
+            <button className="text-gray-400 hover:text-red-400" title="Remove" onClick={() => removeCategory(index)}>
+              <Trash2 size={16} />
+            </button>
+          </div>
+          <input
+            className={inputClassName}
+            value={category.keywords}
+            onChange={(e) => updateCategory(index, { keywords: e.target.value })}
+            placeholder="Keywords, comma separated: parking, car park, shuttle"
+          />
+          <input
+            className={inputClassName}
+            value={category.zeroShotLabels}
+            onChange={(e) => updateCategory(index, { zeroShotLabels: e.target.value })}
+            placeholder="Zero-shot labels, comma separated: parking problems"
+          />
+          <input
+            className={inputClassName}
+            value={category.description}
+            onChange={(e) => updateCategory(index, { description: e.target.value })}
+            placeholder="Description (optional)"
+          />
+        </div>
+      ))}
+
+      <div className="flex justify-between items-center">
+        <div className="flex space-x-2">
+          <Button
+            variant="outline"
+            size="sm"
+            icon={<Plus size={14} />}
+            onClick={() => setDraft(prev => [...prev, newCategory()])}
+          >
+            Add Category
+          </Button>
+          <Button
+            variant="text"
+            size="sm"
+            icon={<RotateCcw size={14} />}
+            onClick={resetToDefaults}
+            disabled={saving || isDefault}
+            title={`Defaults: ${defaults.map(category => category.label).join(', ')}`}
+          >
+            Reset to Defaults
+          </Button>
+        </div>
+        <div className="flex items-center space-x-2">
+          {saving && <Loader size="sm" />}
+          <Button
+            variant="primary"
+            onClick={() => save(draft)}
+            disabled={saving || draft.length === 0 || draft.some(category => !category.label.trim())}
+          >
+            Save Categories
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IssueTaxonomyEditor;
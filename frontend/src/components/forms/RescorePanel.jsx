@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { Button } from '../common/Button';
+import { SocketContext } from '../../context/SocketContext';
+import feedbackService from '../../services/feedbackService';
+import { Eye, RefreshCw } from 'react-feather';
+
+const STAGE_LABELS = {
+  rescoring: 'Re-scoring feedback',
+  rollups: 'Rebuilding sentiment records',
+  issues: 'Rebuilding issues',
+  done: 'Done'
+};
+
+const Transitions = ({ title, transitions }) => {
+  const entries = Object.entries(transitions || {}).sort((a, b) => b[1] - a[1]);
+  if (entries.length === 0) return null;
+
+  return (
+    <div>
+      <div className="text-gray-300 mb-1">{title}</div>
+      {entries.slice(0, 6).map(([change, count]) => (
+        <div key={change} className="flex justify-between text-xs text-gray-400">
+          <span>{change}</span>
+          <span>{count}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const RescorePanel = ({ eventId, onComplete }) => {
+  const { socket } = useContext(SocketContext);
+
+  const [versions, setVersions] = useState(null);
+  const [scope, setScope] = useState('outdated');
+  const [preview, setPreview] = useState(null);
+  const [job, setJob] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchVersions = useCallback(async () => {
+    try {
+      setVersions(await feedbackService.getScoringVersions(eventId));
+    } catch (err) {
+      setError(err.toString());
+    }
+  }, [eventId]);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [fetchVersions]);
+
+  useEffect(() => {
+    if (!socket || !job) return;
+
+    const handleProgress = (report) => {
+      if (report.jobId !== job.jobId) return;
+      setJob(report);
+      if (report.status === 'completed') {
+        fetchVersions();
+        if (onComplete) onComplete(report);
+      }
+    };
+
+    socket.on('rescore-progress', handleProgress);
+    return () => socket.off('rescore-progress', handleProgress);
+  }, [socket, job, fetchVersions, onComplete]);
+
+  const runRescore = async (dryRun) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await feedbackService.rescoreFeedback(eventId, { scope, dryRun });
+      if (dryRun) {
+        setPreview(result);
+      } else {
+        setJob(result);
+      }
+    } catch (err) {
+      setError(err.toString());
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const outdated = versions
+    ? versions.versions.filter(item => item.version !== versions.currentVersion).reduce((sum, item) => sum + item.count, 0)
+    : 0;
+  const running = job && job.status === 'running';
+
+  return (
+    <div className="space-y-4">
+      {error && <div className="rounded-md bg-red-900/20 p-3 text-sm text-red-300">{error}</div>}
+
+      <p className="text-sm text-gray-400">
+        Run stored feedback through the current models again, e.g. after changing a model or threshold.
+        Sentiment records and untouched issues are rebuilt afterwards; corrections and spam reviews are kept.
+        {versions && ` Current scoring version ${versions.currentVersion}; ${outdated} items were scored with another version.`}
+      </p>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={scope}
+          onChange={(e) => { setScope(e.target.value); setPreview(null); }}
+          className="rounded-md bg-gray-800 border border-gray-700 text-white sm:text-sm px-3 py-2"
+        >
+          <option value="outdated">Outdated feedback only</option>
+          <option value="all">All feedback</option>
+        </select>
+        <Button variant="secondary" size="sm" icon={<Eye size={14} />} onClick={() => runRescore(true)} disabled={loading || running}>
+          Preview Changes
+        </Button>
+        <Button variant="primary" size="sm" icon={<RefreshCw size={14} />} onClick={() => runRescore(false)} disabled={loading || running}>
+          {running ? 'Re-scoring...' : 'Re-score'}
+        </Button>
+      </div>
+
+      {preview && (
+        <div className="rounded-md bg-gray-800 p-3 text-sm space-y-3">
+          <div className="text-white">
+            {preview.changed.any} of {preview.sampled} sampled items would change
+            {preview.total > preview.sampled && ` (about ${preview.estimatedChanged} of ${preview.total})`}
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <Transitions title={`Sentiment (${preview.changed.sentiment})`} transitions={preview.transitions.sentiment} />
+            <Transitions title={`Issue type (${preview.changed.issueType})`} transitions={preview.transitions.issueType} />
+            <Transitions title={`Emotion (${preview.changed.emotion})`} transitions={preview.transitions.emotion} />
+          </div>
+          {preview.examples.length > 0 && (
+            <ul className="divide-y divide-gray-700">
+              {preview.examples.map(example => (
+                <li key={example.id} className="py-2">
+                  <div className="text-gray-300">"{example.text}"</div>
+                  <div className="text-xs text-gray-400">
+                    {['sentiment', 'issueType', 'emotion']
+                      .filter(field => example.before[field] !== example.after[field])
+                      .map(field => `${field}: ${example.before[field] || 'none'} → ${example.after[field] || 'none'}`)
+                      .join(' · ')}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {job && (
+        <div className="rounded-md bg-gray-800 p-3 text-sm text-gray-300">
+          <div className="capitalize text-white mb-1">Re-score {job.status}</div>
+          {STAGE_LABELS[job.stage]} · {job.processed} of {job.total} items · {job.changed ? job.changed.any : 0} changed
+          {job.failed > 0 && ` · ${job.failed} failed`}
+          {job.issues && (
+            <div className="mt-1">
+              Issues: {job.issues.created} created, {job.issues.updated} updated, {job.issues.removed} replaced
+            </div>
+          )}
+          {job.error && <div className="text-red-300 mt-1">{job.error}</div>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RescorePanel;
@@ -0,0 +1,433 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Button } from '../common/Button';
+import { Loader } from '../common/Loader';
+import surveyService from '../../services/surveyService';
+import { Plus, Trash2, Edit, BarChart2, ArrowUp, ArrowDown, ArrowLeft, Send, Lock } from 'react-feather';
+
+const QUESTION_TYPES = [
+  { value: 'rating', label: 'Rating' },
+  { value: 'nps', label: 'NPS (0-10)' },
+  { value: 'multiple_choice', label: 'Multiple choice' },
+  { value: 'text', label: 'Free text' }
+];
+
+const STATUS_CLASSES = {
+  draft: 'bg-gray-700 text-gray-300',
+  published: 'bg-green-900/30 text-green-300',
+  closed: 'bg-red-900/30 text-red-300'
+};
+
+const inputClassName = 'block w-full rounded-md bg-gray-800 border border-gray-700 text-white shadow-sm focus:border-[#9D174D] focus:ring-[#9D174D] sm:text-sm px-3 py-2';
+
+const newQuestion = (type = 'rating') => ({
+  type,
+  prompt: '',
+  required: false,
+  options: type === 'multiple_choice' ? ['', ''] : undefined,
+  allowMultiple: false,
+  scale: 5
+});
+
+const SurveyResults = ({ results }) => (
+  <div className="space-y-4">
+    <div className="grid grid-cols-3 gap-3 text-center">
+      <div className="rounded-md bg-gray-800 p-3">
+        <div className="text-2xl font-bold text-white">{results.responseCount}</div>
+        <div className="text-xs text-gray-400">Responses</div>
+      </div>
+      <div className="rounded-md bg-gray-800 p-3">
+        <div className="text-2xl font-bold text-white">{results.nps ? results.nps.score : '–'}</div>
+        <div className="text-xs text-gray-400">NPS</div>
+      </div>
+      <div className="rounded-md bg-gray-800 p-3">
+        <div className="text-2xl font-bold text-white">{results.csat ? `${results.csat.score}%` : '–'}</div>
+        <div className="text-xs text-gray-400">CSAT</div>
+      </div>
+    </div>
+
+    {results.questions.map(question => (
+      <div key={question.id} className="rounded-md bg-gray-800 p-3 text-sm">
+        <div className="flex justify-between text-white mb-2">
+          <span>{question.prompt}</span>
+          <span className="text-gray-400">{question.answered} answers</span>
+        </div>
+
+        {question.type === 'nps' && question.nps && (
+          <div className="text-gray-300">
+            {question.nps.promoters} promoters · {question.nps.passives} passives · {question.nps.detractors} detractors
+          </div>
+        )}
+
+        {question.type === 'rating' && question.average !== null && (
+          <div className="text-gray-300">
+            Average {question.average} / {question.scale} · CSAT {question.csat.score}%
+          </div>
+        )}
+
+        {question.type === 'multiple_choice' && question.options.map(item => (
+          <div key={item.option} className="flex items-center py-0.5">
+            <span className="w-32 text-gray-300 truncate">{item.option}</span>
+            <div className="flex-1 h-2 rounded bg-gray-700 mx-2">
+              <div className="h-2 rounded bg-[#C53070]" style={{ width: `${item.percentage}%` }} />
+            </div>
+            <span className="w-10 text-right text-gray-400">{item.count}</span>
+          </div>
+        ))}
+
+        {question.type === 'text' && (
+          <>
+            <div className="text-gray-300 mb-1">
+              <span className="text-green-300">{question.sentiment.positive} positive</span> ·{' '}
+              <span className="text-gray-300">{question.sentiment.neutral} neutral</span> ·{' '}
+              <span className="text-red-300">{question.sentiment.negative} negative</span>
+            </div>
+            {question.samples.map((sample, index) => (
+              <div key={index} className="text-gray-400 italic truncate">"{sample.text}"</div>
+            ))}
+          </>
+        )}
+      </div>
+    ))}
+  </div>
+);
+
+const SurveyBuilder = ({ eventId }) => {
+  const [surveys, setSurveys] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchSurveys = useCallback(async () => {
+    try {
+      setLoading(true);
+      setSurveys(await surveyService.getEventSurveys(eventId));
+    } catch (err) {
+      setError(err.toString());
+    } finally {
+      setLoading(false);
+    }
+  }, [eventId]);
+
+  useEffect(() => {
+    fetchSurveys();
+  }, [fetchSurveys]);
+
+  const updateQuestion = (index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      questions: prev.questions.map((question, i) => (i === index ? { ...question, ...changes } : question))
+    }));
+  };
+
+  const moveQuestion = (index, offset) => {
+    setDraft(prev => {
+      const questions = [...prev.questions];
+      const [moved] = questions.splice(index, 1);
+      questions.splice(index + offset, 0, moved);
+      return { ...prev, questions };
+    });
+  };
+
+  const removeQuestion = (index) => {
+    setDraft(prev => ({ ...prev, questions: prev.questions.filter((_, i) => i !== index) }));
+  };
+
+  const saveDraft = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      const payload = {
+        title: draft.title,
+        description: draft.description,
+        ...(draft.locked ? {} : { questions: draft.questions })
+      };
+      if (draft._id) {
+        await surveyService.updateSurvey(draft._id, payload);
+      } else {
+        await surveyService.createSurvey(eventId, payload);
+      }
+      setDraft(null);
+      fetchSurveys();
+    } catch (err) {
+      setError(err.toString());
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const setStatus = async (survey, status) => {
+    try {
+      setError(null);
+      await surveyService.updateSurvey(survey._id, { status });
+      fetchSurveys();
+    } catch (err) {
+      setError(err.toString());
+    }
+  };
+
+  const deleteSurvey = async (survey) => {
+    if (!window.confirm(`Delete "${survey.title}" and its ${survey.responseCount} responses?`)) return;
+    try {
+      setError(null);
+      await surveyService.deleteSurvey(survey._id);
+      fetchSurveys();
+    } catch (err) {
+      setError(err.toString());
+    }
+  };
+
+  const showResults = async (survey) => {
+    try {
+      setError(null);
+      setResults(await surveyService.getSurveyResults(survey._id));
+    } catch (err) {
+      setError(err.toString());
+    }
+  };
+
+  const errorBanner = error && (
+    <div className="rounded-md bg-red-900/20 p-3 text-sm text-red-300">{error}</div>
+  );
+
+  if (results) {
+    return (
+      <div className="space-y-4">
+        <Button variant="text" size="sm" onClick={() => setResults(null)} icon={<ArrowLeft size={16} />}>
+          Back to surveys
+        </Button>
+        <h3 className="text-lg font-medium text-white">{results.title}</h3>
+        <SurveyResults results={results} />
+      </div>
+    );
+  }
+
+  if (draft) {
+    return (
+      <div className="space-y-4">
+        {errorBanner}
+        <input
+          className={inputClassName}
+          value={draft.title}
+          onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+          placeholder="Survey title"
+        />
+        <textarea
+          className={inputClassName}
+          rows="2"
+          value={draft.description || ''}
+          onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+          placeholder="Short introduction for attendees (optional)"
+        />
+
+        {draft.locked && (
+          <div className="rounded-md bg-yellow-900/20 p-3 text-sm text-yellow-300">
+            This survey already has responses, so only the title and description can be changed.
+          </div>
+        )}
+
+        {draft.questions.map((question, index) => (
+          <div key={index} className="rounded-md bg-gray-800 p-3 space-y-2">
+            <div className="flex items-center space-x-2">
+              <select
+                className={`${inputClassName} w-44`}
+                value={question.type}
+                disabled={draft.locked}
+                onChange={(e) => updateQuestion(index, newQuestion(e.target.value))}
+              >
+                {QUESTION_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+              </select>
+              <input
+                className={inputClassName}
+                value={question.prompt}
+                disabled={draft.locked}
+                onChange={(e) => updateQuestion(index, { prompt: e.target.value })}
+                placeholder={question.type === 'nps' ? 'How likely are you to recommend this event?' : 'Question'}
+              />
+              {!draft.locked && (
+                <>
+                  <button className="text-gray-400 hover:text-white disabled:opacity-30" disabled={index === 0} onClick={() => moveQuestion(index, -1)}>
+                    <ArrowUp size={16} />
+                  </button>
+                  <button className="text-gray-400 hover:text-white disabled:opacity-30" disabled={index === draft.questions.length - 1} onClick={() => moveQuestion(index, 1)}>
+                    <ArrowDown size={16} />
+                  </button>
+                  <button className="text-gray-400 hover:text-red-400" onClick={() => removeQuestion(index)}>
+                    <Trash2 size={16} />
+                  </button>
+                </>
+              )}
+            </div>
+
+            <div className="flex flex-wrap items-center gap-4 text-sm text-gray-300">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  checked={question.required}
+                  disabled={draft.locked}
+                  onChange={(e) => updateQuestion(index, { required: e.target.checked })}
+                />
+                Required
+              </label>
+
+              {question.type === 'rating' && (
+                <label className="flex items-center">
+                  Scale
+                  <select
+                    className="ml-2 rounded-md bg-gray-900 border border-gray-700 text-white px-2 py-1"
+                    value={question.scale}
+                    disabled={draft.locked}
+                    onChange={(e) => updateQuestion(index, { scale: Number(e.target.value) })}
+                  >
+                    <option value={5}>1-5</option>
+                    <option value={10}>1-10</option>
+                  </select>
+                </label>
+              )}
+
+              {question.type === 'multiple_choice' && (
+                <label className="flex items-center">
+                  <input
+                    type="checkbox"
+                    className="mr-2"
+                    checked={question.allowMultiple}
+                    disabled={draft.locked}
+                    onChange={(e) => updateQuestion(index, { allowMultiple: e.target.checked })}
+                  />
+                  Allow several answers
+                </label>
+              )}
+            </div>
+
+            {question.type === 'multiple_choice' && (
+              <div className="space-y-1">
+                {question.options.map((option, optionIndex) => (
+                  <div key={optionIndex} className="flex items-center space-x-2">
+                    <input
+                      className={inputClassName}
+                      value={option}
+                      disabled={draft.locked}
+                      onChange={(e) => updateQuestion(index, {
+                        options: question.options.map((value, i) => (i === optionIndex ? e.target.value : value))
+                      })}
+                      placeholder={`Option ${optionIndex + 1}`}
+                    />
+                    {!draft.locked && question.options.length > 2 && (
+                      <button
+                        className="text-gray-400 hover:text-red-400"
+                        onClick={() => updateQuestion(index, { options: question.options.filter((_, i) => i !== optionIndex) })}
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    )}
+                  </div>
+                ))}
+                {!draft.locked && (
+                  <Button variant="text" size="sm" onClick={() => updateQuestion(index, { options: [...question.options, ''] })}>
+                    Add option
+                  </Button>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+
+        {!draft.locked && (
+          <div className="flex flex-wrap gap-2">
+            {QUESTION_TYPES.map(type => (
+              <Button
+                key={type.value}
+                variant="outline"
+                size="sm"
+                icon={<Plus size={14} />}
+                onClick={() => setDraft({ ...draft, questions: [...draft.questions, newQuestion(type.value)] })}
+              >
+                {type.label}
+              </Button>
+            ))}
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-2">
+          {saving && <Loader size="sm" />}
+          <Button variant="secondary" onClick={() => setDraft(null)}>Cancel</Button>
+          <Button
+            variant="primary"
+            onClick={saveDraft}
+            disabled={saving || !draft.title || draft.questions.length === 0}
+          >
+            Save Survey
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {errorBanner}
+
+      <div className="flex justify-between items-center">
+        <p className="text-sm text-gray-400">
+          Published surveys are shown to attendees on the feedback page.
+        </p>
+        <Button
+          variant="primary"
+          size="sm"
+          icon={<Plus size={16} />}
+          onClick={() => setDraft({ title: '', description: '', questions: [newQuestion('nps')] })}
+        >
+          New Survey
+        </Button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center p-6"><Loader /></div>
+      ) : surveys.length === 0 ? (
+        <div className="text-center text-gray-400 py-6">No surveys yet.</div>
+      ) : (
+        surveys.map(survey => (
+          <div key={survey._id} className="flex items-center justify-between rounded-md bg-gray-800 p-3">
+            <div>
+              <div className="text-white">{survey.title}</div>
+              <div className="text-xs text-gray-400">
+                {survey.questions.length} questions · {survey.responseCount} responses
+              </div>
+            </div>
+            <div className="flex items-center space-x-2">
+              <span className={`px-2 py-0.5 text-xs rounded-full capitalize ${STATUS_CLASSES[survey.status]}`}>
+                {survey.status}
+              </span>
+              {survey.status !== 'published' ? (
+                <button title="Publish" className="text-gray-400 hover:text-green-400" onClick={() => setStatus(survey, 'published')}>
+                  <Send size={16} />
+                </button>
+              ) : (
+                <button title="Close" className="text-gray-400 hover:text-yellow-400" onClick={() => setStatus(survey, 'closed')}>
+                  <Lock size={16} />
+                </button>
+              )}
+              <button title="Results" className="text-gray-400 hover:text-white" onClick={() => showResults(survey)}>
+                <BarChart2 size={16} />
+              </button>
+              <button
+                title="Edit"
+                className="text-gray-400 hover:text-[#C53070]"
+                onClick={() => setDraft({ ...survey, locked: survey.responseCount > 0 })}
+              >
+                <Edit size={16} />
+              </button>
+              <button title="Delete" className="text-gray-400 hover:text-red-400" onClick={() => deleteSurvey(survey)}>
+                <Trash2 size={16} />
+              </button>
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default SurveyBuilder;
@@ -146,12 +146,17 @@ const FeedbackTable = ({
                       {item.issueType}
                     </span>
                   )}
+                  {item.spam?.isSpam && (
+                    <span className="mt-1 ml-1 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                      spam
+                    </span>
+                  )}
                 </td>
                 
                 <td className="px-6 py-4 whitespace-nowrap">
                   <div className="flex items-center text-sm text-gray-400">
                     {getSourceIcon(item.source)}
-                    <span className="ml-1 capitalize">{item.source}</span>
+                    <span className="ml-1 capitalize">{item.sourceLabel || item.source}</span>
                   </div>
                   {item.metadata?.username && (
                     <div className="text-xs text-gray-500">
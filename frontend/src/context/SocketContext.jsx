@@ -12,6 +12,7 @@ export const SocketProvider = ({ children }) => {
   const [connected, setConnected] = useState(false);
   const [newFeedback, setNewFeedback] = useState(null);
   const [newAlert, setNewAlert] = useState(null);
+  const [issueUpdate, setIssueUpdate] = useState(null);
 
   // Initialize socket when user logs in
   useEffect(() => {
@@ -26,6 +27,7 @@ export const SocketProvider = ({ children }) => {
           socketInstance.on('new-feedback', handleNewFeedback);
           socketInstance.on('new-alert', handleNewAlert);
           socketInstance.on('alert-updated', handleAlertUpdate);
+          socketInstance.on('issue-updated', handleIssueUpdate);
           
           // Connection status listeners
           socketInstance.on('disconnect', () => setConnected(false));
@@ -71,6 +73,10 @@ export const SocketProvider = ({ children }) => {
     console.log('Alert updated:', alert);
   };
 
+  const handleIssueUpdate = (update) => {
+    setIssueUpdate(update);
+  };
+
   const submitFeedback = async (feedbackData) => {
     if (!connected || !socket) {
       throw new Error('Socket not connected');
@@ -97,6 +103,7 @@ export const SocketProvider = ({ children }) => {
     connected,
     newFeedback,
     newAlert,
+    issueUpdate,
     submitFeedback,
     updateAlert
   };
@@ -81,6 +81,7 @@ const AdminPanel = () => {
     fetchAlerts();
 
     const socket = io('http://localhost:5000', {
+      auth: { token: localStorage.getItem('token') },
       withCredentials: true,
       extraHeaders: {
         "my-custom-header": "abcd"
@@ -989,7 +989,8 @@ const Alerts = () => {
   useEffect(() => {
     const loadAlertTypes = async () => {
       try {
-        const types = await alertService.getAlertTypes();
+        // Categories follow the selected event's issue taxonomy
+        const types = await alertService.getAlertTypes(selectedEvent?._id);
         setAlertTypes(types);
       } catch (err) {
         console.error('Error loading alert types:', err);
@@ -997,7 +998,7 @@ const Alerts = () => {
       }
     };
     loadAlertTypes();
-  }, []);
+  }, [selectedEvent]);
 
   useEffect(() => {
     if (selectedEvent) {
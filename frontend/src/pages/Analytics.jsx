@@ -18,9 +18,37 @@ import {
 } from 'react-feather';
 import { useNavigate } from 'react-router-dom';
 
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  pt: 'Portuguese',
+  de: 'German',
+  it: 'Italian',
+  hi: 'Hindi',
+  ar: 'Arabic',
+  ru: 'Russian',
+  ja: 'Japanese',
+  zh: 'Chinese',
+  ko: 'Korean',
+  unknown: 'Not detected'
+};
+
+const EMOTION_COLORS = {
+  anger: 'bg-red-500',
+  fear: 'bg-purple-500',
+  frustration: 'bg-orange-500',
+  sadness: 'bg-blue-500',
+  surprise: 'bg-yellow-500',
+  joy: 'bg-green-500'
+};
+
 const AnalyticsDashboard = () => {
   const { selectedEvent: contextEvent, events } = useContext(EventContext);
   const [summary, setSummary] = useState(null);
+  const [languages, setLanguages] = useState(null);
+  const [aspects, setAspects] = useState(null);
+  const [emotions, setEmotions] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedTimeframe, setSelectedTimeframe] = useState('day');
@@ -45,8 +73,16 @@ const AnalyticsDashboard = () => {
     try {
       setLoading(true);
       setError(null);
-      const data = await analyticsService.getEventSummary(effectiveEventId);
+      const [data, languageData, aspectData, emotionData] = await Promise.all([
+        analyticsService.getEventSummary(effectiveEventId),
+        analyticsService.getLanguageDistribution(effectiveEventId),
+        analyticsService.getAspectSentiment(effectiveEventId),
+        analyticsService.getEmotionTrend(effectiveEventId, 'day', 30)
+      ]);
       setSummary(data);
+      setLanguages(languageData);
+      setAspects(aspectData);
+      setEmotions(emotionData);
     } catch (err) {
       setError('Failed to load analytics data: ' + (err.response?.data?.message || err.message));
     } finally {
@@ -256,6 +292,93 @@ const AnalyticsDashboard = () => {
           </div>
         </div>
       </div>
+      {/* Feedback Languages */}
+      {languages && languages.distribution.length > 0 && (
+        <div className="bg-primary rounded-lg shadow-lg shadow-black/10 p-6 mb-6 animate-slide-in">
+          <h2 className="text-lg font-semibold text-primary-foreground mb-4">Feedback Languages</h2>
+          <div className="space-y-3">
+            {languages.distribution.map(item => (
+              <div key={item.language}>
+                <div className="flex justify-between text-sm mb-1">
+                  <span className="text-primary-foreground">{LANGUAGE_NAMES[item.language] || item.language}</span>
+                  <span className="text-primary-foreground/70">
+                    {item.count} ({item.percentage.toFixed(1)}%)
+                  </span>
+                </div>
+                <div className="flex h-2 rounded overflow-hidden bg-primary-dark">
+                  {['positive', 'neutral', 'negative'].map(sentiment => (
+                    <div
+                      key={sentiment}
+                      className={sentiment === 'positive' ? 'bg-green-500' : sentiment === 'neutral' ? 'bg-blue-500' : 'bg-red-500'}
+                      style={{ width: `${item.count > 0 ? (item.sentiment[sentiment] / item.count) * 100 : 0}%` }}
+                    />
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+      {/* Sentiment by Aspect */}
+      {aspects && aspects.aspects.length > 0 && (
+        <div className="bg-primary rounded-lg shadow-lg shadow-black/10 p-6 mb-6 animate-slide-in">
+          <h2 className="text-lg font-semibold text-primary-foreground mb-1">Sentiment by Aspect</h2>
+          <p className="text-sm text-primary-foreground/70 mb-4">
+            {aspects.totalMentions} aspect mentions across {aspects.feedbackWithAspects} feedback items
+          </p>
+          <div className="space-y-3">
+            {aspects.aspects.map(item => (
+              <div key={item.aspect}>
+                <div className="flex justify-between text-sm mb-1">
+                  <span className="text-primary-foreground capitalize">{item.label || item.aspect}</span>
+                  <span className={item.netSentiment >= 0 ? 'text-green-400' : 'text-red-400'}>
+                    {item.mentions} mentions • net {item.netSentiment > 0 ? '+' : ''}{item.netSentiment.toFixed(0)}
+                  </span>
+                </div>
+                <div className="flex h-2 rounded overflow-hidden bg-primary-dark">
+                  {['positive', 'neutral', 'negative'].map(sentiment => (
+                    <div
+                      key={sentiment}
+                      className={sentiment === 'positive' ? 'bg-green-500' : sentiment === 'neutral' ? 'bg-blue-500' : 'bg-red-500'}
+                      style={{ width: `${(item.sentiment[sentiment] / item.mentions) * 100}%` }}
+                    />
+                  ))}
+                </div>
+                {item.examples.length > 0 && (
+                  <p className="text-xs text-primary-foreground/60 mt-1 truncate">"{item.examples[0]}"</p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+      {/* Emotions */}
+      {emotions && emotions.emotions.length > 0 && (
+        <div className="bg-primary rounded-lg shadow-lg shadow-black/10 p-6 mb-6 animate-slide-in">
+          <h2 className="text-lg font-semibold text-primary-foreground mb-1">Emotions</h2>
+          <p className="text-sm text-primary-foreground/70 mb-4">
+            Share of {emotions.feedbackTotal} feedback items by detected emotion
+          </p>
+          <div className="space-y-3">
+            {emotions.emotions.map(item => (
+              <div key={item.emotion}>
+                <div className="flex justify-between text-sm mb-1">
+                  <span className="text-primary-foreground capitalize">{item.emotion}</span>
+                  <span className="text-primary-foreground/70">
+                    {item.count} ({item.percentage.toFixed(1)}%)
+                  </span>
+                </div>
+                <div className="h-2 rounded overflow-hidden bg-primary-dark">
+                  <div
+                    className={`h-2 ${EMOTION_COLORS[item.emotion] || 'bg-blue-500'}`}
+                    style={{ width: `${item.percentage}%` }}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
 {selectedEvent && (
   <div className="bg-primary rounded-lg shadow-lg shadow-black/10 p-6 mt-6 animate-slide-in">
     <div className="flex flex-col md:flex-row justify-between items-start md:items-center">
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Send, Smile, Meh, Frown, User } from 'react-feather';
 import { useParams } from 'react-router-dom';
 import socketService from '../services/socketService';
+import chatService from '../services/chatService';
 import { Button } from '../components/common/Button';
 import { Loader } from '../components/common/Loader';
 import { v4 as uuidv4 } from 'uuid';
@@ -31,7 +32,14 @@ const ChatMessage = ({ message, isUser }) => (
           </>
         )}
       </div>
-      <p className="text-sm">{message.text}</p>
+      {message.toxic && !isUser ? (
+        <p className="text-sm italic opacity-75">Message hidden by moderation</p>
+      ) : (
+        <p className="text-sm">{message.text}</p>
+      )}
+      {message.toxic && isUser && (
+        <p className="text-xs mt-1 opacity-75">Hidden from others by moderation</p>
+      )}
       <div className="text-xs mt-1 opacity-75 text-right">
         {new Date(message.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
       </div>
@@ -39,6 +47,8 @@ const ChatMessage = ({ message, isUser }) => (
   </div>
 );
 
+const PAGE_SIZE = 50;
+
 const Chat = () => {
   const { eventId } = useParams();
   const [messages, setMessages] = useState([]);
@@ -47,6 +57,9 @@ const Chat = () => {
   const [loading, setLoading] = useState(true);
   const [username, setUsername] = useState('');
   const [tempName, setTempName] = useState('');
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [sendError, setSendError] = useState(null);
   const messagesEndRef = useRef(null);
 
   useEffect(() => {
@@ -54,10 +67,16 @@ const Chat = () => {
 
     const initializeChat = async () => {
       try {
+        // Load persisted history before going live
+        const history = await chatService.getEventMessages(eventId, { limit: PAGE_SIZE });
+        setMessages(history);
+        setHasMore(history.length === PAGE_SIZE);
+
         await socketService.connect();
         socketService.joinEvent(eventId);
-        // Listen to "new-feedback" which is broadcast by the server
-        socketService.on('new-feedback', handleNewMessage);
+        // Listen to "chat-message" which is broadcast by the server
+        socketService.on('chat-message', handleNewMessage);
+        socketService.on('chat-error', handleChatError);
         setIsConnected(true);
         setLoading(false);
       } catch (error) {
@@ -69,7 +88,8 @@ const Chat = () => {
     initializeChat();
 
     return () => {
-      socketService.off('new-feedback');
+      socketService.off('chat-message');
+      socketService.off('chat-error');
       socketService.leaveEvent(eventId);
     };
   }, [eventId, username]);
@@ -80,20 +100,52 @@ const Chat = () => {
 
   const handleNewMessage = (message) => {
     setMessages((prev) => {
-      const exists = prev.some((m) => m.sourceId === message.sourceId);
-      return exists ? prev : [...prev, message];
+      const index = prev.findIndex((m) => m.sourceId === message.sourceId);
+      if (index === -1) {
+        return [...prev, message];
+      }
+      // Replace the optimistic copy with the stored message (adds sentiment)
+      const updated = [...prev];
+      updated[index] = message;
+      return updated;
     });
   };
 
+  const handleChatError = (error) => {
+    setSendError(error?.message || 'Failed to send message');
+    if (error?.sourceId) {
+      setMessages((prev) => prev.filter((m) => m.sourceId !== error.sourceId));
+    }
+  };
+
+  const loadOlderMessages = async () => {
+    if (!messages.length) return;
+
+    try {
+      setLoadingOlder(true);
+      const older = await chatService.getEventMessages(eventId, {
+        limit: PAGE_SIZE,
+        before: messages[0].createdAt
+      });
+      setMessages((prev) => [...older, ...prev]);
+      setHasMore(older.length === PAGE_SIZE);
+    } catch (error) {
+      console.error('Failed to load older messages:', error);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
   const sendMessage = async () => {
     if (!inputMessage.trim()) return;
 
+    setSendError(null);
+
     const newMsg = {
       eventId,
       text: inputMessage.trim(),
       user: username, // Pass the username
       createdAt: new Date(),
-      source: 'direct',
       sourceId: `${Date.now()}-${uuidv4().slice(0, 8)}`,
       userId: socketService.getUserId()
     };
@@ -101,7 +153,7 @@ const Chat = () => {
     // Optimistic update
     handleNewMessage(newMsg);
     // Send to backend via socket
-    socketService.socket.emit('submit-feedback', newMsg);
+    socketService.socket.emit('send-chat-message', newMsg);
 
     setInputMessage('');
   };
@@ -168,6 +220,17 @@ const Chat = () => {
       </div>
 
       <div className="flex-grow overflow-y-auto p-4 space-y-4">
+        {hasMore && (
+          <div className="text-center">
+            <button
+              onClick={loadOlderMessages}
+              disabled={loadingOlder}
+              className="text-sm text-blue-600 hover:underline disabled:opacity-50"
+            >
+              {loadingOlder ? 'Loading...' : 'Load earlier messages'}
+            </button>
+          </div>
+        )}
         {messages.length === 0 ? (
           <div className="text-center text-gray-500 py-10">No messages yet. Start chatting!</div>
         ) : (
@@ -179,6 +242,9 @@ const Chat = () => {
       </div>
 
       <div className="bg-white p-4 border-t">
+        {sendError && (
+          <p className="text-sm text-red-600 mb-2">{sendError}</p>
+        )}
         <div className="flex items-center space-x-2">
           <textarea
             value={inputMessage}
@@ -10,7 +10,8 @@ import {
   Meh,
   Frown,
   Users,
-  RefreshCw
+  RefreshCw,
+  Activity
 } from 'react-feather';
 
 const SentimentPieChart = ({ sentimentData }) => {
@@ -176,7 +177,7 @@ const ChatStats = () => {
         </Button>
       </div>
 
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
         {/* Total Messages Card */}
         <Card>
           <div className="flex items-center">
@@ -203,6 +204,24 @@ const ChatStats = () => {
           </div>
         </Card>
 
+        {/* Activity Card */}
+        <Card>
+          <div className="flex items-center">
+            <div className="p-3 rounded-full bg-yellow-100 mr-4">
+              <Activity size={24} className="text-yellow-600" />
+            </div>
+            <div>
+              <p className="text-sm text-gray-500">Messages / Minute</p>
+              <h3 className="text-2xl font-bold">
+                {(chatStats?.messagesPerMinute?.current || 0).toFixed(1)}
+              </h3>
+              <p className="text-xs text-gray-500">
+                {chatStats?.activeParticipants || 0} active in last 5 min
+              </p>
+            </div>
+          </div>
+        </Card>
+
         {/* Sentiment Summary Card */}
         <Card>
           <div className="flex items-center">
@@ -245,10 +264,28 @@ const ChatStats = () => {
       {/* Latest Messages */}
       <Card className="mt-6">
         <h2 className="text-lg font-medium mb-4">Recent Messages</h2>
-        {/* You could add a component to display recent messages here */}
-        <div className="text-center text-gray-500">
-          Recent messages feature coming soon
-        </div>
+        {chatStats?.recentMessages?.length ? (
+          <ul className="divide-y divide-gray-100">
+            {chatStats.recentMessages.map((message) => (
+              <li key={message._id} className="py-3 flex items-start justify-between">
+                <div>
+                  <span className="text-sm font-medium text-gray-900">{message.user || 'Anonymous'}</span>
+                  <p className="text-sm text-gray-600">{message.text}</p>
+                </div>
+                <div className="flex items-center text-xs text-gray-500 ml-4 whitespace-nowrap">
+                  {message.sentiment === 'positive' && <Smile size={14} className="text-green-500 mr-1" />}
+                  {message.sentiment === 'neutral' && <Meh size={14} className="text-gray-500 mr-1" />}
+                  {message.sentiment === 'negative' && <Frown size={14} className="text-red-500 mr-1" />}
+                  {new Date(message.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <div className="text-center text-gray-500">
+            No chat messages yet
+          </div>
+        )}
       </Card>
     </div>
   );
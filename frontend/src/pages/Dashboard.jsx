@@ -9,6 +9,7 @@ import SentimentOverview from "../components/dashboard/SentimentOverview";
 import ActiveAlerts from "../components/dashboard/ActiveAlerts";
 import FeedbackStream from "../components/dashboard/FeedbackStream";
 import TrendingTopics from "../components/dashboard/TrendingTopics";
+import FeedbackSummary from "../components/dashboard/FeedbackSummary";
 import SentimentChart from "../components/charts/SentimentChart";
 import { Loader } from "../components/common/Loader";
 import { Button } from "../components/common/Button";
@@ -322,6 +323,12 @@ const Dashboard = () => {
             <SentimentChart timeframe={timeframe} eventId={getEventId()} height={300} />
           </div>
 
+          <FeedbackSummary
+            summary={dashboardData?.summary}
+            className="bg-white/5 text-white backdrop-blur-lg rounded-xl shadow-xl p-6 transform transition-all duration-300 hover:shadow-2xl hover:scale-102 hover:rotate-1"
+            style={{ animationDelay: "650ms" }}
+          />
+
           <TrendingTopics
             topics={dashboardData?.trends}
             className="bg-white/5 text-white backdrop-blur-lg rounded-xl shadow-xl p-6 transform transition-all duration-300 hover:shadow-2xl hover:scale-102 hover:rotate-1"
@@ -4,8 +4,10 @@ import { Card } from '../components/common/Card';
 import { Button } from '../components/common/Button';
 import { Modal } from '../components/common/Modal';
 import { Loader } from '../components/common/Loader';
-import { Calendar, MapPin, Clock, Edit, Trash2, Power, ZapOff } from 'react-feather';
+import { Calendar, MapPin, Clock, Edit, Trash2, Power, ZapOff, Clipboard, Tag } from 'react-feather';
 import { QRCodeCanvas } from 'qrcode.react';
+import SurveyBuilder from '../components/forms/SurveyBuilder';
+import IssueTaxonomyEditor from '../components/forms/IssueTaxonomyEditor';
 
 // EventForm Component
 const EventForm = ({ event, onSubmit, onCancel }) => {
@@ -239,7 +241,7 @@ const EventForm = ({ event, onSubmit, onCancel }) => {
 };
 
 // EventCard Component with increased QR size and Download option
-const EventCard = React.memo(({ event, onEdit, onDelete, onToggleActive, onSelect, isSelected }) => {
+const EventCard = React.memo(({ event, onEdit, onDelete, onToggleActive, onSelect, onSurveys, onIssueCategories, isSelected }) => {
   const startDate = new Date(event.startDate);
   const endDate = new Date(event.endDate);
   
@@ -364,6 +366,22 @@ const EventCard = React.memo(({ event, onEdit, onDelete, onToggleActive, onSelec
             {event.isActive ? <ZapOff size={18} /> : <Power size={18} />}
           </button>
           
+          <button
+            onClick={() => onSurveys(event)}
+            className="p-2 rounded-full text-gray-400 hover:text-[#C53070] hover:bg-[#9D174D]/10 transition-all duration-200 transform hover:scale-110 hover:rotate-3 border border-[#3D3D3D]"
+            title="Surveys"
+          >
+            <Clipboard size={18} />
+          </button>
+          
+          <button
+            onClick={() => onIssueCategories(event)}
+            className="p-2 rounded-full text-gray-400 hover:text-[#C53070] hover:bg-[#9D174D]/10 transition-all duration-200 transform hover:scale-110 hover:rotate-3 border border-[#3D3D3D]"
+            title="Issue Categories"
+          >
+            <Tag size={18} />
+          </button>
+          
           <button
             onClick={() => onEdit(event)}
             className="p-2 rounded-full text-gray-400 hover:text-[#C53070] hover:bg-[#9D174D]/10 transition-all duration-200 transform hover:scale-110 hover:rotate-3 border border-[#3D3D3D]"
@@ -442,6 +460,8 @@ const Events = () => {
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [showSurveyModal, setShowSurveyModal] = useState(false);
+  const [showCategoryModal, setShowCategoryModal] = useState(false);
   const [currentEvent, setCurrentEvent] = useState(null);
   const [isDeleting, setIsDeleting] = useState(false);
   const [filter, setFilter] = useState('all');
@@ -481,6 +501,16 @@ const Events = () => {
     setShowEditModal(true);
   }, []);
   
+  const handleSurveys = useCallback((event) => {
+    setCurrentEvent(event);
+    setShowSurveyModal(true);
+  }, []);
+  
+  const handleIssueCategories = useCallback((event) => {
+    setCurrentEvent(event);
+    setShowCategoryModal(true);
+  }, []);
+  
   const handleDelete = useCallback((eventId) => {
     const event = events.find(e => e._id === eventId);
     if (event) {
@@ -574,6 +604,8 @@ const Events = () => {
               onDelete={handleDelete}
               onToggleActive={handleToggleActive}
               onSelect={handleSelectEvent}
+              onSurveys={handleSurveys}
+              onIssueCategories={handleIssueCategories}
               isSelected={selectedEvent && selectedEvent._id === event._id}
             />
           ))}
@@ -605,6 +637,26 @@ const Events = () => {
         />
       </Modal>
       
+      <Modal
+        isOpen={showSurveyModal}
+        onClose={() => setShowSurveyModal(false)}
+        title={`Surveys - ${currentEvent?.name || ''}`}
+        size="xl"
+        className="bg-[#00001A] rounded-xl shadow-xl border border-[#3D3D3D] animate-fade-in"
+      >
+        {currentEvent && <SurveyBuilder eventId={currentEvent._id} />}
+      </Modal>
+      
+      <Modal
+        isOpen={showCategoryModal}
+        onClose={() => setShowCategoryModal(false)}
+        title={`Issue Categories - ${currentEvent?.name || ''}`}
+        size="xl"
+        className="bg-[#00001A] rounded-xl shadow-xl border border-[#3D3D3D] animate-fade-in"
+      >
+        {currentEvent && <IssueTaxonomyEditor eventId={currentEvent._id} />}
+      </Modal>
+      
       <DeleteConfirmationModal
         isOpen={showDeleteModal}
         onClose={() => setShowDeleteModal(false)}
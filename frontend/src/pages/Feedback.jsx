@@ -6,7 +6,11 @@ import { Modal } from '../components/common/Modal';
 import { Loader } from '../components/common/Loader';
 import FeedbackTable from '../components/tables/FeedbackTable';
 import FeedbackForm from '../components/forms/FeedbackForm';
+import FeedbackImportForm from '../components/forms/FeedbackImportForm';
+import ClassifierPanel from '../components/forms/ClassifierPanel';
+import RescorePanel from '../components/forms/RescorePanel';
 import feedbackService from '../services/feedbackService';
+import eventService from '../services/eventService';
 import twitterService from '../services/twitterService'; 
 import debounce from 'lodash/debounce';
 import { 
@@ -20,7 +24,9 @@ import {
   Meh, 
   Frown, 
   Calendar,
-  Twitter
+  Twitter,
+  Upload,
+  Cpu
 } from 'react-feather';
 
 const Feedback = () => {
@@ -37,6 +43,12 @@ const Feedback = () => {
   const [selectedFeedback, setSelectedFeedback] = useState([]);
   const [isBatchModalOpen, setIsBatchModalOpen] = useState(false);
   const [isSearchingTwitter, setIsSearchingTwitter] = useState(false);
+  const [isImportModalOpen, setIsImportModalOpen] = useState(false);
+  const [issueCategories, setIssueCategories] = useState([]);
+  const [isClassifierModalOpen, setIsClassifierModalOpen] = useState(false);
+  const [correction, setCorrection] = useState({ issueType: '', sentiment: '' });
+  const [isSavingCorrection, setIsSavingCorrection] = useState(false);
+  const [originalText, setOriginalText] = useState(null);
   const [batchAction, setBatchAction] = useState({
     processed: true,
     issueType: '',
@@ -48,6 +60,7 @@ const Feedback = () => {
     sentiment: '',
     source: '',
     issueType: '',
+    spam: '',
     startDate: '',
     endDate: '',
     search: ''
@@ -104,6 +117,19 @@ const Feedback = () => {
     }
   }, [newFeedback, selectedEvent]);
   
+  useEffect(() => {
+    if (!selectedEvent?._id) return;
+    
+    eventService.getIssueCategories(selectedEvent._id)
+      .then(({ categories }) => setIssueCategories([...categories, { key: 'other', label: 'Other' }]))
+      .catch(err => console.error('Error fetching issue categories:', err));
+  }, [selectedEvent]);
+  
+  const getIssueLabel = (issueType) => {
+    const category = issueCategories.find(item => item.key === issueType);
+    return category ? category.label : issueType;
+  };
+  
   const handleTwitterSearch = async () => {
     if (!selectedEvent?._id) {
       setError('No event selected for Twitter search');
@@ -142,9 +168,55 @@ const Feedback = () => {
 
   const handleViewFeedback = (feedbackItem) => {
     setViewFeedback(feedbackItem);
+    setCorrection({ issueType: feedbackItem.issueType || '', sentiment: feedbackItem.sentiment });
+    setOriginalText(null);
     setIsModalOpen(true);
   };
   
+  // Spam is excluded from sentiment trends; reviewing it recalculates them
+  const handleSpamReview = async (isSpam) => {
+    if (!viewFeedback) return;
+    try {
+      const updated = await feedbackService.updateFeedback(viewFeedback._id, { spam: isSpam });
+      setViewFeedback(updated);
+      setFeedback(prev => prev.map(item => (item._id === updated._id ? updated : item)));
+    } catch (err) {
+      console.error('Error reviewing spam:', err);
+      setError(typeof err === 'string' ? err : 'Failed to update spam status');
+    }
+  };
+  
+  // Only kept when the server stores originals; the request is logged
+  const handleShowOriginal = async () => {
+    if (!viewFeedback) return;
+    try {
+      const data = await feedbackService.getOriginalText(viewFeedback._id);
+      setOriginalText(data.originalText);
+    } catch (err) {
+      console.error('Error fetching original text:', err);
+      setError(typeof err === 'string' ? err : 'Failed to fetch original text');
+    }
+  };
+  
+  // Corrections are also stored as training examples for the issue classifier
+  const handleSaveCorrection = async () => {
+    if (!viewFeedback) return;
+    try {
+      setIsSavingCorrection(true);
+      const updated = await feedbackService.updateFeedback(viewFeedback._id, {
+        issueType: correction.issueType || null,
+        sentiment: correction.sentiment
+      });
+      setViewFeedback(updated);
+      setFeedback(prev => prev.map(item => (item._id === updated._id ? updated : item)));
+    } catch (err) {
+      console.error('Error correcting feedback:', err);
+      setError(typeof err === 'string' ? err : 'Failed to save correction');
+    } finally {
+      setIsSavingCorrection(false);
+    }
+  };
+  
   const handleDeleteFeedback = async (id) => {
     try {
       await feedbackService.deleteFeedback(id);
@@ -185,6 +257,7 @@ const Feedback = () => {
       sentiment: '',
       source: '',
       issueType: '',
+      spam: '',
       startDate: '',
       endDate: '',
       search: ''
@@ -231,6 +304,12 @@ const Feedback = () => {
     }
   };
 
+  const handleImportComplete = useCallback(() => {
+    if (selectedEvent && selectedEvent._id) {
+      debouncedFetchFeedback(selectedEvent._id, 1, filters);
+    }
+  }, [selectedEvent, filters, debouncedFetchFeedback]);
+
   return (
     <div className="p-6 bg-[#00001A] min-h-screen">
       <div className="bg-white/5 backdrop-blur-lg rounded-xl shadow-xl p-6 mb-6 transform transition-all duration-300 hover:scale-[1.01] hover:shadow-2xl">
@@ -258,6 +337,26 @@ const Feedback = () => {
               {isSearchingTwitter ? 'Searching...' : 'Search Twitter'}
             </Button>
             
+            <Button
+              variant="primary"
+              onClick={() => setIsImportModalOpen(true)}
+              icon={<Upload size={16} />}
+              disabled={!selectedEvent}
+              className="mb-2 sm:mb-0"
+            >
+              Import
+            </Button>
+            
+            <Button
+              variant="primary"
+              onClick={() => setIsClassifierModalOpen(true)}
+              icon={<Cpu size={16} />}
+              disabled={!selectedEvent}
+              className="mb-2 sm:mb-0"
+            >
+              Classifier
+            </Button>
+            
             <Button
               variant="primary"
               onClick={() => selectedEvent && selectedEvent._id ? debouncedFetchFeedback(selectedEvent._id, pagination.page, filters) : setError('No event selected')}
@@ -364,6 +463,7 @@ const Feedback = () => {
                   <option value="linkedin">LinkedIn</option>
                   <option value="direct">Direct</option>
                   <option value="survey">Survey</option>
+                  <option value="webhook">Webhook</option>
                   <option value="app_chat">App Chat</option>
                 </select>
               </div>
@@ -380,15 +480,9 @@ const Feedback = () => {
                   onChange={handleFilterChange}
                 >
                   <option value="">All Issues</option>
-                  <option value="queue">Queue/Waiting</option>
-                  <option value="audio">Audio</option>
-                  <option value="video">Video/Display</option>
-                  <option value="crowding">Crowding</option>
-                  <option value="amenities">Amenities</option>
-                  <option value="content">Content</option>
-                  <option value="temperature">Temperature</option>
-                  <option value="safety">Safety</option>
-                  <option value="other">Other</option>
+                  {issueCategories.map(category => (
+                    <option key={category.key} value={category.key}>{category.label}</option>
+                  ))}
                 </select>
               </div>
               
@@ -408,7 +502,24 @@ const Feedback = () => {
               </div>
             </div>
             
-            <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="mt-4 grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <label htmlFor="spam" className="block text-sm font-medium text-gray-300 mb-1">
+                  Spam
+                </label>
+                <select
+                  id="spam"
+                  name="spam"
+                  className="block w-full rounded-md bg-gray-800 border border-gray-700 text-white shadow-sm focus:border-[#9D174D] focus:ring-[#9D174D] sm:text-sm"
+                  value={filters.spam}
+                  onChange={handleFilterChange}
+                >
+                  <option value="">All Feedback</option>
+                  <option value="false">Hide Spam</option>
+                  <option value="true">Spam Only</option>
+                </select>
+              </div>
+              
               <div>
                 <label htmlFor="startDate" className="block text-sm font-medium text-gray-300 mb-1">
                   Start Date
@@ -584,8 +695,47 @@ const Feedback = () => {
                 <div>
                   <h3 className="text-sm font-medium text-gray-300">Feedback</h3>
                   <p className="mt-1 text-white">{viewFeedback.text}</p>
+                  {(viewFeedback.moderation?.toxic || viewFeedback.moderation?.piiTypes?.length > 0) && (
+                    <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+                      {viewFeedback.moderation.toxic && (
+                        <span className="px-2 py-0.5 rounded-full bg-red-900/40 text-red-300">
+                          Toxic{viewFeedback.moderation.toxicityLabels?.length > 0 && `: ${viewFeedback.moderation.toxicityLabels.join(', ')}`}
+                        </span>
+                      )}
+                      {viewFeedback.moderation.piiTypes?.length > 0 && (
+                        <>
+                          <span className="px-2 py-0.5 rounded-full bg-gray-800 text-gray-300">
+                            Redacted: {viewFeedback.moderation.piiTypes.join(', ')}
+                          </span>
+                          {!originalText && (
+                            <Button variant="text" size="sm" onClick={handleShowOriginal}>Show original</Button>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  )}
+                  {originalText && (
+                    <p className="mt-2 text-sm text-gray-400">Original: {originalText}</p>
+                  )}
                 </div>
                 
+                {viewFeedback.spam?.score > 0 && (
+                  <div className={`rounded-md p-3 text-sm ${viewFeedback.spam.isSpam ? 'bg-yellow-900/30' : 'bg-gray-800'}`}>
+                    <div className="flex items-center justify-between">
+                      <span className={viewFeedback.spam.isSpam ? 'text-yellow-300' : 'text-gray-300'}>
+                        {viewFeedback.spam.isSpam ? 'Marked as spam' : 'Spam score'} ({Math.round(viewFeedback.spam.score * 100)}%)
+                        {viewFeedback.spam.reviewedAt && ' · reviewed'}
+                      </span>
+                      <Button variant="text" size="sm" onClick={() => handleSpamReview(!viewFeedback.spam.isSpam)}>
+                        {viewFeedback.spam.isSpam ? 'Not spam' : 'Mark as spam'}
+                      </Button>
+                    </div>
+                    {viewFeedback.spam.reasons?.length > 0 && (
+                      <p className="mt-1 text-xs text-gray-400">{viewFeedback.spam.reasons.join(', ')}</p>
+                    )}
+                  </div>
+                )}
+                
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                   <div>
                     <h3 className="text-sm font-medium text-gray-300">Source</h3>
@@ -606,15 +756,63 @@ const Feedback = () => {
                   
                   <div>
                     <h3 className="text-sm font-medium text-gray-300">Issue Type</h3>
-                    <p className="mt-1 capitalize text-white">
-                      {viewFeedback.issueType || 'Not classified'}
+                    <p className="mt-1 text-white">
+                      {viewFeedback.issueType ? getIssueLabel(viewFeedback.issueType) : 'Not classified'}
+                    </p>
+                  </div>
+                  
+                  <div>
+                    <h3 className="text-sm font-medium text-gray-300">Emotion</h3>
+                    <p className={`mt-1 capitalize ${viewFeedback.emotion === 'fear' ? 'text-red-400' : 'text-white'}`}>
+                      {viewFeedback.emotion || 'None detected'}
                     </p>
                   </div>
                   
+                  <div className="md:col-span-2 rounded-md bg-gray-800 p-3">
+                    <h3 className="text-sm font-medium text-gray-300 mb-2">Correct Classification</h3>
+                    <div className="flex flex-wrap items-center gap-2">
+                      <select
+                        className="rounded-md bg-gray-900 border border-gray-700 text-white sm:text-sm px-2 py-1"
+                        value={correction.issueType}
+                        onChange={(e) => setCorrection({ ...correction, issueType: e.target.value })}
+                      >
+                        <option value="">Not classified</option>
+                        {issueCategories.map(category => (
+                          <option key={category.key} value={category.key}>{category.label}</option>
+                        ))}
+                      </select>
+                      <select
+                        className="rounded-md bg-gray-900 border border-gray-700 text-white sm:text-sm px-2 py-1"
+                        value={correction.sentiment}
+                        onChange={(e) => setCorrection({ ...correction, sentiment: e.target.value })}
+                      >
+                        <option value="positive">Positive</option>
+                        <option value="neutral">Neutral</option>
+                        <option value="negative">Negative</option>
+                      </select>
+                      <Button
+                        variant="primary"
+                        size="sm"
+                        onClick={handleSaveCorrection}
+                        disabled={isSavingCorrection || (
+                          correction.issueType === (viewFeedback.issueType || '') &&
+                          correction.sentiment === viewFeedback.sentiment
+                        )}
+                      >
+                        {isSavingCorrection ? 'Saving...' : 'Save Correction'}
+                      </Button>
+                    </div>
+                  </div>
+                  
                   <div>
                     <h3 className="text-sm font-medium text-gray-300">Location</h3>
                     <p className="mt-1 text-white">
                       {viewFeedback.issueDetails?.location || 'Not specified'}
+                      {viewFeedback.issueDetails?.locationConfidence != null && (
+                        <span className="ml-2 text-xs text-gray-400">
+                          (auto, {Math.round(viewFeedback.issueDetails.locationConfidence * 100)}%)
+                        </span>
+                      )}
                     </p>
                   </div>
                 </div>
@@ -638,6 +836,22 @@ const Feedback = () => {
             )}
           </Modal>
           
+          <Modal
+            isOpen={isClassifierModalOpen}
+            onClose={() => setIsClassifierModalOpen(false)}
+            title="Issue Classifier"
+            size="xl"
+            className="bg-[#00001A] border border-[#9D174D]/50"
+          >
+            {selectedEvent && <ClassifierPanel eventId={selectedEvent._id} />}
+            {selectedEvent && (
+              <div className="mt-6 pt-4 border-t border-gray-700">
+                <h3 className="text-sm font-medium text-gray-300 mb-2">Re-score Feedback</h3>
+                <RescorePanel eventId={selectedEvent._id} onComplete={handleImportComplete} />
+              </div>
+            )}
+          </Modal>
+          
           <Modal
             isOpen={isDeleteModalOpen}
             onClose={() => setIsDeleteModalOpen(false)}
@@ -714,15 +928,9 @@ const Feedback = () => {
                   onChange={(e) => setBatchAction({...batchAction, issueType: e.target.value})}
                 >
                   <option value="">No Change</option>
-                  <option value="queue">Queue/Waiting</option>
-                  <option value="audio">Audio</option>
-                  <option value="video">Video/Display</option>
-                  <option value="crowding">Crowding</option>
-                  <option value="amenities">Amenities</option>
-                  <option value="content">Content</option>
-                  <option value="temperature">Temperature</option>
-                  <option value="safety">Safety</option>
-                  <option value="other">Other</option>
+                  {issueCategories.map(category => (
+                    <option key={category.key} value={category.key}>{category.label}</option>
+                  ))}
                 </select>
               </div>
               
@@ -769,6 +977,16 @@ const Feedback = () => {
               }}
             />
           </Modal>
+          
+          <Modal
+            isOpen={isImportModalOpen}
+            onClose={() => setIsImportModalOpen(false)}
+            title="Import Feedback"
+            size="lg"
+            className="bg-[#00001A] border border-[#9D174D]/50"
+          >
+            <FeedbackImportForm onComplete={handleImportComplete} />
+          </Modal>
         </>
       )}
     </div>
@@ -17,7 +17,12 @@ import {
   ZapOff,
   AlertCircle,
   Check,
-  MessageCircle
+  MessageCircle,
+  Link,
+  Plus,
+  Trash2,
+  Key,
+  Eye
 } from 'react-feather';
 
 const IntegrationCard = ({ 
@@ -116,6 +121,294 @@ const IntegrationCard = ({
   );
 };
 
+const EMPTY_CONNECTOR = {
+  name: '',
+  sourceLabel: '',
+  fieldMapping: {
+    items: '',
+    text: '$.text',
+    user: '',
+    timestamp: '',
+    location: '',
+    id: ''
+  }
+};
+
+const MAPPING_FIELDS = [
+  { key: 'text', label: 'Text', placeholder: '$.event.text' },
+  { key: 'user', label: 'User', placeholder: '$.event.user.name' },
+  { key: 'timestamp', label: 'Timestamp', placeholder: '$.event.ts' },
+  { key: 'location', label: 'Location', placeholder: '$.event.channel' },
+  { key: 'id', label: 'Message ID', placeholder: '$.event.client_msg_id' },
+  { key: 'items', label: 'Items (batched payloads)', placeholder: '$.messages' }
+];
+
+const inputClassName = 'block w-full rounded-md bg-gray-800 border border-gray-700 text-white shadow-sm focus:border-[#9D174D] focus:ring-[#9D174D] sm:text-sm px-3 py-2';
+
+const WebhookConnectors = ({ selectedEvent }) => {
+  const [connectors, setConnectors] = useState([]);
+  const [form, setForm] = useState(EMPTY_CONNECTOR);
+  const [showForm, setShowForm] = useState(false);
+  const [samplePayload, setSamplePayload] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [revealedSecret, setRevealedSecret] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  
+  useEffect(() => {
+    fetchConnectors();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedEvent]);
+  
+  const fetchConnectors = async () => {
+    try {
+      setLoading(true);
+      setConnectors(await integrationService.getWebhookConnectors(selectedEvent._id));
+    } catch (err) {
+      console.error('Error fetching webhook connectors:', err);
+      setError('Failed to load webhook connectors.');
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  const handleMappingChange = (key, value) => {
+    setForm(prev => ({ ...prev, fieldMapping: { ...prev.fieldMapping, [key]: value } }));
+    setPreview(null);
+  };
+  
+  const handlePreview = async () => {
+    try {
+      setError(null);
+      const payload = JSON.parse(samplePayload);
+      setPreview(await integrationService.previewWebhookMapping(selectedEvent._id, form.fieldMapping, payload));
+    } catch (err) {
+      setError(err instanceof SyntaxError ? 'Sample payload is not valid JSON.' : err.toString());
+    }
+  };
+  
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setError(null);
+      const connector = await integrationService.createWebhookConnector(selectedEvent._id, form);
+      setRevealedSecret({ id: connector.id, secret: connector.secret });
+      setForm(EMPTY_CONNECTOR);
+      setSamplePayload('');
+      setPreview(null);
+      setShowForm(false);
+      fetchConnectors();
+    } catch (err) {
+      setError(err.toString());
+    }
+  };
+  
+  const handleToggle = async (connector) => {
+    try {
+      await integrationService.updateWebhookConnector(selectedEvent._id, connector.id, { active: !connector.active });
+      fetchConnectors();
+    } catch (err) {
+      setError(err.toString());
+    }
+  };
+  
+  const handleRotate = async (connector) => {
+    if (!window.confirm('Generate a new secret? Senders using the old one will be rejected.')) return;
+    try {
+      const updated = await integrationService.rotateWebhookSecret(selectedEvent._id, connector.id);
+      setRevealedSecret({ id: updated.id, secret: updated.secret });
+    } catch (err) {
+      setError(err.toString());
+    }
+  };
+  
+  const handleDelete = async (connector) => {
+    if (!window.confirm(`Delete the "${connector.name}" webhook?`)) return;
+    try {
+      await integrationService.deleteWebhookConnector(selectedEvent._id, connector.id);
+      fetchConnectors();
+    } catch (err) {
+      setError(err.toString());
+    }
+  };
+  
+  return (
+    <Card className="mb-6 bg-[#00001A] border border-[#3D3D3D] shadow-lg">
+      <div className="flex justify-between items-start">
+        <div className="flex items-center">
+          <Link size={24} className="text-green-400" />
+          <div className="ml-4">
+            <h3 className="text-lg font-medium text-white">Custom Webhooks</h3>
+            <p className="text-sm text-gray-400 mt-1">
+              Receive feedback from chatbots, Slack workspaces or any tool that can send JSON.
+            </p>
+          </div>
+        </div>
+        
+        <Button
+          variant="primary"
+          size="sm"
+          onClick={() => setShowForm(!showForm)}
+          icon={<Plus size={16} />}
+          className="bg-[#9D174D] hover:bg-[#C53070] text-white border border-[#C53070]"
+        >
+          New Webhook
+        </Button>
+      </div>
+      
+      {error && (
+        <div className="bg-red-900/20 text-red-300 p-3 rounded-md mt-4 text-sm">
+          {error}
+        </div>
+      )}
+      
+      {revealedSecret && (
+        <div className="bg-yellow-900/20 text-yellow-200 p-3 rounded-md mt-4 text-sm">
+          <p className="mb-1">Copy this secret now, it will not be shown again:</p>
+          <code className="break-all text-white">{revealedSecret.secret}</code>
+          <p className="mt-2 text-xs text-yellow-300">
+            Sign each request body with HMAC-SHA256 and send it as <code>X-Webhook-Signature: sha256=&lt;hex&gt;</code>,
+            or send the secret in <code>X-Webhook-Token</code>.
+          </p>
+          <button className="mt-2 text-xs underline" onClick={() => setRevealedSecret(null)}>Dismiss</button>
+        </div>
+      )}
+      
+      {showForm && (
+        <form onSubmit={handleCreate} className="mt-4 p-4 bg-gray-800 rounded-md space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm text-gray-300 mb-1">Name</label>
+              <input
+                className={inputClassName}
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="Helpdesk chatbot"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-300 mb-1">Source label</label>
+              <input
+                className={inputClassName}
+                value={form.sourceLabel}
+                onChange={(e) => setForm(prev => ({ ...prev, sourceLabel: e.target.value }))}
+                placeholder="slack"
+                required
+              />
+            </div>
+          </div>
+          
+          <div>
+            <h4 className="text-sm font-medium text-white mb-2">Field mapping</h4>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {MAPPING_FIELDS.map(field => (
+                <div key={field.key}>
+                  <label className="block text-xs text-gray-400 mb-1">{field.label}</label>
+                  <input
+                    className={inputClassName}
+                    value={form.fieldMapping[field.key]}
+                    onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                    placeholder={field.placeholder}
+                    required={field.key === 'text'}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+          
+          <div>
+            <label className="block text-sm text-gray-300 mb-1">Sample payload (optional)</label>
+            <textarea
+              className={`${inputClassName} font-mono`}
+              rows={5}
+              value={samplePayload}
+              onChange={(e) => { setSamplePayload(e.target.value); setPreview(null); }}
+              placeholder='{"event": {"text": "The audio in hall A is too quiet", "user": {"name": "sam"}}}'
+            />
+            {preview && (
+              <div className="mt-2 text-sm text-gray-300">
+                {preview.items.map((item, index) => (
+                  <div key={index} className="py-1 border-b border-gray-700 last:border-0">
+                    <span className="text-white">{item.text}</span>
+                    <span className="text-gray-400"> by {item.user}{item.location ? ` at ${item.location}` : ''}</span>
+                  </div>
+                ))}
+                {preview.skipped.map(entry => (
+                  <div key={`skipped-${entry.index}`} className="py-1 text-yellow-300">
+                    Item {entry.index}: {entry.reason}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+          
+          <div className="flex justify-end space-x-2">
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={handlePreview}
+              disabled={!samplePayload.trim()}
+              icon={<Eye size={16} />}
+            >
+              Preview
+            </Button>
+            <Button type="submit" variant="primary" size="sm">
+              Create Webhook
+            </Button>
+          </div>
+        </form>
+      )}
+      
+      <div className="mt-4">
+        {loading ? (
+          <Loader size="sm" />
+        ) : connectors.length === 0 ? (
+          <p className="text-sm text-gray-400">No custom webhooks for this event yet.</p>
+        ) : (
+          connectors.map(connector => (
+            <div key={connector.id} className="p-4 bg-gray-800 rounded-md mb-3">
+              <div className="flex justify-between items-start">
+                <div>
+                  <h4 className="text-white font-medium">
+                    {connector.name}
+                    <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-700 text-gray-300">{connector.sourceLabel}</span>
+                  </h4>
+                  <code className="block text-xs text-gray-400 mt-1 break-all">{connector.url}</code>
+                  <p className="text-xs text-gray-400 mt-1">
+                    {connector.receivedCount} received
+                    {connector.lastReceivedAt && ` · last ${new Date(connector.lastReceivedAt).toLocaleString()}`}
+                  </p>
+                  {connector.lastError && (
+                    <p className="text-xs text-red-300 mt-1">{connector.lastError}</p>
+                  )}
+                </div>
+                <div className="flex items-center space-x-2">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleToggle(connector)}
+                    icon={connector.active ? <ZapOff size={14} /> : <Power size={14} />}
+                    className="text-white"
+                  >
+                    {connector.active ? 'Pause' : 'Resume'}
+                  </Button>
+                  <Button variant="secondary" size="sm" onClick={() => handleRotate(connector)} icon={<Key size={14} />}>
+                    Rotate Secret
+                  </Button>
+                  <Button variant="danger" size="sm" onClick={() => handleDelete(connector)} icon={<Trash2 size={14} />}>
+                    Delete
+                  </Button>
+                </div>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </Card>
+  );
+};
+
 const IntegrationSettings = ({ selectedEvent }) => {
   const [twitterStatus, setTwitterStatus] = useState(null);
   const [instagramStatus, setInstagramStatus] = useState(null);
@@ -291,6 +584,8 @@ const IntegrationSettings = ({ selectedEvent }) => {
         status={linkedinStatus?.status}
         configOptions={true}
       />
+      
+      <WebhookConnectors selectedEvent={selectedEvent} />
     </div>
   );
 };
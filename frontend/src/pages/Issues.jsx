@@ -0,0 +1,643 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { EventContext } from '../context/EventContext';
+import { SocketContext } from '../context/SocketContext';
+import { Card } from '../components/common/Card';
+import { Button } from '../components/common/Button';
+import { Loader } from '../components/common/Loader';
+import issueService from '../services/issueService';
+import eventService from '../services/eventService';
+import {
+  AlertTriangle,
+  AlertCircle,
+  Info,
+  RefreshCw,
+  MapPin,
+  User,
+  CheckCircle,
+  XCircle,
+  PlayCircle,
+  RotateCcw,
+  GitMerge,
+  MessageCircle,
+  Bell
+} from 'react-feather';
+
+const STATUS_LABELS = {
+  detected: 'Detected',
+  confirmed: 'Confirmed',
+  inProgress: 'In Progress',
+  resolved: 'Resolved',
+  falsePositive: 'False Positive'
+};
+
+const getSeverityIcon = (severity) => {
+  switch (severity) {
+    case 'critical': return <AlertCircle size={16} className="text-red-500" />;
+    case 'high': return <AlertTriangle size={16} className="text-orange-500" />;
+    case 'medium': return <AlertTriangle size={16} className="text-yellow-500" />;
+    case 'low':
+    default: return <Info size={16} className="text-blue-500" />;
+  }
+};
+
+const getStatusClass = (status) => {
+  switch (status) {
+    case 'detected': return 'bg-red-100 text-red-800 border-red-300';
+    case 'confirmed': return 'bg-blue-100 text-blue-800 border-blue-300';
+    case 'inProgress': return 'bg-yellow-100 text-yellow-800 border-yellow-300';
+    case 'resolved': return 'bg-green-100 text-green-800 border-green-300';
+    case 'falsePositive':
+    default: return 'bg-gray-100 text-gray-800 border-gray-300';
+  }
+};
+
+const getSentimentClass = (sentiment) => {
+  switch (sentiment) {
+    case 'positive': return 'bg-green-500';
+    case 'negative': return 'bg-red-500';
+    default: return 'bg-gray-400';
+  }
+};
+
+const formatDate = (date) => {
+  return date ? new Date(date).toLocaleString() : 'N/A';
+};
+
+const IssueStats = ({ stats }) => {
+  if (!stats) return null;
+
+  const items = [
+    { label: 'Active', value: stats.active, className: 'text-white' },
+    { label: 'Detected', value: stats.status.detected, className: 'text-red-400' },
+    { label: 'In Progress', value: stats.status.inProgress, className: 'text-yellow-400' },
+    { label: 'Critical / High', value: stats.activeBySeverity.critical + stats.activeBySeverity.high, className: 'text-orange-400' },
+    { label: 'Resolved', value: stats.status.resolved, className: 'text-green-400' }
+  ];
+
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+      {items.map(item => (
+        <div key={item.label} className="bg-white/5 rounded-xl p-4">
+          <p className="text-sm text-gray-400">{item.label}</p>
+          <p className={`text-2xl font-bold ${item.className}`}>{item.value}</p>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const IssueFilters = ({ filters, setFilters, assignees, typeLabels }) => {
+  const update = (field) => (e) => setFilters(prev => ({ ...prev, [field]: e.target.value }));
+  const selectClass = 'bg-gray-800 border border-gray-600 text-white rounded-md p-2 text-sm';
+
+  return (
+    <div className="flex flex-wrap gap-3 mb-4">
+      <select className={selectClass} value={filters.status} onChange={update('status')}>
+        <option value="active">Active</option>
+        <option value="all">All statuses</option>
+        {Object.entries(STATUS_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      <select className={selectClass} value={filters.severity} onChange={update('severity')}>
+        <option value="all">All severities</option>
+        {['critical', 'high', 'medium', 'low'].map(severity => (
+          <option key={severity} value={severity}>{severity}</option>
+        ))}
+      </select>
+      <select className={selectClass} value={filters.type} onChange={update('type')}>
+        <option value="all">All types</option>
+        {Object.entries(typeLabels).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+      </select>
+      <select className={selectClass} value={filters.assignedTo} onChange={update('assignedTo')}>
+        <option value="all">Anyone</option>
+        <option value="me">Assigned to me</option>
+        <option value="unassigned">Unassigned</option>
+        {assignees.map(user => <option key={user._id} value={user._id}>{user.name}</option>)}
+      </select>
+      <input
+        type="text"
+        placeholder="Search title, description or keywords"
+        className={`${selectClass} flex-1 min-w-[200px]`}
+        value={filters.search}
+        onChange={update('search')}
+      />
+    </div>
+  );
+};
+
+const IssueList = ({ issues, typeLabels, activeId, selectedIds, onSelect, onToggle }) => (
+  <ul className="divide-y divide-gray-700">
+    {issues.map(issue => (
+      <li
+        key={issue._id}
+        className={`flex items-start p-3 cursor-pointer hover:bg-white/5 ${activeId === issue._id ? 'bg-[#9D174D]/20' : ''}`}
+        onClick={() => onSelect(issue._id)}
+      >
+        <input
+          type="checkbox"
+          className="mt-1 mr-3 h-4 w-4 text-[#9D174D] focus:ring-[#9D174D] border-gray-600 rounded bg-gray-900"
+          checked={selectedIds.includes(issue._id)}
+          onClick={(e) => e.stopPropagation()}
+          onChange={() => onToggle(issue._id)}
+          title="Select to merge"
+        />
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-2">
+            {getSeverityIcon(issue.severity)}
+            <span className="font-medium text-white truncate">{issue.title}</span>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 mt-1 text-xs text-gray-400">
+            <span className={`px-2 py-0.5 rounded-full border ${getStatusClass(issue.status)}`}>
+              {STATUS_LABELS[issue.status]}
+            </span>
+            <span>{typeLabels[issue.type] || issue.type}</span>
+            {issue.location && (
+              <span className="flex items-center"><MapPin size={12} className="mr-1" />{issue.location}</span>
+            )}
+            <span className="flex items-center"><MessageCircle size={12} className="mr-1" />{issue.metadata?.feedbackCount || 0}</span>
+            {issue.assignedTo && (
+              <span className="flex items-center"><User size={12} className="mr-1" />{issue.assignedTo.name}</span>
+            )}
+          </div>
+        </div>
+      </li>
+    ))}
+  </ul>
+);
+
+const FeedbackTimeline = ({ feedback }) => {
+  if (!feedback || feedback.length === 0) {
+    return <p className="text-sm text-gray-400">No linked feedback.</p>;
+  }
+
+  return (
+    <ol className="relative border-l border-gray-600 ml-2">
+      {feedback.map(item => (
+        <li key={item._id} className="mb-4 ml-4">
+          <span className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full ${getSentimentClass(item.sentiment)}`} />
+          <p className="text-xs text-gray-400">
+            {formatDate(item.createdAt)} • {item.sourceLabel || item.source}
+            {item.user && ` • ${item.user}`}
+            {item.issueDetails?.location && ` • ${item.issueDetails.location}`}
+          </p>
+          <p className="text-sm text-gray-200">{item.text}</p>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+const IssueDetail = ({ issue, typeLabels, assignees, selectedCount, onStatusChange, onAssign, onMerge }) => {
+  const [resolutionNotes, setResolutionNotes] = useState('');
+  const [showResolve, setShowResolve] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setResolutionNotes(issue.resolutionNotes || '');
+    setShowResolve(false);
+    setError(null);
+  }, [issue._id]);
+
+  const run = async (action) => {
+    try {
+      setSaving(true);
+      setError(null);
+      await action();
+      setShowResolve(false);
+    } catch (err) {
+      setError(err.toString());
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const isActive = ['detected', 'confirmed', 'inProgress'].includes(issue.status);
+
+  return (
+    <div className="space-y-5">
+      <div>
+        <div className="flex items-center gap-2">
+          {getSeverityIcon(issue.severity)}
+          <h2 className="text-lg font-semibold text-white">{issue.title}</h2>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 mt-2 text-xs text-gray-400">
+          <span className={`px-2 py-0.5 rounded-full border ${getStatusClass(issue.status)}`}>
+            {STATUS_LABELS[issue.status]}
+          </span>
+          <span><span className="capitalize">{issue.severity}</span> • {typeLabels[issue.type] || issue.type}{issue.subtype ? ` / ${issue.subtype}` : ''}</span>
+          {issue.location && <span className="flex items-center"><MapPin size={12} className="mr-1" />{issue.location}</span>}
+          <span>First seen {formatDate(issue.metadata?.firstDetectedAt)}</span>
+          <span>Last mentioned {formatDate(issue.metadata?.lastMentionedAt)}</span>
+        </div>
+        <p className="mt-3 text-sm text-gray-300">{issue.description}</p>
+        {issue.metadata?.keywords?.length > 0 && (
+          <div className="flex flex-wrap gap-1 mt-2">
+            {issue.metadata.keywords.map(keyword => (
+              <span key={keyword} className="px-2 py-0.5 text-xs rounded bg-gray-700 text-gray-200">{keyword}</span>
+            ))}
+          </div>
+        )}
+        {issue.resolutionNotes && (
+          <p className="mt-3 text-sm text-green-300">Resolution: {issue.resolutionNotes}</p>
+        )}
+      </div>
+
+      {error && (
+        <div className="rounded-md bg-red-900/20 p-3 text-sm text-red-300">{error}</div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          className="bg-gray-800 border border-gray-600 text-white rounded-md p-2 text-sm"
+          value={issue.assignedTo?._id || ''}
+          disabled={saving}
+          onChange={(e) => run(() => onAssign(issue._id, e.target.value || null))}
+        >
+          <option value="">Unassigned</option>
+          {assignees.map(user => <option key={user._id} value={user._id}>{user.name}</option>)}
+        </select>
+        {issue.status === 'detected' && (
+          <Button
+            size="sm"
+            variant="primary"
+            disabled={saving}
+            icon={<CheckCircle size={14} className="mr-1" />}
+            onClick={() => run(() => onStatusChange(issue._id, 'confirmed'))}
+          >
+            Confirm
+          </Button>
+        )}
+        {['detected', 'confirmed'].includes(issue.status) && (
+          <Button
+            size="sm"
+            variant="secondary"
+            disabled={saving}
+            icon={<PlayCircle size={14} className="mr-1" />}
+            onClick={() => run(() => onStatusChange(issue._id, 'inProgress'))}
+          >
+            Start
+          </Button>
+        )}
+        {isActive && (
+          <>
+            <Button
+              size="sm"
+              variant="success"
+              disabled={saving}
+              icon={<CheckCircle size={14} className="mr-1" />}
+              onClick={() => setShowResolve(true)}
+            >
+              Resolve
+            </Button>
+            <Button
+              size="sm"
+              variant="secondary"
+              disabled={saving}
+              icon={<XCircle size={14} className="mr-1" />}
+              onClick={() => run(() => onStatusChange(issue._id, 'falsePositive'))}
+            >
+              False Positive
+            </Button>
+          </>
+        )}
+        {!isActive && (
+          <Button
+            size="sm"
+            variant="secondary"
+            disabled={saving}
+            icon={<RotateCcw size={14} className="mr-1" />}
+            onClick={() => run(() => onStatusChange(issue._id, issue.status === 'resolved' ? 'confirmed' : 'detected'))}
+          >
+            Reopen
+          </Button>
+        )}
+        {selectedCount > 0 && (
+          <Button
+            size="sm"
+            variant="secondary"
+            disabled={saving}
+            icon={<GitMerge size={14} className="mr-1" />}
+            onClick={() => run(() => onMerge(issue._id))}
+          >
+            Merge {selectedCount} selected into this
+          </Button>
+        )}
+      </div>
+
+      {showResolve && (
+        <div className="space-y-2">
+          <textarea
+            className="w-full bg-gray-800 border border-gray-600 text-white rounded-md p-2 text-sm"
+            rows="3"
+            placeholder="Resolution notes"
+            value={resolutionNotes}
+            onChange={(e) => setResolutionNotes(e.target.value)}
+          />
+          <p className="text-xs text-gray-400">Open alerts linked to this issue will be resolved too.</p>
+          <div className="flex gap-2">
+            <Button
+              size="sm"
+              variant="success"
+              disabled={saving}
+              onClick={() => run(() => onStatusChange(issue._id, 'resolved', { resolutionNotes }))}
+            >
+              Confirm Resolve
+            </Button>
+            <Button size="sm" variant="secondary" onClick={() => setShowResolve(false)}>Cancel</Button>
+          </div>
+        </div>
+      )}
+
+      <div>
+        <h3 className="text-sm font-semibold text-white mb-2 flex items-center">
+          <Bell size={14} className="mr-2" /> Linked Alerts ({issue.alerts?.length || 0})
+        </h3>
+        {issue.alerts?.length > 0 ? (
+          <ul className="space-y-1">
+            {issue.alerts.map(alert => (
+              <li key={alert._id} className="flex justify-between text-sm text-gray-300">
+                <span>{alert.title}</span>
+                <span className="text-xs text-gray-400 capitalize">{alert.status}</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-400">No alerts raised for this issue.</p>
+        )}
+      </div>
+
+      <div>
+        <h3 className="text-sm font-semibold text-white mb-3 flex items-center">
+          <MessageCircle size={14} className="mr-2" /> Feedback Timeline ({issue.feedback?.length || 0})
+        </h3>
+        <FeedbackTimeline feedback={issue.feedback} />
+      </div>
+
+      {issue.statusUpdates?.length > 0 && (
+        <div>
+          <h3 className="text-sm font-semibold text-white mb-2">History</h3>
+          <ul className="space-y-1 text-xs text-gray-400">
+            {[...issue.statusUpdates].reverse().map(update => (
+              <li key={update._id}>
+                {formatDate(update.timestamp)} • {STATUS_LABELS[update.status] || update.status}
+                {update.updatedBy?.name && ` by ${update.updatedBy.name}`}
+                {update.note && ` — ${update.note}`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Issues = () => {
+  const { selectedEvent } = useContext(EventContext);
+  const { issueUpdate } = useContext(SocketContext);
+  const [issues, setIssues] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [assignees, setAssignees] = useState([]);
+  const [typeLabels, setTypeLabels] = useState({});
+  const [activeIssue, setActiveIssue] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, totalPages: 0 });
+  const [filters, setFilters] = useState({
+    status: 'active',
+    severity: 'all',
+    type: 'all',
+    assignedTo: 'all',
+    search: ''
+  });
+
+  const fetchIssues = useCallback(async () => {
+    if (!selectedEvent) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = { page: pagination.page, limit: pagination.limit };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value && value !== 'all') params[key] = value;
+      });
+
+      const [response, counts] = await Promise.all([
+        issueService.getEventIssues(selectedEvent._id, params),
+        issueService.getIssueStats(selectedEvent._id)
+      ]);
+
+      setIssues(response.data);
+      setStats(counts);
+      setPagination(prev => ({
+        ...prev,
+        total: response.total,
+        totalPages: response.pagination.totalPages
+      }));
+    } catch (err) {
+      console.error('Error fetching issues:', err);
+      setError('Failed to load issues. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedEvent, pagination.page, pagination.limit, filters]);
+
+  const openIssue = useCallback(async (issueId) => {
+    try {
+      setActiveIssue(await issueService.getIssue(issueId));
+    } catch (err) {
+      console.error('Error fetching issue:', err);
+      setError('Failed to load issue details.');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchIssues();
+  }, [fetchIssues]);
+
+  useEffect(() => {
+    setActiveIssue(null);
+    setSelectedIds([]);
+    if (!selectedEvent) return;
+
+    issueService.getAssignees(selectedEvent._id)
+      .then(setAssignees)
+      .catch(err => console.error('Error fetching assignees:', err));
+
+    eventService.getIssueCategories(selectedEvent._id)
+      .then(({ categories }) => {
+        const labels = {};
+        categories.forEach(category => {
+          labels[category.key] = category.label;
+        });
+        setTypeLabels({ ...labels, other: 'Other' });
+      })
+      .catch(err => console.error('Error fetching issue categories:', err));
+  }, [selectedEvent]);
+
+  useEffect(() => {
+    if (!issueUpdate || !selectedEvent || issueUpdate.issue?.event !== selectedEvent._id) return;
+
+    fetchIssues();
+    if (activeIssue && issueUpdate.issue._id === activeIssue._id) {
+      openIssue(activeIssue._id);
+    } else if (activeIssue && issueUpdate.mergedIds?.includes(activeIssue._id)) {
+      openIssue(issueUpdate.issue._id);
+    }
+  }, [issueUpdate]);
+
+  const afterChange = async (issueId) => {
+    await openIssue(issueId);
+    fetchIssues();
+  };
+
+  const handleStatusChange = async (issueId, status, details) => {
+    await issueService.updateIssueStatus(issueId, status, details);
+    await afterChange(issueId);
+  };
+
+  const handleAssign = async (issueId, userId) => {
+    await issueService.assignIssue(issueId, userId);
+    await afterChange(issueId);
+  };
+
+  const handleMerge = async (issueId) => {
+    await issueService.mergeIssues(issueId, selectedIds.filter(id => id !== issueId));
+    setSelectedIds([]);
+    await afterChange(issueId);
+  };
+
+  const toggleSelected = (issueId) => {
+    setSelectedIds(prev => prev.includes(issueId) ? prev.filter(id => id !== issueId) : [...prev, issueId]);
+  };
+
+  if (!selectedEvent) {
+    return (
+      <div className="flex flex-col items-center justify-center h-96 animate-fade-in bg-[#00001A] rounded-xl">
+        <AlertTriangle size={48} className="mb-4 text-gray-400" />
+        <h3 className="text-xl font-semibold text-white">No event selected</h3>
+        <p className="mt-1 text-sm text-gray-400">
+          Please select an event to triage issues.
+        </p>
+        <Button
+          variant="primary"
+          className="mt-4 bg-[#9D174D] hover:bg-[#C53070] text-white"
+          onClick={() => window.location.href = '/events'}
+        >
+          Go to Events
+        </Button>
+      </div>
+    );
+  }
+
+  const mergeCount = activeIssue ? selectedIds.filter(id => id !== activeIssue._id).length : 0;
+
+  return (
+    <div className="p-6 bg-[#00001A] min-h-screen">
+      <div className="bg-white/5 backdrop-blur-lg rounded-xl shadow-xl p-6 mb-6">
+        <div className="flex justify-between items-center">
+          <h1 className="text-2xl font-bold bg-gradient-to-r from-[#9D174D] to-[#C53070] bg-clip-text text-transparent">
+            Issues for {selectedEvent.name}
+          </h1>
+          <Button
+            variant="secondary"
+            onClick={fetchIssues}
+            icon={<RefreshCw size={16} className="mr-2" />}
+            disabled={loading}
+            className="bg-gray-700 hover:bg-gray-600 text-white"
+          >
+            Refresh
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-6 rounded-md bg-red-900/20 p-4 text-sm text-red-300">{error}</div>
+      )}
+
+      <IssueStats stats={stats} />
+
+      <IssueFilters
+        filters={filters}
+        setFilters={(update) => {
+          setFilters(update);
+          setPagination(prev => ({ ...prev, page: 1 }));
+        }}
+        assignees={assignees}
+        typeLabels={typeLabels}
+      />
+
+      <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+        <Card className="lg:col-span-2 bg-white/5 rounded-xl p-0 overflow-hidden">
+          <div className="p-3 text-sm text-gray-400 border-b border-gray-700">
+            {pagination.total} issue{pagination.total !== 1 ? 's' : ''}
+            {selectedIds.length > 0 && ` • ${selectedIds.length} selected`}
+          </div>
+          {loading ? (
+            <div className="flex h-64 items-center justify-center">
+              <Loader size="lg" />
+            </div>
+          ) : issues.length === 0 ? (
+            <div className="flex h-64 flex-col items-center justify-center">
+              <CheckCircle size={40} className="mb-3 text-gray-400" />
+              <p className="text-sm text-gray-400">No issues match these filters.</p>
+            </div>
+          ) : (
+            <IssueList
+              issues={issues}
+              typeLabels={typeLabels}
+              activeId={activeIssue?._id}
+              selectedIds={selectedIds}
+              onSelect={openIssue}
+              onToggle={toggleSelected}
+            />
+          )}
+          {pagination.totalPages > 1 && (
+            <div className="flex items-center justify-center gap-4 p-3 border-t border-gray-700">
+              <Button
+                size="sm"
+                variant="secondary"
+                disabled={pagination.page === 1}
+                onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))}
+              >
+                Previous
+              </Button>
+              <span className="text-sm text-gray-300">Page {pagination.page} of {pagination.totalPages}</span>
+              <Button
+                size="sm"
+                variant="secondary"
+                disabled={pagination.page === pagination.totalPages}
+                onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))}
+              >
+                Next
+              </Button>
+            </div>
+          )}
+        </Card>
+
+        <Card className="lg:col-span-3 bg-white/5 rounded-xl p-6">
+          {activeIssue ? (
+            <IssueDetail
+              issue={activeIssue}
+              typeLabels={typeLabels}
+              assignees={assignees}
+              selectedCount={mergeCount}
+              onStatusChange={handleStatusChange}
+              onAssign={handleAssign}
+              onMerge={handleMerge}
+            />
+          ) : (
+            <div className="flex h-64 flex-col items-center justify-center text-sm text-gray-400">
+              Select an issue to see its feedback timeline and triage it.
+            </div>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default Issues;
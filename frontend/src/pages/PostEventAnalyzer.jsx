@@ -31,6 +31,7 @@ const PostEventAnalysis = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('overview');
+  const [exporting, setExporting] = useState(null);
   
   // Check if report is available
   useEffect(() => {
@@ -76,31 +77,31 @@ const PostEventAnalysis = () => {
   
   const handleExport = async (format = 'json') => {
     try {
+      setExporting(format);
       const eventToUse = selectedEvent?.id || selectedEvent?._id || eventId;
-      const data = await postEventAnalyticsService.exportPostEventReport(eventToUse, format);
+      const data = await postEventAnalyticsService.exportPostEventReport(
+        eventToUse,
+        format,
+        report.eventStatus !== 'completed'
+      );
       
-      if (format === 'json') {
-        // For JSON, create a download file
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${report.event.name.replace(/\s+/g, '_')}_report.json`;
-        document.body.appendChild(a);
-        a.click();
-        a.remove();
-      } else {
-        // For other formats (like PDF), the API response should be a blob
-        const url = URL.createObjectURL(data);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${report.event.name.replace(/\s+/g, '_')}_report.${format}`;
-        document.body.appendChild(a);
-        a.click();
-        a.remove();
-      }
+      // JSON comes back parsed; PDF and the CSV zip bundle come back as blobs
+      const blob = format === 'json'
+        ? new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' })
+        : data;
+      const extension = format === 'csv' ? 'csv.zip' : format;
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${report.event.name.replace(/\s+/g, '_')}_report.${extension}`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
     } catch (err) {
       setError('Failed to export report: ' + err.message);
+    } finally {
+      setExporting(null);
     }
   };
   
@@ -231,13 +232,32 @@ const PostEventAnalysis = () => {
             </div>
           </div>
           <div className="flex space-x-2">
+            <Button
+              variant="primary"
+              icon={<Download size={16} />}
+              onClick={() => handleExport('pdf')}
+              disabled={!!exporting}
+              className="bg-accent hover:bg-accent-dark text-accent-foreground transition-all duration-200 transform hover:scale-105"
+            >
+              {exporting === 'pdf' ? 'Exporting...' : 'PDF'}
+            </Button>
+            <Button
+              variant="primary"
+              icon={<Download size={16} />}
+              onClick={() => handleExport('csv')}
+              disabled={!!exporting}
+              className="bg-accent hover:bg-accent-dark text-accent-foreground transition-all duration-200 transform hover:scale-105"
+            >
+              {exporting === 'csv' ? 'Exporting...' : 'CSV'}
+            </Button>
             <Button
               variant="primary"
               icon={<Download size={16} />}
               onClick={() => handleExport('json')}
+              disabled={!!exporting}
               className="bg-accent hover:bg-accent-dark text-accent-foreground transition-all duration-200 transform hover:scale-105"
             >
-              Export
+              {exporting === 'json' ? 'Exporting...' : 'JSON'}
             </Button>
             <Button
               variant="primary"
@@ -344,6 +364,84 @@ const PostEventAnalysis = () => {
             </div>
           </div>
 
+          {/* Survey Scores */}
+          {report.surveys.responseCount > 0 && (
+            <div className="bg-primary rounded-lg shadow-lg shadow-black/10 p-6">
+              <h2 className="text-xl font-bold mb-4 text-primary-foreground">Survey Results</h2>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                <div className="bg-primary-dark rounded-lg p-3">
+                  <div className="flex justify-between items-center">
+                    <span className="text-primary-foreground/70">Responses</span>
+                    <span className="text-xl font-bold text-primary-foreground">{report.surveys.responseCount}</span>
+                  </div>
+                </div>
+                <div className="bg-primary-dark rounded-lg p-3">
+                  <div className="flex justify-between items-center">
+                    <span className="text-primary-foreground/70">NPS</span>
+                    <span className={`text-xl font-bold ${report.surveys.nps ? (report.surveys.nps.score >= 0 ? 'text-green-500' : 'text-red-500') : 'text-primary-foreground'}`}>
+                      {report.surveys.nps ? report.surveys.nps.score : '–'}
+                    </span>
+                  </div>
+                </div>
+                <div className="bg-primary-dark rounded-lg p-3">
+                  <div className="flex justify-between items-center">
+                    <span className="text-primary-foreground/70">CSAT</span>
+                    <span className="text-xl font-bold text-primary-foreground">
+                      {report.surveys.csat ? `${report.surveys.csat.score}%` : '–'}
+                    </span>
+                  </div>
+                </div>
+              </div>
+              {report.surveys.surveys.map(survey => (
+                <div key={survey.id} className="mb-3">
+                  <h3 className="font-medium text-primary-foreground mb-1">
+                    {survey.title} <span className="text-sm text-primary-foreground/50">({survey.responseCount} responses)</span>
+                  </h3>
+                  {survey.questions.filter(question => question.answered > 0).map(question => (
+                    <div key={question.id} className="flex justify-between text-sm py-1 border-b border-primary-dark">
+                      <span className="text-primary-foreground/70">{question.prompt}</span>
+                      <span className="text-primary-foreground">
+                        {question.type === 'nps' && question.nps && `NPS ${question.nps.score}`}
+                        {question.type === 'rating' && `${question.average} / ${question.scale}`}
+                        {question.type === 'multiple_choice' && [...question.options].sort((a, b) => b.count - a.count)[0].option}
+                        {question.type === 'text' && `${question.sentiment.positive} positive / ${question.sentiment.negative} negative`}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Feedback Topics */}
+          {report.topics?.clusters?.length > 0 && (
+            <div className="bg-primary rounded-lg shadow-lg shadow-black/10 p-6">
+              <h2 className="text-xl font-bold mb-4 text-primary-foreground">Feedback Topics</h2>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {report.topics.clusters.map((cluster, index) => (
+                  <div key={index} className="bg-primary-dark rounded-lg p-3">
+                    <div className="flex justify-between items-center mb-1">
+                      <span className="font-medium text-primary-foreground capitalize">{cluster.label}</span>
+                      <span className="text-sm text-primary-foreground/70">{cluster.count} mentions</span>
+                    </div>
+                    <div className="flex h-1.5 rounded-full overflow-hidden mb-2">
+                      <div className="bg-green-500" style={{ width: `${(cluster.sentiment.positive / cluster.count) * 100}%` }} />
+                      <div className="bg-gray-400" style={{ width: `${(cluster.sentiment.neutral / cluster.count) * 100}%` }} />
+                      <div className="bg-red-500" style={{ width: `${(cluster.sentiment.negative / cluster.count) * 100}%` }} />
+                    </div>
+                    {cluster.exemplars.slice(0, 2).map(exemplar => (
+                      <p key={exemplar.id} className="text-sm text-primary-foreground/80 italic">"{exemplar.text}"</p>
+                    ))}
+                    <div className="mt-2 text-xs text-primary-foreground/50">
+                      First mentioned {new Date(cluster.emergence.firstSeen).toLocaleString()}
+                      {cluster.keywords.length > 2 && ` • ${cluster.keywords.slice(2).join(', ')}`}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Top Feedback Examples */}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             {/* Positive Feedback */}
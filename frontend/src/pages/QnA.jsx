@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import { ThumbsUp, CheckCircle, Clock, HelpCircle } from 'react-feather';
+import socketService from '../services/socketService';
+import qnaService from '../services/qnaService';
+import { Button } from '../components/common/Button';
+import { Loader } from '../components/common/Loader';
+
+const sortQuestions = (questions, sort) => {
+  const sorted = [...questions];
+  if (sort === 'recent') {
+    return sorted.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+  return sorted.sort((a, b) => b.upvotes - a.upvotes || new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+const QuestionItem = ({ question, voted, onUpvote }) => (
+  <div className="bg-white rounded-lg shadow-sm p-4 flex">
+    <button
+      onClick={() => onUpvote(question)}
+      disabled={question.status === 'pending'}
+      className={`flex flex-col items-center justify-center mr-4 px-2 rounded ${
+        voted ? 'text-blue-600' : 'text-gray-500 hover:text-blue-600'
+      } disabled:opacity-40`}
+    >
+      <ThumbsUp size={18} />
+      <span className="text-sm font-medium">{question.upvotes}</span>
+    </button>
+    <div className="flex-grow">
+      <p className="text-gray-900">{question.text}</p>
+      <div className="flex items-center space-x-3 mt-1 text-xs text-gray-500">
+        <span>{question.user || 'Anonymous'}</span>
+        {question.session && question.session !== 'general' && <span>· {question.session}</span>}
+        {question.status === 'pending' && (
+          <span className="flex items-center text-yellow-600">
+            <Clock size={12} className="mr-1" /> Awaiting moderation
+          </span>
+        )}
+        {question.status === 'answered' && (
+          <span className="flex items-center text-green-600">
+            <CheckCircle size={12} className="mr-1" /> Answered
+          </span>
+        )}
+      </div>
+      {question.answer && (
+        <div className="mt-2 p-2 bg-green-50 rounded text-sm text-gray-700">{question.answer}</div>
+      )}
+    </div>
+  </div>
+);
+
+const QnA = () => {
+  const { eventId } = useParams();
+  const [questions, setQuestions] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [activeSession, setActiveSession] = useState('');
+  const [sort, setSort] = useState('top');
+  const [text, setText] = useState('');
+  const [name, setName] = useState('');
+  const [votes, setVotes] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const upsertQuestion = useCallback((question) => {
+    setQuestions((prev) => {
+      const index = prev.findIndex((q) => q._id === question._id);
+      if (index === -1) {
+        return [...prev, question];
+      }
+      const updated = [...prev];
+      updated[index] = { ...updated[index], ...question };
+      return updated;
+    });
+  }, []);
+
+  const removeQuestion = useCallback((question) => {
+    setQuestions((prev) => prev.filter((q) => q._id !== question._id));
+  }, []);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [questionData, sessionData] = await Promise.all([
+          qnaService.getEventQuestions(eventId),
+          qnaService.getSessions(eventId)
+        ]);
+        setQuestions(questionData);
+        setSessions(sessionData);
+      } catch (error) {
+        console.error('Failed to load questions:', error);
+        setMessage({ type: 'error', text: 'Failed to load questions' });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    const subscribe = async () => {
+      try {
+        await socketService.connect();
+        socketService.joinEvent(eventId);
+        socketService.on('new-question', upsertQuestion);
+        socketService.on('question-updated', upsertQuestion);
+        socketService.on('question-removed', removeQuestion);
+      } catch (error) {
+        console.error('Q&A live updates unavailable:', error);
+      }
+    };
+
+    load();
+    subscribe();
+
+    return () => {
+      socketService.off('new-question');
+      socketService.off('question-updated');
+      socketService.off('question-removed');
+      socketService.leaveEvent(eventId);
+    };
+  }, [eventId, upsertQuestion, removeQuestion]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    try {
+      setSubmitting(true);
+      const question = await qnaService.askQuestion(eventId, {
+        text: text.trim(),
+        user: name.trim(),
+        session: activeSession || undefined
+      });
+      upsertQuestion(question);
+      setText('');
+      setMessage(question.status === 'pending'
+        ? { type: 'info', text: 'Your question will appear once a moderator approves it.' }
+        : { type: 'success', text: 'Question posted!' });
+    } catch (error) {
+      setMessage({ type: 'error', text: typeof error === 'string' ? error : 'Failed to submit question' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleUpvote = async (question) => {
+    try {
+      const { question: updated, upvoted } = await qnaService.upvoteQuestion(question._id);
+      upsertQuestion(updated);
+      setVotes((prev) => ({ ...prev, [question._id]: upvoted }));
+    } catch (error) {
+      console.error('Upvote failed:', error);
+    }
+  };
+
+  const visible = sortQuestions(
+    questions.filter((q) => !activeSession || q.session === activeSession),
+    sort
+  );
+
+  if (loading) {
+    return (
+      <div className="flex h-screen items-center justify-center">
+        <Loader size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <div className="bg-white shadow-md p-4">
+        <h2 className="text-xl font-bold text-gray-800 flex items-center">
+          <HelpCircle size={20} className="mr-2" /> Live Q&A
+        </h2>
+        {sessions.length > 0 && (
+          <div className="flex flex-wrap gap-2 mt-3">
+            <button
+              onClick={() => setActiveSession('')}
+              className={`px-3 py-1 rounded-full text-sm ${!activeSession ? 'bg-blue-600 text-white' : 'bg-gray-200'}`}
+            >
+              All
+            </button>
+            {sessions.map((s) => (
+              <button
+                key={s.session}
+                onClick={() => setActiveSession(s.session)}
+                className={`px-3 py-1 rounded-full text-sm ${activeSession === s.session ? 'bg-blue-600 text-white' : 'bg-gray-200'}`}
+              >
+                {s.session} ({s.total})
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="max-w-2xl mx-auto p-4 space-y-4">
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm p-4 space-y-3">
+          {message && (
+            <div className={`text-sm ${
+              message.type === 'error' ? 'text-red-600' : message.type === 'info' ? 'text-yellow-700' : 'text-green-600'
+            }`}>
+              {message.text}
+            </div>
+          )}
+          <input
+            type="text"
+            placeholder="Your name (optional)"
+            className="w-full p-2 border rounded"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <textarea
+            placeholder="Ask a question..."
+            className="w-full p-2 border rounded"
+            rows="3"
+            maxLength={500}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+          />
+          <Button type="submit" variant="primary" disabled={submitting || !text.trim()}>
+            {submitting ? 'Submitting...' : 'Ask'}
+          </Button>
+        </form>
+
+        <div className="flex justify-end space-x-2 text-sm">
+          <button onClick={() => setSort('top')} className={sort === 'top' ? 'font-semibold' : 'text-gray-500'}>Top</button>
+          <button onClick={() => setSort('recent')} className={sort === 'recent' ? 'font-semibold' : 'text-gray-500'}>Recent</button>
+        </div>
+
+        {visible.length === 0 ? (
+          <div className="text-center text-gray-500 py-10">No questions yet. Be the first to ask!</div>
+        ) : (
+          visible.map((question) => (
+            <QuestionItem
+              key={question._id}
+              question={question}
+              voted={votes[question._id]}
+              onUpvote={handleUpvote}
+            />
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QnA;
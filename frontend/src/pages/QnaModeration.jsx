@@ -0,0 +1,251 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { EventContext } from '../context/EventContext';
+import { SocketContext } from '../context/SocketContext';
+import { Card } from '../components/common/Card';
+import { Button } from '../components/common/Button';
+import { Loader } from '../components/common/Loader';
+import qnaService from '../services/qnaService';
+import {
+  HelpCircle,
+  RefreshCw,
+  CheckCircle,
+  XCircle,
+  ThumbsUp,
+  AlertTriangle,
+  Trash2
+} from 'react-feather';
+
+const STATUSES = ['pending', 'approved', 'answered', 'dismissed'];
+
+const getStatusClass = (status) => {
+  switch (status) {
+    case 'pending': return 'bg-yellow-100 text-yellow-800 border-yellow-300';
+    case 'approved': return 'bg-blue-100 text-blue-800 border-blue-300';
+    case 'answered': return 'bg-green-100 text-green-800 border-green-300';
+    case 'dismissed':
+    default: return 'bg-gray-100 text-gray-800 border-gray-300';
+  }
+};
+
+const QnaModeration = () => {
+  const { selectedEvent } = useContext(EventContext);
+  const { socket } = useContext(SocketContext);
+  const [questions, setQuestions] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [sessionFilter, setSessionFilter] = useState('');
+  const [answers, setAnswers] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchQueue = useCallback(async () => {
+    if (!selectedEvent) return;
+
+    try {
+      setLoading(true);
+      const response = await qnaService.getModerationQueue(selectedEvent._id, {
+        status: statusFilter || undefined,
+        session: sessionFilter || undefined
+      });
+      setQuestions(response.data);
+      setSessions(response.sessions || []);
+      setError(null);
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to load questions');
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedEvent, statusFilter, sessionFilter]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleChange = (question) => {
+      if (question.event !== selectedEvent?._id) return;
+      setQuestions((prev) => {
+        const matches = (!statusFilter || question.status === statusFilter) &&
+          (!sessionFilter || question.session === sessionFilter);
+        const others = prev.filter((q) => q._id !== question._id);
+        return matches ? [question, ...others] : others;
+      });
+    };
+
+    socket.on('moderation:new-question', handleChange);
+    socket.on('moderation:question-updated', handleChange);
+    socket.on('moderation:question-removed', handleChange);
+
+    return () => {
+      socket.off('moderation:new-question', handleChange);
+      socket.off('moderation:question-updated', handleChange);
+      socket.off('moderation:question-removed', handleChange);
+    };
+  }, [socket, selectedEvent, statusFilter, sessionFilter]);
+
+  const applyUpdate = async (question, update) => {
+    try {
+      const updated = await qnaService.moderateQuestion(question._id, update);
+      setQuestions((prev) => {
+        const others = prev.filter((q) => q._id !== updated._id);
+        return !statusFilter || updated.status === statusFilter
+          ? prev.map((q) => (q._id === updated._id ? updated : q))
+          : others;
+      });
+      setAnswers((prev) => ({ ...prev, [question._id]: '' }));
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to update question');
+    }
+  };
+
+  const handleDelete = async (question) => {
+    if (!window.confirm('Delete this question permanently?')) return;
+
+    try {
+      await qnaService.deleteQuestion(question._id);
+      setQuestions((prev) => prev.filter((q) => q._id !== question._id));
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to delete question');
+    }
+  };
+
+  if (!selectedEvent) {
+    return (
+      <div className="flex h-64 flex-col items-center justify-center p-6">
+        <HelpCircle size={48} className="mb-4 text-gray-400" />
+        <h3 className="text-lg font-medium text-gray-900">No event selected</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          Please select an event to moderate questions.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-bold">Q&A Moderation</h1>
+        <Button
+          variant="secondary"
+          onClick={fetchQueue}
+          icon={<RefreshCw size={16} />}
+        >
+          Refresh
+        </Button>
+      </div>
+
+      <div className="flex flex-wrap gap-4 mb-6">
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="border rounded p-2"
+        >
+          <option value="">All statuses</option>
+          {STATUSES.map((status) => (
+            <option key={status} value={status}>{status}</option>
+          ))}
+        </select>
+        <select
+          value={sessionFilter}
+          onChange={(e) => setSessionFilter(e.target.value)}
+          className="border rounded p-2"
+        >
+          <option value="">All sessions</option>
+          {sessions.map((s) => (
+            <option key={s.session} value={s.session}>
+              {s.session} ({s.pending} pending)
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 text-red-800 p-4 rounded-md mb-4">{error}</div>
+      )}
+
+      {loading ? (
+        <div className="flex h-64 items-center justify-center">
+          <Loader size="lg" />
+        </div>
+      ) : questions.length === 0 ? (
+        <Card>
+          <div className="text-center text-gray-400">No questions in this view</div>
+        </Card>
+      ) : (
+        <div className="space-y-4">
+          {questions.map((question) => (
+            <Card key={question._id}>
+              <div className="flex justify-between items-start">
+                <div className="flex-grow">
+                  <p className="text-white">{question.text}</p>
+                  <div className="flex items-center flex-wrap gap-3 mt-2 text-xs text-gray-400">
+                    <span>{question.user || 'Anonymous'}</span>
+                    <span>{question.session}</span>
+                    <span className="flex items-center">
+                      <ThumbsUp size={12} className="mr-1" /> {question.upvotes}
+                    </span>
+                    <span className={`px-2 py-0.5 rounded border ${getStatusClass(question.status)}`}>
+                      {question.status}
+                    </span>
+                    {question.flagged && (
+                      <span className="flex items-center text-red-400">
+                        <AlertTriangle size={12} className="mr-1" />
+                        {question.flagReason === 'issue' ? `Issue: ${question.issueType}` : 'Hostile'}
+                      </span>
+                    )}
+                  </div>
+                  {question.answer && (
+                    <div className="mt-2 text-sm text-green-300">Answer: {question.answer}</div>
+                  )}
+                </div>
+                <div className="flex space-x-2 ml-4">
+                  {question.status !== 'approved' && question.status !== 'answered' && (
+                    <Button size="sm" variant="success" onClick={() => applyUpdate(question, { status: 'approved' })} icon={<CheckCircle size={14} />}>
+                      Approve
+                    </Button>
+                  )}
+                  {question.status !== 'dismissed' && (
+                    <Button size="sm" variant="secondary" onClick={() => applyUpdate(question, { status: 'dismissed' })} icon={<XCircle size={14} />}>
+                      Dismiss
+                    </Button>
+                  )}
+                  <Button size="sm" variant="danger" onClick={() => handleDelete(question)} icon={<Trash2 size={14} />}>
+                    Delete
+                  </Button>
+                </div>
+              </div>
+              {question.status !== 'dismissed' && (
+                <div className="flex mt-3 space-x-2">
+                  <input
+                    type="text"
+                    placeholder="Type an answer..."
+                    className="flex-grow p-2 rounded border bg-transparent text-white border-[#3D3D3D]"
+                    value={answers[question._id] || ''}
+                    onChange={(e) => setAnswers((prev) => ({ ...prev, [question._id]: e.target.value }))}
+                  />
+                  <Button
+                    size="sm"
+                    variant="primary"
+                    disabled={!answers[question._id]?.trim()}
+                    onClick={() => applyUpdate(question, { answer: answers[question._id].trim() })}
+                  >
+                    Answer
+                  </Button>
+                  {question.status === 'approved' && (
+                    <Button size="sm" variant="outline" onClick={() => applyUpdate(question, { status: 'answered' })}>
+                      Mark answered live
+                    </Button>
+                  )}
+                </div>
+              )}
+            </Card>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QnaModeration;
@@ -1,13 +1,118 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useParams } from 'react-router-dom';
 import { Button } from '../components/common/Button';
+import { Loader } from '../components/common/Loader';
 import api from '../services/api';
+import surveyService from '../services/surveyService';
+
+const SurveyQuestion = ({ question, value, onChange }) => {
+  switch (question.type) {
+    case 'nps':
+      return (
+        <div>
+          <div className="flex flex-wrap gap-1">
+            {Array.from({ length: 11 }, (_, score) => (
+              <button
+                key={score}
+                type="button"
+                onClick={() => onChange(score)}
+                className={`w-9 h-9 rounded border ${value === score ? 'bg-blue-600 text-white border-blue-600' : 'bg-white hover:bg-gray-100'}`}
+              >
+                {score}
+              </button>
+            ))}
+          </div>
+          <div className="flex justify-between text-xs text-gray-500 mt-1">
+            <span>Not likely</span>
+            <span>Very likely</span>
+          </div>
+        </div>
+      );
+
+    case 'rating':
+      return (
+        <div className="flex flex-wrap gap-1">
+          {Array.from({ length: question.scale }, (_, index) => index + 1).map(score => (
+            <button
+              key={score}
+              type="button"
+              onClick={() => onChange(score)}
+              className={`w-9 h-9 rounded border ${value === score ? 'bg-blue-600 text-white border-blue-600' : 'bg-white hover:bg-gray-100'}`}
+            >
+              {score}
+            </button>
+          ))}
+        </div>
+      );
+
+    case 'multiple_choice': {
+      const selected = value || [];
+      const toggle = (option) => {
+        if (!question.allowMultiple) {
+          onChange([option]);
+        } else {
+          onChange(selected.includes(option) ? selected.filter(item => item !== option) : [...selected, option]);
+        }
+      };
+      return (
+        <div className="space-y-1">
+          {question.options.map(option => (
+            <label key={option} className="flex items-center">
+              <input
+                type={question.allowMultiple ? 'checkbox' : 'radio'}
+                name={question._id}
+                className="mr-2"
+                checked={selected.includes(option)}
+                onChange={() => toggle(option)}
+              />
+              {option}
+            </label>
+          ))}
+        </div>
+      );
+    }
+
+    case 'text':
+    default:
+      return (
+        <textarea
+          className="w-full p-2 border rounded"
+          rows="3"
+          maxLength={2000}
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      );
+  }
+};
 
 const SubmitFeedback = () => {
   const { eventId } = useParams();
   const [text, setText] = useState('');
   const [username, setUsername] = useState('');
   const [status, setStatus] = useState(null);
+  const [surveys, setSurveys] = useState([]);
+  const [survey, setSurvey] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  useEffect(() => {
+    const fetchSurveys = async () => {
+      try {
+        const published = await surveyService.getPublishedSurveys(eventId);
+        setSurveys(published);
+        setSurvey(published[0] || null);
+      } catch (error) {
+        // No surveys available; fall back to the free-text form
+        console.error(error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSurveys();
+  }, [eventId]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -26,32 +131,99 @@ const SubmitFeedback = () => {
     }
   };
 
+  const handleSurveySubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setErrorMessage(null);
+      await surveyService.submitResponse(
+        survey._id,
+        Object.entries(answers).map(([question, value]) => ({ question, value })),
+        username
+      );
+      setStatus('success');
+      setAnswers({});
+    } catch (error) {
+      setErrorMessage(error.toString());
+      setStatus('error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="p-8 flex justify-center">
+        <Loader />
+      </div>
+    );
+  }
+
   return (
     <div className="p-8 max-w-xl mx-auto bg-white shadow rounded">
-      <h1 className="text-2xl font-bold mb-4">Submit Feedback</h1>
+      <h1 className="text-2xl font-bold mb-4">{survey ? survey.title : 'Submit Feedback'}</h1>
       {status === 'success' && (
-        <div className="mb-4 text-green-600">Feedback submitted!</div>
+        <div className="mb-4 text-green-600">{survey ? 'Thanks for completing the survey!' : 'Feedback submitted!'}</div>
       )}
       {status === 'error' && (
-        <div className="mb-4 text-red-600">Error submitting feedback.</div>
+        <div className="mb-4 text-red-600">{errorMessage || 'Error submitting feedback.'}</div>
+      )}
+
+      {surveys.length > 1 && (
+        <select
+          className="w-full p-2 border rounded mb-4"
+          value={survey._id}
+          onChange={(e) => {
+            setSurvey(surveys.find(item => item._id === e.target.value));
+            setAnswers({});
+            setStatus(null);
+          }}
+        >
+          {surveys.map(item => <option key={item._id} value={item._id}>{item.title}</option>)}
+        </select>
+      )}
+
+      {survey ? (
+        <form onSubmit={handleSurveySubmit} className="space-y-6">
+          {survey.description && <p className="text-gray-600">{survey.description}</p>}
+          <input
+            type="text"
+            placeholder="Your name (optional)"
+            className="w-full p-2 border rounded"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+          />
+          {survey.questions.map(question => (
+            <div key={question._id}>
+              <label className="block font-medium mb-2">
+                {question.prompt}
+                {question.required && <span className="text-red-600"> *</span>}
+              </label>
+              <SurveyQuestion
+                question={question}
+                value={answers[question._id]}
+                onChange={(value) => setAnswers(prev => ({ ...prev, [question._id]: value }))}
+              />
+            </div>
+          ))}
+          <Button type="submit" variant="primary" disabled={status === 'success'}>Submit</Button>
+        </form>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <input
+            type="text"
+            placeholder="Your name"
+            className="w-full p-2 border rounded"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+          />
+          <textarea
+            placeholder="Your feedback"
+            className="w-full p-2 border rounded"
+            rows="4"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+          />
+          <Button type="submit" variant="primary">Submit</Button>
+        </form>
       )}
-      <form onSubmit={handleSubmit} className="space-y-4">
-        <input
-          type="text"
-          placeholder="Your name"
-          className="w-full p-2 border rounded"
-          value={username}
-          onChange={(e) => setUsername(e.target.value)}
-        />
-        <textarea
-          placeholder="Your feedback"
-          className="w-full p-2 border rounded"
-          rows="4"
-          value={text}
-          onChange={(e) => setText(e.target.value)}
-        />
-        <Button type="submit" variant="primary">Submit</Button>
-      </form>
     </div>
   );
 };
@@ -149,13 +149,16 @@ const alertService = {
   
   /**
    * Get alert types, categories, and severities
+   * @param {string} eventId - Event whose issue categories to use (optional)
    * @returns {Promise} Promise object with alert metadata
    */
-  getAlertTypes: async () => {
+  getAlertTypes: async (eventId) => {
     try {
       // Fixed: Use /api/alerts/type-metadata instead of /api/alerts/types
       // This avoids conflict with the /:alertId route pattern
-      const response = await api.get('/alerts/alert-types');
+      const response = await api.get('/alerts/alert-types', {
+        params: eventId ? { eventId } : {}
+      });
       return response.data.data;
     } catch (error) {
       console.error('Error fetching alert types:', error);
@@ -123,6 +123,25 @@ getEventInsights: async (eventId, force = false) => {
     }
   },
   
+  /**
+   * Get emotion counts (anger, fear, joy, ...) over time for an event
+   * @param {string} eventId - Event ID
+   * @param {string} timeframe - Time grouping ('minute', 'hour', 'day')
+   * @param {number} limit - Number of data points to return
+   * @returns {Promise} Promise object with emotion trend data
+   */
+  getEmotionTrend: async (eventId, timeframe = 'hour', limit = 24) => {
+    try {
+      const response = await api.get(`/analytics/emotions/trend/${eventId}`, {
+        params: { timeframe, limit }
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('API Error:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch emotion trend');
+    }
+  },
+  
   /**
    * Get feedback source distribution for an event
    * @param {string} eventId - Event ID
@@ -139,6 +158,38 @@ getEventInsights: async (eventId, force = false) => {
     }
   },
   
+  /**
+   * Get the detected language of feedback for an event, with sentiment per language
+   * @param {string} eventId - Event ID
+   * @param {Object} params - Query parameters (startTime, endTime)
+   * @returns {Promise} Promise object with language distribution data
+   */
+  getLanguageDistribution: async (eventId, params = {}) => {
+    try {
+      const response = await api.get(`/analytics/languages/${eventId}`, { params });
+      return response.data.data;
+    } catch (error) {
+      console.error('API Error:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch language distribution');
+    }
+  },
+  
+  /**
+   * Get sentiment per aspect (queue, audio, content, ...) for an event
+   * @param {string} eventId - Event ID
+   * @param {Object} params - Query parameters (startTime, endTime)
+   * @returns {Promise} Promise object with aspect sentiment data
+   */
+  getAspectSentiment: async (eventId, params = {}) => {
+    try {
+      const response = await api.get(`/analytics/aspects/${eventId}`, { params });
+      return response.data.data;
+    } catch (error) {
+      console.error('API Error:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch aspect sentiment');
+    }
+  },
+  
   /**
    * Get trending topics for an event
    * @param {string} eventId - Event ID
@@ -155,6 +206,22 @@ getEventInsights: async (eventId, force = false) => {
     }
   },
   
+  /**
+   * Get feedback clustered into topics, with exemplars and emergence over time
+   * @param {string} eventId - Event ID
+   * @param {Object} params - Query parameters (timeWindow, startTime, endTime, minClusterSize, maxClusters)
+   * @returns {Promise} Promise object with topic clusters
+   */
+  getTopicClusters: async (eventId, params = {}) => {
+    try {
+      const response = await api.get(`/analytics/topics/clusters/${eventId}`, { params });
+      return response.data.data;
+    } catch (error) {
+      console.error('API Error:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch topic clusters');
+    }
+  },
+  
   /**
    * Get location heatmap data for an event
    * @param {string} eventId - Event ID
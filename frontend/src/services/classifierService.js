@@ -0,0 +1,62 @@
+import api from './api';
+
+const classifierService = {
+  /**
+   * Get an event's learned issue classifier
+   * @param {string} eventId - Event ID
+   * @returns {Promise} Promise object with { active, versions, examples, retrainThreshold }
+   */
+  getEventClassifier: async (eventId) => {
+    try {
+      const response = await api.get(`/classifier/event/${eventId}`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to fetch classifier';
+    }
+  },
+
+  /**
+   * Get precision and recall on the event's held-out corrections
+   * @param {string} eventId - Event ID
+   * @returns {Promise} Promise object with { model, heldOut, learned, pipeline }
+   */
+  getEventMetrics: async (eventId) => {
+    try {
+      const response = await api.get(`/classifier/event/${eventId}/metrics`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to fetch classifier metrics';
+    }
+  },
+
+  /**
+   * Train a new classifier version from the event's corrections
+   * @param {string} eventId - Event ID
+   * @returns {Promise} Promise object with the new model version
+   */
+  trainEventClassifier: async (eventId) => {
+    try {
+      const response = await api.post(`/classifier/event/${eventId}/train`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to train classifier';
+    }
+  },
+
+  /**
+   * Make an earlier classifier version active
+   * @param {string} eventId - Event ID
+   * @param {number} version - Version to activate
+   * @returns {Promise} Promise object with the activated version
+   */
+  activateVersion: async (eventId, version) => {
+    try {
+      const response = await api.put(`/classifier/event/${eventId}/active`, { version });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to activate classifier version';
+    }
+  }
+};
+
+export default classifierService;
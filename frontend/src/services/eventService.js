@@ -185,6 +185,35 @@ const eventService = {
     }
   },
   
+  /**
+   * Get an event's issue categories
+   * @param {string} eventId - Event ID
+   * @returns {Promise} Promise object with { categories, isDefault, defaults }
+   */
+  getIssueCategories: async (eventId) => {
+    try {
+      const response = await api.get(`/events/${eventId}/issue-categories`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to fetch issue categories';
+    }
+  },
+  
+  /**
+   * Replace an event's issue categories; an empty list restores the defaults
+   * @param {string} eventId - Event ID
+   * @param {Array} categories - [{ key, label, description, keywords, zeroShotLabels }]
+   * @returns {Promise} Promise object with { categories, isDefault, defaults }
+   */
+  updateIssueCategories: async (eventId, categories) => {
+    try {
+      const response = await api.put(`/events/${eventId}/issue-categories`, { categories });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to update issue categories';
+    }
+  },
+  
   /**
    * Toggle event active status
    * @param {string} eventId - Event ID
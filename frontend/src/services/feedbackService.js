@@ -100,6 +100,20 @@ const feedbackService = {
     }
   },
   
+  /**
+   * Get the unredacted text of feedback (event owner or admin only)
+   * @param {string} feedbackId - Feedback ID
+   * @returns {Promise} Promise object with { originalText, piiTypes }
+   */
+  getOriginalText: async (feedbackId) => {
+    try {
+      const response = await api.get(`/feedback/${feedbackId}/original`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to fetch original text';
+    }
+  },
+  
   /**
    * Update feedback
    * @param {string} feedbackId - Feedback ID
@@ -145,6 +159,77 @@ const feedbackService = {
     } catch (error) {
       throw error.response?.data?.message || 'Failed to process feedback';
     }
+  },
+  
+  /**
+   * Import feedback from a CSV or NDJSON file
+   * @param {string} eventId - Event ID
+   * @param {File} file - CSV or NDJSON file
+   * @param {Object} options - { mapping, source, sourceLabel, dryRun }
+   * @returns {Promise} Dry-run summary, or the import ID when importing
+   */
+  importFeedback: async (eventId, file, options = {}) => {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('mapping', JSON.stringify(options.mapping || {}));
+      formData.append('source', options.source || 'survey');
+      formData.append('dryRun', options.dryRun ? 'true' : 'false');
+      if (options.sourceLabel) {
+        formData.append('sourceLabel', options.sourceLabel);
+      }
+      
+      const response = await api.post(`/feedback/event/${eventId}/import`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || error.response?.data?.error || 'Failed to import feedback';
+    }
+  },
+
+  /**
+   * Count an event's feedback per scoring version
+   * @param {string} eventId - Event ID
+   * @returns {Promise} { currentVersion, versions }
+   */
+  getScoringVersions: async (eventId) => {
+    try {
+      const response = await api.get(`/feedback/event/${eventId}/scoring`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to fetch scoring versions';
+    }
+  },
+
+  /**
+   * Re-score an event's feedback with the current models
+   * @param {string} eventId - Event ID
+   * @param {Object} options - { scope, dryRun, sampleSize }
+   * @returns {Promise} Diff preview on a dry run, otherwise the started job
+   */
+  rescoreFeedback: async (eventId, options = {}) => {
+    try {
+      const response = await api.post(`/feedback/event/${eventId}/rescore`, options);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to re-score feedback';
+    }
+  },
+
+  /**
+   * Get a re-score job's progress
+   * @param {string} eventId - Event ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise} Job state
+   */
+  getRescoreJob: async (eventId, jobId) => {
+    try {
+      const response = await api.get(`/feedback/event/${eventId}/rescore/${jobId}`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to fetch re-score progress';
+    }
   }
 };
 
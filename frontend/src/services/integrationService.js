@@ -209,6 +209,97 @@ const integrationService = {
     }
   },
   
+  /**
+   * Get inbound webhook connectors for an event
+   * @param {string} eventId - Event ID
+   * @returns {Promise} Promise object with connectors
+   */
+  getWebhookConnectors: async (eventId) => {
+    try {
+      const response = await api.get(`/integrations/webhooks/${eventId}`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to get webhook connectors';
+    }
+  },
+  
+  /**
+   * Create an inbound webhook connector
+   * @param {string} eventId - Event ID
+   * @param {Object} connector - { name, sourceLabel, fieldMapping }
+   * @returns {Promise} Promise object with the connector and its secret
+   */
+  createWebhookConnector: async (eventId, connector) => {
+    try {
+      const response = await api.post(`/integrations/webhooks/${eventId}`, connector);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to create webhook connector';
+    }
+  },
+  
+  /**
+   * Update an inbound webhook connector
+   * @param {string} eventId - Event ID
+   * @param {string} connectorId - Connector ID
+   * @param {Object} updates - { name, sourceLabel, fieldMapping, active }
+   * @returns {Promise} Promise object with the updated connector
+   */
+  updateWebhookConnector: async (eventId, connectorId, updates) => {
+    try {
+      const response = await api.put(`/integrations/webhooks/${eventId}/${connectorId}`, updates);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to update webhook connector';
+    }
+  },
+  
+  /**
+   * Generate a new secret for a webhook connector
+   * @param {string} eventId - Event ID
+   * @param {string} connectorId - Connector ID
+   * @returns {Promise} Promise object with the connector and its new secret
+   */
+  rotateWebhookSecret: async (eventId, connectorId) => {
+    try {
+      const response = await api.post(`/integrations/webhooks/${eventId}/${connectorId}/secret`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to rotate webhook secret';
+    }
+  },
+  
+  /**
+   * Delete a webhook connector
+   * @param {string} eventId - Event ID
+   * @param {string} connectorId - Connector ID
+   * @returns {Promise} Promise object with deletion status
+   */
+  deleteWebhookConnector: async (eventId, connectorId) => {
+    try {
+      const response = await api.delete(`/integrations/webhooks/${eventId}/${connectorId}`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to delete webhook connector';
+    }
+  },
+  
+  /**
+   * Preview how a field mapping reads a sample payload
+   * @param {string} eventId - Event ID
+   * @param {Object} fieldMapping - JSONPath-style field mapping
+   * @param {Object} payload - Sample payload
+   * @returns {Promise} Promise object with mapped items and skipped entries
+   */
+  previewWebhookMapping: async (eventId, fieldMapping, payload) => {
+    try {
+      const response = await api.post(`/integrations/webhooks/${eventId}/preview`, { fieldMapping, payload });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to preview webhook mapping';
+    }
+  },
+  
   /**
    * Test an integration
    * @param {string} platform - Platform to test ('twitter', 'instagram', 'linkedin')
@@ -0,0 +1,123 @@
+import api from './api';
+
+const issueService = {
+  /**
+   * Get issues for an event
+   * @param {string} eventId - Event ID
+   * @param {Object} params - Query parameters (status, type, severity, assignedTo, search, page, limit)
+   * @returns {Promise} Promise object with issues and pagination
+   */
+  getEventIssues: async (eventId, params = {}) => {
+    try {
+      const response = await api.get(`/issues/event/${eventId}`, { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to fetch issues';
+    }
+  },
+
+  /**
+   * Get issue counts by status and severity
+   * @param {string} eventId - Event ID
+   * @returns {Promise} Promise object with issue counts
+   */
+  getIssueStats: async (eventId) => {
+    try {
+      const response = await api.get(`/issues/event/${eventId}/stats`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to fetch issue counts';
+    }
+  },
+
+  /**
+   * Get the users an event's issues can be assigned to
+   * @param {string} eventId - Event ID
+   * @returns {Promise} Promise object with users
+   */
+  getAssignees: async (eventId) => {
+    try {
+      const response = await api.get(`/issues/event/${eventId}/assignees`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to fetch assignees';
+    }
+  },
+
+  /**
+   * Get an issue with its feedback timeline and alerts
+   * @param {string} issueId - Issue ID
+   * @returns {Promise} Promise object with issue data
+   */
+  getIssue: async (issueId) => {
+    try {
+      const response = await api.get(`/issues/${issueId}`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to fetch issue';
+    }
+  },
+
+  /**
+   * Update an issue's details
+   * @param {string} issueId - Issue ID
+   * @param {Object} issueData - { title, description, severity, location }
+   * @returns {Promise} Promise object with the updated issue
+   */
+  updateIssue: async (issueId, issueData) => {
+    try {
+      const response = await api.put(`/issues/${issueId}`, issueData);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to update issue';
+    }
+  },
+
+  /**
+   * Assign an issue
+   * @param {string} issueId - Issue ID
+   * @param {string|null} userId - User ID, or null to unassign
+   * @returns {Promise} Promise object with the updated issue
+   */
+  assignIssue: async (issueId, userId) => {
+    try {
+      const response = await api.put(`/issues/${issueId}/assign`, { userId });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to assign issue';
+    }
+  },
+
+  /**
+   * Update issue status; resolving or marking a false positive also closes its alerts
+   * @param {string} issueId - Issue ID
+   * @param {string} status - New status ('confirmed', 'inProgress', 'resolved', 'falsePositive', 'detected')
+   * @param {Object} details - { note, resolutionNotes }
+   * @returns {Promise} Promise object with the updated issue and alertsUpdated count
+   */
+  updateIssueStatus: async (issueId, status, details = {}) => {
+    try {
+      const response = await api.put(`/issues/${issueId}/status`, { status, ...details });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to update issue status';
+    }
+  },
+
+  /**
+   * Merge other issues into an issue
+   * @param {string} issueId - Issue to keep
+   * @param {Array} issueIds - Issues to fold into it
+   * @returns {Promise} Promise object with the merged issue
+   */
+  mergeIssues: async (issueId, issueIds) => {
+    try {
+      const response = await api.post(`/issues/${issueId}/merge`, { issueIds });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to merge issues';
+    }
+  }
+};
+
+export default issueService;
@@ -73,7 +73,7 @@ const postEventAnalyticsService = {
   /**
    * Export post-event report
    * @param {string} eventId - Event ID
-   * @param {string} format - Export format (json, pdf)
+   * @param {string} format - Export format (json, pdf, csv)
    * @param {boolean} force - Force report generation for active events
    * @returns {Promise} Promise with exported report
    */
@@ -86,6 +86,11 @@ const postEventAnalyticsService = {
       return response.data;
     } catch (error) {
       console.error('API Error:', error);
+      // Blob responses carry the JSON error body as raw bytes
+      if (error.response?.data instanceof Blob) {
+        const body = await error.response.data.text().then(JSON.parse).catch(() => ({}));
+        throw new Error(body.message || 'Failed to export post-event report');
+      }
       throw new Error(error.response?.data?.message || 'Failed to export post-event report');
     }
   }
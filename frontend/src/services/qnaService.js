@@ -0,0 +1,130 @@
+import api from './api';
+import { getStorageItem, setStorageItem } from '../utils/storage';
+
+const CLIENT_ID_KEY = 'qnaClientId';
+
+const qnaService = {
+  /**
+   * Get (or create) the anonymous client token used for asking and voting
+   * @returns {string} Client token
+   */
+  getClientId: () => {
+    let clientId = getStorageItem(CLIENT_ID_KEY, false);
+    if (!clientId) {
+      clientId = `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 12)}`;
+      setStorageItem(CLIENT_ID_KEY, clientId, false);
+    }
+    return clientId;
+  },
+
+  /**
+   * Get public questions for an event
+   * @param {string} eventId - Event ID
+   * @param {Object} params - Query parameters (session, sort)
+   * @returns {Promise} Promise object with questions
+   */
+  getEventQuestions: async (eventId, params = {}) => {
+    try {
+      const response = await api.get(`/qna/event/${eventId}`, {
+        params: { ...params, askerId: qnaService.getClientId() }
+      });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to fetch questions';
+    }
+  },
+
+  /**
+   * Get Q&A sessions for an event
+   * @param {string} eventId - Event ID
+   * @returns {Promise} Promise object with sessions
+   */
+  getSessions: async (eventId) => {
+    try {
+      const response = await api.get(`/qna/event/${eventId}/sessions`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to fetch sessions';
+    }
+  },
+
+  /**
+   * Ask a question
+   * @param {string} eventId - Event ID
+   * @param {Object} questionData - { text, session, user }
+   * @returns {Promise} Promise object with the created question
+   */
+  askQuestion: async (eventId, questionData) => {
+    try {
+      const response = await api.post(`/qna/event/${eventId}`, {
+        ...questionData,
+        askerId: qnaService.getClientId()
+      });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to submit question';
+    }
+  },
+
+  /**
+   * Toggle an upvote on a question
+   * @param {string} questionId - Question ID
+   * @returns {Promise} Promise object with { question, upvoted }
+   */
+  upvoteQuestion: async (questionId) => {
+    try {
+      const response = await api.post(`/qna/questions/${questionId}/upvote`, {
+        voterId: qnaService.getClientId()
+      });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to upvote question';
+    }
+  },
+
+  /**
+   * Get every question for moderation
+   * @param {string} eventId - Event ID
+   * @param {Object} params - Query parameters (session, status)
+   * @returns {Promise} Promise object with questions and sessions
+   */
+  getModerationQueue: async (eventId, params = {}) => {
+    try {
+      const response = await api.get(`/qna/event/${eventId}/moderation`, { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to fetch moderation queue';
+    }
+  },
+
+  /**
+   * Moderate or answer a question
+   * @param {string} questionId - Question ID
+   * @param {Object} update - { status, answer, session }
+   * @returns {Promise} Promise object with the updated question
+   */
+  moderateQuestion: async (questionId, update) => {
+    try {
+      const response = await api.put(`/qna/questions/${questionId}`, update);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to update question';
+    }
+  },
+
+  /**
+   * Delete a question
+   * @param {string} questionId - Question ID
+   * @returns {Promise} Promise object with deletion status
+   */
+  deleteQuestion: async (questionId) => {
+    try {
+      const response = await api.delete(`/qna/questions/${questionId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to delete question';
+    }
+  }
+};
+
+export default qnaService;
@@ -83,7 +83,8 @@ class SocketService {
     }
 
     console.log('Joining event:', eventId);
-    this.socket.emit('join-event', { eventId, userId: this.getUserId() });
+    // The server identifies staff from the handshake token, not from the payload
+    this.socket.emit('join-event', { eventId });
     this.connectedEvents.add(eventId);
   }
 
@@ -141,8 +142,7 @@ class SocketService {
       this.socket.emit('update-alert', {
         alertId,
         status,
-        note,
-        userId: this.getUserId()
+        note
       });
 
       this.socket.once('alert-update-confirmed', (data) => {
@@ -0,0 +1,127 @@
+import api from './api';
+import { getStorageItem, setStorageItem } from '../utils/storage';
+
+const RESPONDENT_ID_KEY = 'surveyRespondentId';
+
+const surveyService = {
+  /**
+   * Get (or create) the anonymous token that stops a browser answering a survey twice
+   * @returns {string} Respondent token
+   */
+  getRespondentId: () => {
+    let respondentId = getStorageItem(RESPONDENT_ID_KEY, false);
+    if (!respondentId) {
+      respondentId = `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 12)}`;
+      setStorageItem(RESPONDENT_ID_KEY, respondentId, false);
+    }
+    return respondentId;
+  },
+
+  /**
+   * Get published surveys for an event
+   * @param {string} eventId - Event ID
+   * @returns {Promise} Promise object with surveys
+   */
+  getPublishedSurveys: async (eventId) => {
+    try {
+      const response = await api.get(`/surveys/event/${eventId}/public`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to fetch surveys';
+    }
+  },
+
+  /**
+   * Submit answers to a survey
+   * @param {string} surveyId - Survey ID
+   * @param {Array} answers - [{ question, value }]
+   * @param {string} respondent - Optional respondent name
+   * @returns {Promise} Promise object with the stored response summary
+   */
+  submitResponse: async (surveyId, answers, respondent) => {
+    try {
+      const response = await api.post(`/surveys/${surveyId}/responses`, {
+        answers,
+        respondent,
+        respondentId: surveyService.getRespondentId()
+      });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to submit survey';
+    }
+  },
+
+  /**
+   * Get every survey for an event
+   * @param {string} eventId - Event ID
+   * @returns {Promise} Promise object with surveys
+   */
+  getEventSurveys: async (eventId) => {
+    try {
+      const response = await api.get(`/surveys/event/${eventId}`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to fetch surveys';
+    }
+  },
+
+  /**
+   * Create a survey
+   * @param {string} eventId - Event ID
+   * @param {Object} surveyData - { title, description, questions, status }
+   * @returns {Promise} Promise object with the created survey
+   */
+  createSurvey: async (eventId, surveyData) => {
+    try {
+      const response = await api.post(`/surveys/event/${eventId}`, surveyData);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to create survey';
+    }
+  },
+
+  /**
+   * Update a survey
+   * @param {string} surveyId - Survey ID
+   * @param {Object} surveyData - Fields to update
+   * @returns {Promise} Promise object with the updated survey
+   */
+  updateSurvey: async (surveyId, surveyData) => {
+    try {
+      const response = await api.put(`/surveys/${surveyId}`, surveyData);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to update survey';
+    }
+  },
+
+  /**
+   * Delete a survey and its responses
+   * @param {string} surveyId - Survey ID
+   * @returns {Promise} Promise object with deletion status
+   */
+  deleteSurvey: async (surveyId) => {
+    try {
+      const response = await api.delete(`/surveys/${surveyId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to delete survey';
+    }
+  },
+
+  /**
+   * Get results (NPS, CSAT and per-question breakdowns) for a survey
+   * @param {string} surveyId - Survey ID
+   * @returns {Promise} Promise object with survey results
+   */
+  getSurveyResults: async (surveyId) => {
+    try {
+      const response = await api.get(`/surveys/${surveyId}/results`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data?.message || 'Failed to fetch survey results';
+    }
+  }
+};
+
+export default surveyService;
@@ -97,7 +97,8 @@ export const hexToRgb = (hex) => {
       linkedin: '#0A66C2',
       app_chat: '#25D366',
       survey: '#FF6B6B',
-      direct: '#4ECDC4'
+      direct: '#4ECDC4',
+      webhook: '#8B5CF6'
     }
   };
   